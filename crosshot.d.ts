@@ -2,6 +2,10 @@
 // Project: https://github.com/ltcodedev/crosshot
 // Definitions by: Lucas Tiago <dev@lucastiago.com.br>
 
+import type { Readable } from 'stream';
+import type { EventEmitter } from 'events';
+import type { Server } from 'http';
+
 export interface ScreenshotSize {
   bytes: number;
   kb: number;
@@ -14,9 +18,75 @@ export interface ScreenshotMetadata {
   permissions: number;
 }
 
+/**
+ * Rectangle of the screen in pixels, relative to the top-left corner of the desktop
+ */
+export interface ScreenshotRegion {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+/**
+ * A connected display as reported by listDisplays()
+ */
+export interface DisplayInfo {
+  id: number;           // Index used by the display option
+  name: string;         // Output name (e.g. "HDMI-1", "DP-2", "DISPLAY1")
+  primary: boolean;
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+  scale: number | null; // Scale factor (effective DPI / 96 on Windows); null on Windows before 8.1
+}
+
+/**
+ * What to capture: the whole screen, the focused window, or a window by its
+ * platform id (X11 window id, macOS CGWindowID, Windows HWND)
+ */
+export type ScreenshotTarget = 'screen' | 'activeWindow' | { windowId: number | string };
+
+/**
+ * Pixel size of an image
+ */
+export interface ImageDimensions {
+  width: number;
+  height: number;
+}
+
+/**
+ * Thumbnail written next to the capture as <name>.thumb.<format>
+ */
+export interface ThumbnailResult extends ImageDimensions {
+  filename: string;
+  filepath: string;
+  format: string;
+  size: ScreenshotSize;
+}
+
+/**
+ * Thumbnail of an in-memory capture
+ */
+export interface ThumbnailBuffer extends ImageDimensions {
+  buffer: Buffer;
+  format: string;
+}
+
+/**
+ * Thumbnail generated in the same call as the capture, never wider than width and never
+ * enlarged. A number is the width; "width[:format]" strings are also accepted
+ */
+export interface ThumbnailOptions {
+  width: number;
+  format?: 'png' | 'jpg' | 'jpeg' | 'bmp' | 'webp';  // Default: the capture's format
+  quality?: number;  // Default: the capture's quality
+}
+
 export interface ScreenshotResult {
   success: true;
-  filename: string;
+  filename: string;     // Relative to directory; includes subdirectories created from the name template
   filepath: string;
   absolutePath: string;
   directory: string;
@@ -25,37 +95,398 @@ export interface ScreenshotResult {
   platform: string;
   timestamp: string;
   format: string;
+  nativeFormat: 'png' | 'jpg' | 'bmp' | 'webp' | 'xwd';  // Format written by the tool before conversion
+  region: ScreenshotRegion | null;  // Area actually captured (clamped to the screen), in screen pixels
+  dimensions: ImageDimensions;      // Pixel size of the saved image, after scale/maxWidth/maxHeight
+  thumbnail: ThumbnailResult | null;
+  sidecar: { filename: string; filepath: string } | null;  // <file>.json written with the sidecar option
+  clipboard: { tool: string } | null;  // Clipboard tool used with the clipboard option
+  uploads: UploadResult[];  // One entry per sink, failed uploads included
+  display: DisplayInfo | string | null;  // Display captured when the display option is used; the X display name for X servers
+  target: ScreenshotTarget;
   metadata: ScreenshotMetadata;
   base64?: string;      // Data URL format (data:image/png;base64,...)
   base64Raw?: string;   // Raw base64 string
 }
 
-export interface ScreenshotError {
-  success: false;
+export type CrosshotErrorCode =
+  | 'CAPTURE_FAILED'
+  | 'INVALID_OPTION'
+  | 'NO_TOOL_AVAILABLE'
+  | 'UNSUPPORTED_FORMAT'
+  | 'UNSUPPORTED_TARGET'
+  | 'PERMISSION_DENIED'
+  | 'OUTPUT_NOT_WRITTEN'
+  | 'TIMEOUT'
+  | 'DIRECTORY_MISSING'
+  | 'DISPLAY_NOT_FOUND'
+  | 'ABORTED'
+  | 'FILE_EXISTS'
+  | 'CLIPBOARD_FAILED'
+  | 'UPLOAD_FAILED';
+
+/**
+ * One failed tool invocation, in the order the tools were tried
+ */
+export interface CaptureAttempt {
+  tool: string;
+  command: string;          // Readable form of the argv that was run
+  exitCode: number | null;  // null when the tool could not be started or was killed
+  signal: string | null;
+  timedOut: boolean;        // Killed after the timeout option
+  blank: boolean;           // The image was entirely black
+  stderr: string;
   error: string;
+}
+
+export interface CrosshotErrorOptions {
+  code?: CrosshotErrorCode;
+  platform?: string;
+  suggestions?: string[];
+  attempts?: CaptureAttempt[];
+  availableTools?: string[];
+  triedTools?: string[];
+  cause?: unknown;
+}
+
+/**
+ * Base class of every error Crosshot rejects with. success, error, platform, timestamp and
+ * suggestions mirror the plain objects used by earlier versions.
+ */
+export declare class CrosshotError extends Error {
+  constructor(message: string, options?: CrosshotErrorOptions);
+  code: CrosshotErrorCode;
+  readonly success: false;
+  error: string;             // Same as message
   platform: string;
-  availableTools: string[];
   timestamp: string;
   suggestions: string[];
+  attempts: CaptureAttempt[];
+  availableTools?: string[]; // Installed tools that failed or cannot handle the target
+  triedTools?: string[];     // NoToolAvailableError: the tools looked for, none of them installed
+  toJSON(): object;
+}
+
+export declare class InvalidOptionError extends CrosshotError { code: 'INVALID_OPTION'; }
+export declare class NoToolAvailableError extends CrosshotError { code: 'NO_TOOL_AVAILABLE'; }
+export declare class UnsupportedFormatError extends CrosshotError { code: 'UNSUPPORTED_FORMAT'; }
+export declare class UnsupportedTargetError extends CrosshotError { code: 'UNSUPPORTED_TARGET'; }
+export declare class PermissionDeniedError extends CrosshotError { code: 'PERMISSION_DENIED'; }
+export declare class OutputNotWrittenError extends CrosshotError { code: 'OUTPUT_NOT_WRITTEN'; }
+export declare class TimeoutError extends CrosshotError { code: 'TIMEOUT'; }
+export declare class DirectoryMissingError extends CrosshotError { code: 'DIRECTORY_MISSING'; }
+export declare class DisplayNotFoundError extends CrosshotError { code: 'DISPLAY_NOT_FOUND'; }
+export declare class AbortedError extends CrosshotError { code: 'ABORTED'; }
+export declare class FileExistsError extends CrosshotError { code: 'FILE_EXISTS'; }
+export declare class ClipboardError extends CrosshotError { code: 'CLIPBOARD_FAILED'; }
+export declare class UploadError extends CrosshotError {
+  code: 'UPLOAD_FAILED';
+  sink: string | null;
+  status: number | null;     // HTTP status, when the destination answered
+}
+
+/**
+ * What happens when the output file already exists: 'increment' picks the next free name
+ * (name-1.png, or the next {seq} number), 'overwrite' replaces it, 'error' rejects with FileExistsError
+ */
+export type ConflictMode = 'overwrite' | 'increment' | 'error';
+
+export type RedactionMode = 'blackout' | 'blur' | 'pixelate';
+
+/**
+ * Area hidden before the capture is encoded, in pixels of the captured image (relative to the
+ * region, display or window). A redaction reaching past the image rejects with
+ * InvalidOptionError. "x,y,width,height[:mode]" strings are also accepted
+ */
+export interface Redaction extends ScreenshotRegion {
+  mode?: RedactionMode;  // Default: 'blackout'
+}
+
+/**
+ * CLI exit code used for each error code
+ */
+export declare const EXIT_CODES: Readonly<Record<CrosshotErrorCode, number>>;
+
+/**
+ * @deprecated Use CrosshotError
+ */
+export type ScreenshotError = CrosshotError;
+
+export type HookEvent = 'detect' | 'attempt' | 'attemptFailed' | 'fallback' | 'verified' | 'written' | 'success' | 'error';
+
+/**
+ * Event names of the hooks option, in the order they happen
+ */
+export declare const HOOK_EVENTS: HookEvent[];
+
+/**
+ * Details passed to afterCapture with the image
+ */
+export interface AfterCaptureDetails {
+  tool: string;
+  command: string;
+  format: 'png' | 'jpg' | 'bmp' | 'webp';  // Format of the buffer; a replacement must use it too
+  nativeFormat: string;
+  region: ScreenshotRegion | null;
+  dimensions: ImageDimensions;
+  display: DisplayInfo | string | null;
+  target: ScreenshotTarget;
+}
+
+/**
+ * Lifecycle hooks of one capture. Event hooks only observe: one that throws or rejects is
+ * reported as a warning and never fails the capture. beforeCapture and afterCapture run
+ * once per capture (per display with allDisplays) and reject the capture when they throw.
+ */
+export interface CaptureHooks<TResult = ScreenshotResult> {
+  beforeCapture?: (options: ScreenshotOptions) => Partial<ScreenshotOptions> | void | Promise<Partial<ScreenshotOptions> | void>;  // Options to merge over the caller's
+  detect?: (event: { platform: string; session: SessionInfo; tools: string[] }) => void;  // Tools in the order they will be tried
+  attempt?: (event: { tool: string; command: string; index: number; total: number }) => void;
+  attemptFailed?: (attempt: CaptureAttempt) => void;
+  fallback?: (event: { from: string; to: string; reason: string }) => void;
+  verified?: (event: { tool: string; format: string; nativeFormat: string; dimensions: ImageDimensions }) => void;
+  afterCapture?: (buffer: Buffer, details: AfterCaptureDetails) => Buffer | void | Promise<Buffer | void>;  // Replacement image; thumbnail and clipboard copy are made from it
+  written?: (event: { type: 'screenshot' | 'thumbnail' | 'sidecar'; filepath: string }) => void;  // File captures only
+  success?: (result: TResult) => void;
+  error?: (error: CrosshotError | Error) => void;  // Every rejection, invalid options included; hooks may throw other errors
 }
 
 export interface ScreenshotOptions {
   silent?: boolean;
   verbose?: boolean;
   format?: 'png' | 'jpg' | 'jpeg' | 'bmp' | 'webp';
-  quality?: number;
+  quality?: number;  // 1-100, applied when encoding JPG and WebP
   returnBase64?: boolean;  // Return base64 string instead of just file path
+  region?: ScreenshotRegion | string | null;  // Capture only this rectangle ("x,y,width,height" also accepted)
+  display?: number | string | DisplayInfo | null;  // Display id, name or listDisplays() entry; region becomes relative to it.
+                                                   // An X display name such as ':99' captures that X server instead (Linux)
+  allDisplays?: boolean;   // Capture every display into separate files
+  target?: ScreenshotTarget;  // Default: 'screen'; cannot be combined with region/display
+  preferredTools?: string[];  // Backends tried first, in this order
+  excludeTools?: string[];    // Backends never tried
+  timeout?: number;           // Per-tool limit in ms; a tool that takes longer is killed and the next one tried (default: 30000, 0 disables)
+  deadline?: number;          // Limit in ms for the whole capture, rejects with TimeoutError (default: 0, none)
+  signal?: AbortSignal;       // Aborting kills the running tool and rejects with AbortedError
+  allowBlank?: boolean;       // Accept all-black full-screen captures instead of treating them as missing permission; regions and windows are never checked (default: false)
+  onConflict?: ConflictMode;  // Default: 'increment'
+  redact?: Array<Redaction | string>;  // Hidden before the image is written or base64-encoded
+  scale?: number;             // Shrink factor above 0 and up to 1, e.g. 0.5 for HiDPI screens (default: 1)
+  maxWidth?: number | null;   // Shrink to fit this width, keeping the aspect ratio; never enlarges
+  maxHeight?: number | null;  // Shrink to fit this height, keeping the aspect ratio; never enlarges
+  thumbnail?: ThumbnailOptions | number | string | null;  // Also write <name>.thumb.<format>
+  embedMetadata?: boolean;    // Store CaptureMetadata inside the image (PNG, JPG and WebP only)
+  sidecar?: boolean;          // Write CaptureMetadata to <file>.json next to the capture
+  clipboard?: boolean;        // Also copy the image to the clipboard as PNG; rejects with ClipboardError before anything is written
+  sinks?: Array<SinkOptions | Sink | string>;  // Upload the saved file; failures are reported in result.uploads
+  hooks?: CaptureHooks;       // Lifecycle events and beforeCapture/afterCapture
 }
 
 export interface CaptureScreenOptions {
   outputDir?: string;
-  filename?: string;
+  filename?: string;          // File name or template without extension, e.g. '{date}/{time}-{hostname}-{seq:3}'
   silent?: boolean;
   verbose?: boolean;
   createDir?: boolean;
   format?: 'png' | 'jpg' | 'jpeg' | 'bmp' | 'webp';
-  quality?: number;
+  quality?: number;  // 1-100, applied when encoding JPG and WebP
   returnBase64?: boolean;  // Return base64 string in addition to file
+  region?: ScreenshotRegion | string | null;  // Capture only this rectangle ("x,y,width,height" also accepted)
+  display?: number | string | DisplayInfo | null;  // Display id, name or listDisplays() entry; region becomes relative to it.
+                                                   // An X display name such as ':99' captures that X server instead (Linux)
+  allDisplays?: boolean;   // Capture every display into separate files
+  target?: ScreenshotTarget;  // Default: 'screen'; cannot be combined with region/display
+  preferredTools?: string[];  // Backends tried first, in this order
+  excludeTools?: string[];    // Backends never tried
+  timeout?: number;           // Per-tool limit in ms; a tool that takes longer is killed and the next one tried (default: 30000, 0 disables)
+  deadline?: number;          // Limit in ms for the whole capture, rejects with TimeoutError (default: 0, none)
+  signal?: AbortSignal;       // Aborting kills the running tool and rejects with AbortedError
+  allowBlank?: boolean;       // Accept all-black full-screen captures instead of treating them as missing permission; regions and windows are never checked (default: false)
+  onConflict?: ConflictMode;  // Default: 'increment'
+  redact?: Array<Redaction | string>;  // Hidden before the image is written or base64-encoded
+  scale?: number;             // Shrink factor above 0 and up to 1, e.g. 0.5 for HiDPI screens (default: 1)
+  maxWidth?: number | null;   // Shrink to fit this width, keeping the aspect ratio; never enlarges
+  maxHeight?: number | null;  // Shrink to fit this height, keeping the aspect ratio; never enlarges
+  thumbnail?: ThumbnailOptions | number | string | null;  // Also write <name>.thumb.<format>
+  embedMetadata?: boolean;    // Store CaptureMetadata inside the image (PNG, JPG and WebP only)
+  sidecar?: boolean;          // Write CaptureMetadata to <file>.json next to the capture
+  clipboard?: boolean;        // Also copy the image to the clipboard as PNG; rejects with ClipboardError before anything is written
+  sinks?: Array<SinkOptions | Sink | string>;  // Upload the saved file; failures are reported in result.uploads
+  hooks?: CaptureHooks;       // Lifecycle events and beforeCapture/afterCapture
+}
+
+export type BackendFeature = 'region' | 'display' | 'activeWindow' | 'windowId' | 'stdout';
+
+/**
+ * Arguments passed to a backend's buildCommand(). region, display and target are only
+ * set when the backend declares the matching feature.
+ */
+export interface BackendCommandContext {
+  outputPath: string;              // '-' when stdout is true
+  stdout: boolean;                 // Write the image to stdout instead of outputPath
+  format: 'png' | 'jpg' | 'bmp' | 'webp' | 'xwd';  // One of the backend's formats; converted afterwards
+  quality: number;
+  region: ScreenshotRegion | null;
+  display: DisplayInfo | null;
+  target: { type: 'activeWindow' } | { type: 'window'; windowId: string } | null;
+  xDisplay: string | null;         // X server being captured; the command already runs with DISPLAY set to it
+  run: (argv: string[]) => Promise<{ stdout: string; stderr: string }>;  // Run a helper command through the instance's executor
+}
+
+/**
+ * Options for captureToBuffer() and captureStream()
+ */
+export interface BufferCaptureOptions {
+  silent?: boolean;        // Default: true; logs go to stderr
+  verbose?: boolean;
+  format?: 'png' | 'jpg' | 'jpeg' | 'bmp' | 'webp';
+  quality?: number;  // 1-100, applied when encoding JPG and WebP
+  region?: ScreenshotRegion | string | null;
+  display?: number | string | DisplayInfo | null;  // Also accepts an X display name such as ':99'
+  target?: ScreenshotTarget;
+  preferredTools?: string[];
+  excludeTools?: string[];
+  timeout?: number;
+  deadline?: number;
+  signal?: AbortSignal;
+  allowBlank?: boolean;
+  redact?: Array<Redaction | string>;
+  scale?: number;
+  maxWidth?: number | null;
+  maxHeight?: number | null;
+  thumbnail?: ThumbnailOptions | number | string | null;
+  embedMetadata?: boolean;
+  clipboard?: boolean;     // Copy to the clipboard; nothing is written to disk
+  hooks?: CaptureHooks<BufferCaptureResult>;  // Lifecycle events and beforeCapture/afterCapture
+}
+
+/**
+ * The saved capture as handed to every sink
+ */
+export interface UploadFile {
+  buffer: Buffer;
+  filename: string;          // Relative to the output directory, may contain subdirectories
+  filepath: string;
+  mimeType: string;
+  metadata: CaptureMetadata;
+}
+
+/**
+ * Custom destination; whatever upload() resolves to is merged into its UploadResult
+ */
+export interface Sink {
+  name: string;
+  timeout?: number;          // ms before signal aborts (default: 30000, 0 = none)
+  upload(file: UploadFile, context: { signal: AbortSignal }): Promise<Record<string, unknown> | void>;
+}
+
+export interface PutSinkOptions {
+  type: 'put';
+  url: string;               // {filename} is replaced with the file name; a trailing / gets it appended
+  name?: string;
+  headers?: Record<string, string>;
+  timeout?: number;
+}
+
+export interface WebhookSinkOptions {
+  type: 'webhook';
+  url: string;               // Receives a multipart POST with the image and a metadata JSON part
+  name?: string;
+  headers?: Record<string, string>;
+  field?: string;            // Form field of the image (default: 'file')
+  fields?: Record<string, string | number | boolean>;
+  timeout?: number;
+}
+
+export interface S3SinkOptions {
+  type: 's3';
+  bucket: string;
+  prefix?: string;           // Prepended to the file name to form the object key
+  region?: string;           // Default: AWS_REGION, AWS_DEFAULT_REGION or us-east-1
+  endpoint?: string | null;  // S3-compatible endpoint such as http://localhost:9000 (default: AWS_ENDPOINT_URL_S3 or AWS_ENDPOINT_URL)
+  forcePathStyle?: boolean;  // Default: true with a custom endpoint
+  accessKeyId?: string;      // Default: AWS_ACCESS_KEY_ID
+  secretAccessKey?: string;  // Default: AWS_SECRET_ACCESS_KEY
+  sessionToken?: string;     // Default: AWS_SESSION_TOKEN
+  headers?: Record<string, string>;  // Extra headers such as x-amz-acl; signed with the request
+  name?: string;
+  timeout?: number;
+}
+
+export type SinkOptions = PutSinkOptions | WebhookSinkOptions | S3SinkOptions;
+
+export interface UploadResult {
+  sink: string;              // Sink name; the type for built-in sinks unless name is given
+  success: boolean;
+  url?: string;              // Where the file went
+  status?: number;           // HTTP status of the destination
+  error?: UploadError;       // Set when success is false
+  [key: string]: unknown;    // e.g. bucket, key and etag for S3, body for webhooks
+}
+
+/**
+ * Result of captureToBuffer(); no file is left on disk
+ */
+export interface BufferCaptureResult {
+  success: true;
+  buffer: Buffer;
+  mimeType: string;
+  size: ScreenshotSize;
+  tool: string;
+  platform: string;
+  format: string;
+  nativeFormat: 'png' | 'jpg' | 'bmp' | 'webp' | 'xwd';
+  region: ScreenshotRegion | null;
+  dimensions: ImageDimensions;
+  thumbnail: ThumbnailBuffer | null;
+  clipboard: { tool: string } | null;
+  display: DisplayInfo | string | null;
+  target: ScreenshotTarget;
+  timestamp: string;
+}
+
+/**
+ * A screenshot tool that can be registered with registerBackend()
+ */
+export interface BackendDefinition {
+  name: string;
+  command?: string;                // Executable checked by the default isAvailable() (default: name)
+  platforms?: string[];            // Node platform names (default: linux, darwin, win32)
+  formats?: Array<'png' | 'jpg' | 'jpeg' | 'bmp' | 'webp' | 'xwd'>;  // Formats the tool writes itself (default: all); others are converted
+  features?: BackendFeature[];     // Without 'region', regions are captured full screen and cropped
+  sessions?: Array<'x11' | 'wayland'>;  // Linux session types the tool works in (default: any)
+  desktops?: string[];             // Desktops it is made for, e.g. 'gnome', 'kde' or 'wlroots' (default: any)
+  versionArgs?: string[];          // Arguments that print the tool's version, used by diagnose()
+  description?: string;
+  isAvailable?: () => boolean | Promise<boolean>;
+  buildCommand: (context: BackendCommandContext) => string[] | Promise<string[]>;  // argv, run without a shell
+}
+
+/**
+ * A registered backend as reported by listBackends()
+ */
+export interface BackendInfo {
+  name: string;
+  command: string;
+  platforms: string[];
+  formats: string[];
+  features: BackendFeature[];
+  sessions: Array<'x11' | 'wayland'> | null;
+  desktops: string[] | null;
+  description: string;
+  builtin: boolean;
+}
+
+/**
+ * The graphical session backends are ordered for
+ */
+export interface SessionInfo {
+  platform: string;
+  type: 'wayland' | 'x11' | 'headless' | 'windows' | 'macos';
+  desktop: string | null;          // e.g. 'gnome', 'kde', 'sway', 'hyprland'
+  wlroots: boolean;                // Wayland compositor based on wlroots (sway, hyprland, river, ...)
+  wayland: boolean;
+  x11: boolean;                    // DISPLAY is set; true under XWayland as well
+  headless: boolean;
 }
 
 /**
@@ -63,8 +494,52 @@ export interface CaptureScreenOptions {
  */
 export interface AvailableTools {
   platform: string;
-  detectedTools: string[];
-  recommendedTool?: string;
+  session: SessionInfo;
+  detectedTools: string[];         // Installed tools in the order they would be tried
+  recommendedTool: string | null;  // First installed tool made for this session
+  available: string[];             // Same as detectedTools
+  total: number;                   // Tools known for this platform
+  hasTools: boolean;
+}
+
+export interface DiagnosticTool {
+  name: string;
+  command: string;
+  description: string;
+  available: boolean;
+  version: string | null;
+  suitable: boolean;               // Not made for a different session type or desktop
+  features: BackendFeature[];
+  formats: string[];
+}
+
+export interface DiagnosticProblem {
+  code: 'NO_DISPLAY' | 'SESSION_MISMATCH' | CrosshotErrorCode;
+  message: string;
+  suggestions: string[];
+}
+
+export interface DiagnosticReport {
+  ok: boolean;                     // No problems found
+  platform: string;
+  session: SessionInfo;
+  tools: DiagnosticTool[];         // Every tool for this platform, in the order they would be tried
+  recommendedTool: string | null;
+  problems: DiagnosticProblem[];
+  testCapture: {
+    success: boolean;
+    tool: string;
+    width?: number | null;
+    height?: number | null;
+    code?: string | null;
+    error?: string;
+  } | null;
+}
+
+export interface DiagnoseOptions {
+  testCapture?: boolean;           // Capture into memory with the recommended tool (default: false)
+  timeout?: number;                // Limit for each version check in ms (default: 5000)
+  display?: string | null;         // X display to check instead of the current session, e.g. ':99'
 }
 
 /**
@@ -88,10 +563,18 @@ export interface LibraryVersion {
 /**
  * Take a screenshot with full control over options
  * @param destinationDir Directory to save the screenshot
- * @param customName Custom filename without extension (optional)
+ * @param customName Custom filename or name template without extension (optional). Placeholders:
+ * {date[:YYYY-MM-DD]}, {time[:HH-mm-ss]}, {timestamp}, {hostname}, {platform}, {tool}, {display}
+ * and {seq[:width]}; "/" creates subdirectories. "..", backslashes and control characters are
+ * rejected so the file always lands in destinationDir
  * @param options Screenshot options
- * @returns Promise that resolves to ScreenshotResult or rejects with ScreenshotError
+ * @returns Promise that resolves to ScreenshotResult or rejects with CrosshotError
  */
+export function takeScreenshot(
+  destinationDir: string | undefined,
+  customName: string | null | undefined,
+  options: ScreenshotOptions & { allDisplays: true }
+): Promise<ScreenshotResult[]>;
 export function takeScreenshot(
   destinationDir?: string,
   customName?: string | null,
@@ -101,22 +584,373 @@ export function takeScreenshot(
 /**
  * Convenience function for taking screenshots with simplified options
  * @param options Capture options
- * @returns Promise that resolves to ScreenshotResult or rejects with ScreenshotError
+ * @returns Promise that resolves to ScreenshotResult or rejects with CrosshotError
  */
+export function captureScreen(options: CaptureScreenOptions & { allDisplays: true }): Promise<ScreenshotResult[]>;
 export function captureScreen(options?: CaptureScreenOptions): Promise<ScreenshotResult>;
 
+/**
+ * Capture into memory. Tools that can write to stdout (grim, maim, import, flameshot,
+ * PowerShell) are piped directly; others use a temporary file that is always removed.
+ * @param options Capture options
+ * @returns Promise that resolves to the image bytes and capture details
+ */
+export function captureToBuffer(options?: BufferCaptureOptions): Promise<BufferCaptureResult>;
+
+/**
+ * Capture into a readable stream of image bytes. The stream emits 'capture' with the
+ * result details (without the buffer) before the data, and 'error' when capture fails.
+ * @param options Capture options
+ */
+export function captureStream(options?: BufferCaptureOptions): Readable;
+
+export interface CompareOptions {
+  threshold?: number;              // Mismatch percentage (0-100) still reported as a match (default: 0)
+  tolerance?: number;              // Per-pixel color difference (0-1) treated as noise (default: 0.1)
+  ignoreRegions?: Array<ScreenshotRegion | string>;  // Areas such as clocks that are not compared
+  diffPath?: string | null;        // Write a diff image (.png, .jpg, .bmp or .webp): mismatches red, ignored areas blue
+  quality?: number;                // Quality for a lossy diff image (default: 100)
+}
+
+export interface CompareResult {
+  match: boolean;                  // mismatchPercentage <= threshold
+  threshold: number;
+  tolerance: number;
+  width: number;                   // Compared canvas, the larger of both images
+  height: number;
+  sameSize: boolean;               // Pixels outside the smaller image count as mismatched
+  comparedPixels: number;
+  ignoredPixels: number;
+  mismatchedPixels: number;
+  mismatchPercentage: number;      // Of comparedPixels, 0-100
+  diffPath: string | null;
+}
+
+/**
+ * Input accepted by compareScreenshots(): a file path, image bytes or a capture result
+ */
+export type CompareInput = string | Buffer | { buffer: Buffer } | { filepath: string };
+
+/**
+ * Compare two PNG, JPEG, BMP or XWD screenshots pixel by pixel
+ * @returns Promise that resolves to the mismatch details, or rejects with InvalidOptionError
+ * (unreadable file, invalid option) or UnsupportedFormatError (undecodable image)
+ */
+export function compareScreenshots(a: CompareInput, b: CompareInput, options?: CompareOptions): Promise<CompareResult>;
+
+/**
+ * How a screenshot was captured; embedded in PNG iTXt, JPEG comment or WebP XMP data, or
+ * written to a .json sidecar
+ */
+export interface CaptureMetadata {
+  software: string;                // e.g. 'crosshot 1.1.5'
+  timestamp: string;
+  tool: string;
+  platform: string;
+  format: string;
+  nativeFormat: 'png' | 'jpg' | 'bmp' | 'webp' | 'xwd';
+  dimensions: ImageDimensions;
+  region: ScreenshotRegion | null;
+  display: DisplayInfo | string | null;
+  target: ScreenshotTarget;
+}
+
+export interface ScreenshotInfo {
+  filepath: string;
+  format: 'png' | 'jpg' | 'bmp' | 'webp' | 'xwd';
+  width: number;
+  height: number;
+  size: ScreenshotSize;
+  source: 'embedded' | 'sidecar' | null;
+  metadata: CaptureMetadata | null;  // null when the image carries no crosshot metadata
+}
+
+/**
+ * Read the metadata stored with embedMetadata or sidecar
+ * @returns Promise that rejects with InvalidOptionError (unreadable file or sidecar) or
+ * UnsupportedFormatError (not an image)
+ */
+export function readScreenshotMetadata(filepath: string): Promise<ScreenshotInfo>;
+
+/**
+ * Which earlier captures of the same file name template are removed after each capture.
+ * The newest capture is always kept
+ */
+export interface RetentionPolicy {
+  keep?: number;                   // Keep only the newest n captures (default: 0, no limit)
+  maxAge?: number | string;        // Remove captures older than this, in ms or e.g. '7d' (default: 0, no limit)
+  maxSize?: number | string;       // Remove the oldest captures above this total, in bytes or e.g. '500MB' (default: 0, no limit)
+}
+
+export interface IntervalOptions extends CaptureScreenOptions {
+  every: number | string;          // Time between captures in ms, or e.g. '500ms', '30s', '5m', '1h' (at least 100 ms)
+  count?: number;                  // Stop after this many captures (default: 0, no limit)
+  until?: Date | string | number | null;  // Stop once this time has passed
+  retention?: RetentionPolicy;    // Applies to files of the filename template (default: 'watch-{timestamp}')
+  stopOnError?: boolean;           // Stop at the first failed capture (default: false)
+}
+
+export interface IntervalSummary {
+  captures: number;
+  failures: number;
+  reason: 'count' | 'until' | 'stopped' | 'aborted' | 'error';
+}
+
+export interface RemovedCapture {
+  path: string;
+  name: string;                    // Relative to outputDir
+  size: number;
+  mtimeMs: number;
+}
+
+/**
+ * Handle returned by captureInterval(). 'error' is only emitted when a listener is attached
+ */
+export interface CaptureInterval extends EventEmitter {
+  readonly state: 'running' | 'paused' | 'stopped';
+  readonly captures: number;
+  readonly failures: number;
+  readonly done: Promise<IntervalSummary>;
+  stop(): Promise<IntervalSummary>;
+  pause(): void;
+  resume(): void;                  // Captures right away, then every `every` ms
+  on(event: 'capture', listener: (result: ScreenshotResult | ScreenshotResult[]) => void): this;
+  on(event: 'prune', listener: (removed: RemovedCapture[]) => void): this;
+  on(event: 'error', listener: (error: CrosshotError) => void): this;
+  on(event: 'stop', listener: (summary: IntervalSummary) => void): this;
+}
+
+/**
+ * Capture repeatedly with captureScreen() and prune old captures. Captures never overlap;
+ * ticks missed while a slow capture runs are skipped. Throws InvalidOptionError for invalid
+ * interval, count, until, retention or filename options
+ * @param options Interval options plus any captureScreen() option
+ */
+export function captureInterval(options: IntervalOptions): CaptureInterval;
+
+export type BurstOutput = 'gif' | 'apng' | 'frames';
+
+export interface BurstOptions extends Omit<BufferCaptureOptions,
+  'format' | 'quality' | 'clipboard' | 'thumbnail' | 'embedMetadata' | 'allDisplays'> {
+  frames?: number;                 // 1 to 300 (default: 10)
+  intervalMs?: number | string;    // Milliseconds or a duration such as '250ms' (default: 200)
+  output?: BurstOutput;            // Default: 'gif'; 'frames' writes numbered PNG files
+  dedupe?: boolean;                // Merge identical consecutive frames (default: true)
+  outputDir?: string;              // Default: process.cwd()
+  filename?: string | null;        // Name template without extension (default: 'burst-{timestamp}')
+  createDir?: boolean;             // Default: true
+  onConflict?: ConflictMode;       // Default: 'increment'
+}
+
+export interface BurstFile {
+  filename: string;
+  filepath: string;
+  delay?: number;                  // Milliseconds the frame is shown; output 'frames' only
+}
+
+export interface BurstResult {
+  success: true;
+  output: BurstOutput;
+  filename: string | null;         // The animation; null for output 'frames'
+  filepath: string | null;
+  files: BurstFile[];              // Every file written
+  directory: string;
+  frames: number;                  // Frames in the output, after merging duplicates
+  captured: number;                // Frames captured
+  duration: number;                // Milliseconds one loop of the animation plays
+  size: ScreenshotSize;            // Total of all files
+  dimensions: ImageDimensions;
+  tool: string;
+  platform: string;
+  region: ScreenshotRegion | null;
+  display: DisplayInfo | string | null;
+  target: ScreenshotTarget;
+  timestamp: string;               // When the first frame was captured
+}
+
+/**
+ * Capture a sequence of frames with captureToBuffer() and write it as a looping animated
+ * GIF (256 colors) or lossless APNG (.png), or as numbered PNG files. Frame delays are the
+ * measured time between captures. Rejects with InvalidOptionError for invalid options and
+ * with the capture error when a frame fails
+ * @param options Burst options plus the captureToBuffer() capture options
+ */
+export function captureBurst(options?: BurstOptions): Promise<BurstResult>;
+
+export interface ServerOptions extends Omit<BufferCaptureOptions, 'signal' | 'clipboard' | 'thumbnail'> {
+  token?: string | null;           // Bearer token required for /screenshot and /tools (default: null, no auth)
+  maxQueue?: number;               // Captures running or waiting before requests get a 503 (default: 10)
+}
+
+/**
+ * Create an HTTP server for remote captures; call listen() on it to start serving.
+ * GET /screenshot returns the image bytes and accepts format, quality, display, region,
+ * window, scale, maxWidth, maxHeight, timeout, allowBlank, embedMetadata, tool and redact
+ * (repeatable) query parameters, which override the options given here; timeout must be
+ * above 0 and is capped at the timeout given here. GET /tools returns getAvailableTools() and
+ * GET /health { status, version, platform, queued }, or only { status } without the token.
+ * Captures run one at a time; errors are sent as CrosshotError.toJSON() bodies.
+ * Throws InvalidOptionError for an invalid token or maxQueue
+ * @param options Server options plus the default capture options
+ */
+export function createServer(options?: ServerOptions): Server;
+
 /**
  * Check what screenshot tools are available on the current system
  * @returns Promise that resolves to AvailableTools information
  */
 export function getAvailableTools(): Promise<AvailableTools>;
 
+/**
+ * Report the session type, installed tools with their versions, the recommended tool and
+ * problems that would stop a capture. Used by `crosshot doctor`.
+ * @param options Diagnose options
+ * @returns Promise that resolves to the report; problems are reported, not thrown
+ */
+export function diagnose(options?: DiagnoseOptions): Promise<DiagnosticReport>;
+
+/**
+ * List connected displays with their geometry
+ * @returns Promise that resolves to the displays, or rejects with CrosshotError when no listing tool works
+ */
+export function listDisplays(): Promise<DisplayInfo[]>;
+
+/**
+ * Register a capture backend, replacing any backend with the same name.
+ * New backends are tried after the built-in ones unless listed in preferredTools.
+ * @param backend Backend definition
+ * @returns The registered backend
+ */
+export function registerBackend(backend: BackendDefinition): BackendInfo;
+
+/**
+ * Remove a backend (built-in or custom) from the registry
+ * @param name Backend name
+ * @returns true when a backend was removed
+ */
+export function unregisterBackend(name: string): boolean;
+
+/**
+ * List registered backends in capture order
+ * @param options Optional platform filter
+ */
+export function listBackends(options?: { platform?: string }): BackendInfo[];
+
 /**
  * Get library version and information
  * @returns LibraryVersion object with version and platform info
  */
 export function getLibraryVersion(): LibraryVersion;
 
+/**
+ * Runs child processes for a crosshot instance. run() rejects like
+ * child_process.execFile(): err.code is 'ENOENT' for a missing command, the exit code
+ * otherwise, and err.name is 'AbortError' when the signal fires.
+ */
+export interface Executor {
+  run(
+    argv: string[],
+    options?: { encoding?: 'buffer' | 'utf8'; signal?: AbortSignal; env?: Record<string, string | undefined>; timeout?: number }
+  ): Promise<{ stdout: string | Buffer; stderr: string | Buffer }>;
+  runWithInput(
+    argv: string[],
+    input: Buffer | string,
+    options?: { signal?: AbortSignal; env?: Record<string, string | undefined> }
+  ): Promise<{ stderr: string }>;
+  commandExists(command: string, options?: { env?: Record<string, string | undefined>; platform?: string }): Promise<boolean>;
+}
+
+/**
+ * Receives the log output of an instance instead of the console; console, pino and
+ * winston loggers fit. Messages are plain text without colors.
+ */
+export interface Logger {
+  debug(message: string): void;
+  warn(message: string): void;
+  error(message: string): void;
+}
+
+export interface CrosshotOptions {
+  executor?: Executor;                      // Default: real child processes
+  logger?: Logger;                          // Default: the console, following silent and verbose
+  platform?: 'linux' | 'darwin' | 'win32';  // Default: os.platform()
+  env?: Record<string, string | undefined>; // Default: process.env; used for PATH, DISPLAY, WAYLAND_DISPLAY...
+  fs?: typeof import('fs');                 // Default: Node's fs; only the synchronous calls are used
+  backends?: BackendDefinition[];           // Replaces the global registry for this instance
+}
+
+/**
+ * The library API bound to one set of dependencies
+ */
+export interface CrosshotInstance {
+  takeScreenshot: typeof takeScreenshot;
+  captureScreen: typeof captureScreen;
+  captureToBuffer: typeof captureToBuffer;
+  captureStream: typeof captureStream;
+  captureInterval: typeof captureInterval;
+  captureBurst: typeof captureBurst;
+  createServer: typeof createServer;
+  compareScreenshots: typeof compareScreenshots;
+  readScreenshotMetadata: typeof readScreenshotMetadata;
+  getAvailableTools: typeof getAvailableTools;
+  diagnose: typeof diagnose;
+  listDisplays: typeof listDisplays;
+  listBackends: typeof listBackends;
+  getLibraryVersion: typeof getLibraryVersion;
+}
+
+/**
+ * Create an instance with its own executor, logger, platform, env and fs. The module-level
+ * functions are the methods of a default instance.
+ * Throws InvalidOptionError when a dependency is missing methods
+ * @param options Dependencies; each defaults to the real one
+ */
+export function createCrosshot(options?: CrosshotOptions): CrosshotInstance;
+
+export interface FakeDesktopRect {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+export interface FakeExecutorOptions {
+  displays?: Array<FakeDesktopRect & { name: string; primary?: boolean }>;  // Default: FAKE-1 640x480
+  windows?: Array<FakeDesktopRect & { id: string; active?: boolean }>;      // Default: 0x1000001 320x200+40+30, active
+  scale?: number;           // Device pixels per desktop pixel, an integer as on a HiDPI screen. Default: 1
+  installed?: string[];     // Commands that exist. Default: crosshot-fake, xrandr, xclip, wl-copy
+  delay?: number;           // Milliseconds each command takes; honors the abort signal
+  blank?: boolean;          // Render an all-black screen, as without screen recording permission
+  fail?: (argv: string[]) => { exitCode?: number; stderr?: string } | null | undefined;  // Make matching commands fail
+}
+
+export interface FakeCommandCall {
+  argv: string[];
+  env: Record<string, string | undefined> | null;
+}
+
+export interface FakeExecutor extends Executor {
+  backend: BackendDefinition;      // Same as fakeBackend
+  calls: FakeCommandCall[];        // Every command run, in order
+  clipboard: Buffer | null;        // Image last copied to the clipboard
+}
+
+/**
+ * Executor that runs no processes: the fake backend renders a test pattern where pixel
+ * (x, y) of the desktop has red x % 256, green y % 256 and blue 128, xrandr lists the fake
+ * displays and the clipboard tools store the image.
+ * Use with createCrosshot({ executor, backends: [executor.backend] })
+ * @param options Fake desktop and failure settings
+ */
+export function createFakeExecutor(options?: FakeExecutorOptions): FakeExecutor;
+
+/**
+ * Backend for the fake capture tool (command FAKE_COMMAND), supporting every feature
+ */
+export const fakeBackend: BackendDefinition;
+
+export const FAKE_COMMAND: 'crosshot-fake';
+
 /**
  * Default export - same as takeScreenshot
  */
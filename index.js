@@ -1,212 +1,2018 @@
 #!/usr/bin/env node
 
-import { exec } from 'child_process';
-import { join, dirname } from 'path';
-import { existsSync, statSync, mkdirSync, readFileSync } from 'fs';
-import { platform } from 'os';
+import { join, dirname, resolve as resolvePath, relative, isAbsolute, sep } from 'path';
+import { existsSync, mkdirSync, readFileSync } from 'fs';
+import { platform, tmpdir, hostname } from 'os';
+import { PassThrough } from 'stream';
+import { EventEmitter } from 'events';
+import { createServer as createHttpServer } from 'http';
 import { fileURLToPath } from 'url';
+import { stripVTControlCharacters } from 'util';
 import chalk from 'chalk';
+import { detectImageFormat, readImageInfo, decodeImage, encodeImage, isBlankImage, clampRegion, cropImage, resizeImage } from './lib/image.js';
+import { getPlatformBackends, listBackends } from './lib/backends.js';
+import { formatCommand, powerShellCommand } from './lib/exec.js';
+import { detectSession, rankBackend } from './lib/session.js';
+import { CONFLICT_MODES, validateNameTemplate, expandNameTemplate, nameCandidates, thumbnailName, sidecarName } from './lib/naming.js';
+import { parseDuration, parseSize, pruneCaptures } from './lib/retention.js';
+import { compareImages } from './lib/compare.js';
+import { REDACTION_MODES, redactImage } from './lib/redact.js';
+import { METADATA_FORMATS, embedMetadata, extractMetadata } from './lib/metadata.js';
+import { copyImageToClipboard } from './lib/clipboard.js';
+import { createRequestHandler } from './lib/server.js';
+import { normalizeSink, uploadToSinks } from './lib/upload.js';
+import { parseArgs, generateCompletion } from './lib/args.js';
+import { createRuntime } from './lib/runtime.js';
+import { normalizeHooks, createHookEmitter } from './lib/hooks.js';
+import { ANIMATION_FORMATS, dedupeFrames, encodeGif, encodeApng } from './lib/animation.js';
+import {
+  CrosshotError,
+  InvalidOptionError,
+  NoToolAvailableError,
+  UnsupportedFormatError,
+  UnsupportedTargetError,
+  PermissionDeniedError,
+  OutputNotWrittenError,
+  DirectoryMissingError,
+  DisplayNotFoundError,
+  TimeoutError,
+  AbortedError,
+  FileExistsError,
+  EXIT_CODES,
+  getExitCode
+} from './lib/errors.js';
+
+export { registerBackend, unregisterBackend } from './lib/backends.js';
+export { HOOK_EVENTS } from './lib/hooks.js';
+export { createFakeExecutor, fakeBackend, FAKE_COMMAND } from './lib/fake.js';
+export {
+  CrosshotError,
+  InvalidOptionError,
+  NoToolAvailableError,
+  UnsupportedFormatError,
+  UnsupportedTargetError,
+  PermissionDeniedError,
+  OutputNotWrittenError,
+  TimeoutError,
+  DirectoryMissingError,
+  DisplayNotFoundError,
+  AbortedError,
+  FileExistsError,
+  ClipboardError,
+  UploadError,
+  EXIT_CODES
+} from './lib/errors.js';
+
+// Tool error output that means the capture was refused rather than the tool failing
+const PERMISSION_PATTERN = /permission|not permitted|not authori[sz]ed|access (is )?denied|EACCES|EPERM|could not create image from/i;
+
+// Per-attempt limit; long enough for a confirmation dialog, short enough to skip a hung tool
+const DEFAULT_TIMEOUT = 30000;
+
+// X server names such as ':99', ':0.1' or 'host:10', as opposed to monitor ids and names
+const X_DISPLAY_PATTERN = /^[\w.-]*(\/unix)?:\d+(\.\d+)?$/;
+
+// Burst captures keep every frame in memory until they are encoded
+const MAX_BURST_FRAMES = 300;
+
+// GIF frames shorter than 20 ms are shown for 100 ms by browsers
+const MIN_FRAME_DELAY = 20;
+
+const BURST_OUTPUTS = [...ANIMATION_FORMATS, 'frames'];
+
+// File options that have no meaning for an animation
+const BURST_UNSUPPORTED_OPTIONS = ['format', 'quality', 'allDisplays', 'clipboard', 'thumbnail', 'sinks', 'embedMetadata', 'sidecar', 'returnBase64'];
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-export function takeScreenshot(destinationDir = "./", customName = null, options = {}) {
-  return new Promise((resolve, reject) => {
-    const config = {
-      silent: false,
-      verbose: false,
-      format: 'png',
-      quality: 100,
-      returnBase64: false,
-      ...options
-    };
-    
-    const normalizedFormat = config.format.toLowerCase();
-    const validFormats = ['png', 'jpg', 'jpeg', 'bmp', 'webp'];
+function takeScreenshotWith(runtime, destinationDir = "./", customName = null, options = {}) {
+  return captureFile(runtime, destinationDir, customName, options).catch(error => {
+    emitCaptureError(runtime, options, error);
+    throw error;
+  });
+}
+
+// takeScreenshotWith() without hooks.error, for callers that report the rejection themselves
+// so that it reaches the hook once
+function captureFile(runtime, destinationDir = "./", customName = null, options = {}) {
+  if (needsDisplayLookup(options)) {
+    return captureDisplays(runtime, destinationDir, customName, options);
+  }
+  
+  const config = {
+    silent: false,
+    verbose: false,
+    format: 'png',
+    quality: 100,
+    returnBase64: false,
+    region: null,
+    display: null,
+    target: 'screen',
+    preferredTools: [],
+    excludeTools: [],
+    ...options
+  };
+  
+  return applyBeforeCapture(runtime, config)
+    .then(prepared => saveScreenshot(runtime, destinationDir, customName, prepared));
+}
+
+// Captures with the options as prepared by captureFile() and writes the file
+function saveScreenshot(runtime, destinationDir, customName, config) {
+  return new Promise((resolve, reject) => {
+    const plan = createCapturePlan(runtime, config);
+    
+    if (plan.error) {
+      reject(plan.error);
+      return;
+    }
+    
+    const currentPlatform = runtime.platform;
+    const nameTemplate = customName || 'screenshot-{timestamp}';
+    const filenameError = validateNameTemplate(nameTemplate, currentPlatform);
+    
+    if (filenameError) {
+      reject(new InvalidOptionError(`Invalid filename ${JSON.stringify(customName)}: ${filenameError}`, {
+        suggestions: ['Use a file name or template without "..", backslashes or control characters, e.g. "{date}/{time}-{seq:3}"']
+      }));
+      return;
+    }
+    
+    const onConflict = config.onConflict || 'increment';
+    
+    if (!CONFLICT_MODES.includes(onConflict)) {
+      reject(new InvalidOptionError(`Invalid onConflict: ${JSON.stringify(config.onConflict)}`, {
+        suggestions: [`Use one of: ${CONFLICT_MODES.join(', ')}`]
+      }));
+      return;
+    }
+    
+    const requestedAt = new Date();
+    const output = createLog(runtime, config, console.log);
+    const { log, warn } = output;
+    const emit = createEmitter(plan, output);
+    
+    log(chalk.cyan(`Platform detected: ${currentPlatform}`));
+    log(chalk.blue('Taking screenshot...'));
+    
+    captureImage(runtime, plan, output)
+      .then(capture => applyAfterCapture(plan, capture))
+      .then(capture => copyCaptureToClipboard(runtime, capture, plan, output).then(clipboard => [capture, clipboard]))
+      .then(([capture, clipboard]) => {
+        const timestamp = new Date().toISOString();
+        const captureMetadata = getCaptureMetadata(runtime, plan, capture, timestamp);
+        const buffer = plan.embedMetadata ? embedMetadata(capture.buffer, captureMetadata) : capture.buffer;
+        const { filename, filepath } = writeNamedOutput(runtime, destinationDir, nameTemplate, {
+          date: requestedAt,
+          hostname: hostname(),
+          platform: currentPlatform,
+          tool: capture.tool,
+          display: plan.display ? plan.display.name : plan.xDisplay || 'screen'
+        }, plan.extension, buffer, onConflict);
+        const thumbnail = capture.thumbnail
+          ? writeThumbnail(runtime, destinationDir, filename, capture.thumbnail, plan.thumbnail.extension)
+          : null;
+        const sidecar = config.sidecar ? writeSidecar(runtime, destinationDir, filename, captureMetadata) : null;
+        
+        emit('written', { type: 'screenshot', filepath });
+        if (thumbnail) {
+          emit('written', { type: 'thumbnail', filepath: thumbnail.filepath });
+        }
+        if (sidecar) {
+          emit('written', { type: 'sidecar', filepath: sidecar.filepath });
+        }
+        
+        log(chalk.green.bold(`SUCCESS: Screenshot captured with ${capture.tool}!`));
+        log(chalk.blue('File saved at: ') + chalk.white.underline(filepath));
+        if (thumbnail) {
+          log(chalk.blue('Thumbnail saved at: ') + chalk.white.underline(thumbnail.filepath));
+        }
+        if (sidecar) {
+          log(chalk.blue('Metadata saved at: ') + chalk.white.underline(sidecar.filepath));
+        }
+        
+        return uploadToSinks({ buffer, filename, filepath, mimeType: getMimeType(plan.format), metadata: captureMetadata }, plan.sinks).then(uploads => {
+          uploads.forEach(upload => {
+            if (upload.success) {
+              log(chalk.blue(`Uploaded to ${upload.sink}: `) + chalk.white.underline(upload.url || 'done'));
+            } else {
+              warn(upload.error.message);
+            }
+          });
+          
+          const stats = runtime.fs.statSync(filepath);
+          const sizeKB = (stats.size / 1024).toFixed(2);
+          const sizeMB = (stats.size / (1024 * 1024)).toFixed(2);
+          log(chalk.magenta('Size: ') + chalk.cyan(`${sizeKB} KB`));
+          
+          const result = {
+            success: true,
+            filename: filename,
+            filepath: filepath,
+            absolutePath: join(process.cwd(), filepath),
+            directory: destinationDir,
+            size: {
+              bytes: stats.size,
+              kb: parseFloat(sizeKB),
+              mb: parseFloat(sizeMB)
+            },
+            tool: capture.tool,
+            platform: currentPlatform,
+            format: plan.format,
+            nativeFormat: capture.nativeFormat,
+            region: capture.region,
+            dimensions: capture.dimensions,
+            thumbnail,
+            sidecar,
+            clipboard,
+            uploads,
+            display: plan.display || plan.xDisplay,
+            target: plan.target,
+            timestamp,
+            metadata: {
+              created: stats.birthtime,
+              modified: stats.mtime,
+              permissions: stats.mode
+            }
+          };
+          
+          if (config.returnBase64) {
+            const base64Data = buffer.toString('base64');
+            const mimeType = getMimeType(plan.format);
+            
+            result.base64 = `data:${mimeType};base64,${base64Data}`;
+            result.base64Raw = base64Data;
+            
+            log(chalk.blue('Base64 data generated'));
+          }
+          
+          emit('success', result);
+          resolve(result);
+        });
+      })
+      .catch(reject);
+  });
+}
+
+// Validates capture options shared by the file and in-memory APIs. Returns either
+// { error } with a rejection object, or the normalized plan used by captureImage()
+function createCapturePlan(runtime, config) {
+  const normalizedFormat = String(config.format).toLowerCase();
+  const validFormats = ['png', 'jpg', 'jpeg', 'bmp', 'webp'];
+  
+  if (!validFormats.includes(normalizedFormat)) {
+    return {
+      error: new UnsupportedFormatError(`Unsupported format: ${config.format}. Supported formats: ${validFormats.join(', ')}`, {
+        suggestions: [`Use one of these formats: ${validFormats.join(', ')}`]
+      })
+    };
+  }
+  
+  const quality = config.quality ?? 100;
+  
+  if (!Number.isInteger(quality) || quality < 1 || quality > 100) {
+    return {
+      error: new InvalidOptionError(`Invalid quality: ${JSON.stringify(config.quality)}`, {
+        suggestions: ['Use an integer quality between 1 and 100']
+      })
+    };
+  }
+  
+  const resize = { scale: config.scale ?? 1, maxWidth: config.maxWidth ?? null, maxHeight: config.maxHeight ?? null };
+  
+  if (typeof resize.scale !== 'number' || !(resize.scale > 0 && resize.scale <= 1)) {
+    return {
+      error: new InvalidOptionError(`Invalid scale: ${JSON.stringify(config.scale)}`, {
+        suggestions: ['Use a factor above 0 and up to 1, e.g. 0.5 to halve a HiDPI capture']
+      })
+    };
+  }
+  
+  const invalidSize = ['maxWidth', 'maxHeight'].find(name => resize[name] !== null && !(Number.isInteger(resize[name]) && resize[name] > 0));
+  
+  if (invalidSize) {
+    return {
+      error: new InvalidOptionError(`Invalid ${invalidSize}: ${JSON.stringify(config[invalidSize])}`, {
+        suggestions: [`Use a positive number of pixels for ${invalidSize}`]
+      })
+    };
+  }
+  
+  const thumbnail = config.thumbnail ? normalizeThumbnail(config.thumbnail, normalizedFormat, quality) : null;
+  
+  if (config.thumbnail && !thumbnail) {
+    return {
+      error: new InvalidOptionError(`Invalid thumbnail: ${JSON.stringify(config.thumbnail)}`, {
+        suggestions: [`Use { width, format } with a positive width and a format out of ${validFormats.join(', ')}, e.g. { width: 320, format: 'jpg' }`]
+      })
+    };
+  }
+  
+  const extension = normalizedFormat === 'jpeg' ? 'jpg' : normalizedFormat;
+  
+  if (config.embedMetadata && !METADATA_FORMATS.includes(extension)) {
+    return {
+      error: new UnsupportedFormatError(`Metadata cannot be embedded in ${extension} files`, {
+        suggestions: [`Use one of these formats: ${METADATA_FORMATS.join(', ')}`, 'Use sidecar: true (--sidecar) to write the metadata to a .json file instead']
+      })
+    };
+  }
+  
+  let sinks;
+  let hooks;
+  
+  try {
+    sinks = [].concat(config.sinks || []).map(sink => normalizeSink(sink, runtime.env));
+    hooks = normalizeHooks(config.hooks);
+  } catch (error) {
+    return { error };
+  }
+  
+  const limits = { timeout: config.timeout ?? DEFAULT_TIMEOUT, deadline: config.deadline ?? 0 };
+  const invalidLimit = Object.keys(limits).find(name => typeof limits[name] !== 'number' || !(limits[name] >= 0));
+  
+  if (invalidLimit) {
+    return {
+      error: new InvalidOptionError(`Invalid ${invalidLimit}: ${JSON.stringify(config[invalidLimit])}`, {
+        suggestions: [`Use a number of milliseconds for ${invalidLimit}, or 0 for no limit`]
+      })
+    };
+  }
+  
+  if (config.signal && typeof config.signal.addEventListener !== 'function') {
+    return {
+      error: new InvalidOptionError('Invalid signal: expected an AbortSignal', {
+        suggestions: ['Pass the signal of an AbortController, or AbortSignal.timeout(ms)']
+      })
+    };
+  }
+  
+  const requestedRegion = normalizeRegion(config.region);
+  
+  if (config.region && !requestedRegion) {
+    return {
+      error: new InvalidOptionError(`Invalid region: ${JSON.stringify(config.region)}`, {
+        suggestions: ['Use x,y,width,height with non-negative integer offsets and a positive size (e.g. 0,0,800,600)']
+      })
+    };
+  }
+  
+  const redactions = [].concat(config.redact || []).map(redaction => ({ redaction, normalized: normalizeRedaction(redaction) }));
+  const invalidRedaction = redactions.find(({ normalized }) => !normalized);
+  
+  if (invalidRedaction) {
+    return {
+      error: new InvalidOptionError(`Invalid redaction: ${JSON.stringify(invalidRedaction.redaction)}`, {
+        suggestions: [`Use { x, y, width, height, mode } or "x,y,width,height:mode" with mode ${REDACTION_MODES.join(', ')}, relative to the captured image`]
+      })
+    };
+  }
+  
+  const windowTarget = normalizeTarget(config.target);
+  
+  if (windowTarget === null) {
+    return {
+      error: new InvalidOptionError(`Invalid target: ${JSON.stringify(config.target)}`, {
+        suggestions: ["Use 'screen', 'activeWindow' or { windowId }"]
+      })
+    };
+  }
+  
+  const xDisplay = isXDisplay(config.display) ? config.display : null;
+  
+  if (xDisplay && runtime.platform !== 'linux') {
+    return {
+      error: new InvalidOptionError(`X display ${xDisplay} can only be captured on Linux`, {
+        suggestions: ['Use a display id or name from listDisplays() to pick a monitor']
+      })
+    };
+  }
+  
+  if (windowTarget && (requestedRegion || (config.display && !xDisplay))) {
+    return {
+      error: new InvalidOptionError('The region and display options cannot be combined with a window target', {
+        suggestions: ["Use target: 'screen' to capture a region or display"]
+      })
+    };
+  }
+  
+  // A display turns into a region in global desktop coordinates, except for tools
+  // that can target an output directly when the whole display is requested
+  const display = xDisplay ? null : config.display || null;
+  
+  return {
+    format: normalizedFormat,
+    extension,
+    quality,
+    region: display ? offsetRegion(requestedRegion, display) : requestedRegion,
+    display,
+    xDisplay,
+    wholeDisplay: Boolean(display && !requestedRegion),
+    windowTarget,
+    target: windowTarget ? config.target : 'screen',
+    preferredTools: config.preferredTools || [],
+    excludeTools: config.excludeTools || [],
+    timeout: limits.timeout,
+    deadline: limits.deadline,
+    signal: config.signal || null,
+    // Only a whole screen or display that is entirely black points at missing permission;
+    // a region or window can legitimately be black
+    checkBlank: !config.allowBlank && !requestedRegion && !windowTarget,
+    redactions: redactions.map(({ normalized }) => normalized),
+    resize: resize.scale !== 1 || resize.maxWidth || resize.maxHeight ? resize : null,
+    thumbnail,
+    embedMetadata: Boolean(config.embedMetadata),
+    clipboard: Boolean(config.clipboard),
+    sinks,
+    hooks,
+    verbose: config.verbose
+  };
+}
+
+// Runs the backends in order until one produces an image and resolves to
+// { buffer, tool, command, region, nativeFormat, dimensions, thumbnail, clipboard }, where
+// clipboard is the PNG to copy when plan.clipboard is set. Tools write to their stdout when they can,
+// otherwise into a private temporary directory that is removed after every attempt.
+// Failed attempts are collected and attached to the rejection. An attempt that exceeds
+// plan.timeout is killed and the next tool is tried; the deadline and signal stop the
+// whole capture. output: { log, warn, logError } from createLog(). The detect, attempt,
+// attemptFailed, fallback and verified hooks are called on the way
+function captureImage(runtime, plan, output) {
+  const { log, warn, logError } = output;
+  const emit = createEmitter(plan, output);
+  
+  return new Promise((resolve, reject) => {
+    const currentPlatform = runtime.platform;
+    const { region, display, wholeDisplay, windowTarget } = plan;
+    
+    // Tools with native region support get the geometry directly; the others capture
+    // the full screen and are cropped afterwards
+    const requiredFeature = windowTarget ? (windowTarget.type === 'activeWindow' ? 'activeWindow' : 'windowId') : null;
+    // An X server given as display is captured with tools that talk to X directly; tools
+    // going through a desktop's D-Bus API would capture the user's session instead
+    const session = detectSession(plan.xDisplay ? { DISPLAY: plan.xDisplay } : runtime.env, currentPlatform);
+    const platformBackends = getPlatformBackends(currentPlatform, {
+      preferredTools: plan.preferredTools,
+      excludeTools: plan.excludeTools,
+      session,
+      backends: runtime.backends
+    }).filter(backend => !plan.xDisplay || (backend.sessions && backend.sessions.includes('x11')));
+    const env = plan.xDisplay ? getXDisplayEnv(runtime.env, plan.xDisplay) : runtime.env;
+    const run = argv => runtime.executor.run(argv, { env });
+    
+    function buildAttempt(backend) {
+      const context = {
+        outputPath: null,
+        stdout: false,
+        format: plan.format,
+        quality: plan.quality,
+        region: null,
+        display: null,
+        target: windowTarget || null,
+        xDisplay: plan.xDisplay,
+        run
+      };
+      let crop = false;
+      
+      if (wholeDisplay && backend.features.includes('display')) {
+        context.display = display;
+      } else if (region && backend.features.includes('region')) {
+        context.region = region;
+      } else if (region) {
+        crop = true;
+      }
+      
+      context.format = getCaptureFormat(backend, plan.format, crop || needsDecoding(plan));
+      
+      if (!context.format) {
+        return null;
+      }
+      
+      return { tool: backend.name, backend, context, crop };
+    }
+    
+    const commands = platformBackends
+      .filter(backend => !requiredFeature || backend.features.includes(requiredFeature))
+      .map(buildAttempt)
+      .filter(Boolean);
+    const attempts = [];
+    const missingTools = [];
+    const deadlineAt = plan.deadline ? Date.now() + plan.deadline : null;
+    
+    // Aborts with 'timeout', 'deadline' or 'aborted', whichever comes first
+    function startLimits() {
+      const controller = new AbortController();
+      const timers = [];
+      const onAbort = () => controller.abort('aborted');
+      
+      if (plan.timeout) {
+        timers.push(setTimeout(() => controller.abort('timeout'), plan.timeout));
+      }
+      if (deadlineAt) {
+        timers.push(setTimeout(() => controller.abort('deadline'), Math.max(0, deadlineAt - Date.now())));
+      }
+      if (plan.signal) {
+        plan.signal.addEventListener('abort', onAbort, { once: true });
+      }
+      
+      return {
+        signal: controller.signal,
+        aborted: new Promise((resolve, rejectAborted) => {
+          controller.signal.addEventListener('abort', () => rejectAborted(new Error(`Attempt stopped: ${controller.signal.reason}`)), { once: true });
+        }),
+        stop() {
+          timers.forEach(clearTimeout);
+          if (plan.signal) {
+            plan.signal.removeEventListener('abort', onAbort);
+          }
+        }
+      };
+    }
+    
+    function rejectStopped(reason) {
+      const ErrorType = reason === 'aborted' ? AbortedError : TimeoutError;
+      const errorMessage = reason === 'aborted'
+        ? 'Screenshot capture was aborted'
+        : `Screenshot capture did not finish within the ${plan.deadline} ms deadline`;
+      logError(errorMessage);
+      
+      reject(new ErrorType(errorMessage, {
+        platform: currentPlatform,
+        attempts,
+        suggestions: reason === 'aborted' ? [] : ['Increase the deadline option, or lower timeout so hung tools are skipped sooner']
+      }));
+    }
+    
+    function rejectNoTools() {
+      const errorMessage = 'No screenshot tools found!';
+      logError(errorMessage);
+      
+      if (currentPlatform === 'win32') {
+        log(chalk.yellow('\nFor Windows:'));
+        log(chalk.white('  * PowerShell already tried (native to Windows)'));
+        log(chalk.white('  * Install NirCmd: ') + chalk.cyan('https://www.nirsoft.net/utils/nircmd.html'));
+        log(chalk.white('  * Or use npm: ') + chalk.green('npm install screenshot-desktop'));
+        
+      } else if (currentPlatform === 'darwin') {
+        log(chalk.yellow('\nFor macOS:'));
+        log(chalk.white('  * screencapture is native to macOS'));
+        log(chalk.white('  * Check screen recording permissions in System Preferences'));
+        
+      } else {
+        log(chalk.yellow('\nFor Linux systems, install one of these tools:'));
+        platformBackends.forEach(backend => {
+          log(chalk.green(`  * ${backend.name}`) + chalk.gray(backend.description ? ` (${backend.description})` : ''));
+        });
+        log(chalk.magenta('\nInstall using your system package manager ') + chalk.cyan('(apt, pacman, dnf, etc.)'));
+      }
+      
+      reject(new NoToolAvailableError(errorMessage, {
+        platform: currentPlatform,
+        triedTools: commands.map(entry => entry.tool),
+        attempts,
+        suggestions: plan.xDisplay
+          ? platformBackends.map(backend => `${backend.name} (${backend.description})`)
+          : getSuggestions(runtime)
+      }));
+    }
+    
+    // At least one tool is installed but none of them produced an image
+    function rejectFailedTools() {
+      const ranAttempts = attempts.filter(attempt => !missingTools.includes(attempt.tool));
+      const failedTools = ranAttempts.map(attempt => attempt.tool);
+      
+      if (ranAttempts.every(attempt => attempt.timedOut)) {
+        const errorMessage = `Screenshot tools did not finish within ${plan.timeout} ms: ${failedTools.join(', ')}`;
+        logError(errorMessage);
+        reject(new TimeoutError(errorMessage, {
+          platform: currentPlatform,
+          availableTools: failedTools,
+          attempts,
+          suggestions: ['Increase the timeout option (--timeout) if the tool waits for a dialog', 'Use excludeTools to skip tools that hang']
+        }));
+        return;
+      }
+      
+      const blankTools = ranAttempts.filter(attempt => attempt.blank).map(attempt => attempt.tool);
+      const denied = blankTools.length > 0 ||
+        attempts.some(attempt => PERMISSION_PATTERN.test(`${attempt.stderr}\n${attempt.error}`));
+      const ErrorType = denied ? PermissionDeniedError : OutputNotWrittenError;
+      let errorMessage = `No usable image was produced by ${failedTools.join(', ')}`;
+      
+      if (blankTools.length > 0) {
+        errorMessage = `${blankTools.join(', ')} captured a blank screen; screen recording permission is probably missing`;
+      } else if (denied) {
+        errorMessage = `Permission denied while capturing the screen with ${failedTools.join(', ')}`;
+      }
+      logError(errorMessage);
+      
+      reject(new ErrorType(errorMessage, {
+        platform: currentPlatform,
+        availableTools: failedTools,
+        attempts,
+        suggestions: denied
+          ? [
+            ...getPermissionSuggestions(currentPlatform),
+            ...(blankTools.length > 0 ? ['If the screen really is black, set allowBlank: true (--allow-blank)'] : [])
+          ]
+          : ['Run with verbose: true (--verbose) to see each command and its error output']
+      }));
+    }
+    
+    // Tools that cannot capture windows are not tried for window targets; if any of
+    // them is installed the caller gets a target error instead of a missing tool one
+    function rejectUnsupportedTarget() {
+      const windowTools = commands.map(entry => entry.tool);
+      const otherBackends = platformBackends.filter(backend => !windowTools.includes(backend.name));
+      
+      findAvailableBackends(runtime, otherBackends).then(installedTools => {
+        if (installedTools.length === 0) {
+          rejectNoTools();
+          return;
+        }
+        
+        const description = describeTarget(windowTarget);
+        const errorMessage = `Cannot capture ${description} with the available tools (${installedTools.join(', ')})`;
+        logError(errorMessage);
+        
+        reject(new UnsupportedTargetError(errorMessage, {
+          platform: currentPlatform,
+          availableTools: installedTools,
+          attempts,
+          suggestions: windowTools.length > 0
+            ? [`Use one of these tools to capture ${description}: ${[...new Set(windowTools)].join(', ')}`]
+            : [`No supported tool can capture ${description} on ${currentPlatform}`]
+        }));
+      });
+    }
+    
+    function tryCommand(index) {
+      if (plan.signal && plan.signal.aborted) {
+        rejectStopped('aborted');
+        return;
+      }
+      if (deadlineAt && Date.now() >= deadlineAt) {
+        rejectStopped('deadline');
+        return;
+      }
+      
+      if (index >= commands.length) {
+        if (attempts.length > missingTools.length) {
+          rejectFailedTools();
+        } else if (windowTarget) {
+          rejectUnsupportedTarget();
+        } else {
+          rejectNoTools();
+        }
+        return;
+      }
+      
+      const { tool: toolName, backend, crop } = commands[index];
+      const useStdout = !crop && backend.features.includes('stdout');
+      const tempDir = useStdout ? null : runtime.fs.mkdtempSync(join(tmpdir(), 'crosshot-'));
+      const context = {
+        ...commands[index].context,
+        stdout: useStdout,
+        outputPath: useStdout ? '-' : join(tempDir, `capture.${commands[index].context.format}`)
+      };
+      let command = toolName;
+      const limits = startLimits();
+      
+      const onResult = (error, stdout) => {
+        const stopReason = limits.signal.aborted ? limits.signal.reason : null;
+        let buffer = null;
+        let capturedRegion = null;
+        let nativeFormat = null;
+        let thumbnail = null;
+        let clipboard = null;
+        
+        try {
+          if (!error) {
+            const outputPath = useStdout ? null : locateOutput(runtime, tempDir, context.outputPath);
+            
+            if (!useStdout && !outputPath) {
+              throw new Error(`${toolName} exited without writing an image to ${tempDir}`);
+            }
+            
+            buffer = useStdout ? stdout : runtime.fs.readFileSync(outputPath);
+            
+            if (!buffer || buffer.length === 0) {
+              throw new Error(`${toolName} produced no image data`);
+            }
+            
+            const image = verifyCapture(buffer, toolName, context.region, plan.checkBlank);
+            const encoded = encodeCapture(buffer, plan, crop ? region : null, image);
+            
+            if (crop) {
+              capturedRegion = encoded.region;
+              log(chalk.blue(`Cropped full-screen capture to ${capturedRegion.width}x${capturedRegion.height}+${capturedRegion.x}+${capturedRegion.y}`));
+            } else if (!windowTarget) {
+              capturedRegion = getCapturedRegion(buffer, region);
+            }
+            ({ buffer, nativeFormat, thumbnail, clipboard } = encoded);
+            
+            if (nativeFormat !== plan.extension) {
+              log(chalk.blue(`Converted ${nativeFormat} output of ${toolName} to ${plan.extension}`));
+            }
+          }
+        } catch (captureError) {
+          error = captureError;
+        } finally {
+          limits.stop();
+          if (tempDir) {
+            runtime.fs.rmSync(tempDir, { recursive: true, force: true });
+          }
+        }
+        
+        // Redactions that do not fit the image would not fit the output of another tool either
+        if (error instanceof InvalidOptionError) {
+          logError(error.message);
+          reject(error);
+          return;
+        }
+        
+        if (error) {
+          const attempt = {
+            tool: toolName,
+            command,
+            exitCode: typeof error.code === 'number' ? error.code : null,
+            signal: error.signal || (stopReason ? 'SIGTERM' : null),
+            timedOut: stopReason === 'timeout',
+            blank: Boolean(error.blank),
+            stderr: error.stderr ? String(error.stderr).trim() : '',
+            error: stopReason === 'timeout' ? `Timed out after ${plan.timeout} ms` : error.message
+          };
+          attempts.push(attempt);
+          emit('attemptFailed', attempt);
+          
+          if (stopReason === 'aborted' || stopReason === 'deadline') {
+            rejectStopped(stopReason);
+            return;
+          }
+          
+          if (error.code === 'ENOENT' && String(error.syscall).startsWith('spawn')) {
+            missingTools.push(toolName);
+            warn(`${toolName} not available, trying next...`);
+          } else if (attempt.timedOut) {
+            warn(`${toolName} timed out after ${plan.timeout} ms, trying next...`);
+          } else {
+            warn(`${toolName} failed, trying next...`);
+          }
+          if (plan.verbose) {
+            log(chalk.gray(`Command failed: ${command}`));
+            log(chalk.gray(`Error: ${error.message}`));
+            if (attempt.stderr) {
+              log(chalk.gray(`stderr: ${attempt.stderr}`));
+            }
+          }
+          if (index + 1 < commands.length) {
+            emit('fallback', { from: toolName, to: commands[index + 1].tool, reason: attempt.error });
+          }
+          tryCommand(index + 1);
+          return;
+        }
+        
+        const info = readImageInfo(buffer);
+        emit('verified', { tool: toolName, format: plan.extension, nativeFormat, dimensions: { width: info.width, height: info.height } });
+        resolve({
+          buffer,
+          tool: toolName,
+          command,
+          region: capturedRegion,
+          nativeFormat,
+          dimensions: { width: info.width, height: info.height },
+          thumbnail,
+          clipboard
+        });
+      };
+      
+      Promise.race([buildBackendCommand(backend, context), limits.aborted])
+        .then(argv => {
+          command = formatCommand(argv);
+          emit('attempt', { tool: toolName, command, index, total: commands.length });
+          return runtime.executor.run(argv, { encoding: 'buffer', signal: limits.signal, env });
+        })
+        .then(({ stdout }) => onResult(null, stdout), error => onResult(error));
+    }
+    
+    emit('detect', { platform: currentPlatform, session, tools: commands.map(entry => entry.tool) });
+    tryCommand(0);
+  });
+}
+
+async function captureToBufferWith(runtime, options = {}) {
+  const config = {
+    silent: true,
+    verbose: false,
+    format: 'png',
+    quality: 100,
+    region: null,
+    display: null,
+    target: 'screen',
+    preferredTools: [],
+    excludeTools: [],
+    ...options
+  };
+  
+  let prepared;
+  let plan;
+  
+  try {
+    if (config.allDisplays) {
+      throw new InvalidOptionError('allDisplays is not supported for in-memory captures', {
+        suggestions: ['Call captureToBuffer() once per display using the display option']
+      });
+    }
+    
+    if ([].concat(config.sinks || []).length > 0) {
+      throw new InvalidOptionError('sinks are not supported for in-memory captures', {
+        suggestions: ['Use captureScreen() to save the capture and upload the file']
+      });
+    }
+    
+    if (needsDisplayLookup(config)) {
+      config.display = await resolveDisplay(runtime, config.display);
+    }
+    
+    prepared = await applyBeforeCapture(runtime, config);
+    plan = createCapturePlan(runtime, prepared);
+    
+    if (plan.error) {
+      throw plan.error;
+    }
+  } catch (error) {
+    emitCaptureError(runtime, config, error, console.error);
+    throw error;
+  }
+  
+  const output = createLog(runtime, prepared, console.error);
+  const emit = createEmitter(plan, output);
+  let capture;
+  let clipboard;
+  
+  try {
+    capture = await applyAfterCapture(plan, await captureImage(runtime, plan, output));
+    clipboard = await copyCaptureToClipboard(runtime, capture, plan, output);
+  } catch (error) {
+    emit('error', error);
+    throw error;
+  }
+  
+  const timestamp = new Date().toISOString();
+  const buffer = plan.embedMetadata ? embedMetadata(capture.buffer, getCaptureMetadata(runtime, plan, capture, timestamp)) : capture.buffer;
+  const result = {
+    success: true,
+    buffer,
+    mimeType: getMimeType(plan.format),
+    size: {
+      bytes: buffer.length,
+      kb: parseFloat((buffer.length / 1024).toFixed(2)),
+      mb: parseFloat((buffer.length / (1024 * 1024)).toFixed(2))
+    },
+    tool: capture.tool,
+    platform: runtime.platform,
+    format: plan.format,
+    nativeFormat: capture.nativeFormat,
+    region: capture.region,
+    dimensions: capture.dimensions,
+    thumbnail: capture.thumbnail,
+    clipboard,
+    display: plan.display || plan.xDisplay,
+    target: plan.target,
+    timestamp
+  };
+  
+  emit('success', result);
+  return result;
+}
+
+// The image is captured completely before any data is emitted, so a tool failing
+// halfway never produces a partial stream; the 'capture' event carries the result
+function captureStreamWith(runtime, options = {}) {
+  const stream = new PassThrough();
+  
+  captureToBufferWith(runtime, options).then(
+    result => {
+      const { buffer, ...details } = result;
+      stream.emit('capture', details);
+      stream.end(buffer);
+    },
+    error => stream.destroy(error)
+  );
+  
+  return stream;
+}
+
+// Captures with captureScreen() every `every` ms until `count` captures were taken, `until`
+// passes or stop() is called, and prunes earlier captures of the same file name template
+// by options.retention ({ keep, maxAge, maxSize }). Captures never overlap: ticks missed
+// while a slow capture runs are skipped. The returned EventEmitter emits 'capture' (result),
+// 'prune' (removed files), 'error' (failed capture; only emitted when listened to, and the
+// loop goes on unless stopOnError) and 'stop' ({ captures, failures, reason }); done
+// resolves to the same summary
+function captureIntervalWith(runtime, options = {}) {
+  const {
+    every,
+    count = 0,
+    until = null,
+    retention = {},
+    stopOnError = false,
+    signal = null,
+    ...captureOptions
+  } = options;
+  const interval = parseDuration(every ?? '');
+  
+  if (!interval || interval < 100) {
+    throw new InvalidOptionError(`Invalid every: ${JSON.stringify(every)}`, {
+      suggestions: ["Use at least 100 milliseconds, or a duration such as '30s', '5m' or '1h'"]
+    });
+  }
+  
+  if (!Number.isInteger(count) || count < 0) {
+    throw new InvalidOptionError(`Invalid count: ${JSON.stringify(count)}`, {
+      suggestions: ['Use a positive integer, or 0 for no limit']
+    });
+  }
+  
+  const untilTime = until === null ? null : new Date(until).getTime();
+  
+  if (Number.isNaN(untilTime)) {
+    throw new InvalidOptionError(`Invalid until: ${JSON.stringify(until)}`, {
+      suggestions: ['Use a Date, an ISO 8601 date string or a timestamp in milliseconds']
+    });
+  }
+  
+  const policy = {
+    keep: retention.keep ?? 0,
+    maxAge: parseDuration(retention.maxAge ?? 0),
+    maxSize: parseSize(retention.maxSize ?? 0)
+  };
+  
+  if (!Number.isInteger(policy.keep) || policy.keep < 0 || policy.maxAge === null || policy.maxSize === null) {
+    throw new InvalidOptionError(`Invalid retention: ${JSON.stringify(retention)}`, {
+      suggestions: ["Use { keep: 100, maxAge: '7d', maxSize: '500MB' }; every limit is optional"]
+    });
+  }
+  
+  // Not the captureScreen() default, so retention never matches screenshots taken by hand
+  const template = captureOptions.filename || 'watch-{timestamp}';
+  const filenameError = validateNameTemplate(template, runtime.platform);
+  
+  if (filenameError) {
+    throw new InvalidOptionError(`Invalid filename ${JSON.stringify(template)}: ${filenameError}`, {
+      suggestions: ['Use a file name or template without "..", backslashes or control characters, e.g. "{date}/{time}-{seq:3}"']
+    });
+  }
+  
+  const outputDir = captureOptions.outputDir || process.cwd();
+  const extension = String(captureOptions.format || 'png').toLowerCase().replace('jpeg', 'jpg');
+  const handle = new EventEmitter();
+  let state = 'running';
+  let timer = null;
+  let controller = null;
+  let captures = 0;
+  let failures = 0;
+  let nextAt = Date.now();
+  let resolveDone;
+  
+  const done = new Promise(resolve => {
+    resolveDone = resolve;
+  });
+  
+  const onAbort = () => stop('aborted');
+  
+  function stop(reason = 'stopped') {
+    if (state === 'stopped') {
+      return done;
+    }
+    
+    state = 'stopped';
+    clearTimeout(timer);
+    if (controller) {
+      controller.abort();
+    }
+    if (signal) {
+      signal.removeEventListener('abort', onAbort);
+    }
+    
+    const summary = { captures, failures, reason };
+    handle.emit('stop', summary);
+    resolveDone(summary);
+    return done;
+  }
+  
+  function schedule() {
+    if (state !== 'running' || controller) {
+      return;
+    }
+    if (count && captures >= count) {
+      stop('count');
+      return;
+    }
+    if (untilTime !== null && nextAt > untilTime) {
+      stop('until');
+      return;
+    }
+    
+    clearTimeout(timer);
+    timer = setTimeout(tick, Math.max(0, nextAt - Date.now()));
+  }
+  
+  async function tick() {
+    controller = new AbortController();
+    
+    try {
+      const result = await captureScreenWith(runtime, { ...captureOptions, filename: template, signal: controller.signal });
+      captures++;
+      handle.emit('capture', result);
+      
+      const removed = pruneCaptures(outputDir, template, extension, policy, { fs: runtime.fs });
+      if (removed.length > 0) {
+        handle.emit('prune', removed);
+      }
+    } catch (error) {
+      if (state === 'stopped') {
+        return;
+      }
+      
+      failures++;
+      if (handle.listenerCount('error') > 0) {
+        handle.emit('error', error);
+      }
+      if (stopOnError) {
+        controller = null;
+        stop('error');
+        return;
+      }
+    }
+    
+    controller = null;
+    nextAt += Math.max(1, Math.ceil((Date.now() - nextAt) / interval)) * interval;
+    schedule();
+  }
+  
+  if (signal) {
+    if (signal.aborted) {
+      process.nextTick(onAbort);
+    } else {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  }
+  
+  process.nextTick(schedule);
+  
+  return Object.defineProperties(Object.assign(handle, {
+    done,
+    stop: () => stop(),
+    pause() {
+      if (state === 'running') {
+        state = 'paused';
+        clearTimeout(timer);
+      }
+    },
+    resume() {
+      if (state === 'paused') {
+        state = 'running';
+        nextAt = Date.now();
+        schedule();
+      }
+    }
+  }), {
+    state: { get: () => state, enumerable: true },
+    captures: { get: () => captures, enumerable: true },
+    failures: { get: () => failures, enumerable: true }
+  });
+}
+
+// Captures `frames` images `intervalMs` apart with captureToBuffer() and writes them as a
+// looping GIF or APNG, or as numbered PNG files with output: 'frames'. Frame delays are the
+// measured time between captures, so the animation plays at the speed the screen changed
+// even when the tool is slower than the interval. Identical consecutive frames are merged
+// unless dedupe is false; scale, maxWidth and maxHeight shrink every frame
+async function captureBurstWith(runtime, options = {}) {
+  const {
+    frames = 10,
+    intervalMs = 200,
+    output = 'gif',
+    outputDir = process.cwd(),
+    filename = null,
+    createDir = true,
+    dedupe = true,
+    onConflict = 'increment',
+    silent = true,
+    verbose = false,
+    ...captureOptions
+  } = options;
+  
+  if (!Number.isInteger(frames) || frames < 1 || frames > MAX_BURST_FRAMES) {
+    throw new InvalidOptionError(`Invalid frames: ${JSON.stringify(frames)}`, {
+      suggestions: [`Use a whole number of frames from 1 to ${MAX_BURST_FRAMES}`]
+    });
+  }
+  
+  const interval = parseDuration(intervalMs);
+  
+  if (interval === null) {
+    throw new InvalidOptionError(`Invalid intervalMs: ${JSON.stringify(intervalMs)}`, {
+      suggestions: ["Use a number of milliseconds or a duration such as '250ms' or '1s'"]
+    });
+  }
+  
+  if (!BURST_OUTPUTS.includes(output)) {
+    throw new InvalidOptionError(`Invalid output: ${JSON.stringify(output)}`, {
+      suggestions: [`Use one of: ${BURST_OUTPUTS.join(', ')}`]
+    });
+  }
+  
+  const unsupported = BURST_UNSUPPORTED_OPTIONS.find(name => [].concat(captureOptions[name] || []).length > 0);
+  
+  if (unsupported) {
+    throw new InvalidOptionError(`${unsupported} is not supported for burst captures`, {
+      suggestions: [unsupported === 'format' || unsupported === 'quality'
+        ? "Use output: 'gif', 'apng' or 'frames' to choose the file type"
+        : 'Use captureScreen() for single captures with this option']
+    });
+  }
+  
+  if (!CONFLICT_MODES.includes(onConflict)) {
+    throw new InvalidOptionError(`Invalid onConflict: ${JSON.stringify(onConflict)}`, {
+      suggestions: [`Use one of: ${CONFLICT_MODES.join(', ')}`]
+    });
+  }
+  
+  const template = filename || 'burst-{timestamp}';
+  const filenameError = validateNameTemplate(template, runtime.platform);
+  
+  if (filenameError) {
+    throw new InvalidOptionError(`Invalid filename ${JSON.stringify(template)}: ${filenameError}`, {
+      suggestions: ['Use a file name or template without "..", backslashes or control characters, e.g. "{date}/{time}-{seq:3}"']
+    });
+  }
+  
+  if (!runtime.fs.existsSync(outputDir)) {
+    if (!createDir) {
+      throw new DirectoryMissingError(`Directory does not exist: ${outputDir}`, {
+        suggestions: ['Set createDir: true to automatically create directories', 'Create the directory manually before capturing']
+      });
+    }
+    runtime.fs.mkdirSync(outputDir, { recursive: true });
+  }
+  
+  // The display is looked up once instead of before every frame
+  if (needsDisplayLookup(captureOptions)) {
+    captureOptions.display = await resolveDisplay(runtime, captureOptions.display);
+  }
+  
+  const { log } = createLog(runtime, { silent, verbose }, console.log);
+  const startedAt = Date.now();
+  const captured = [];
+  
+  for (let index = 0; index < frames; index++) {
+    await waitUntil(startedAt + index * interval, captureOptions.signal);
+    
+    const capturedAt = Date.now();
+    // Permission is checked on the first frame; a later black frame is part of the animation
+    const frameOptions = index > 0 ? { ...captureOptions, allowBlank: true } : captureOptions;
+    const result = await captureToBufferWith(runtime, { ...frameOptions, format: 'png', silent, verbose });
+    
+    captured.push({ result, capturedAt });
+    log(chalk.blue(`Frame ${index + 1}/${frames} captured with ${result.tool}`));
+  }
+  
+  // A window that is resized during the burst is scaled to the size of the first frame
+  const { width, height } = captured[0].result.dimensions;
+  const sequence = captured.map(({ result, capturedAt }, index) => {
+    const image = decodeImage(result.buffer);
+    const next = captured[index + 1];
+    
+    return {
+      image: image.width === width && image.height === height ? image : resizeImage(image, width, height),
+      delay: Math.max(MIN_FRAME_DELAY, next ? next.capturedAt - capturedAt : interval)
+    };
+  });
+  const animation = dedupe ? dedupeFrames(sequence) : sequence;
+  const values = {
+    date: new Date(startedAt),
+    hostname: hostname(),
+    platform: runtime.platform,
+    tool: captured[0].result.tool,
+    display: captureOptions.display ? captureOptions.display.name || captureOptions.display : 'screen'
+  };
+  let files;
+  
+  if (output === 'frames') {
+    const digits = Math.max(3, String(animation.length).length);
+    
+    files = animation.map((frame, index) => {
+      const buffer = encodeImage(frame.image, 'png');
+      const written = writeNamedOutput(runtime, outputDir, `${template}-${String(index + 1).padStart(digits, '0')}`, values, 'png', buffer, onConflict);
+      return { ...written, bytes: buffer.length, delay: frame.delay };
+    });
+  } else {
+    const buffer = output === 'gif' ? encodeGif(animation) : encodeApng(animation);
+    const written = writeNamedOutput(runtime, outputDir, template, values, output === 'gif' ? 'gif' : 'png', buffer, onConflict);
+    files = [{ ...written, bytes: buffer.length }];
+  }
+  
+  const bytes = files.reduce((sum, file) => sum + file.bytes, 0);
+  const duration = animation.reduce((sum, frame) => sum + frame.delay, 0);
+  const last = captured[captured.length - 1].result;
+  
+  files.forEach(file => log(chalk.blue('File saved at: ') + chalk.white.underline(file.filepath)));
+  log(chalk.magenta('Frames: ') + chalk.cyan(`${animation.length} of ${captured.length} captured, ${(duration / 1000).toFixed(2)} s`));
+  
+  return {
+    success: true,
+    output,
+    filename: output === 'frames' ? null : files[0].filename,
+    filepath: output === 'frames' ? null : files[0].filepath,
+    files: files.map(({ bytes: fileBytes, ...file }) => file),
+    directory: outputDir,
+    frames: animation.length,
+    captured: captured.length,
+    duration,
+    size: {
+      bytes,
+      kb: parseFloat((bytes / 1024).toFixed(2)),
+      mb: parseFloat((bytes / (1024 * 1024)).toFixed(2))
+    },
+    dimensions: { width, height },
+    tool: last.tool,
+    platform: runtime.platform,
+    region: last.region,
+    display: last.display,
+    target: last.target,
+    timestamp: new Date(startedAt).toISOString()
+  };
+}
+
+// Resolves at the given time; rejects with AbortedError when the signal fires first
+function waitUntil(time, signal) {
+  return new Promise((resolve, reject) => {
+    const abort = () => {
+      clearTimeout(timer);
+      reject(new AbortedError('Burst capture was aborted'));
+    };
+    const timer = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener('abort', abort);
+      }
+      resolve();
+    }, Math.max(0, time - Date.now()));
+    
+    if (signal && signal.aborted) {
+      abort();
+    } else if (signal) {
+      signal.addEventListener('abort', abort, { once: true });
+    }
+  });
+}
+
+// HTTP server for on-demand captures, e.g. of kiosk machines: GET /screenshot (query
+// parameters override the capture options given here, except that ?timeout= cannot exceed
+// the timeout given here), GET /tools and GET /health. Returns an http.Server that is not
+// listening yet; requests need "Authorization: Bearer <token>" when a token is set
+function createServerWith(runtime, options = {}) {
+  const { token = null, maxQueue = 10, ...captureOptions } = options;
+  
+  if (token !== null && (typeof token !== 'string' || !/^\S+$/.test(token))) {
+    throw new InvalidOptionError('Invalid token: expected a non-empty string without spaces', {
+      suggestions: ['Generate one with: node -e "console.log(crypto.randomUUID())"']
+    });
+  }
+  
+  if (!Number.isInteger(maxQueue) || maxQueue < 1) {
+    throw new InvalidOptionError(`Invalid maxQueue: ${JSON.stringify(maxQueue)}`, {
+      suggestions: ['Use a positive integer']
+    });
+  }
+  
+  return createHttpServer(createRequestHandler({
+    token,
+    maxQueue,
+    maxTimeout: captureOptions.timeout ?? DEFAULT_TIMEOUT,
+    listTools: () => listBackends({ platform: runtime.platform, backends: runtime.backends }).map(backend => backend.name),
+    capture: requestOptions => captureToBufferWith(runtime, { ...captureOptions, ...requestOptions, silent: true }),
+    getTools: () => getAvailableToolsWith(runtime),
+    getHealth: () => ({ version: getVersion(), platform: runtime.platform })
+  }));
+}
+
+// A crosshot instance with its own dependencies: { executor, logger, platform, env, fs,
+// backends }, each defaulting to the real one (see lib/runtime.js). The module-level
+// functions below are the methods of a default instance. Pass the executor and backend from
+// createFakeExecutor() to capture without a display
+export function createCrosshot(options = {}) {
+  const runtime = createRuntime(options);
+  
+  return {
+    takeScreenshot: (destinationDir, customName, captureOptions) => takeScreenshotWith(runtime, destinationDir, customName, captureOptions),
+    captureScreen: captureOptions => captureScreenWith(runtime, captureOptions),
+    captureToBuffer: captureOptions => captureToBufferWith(runtime, captureOptions),
+    captureStream: captureOptions => captureStreamWith(runtime, captureOptions),
+    captureInterval: intervalOptions => captureIntervalWith(runtime, intervalOptions),
+    captureBurst: burstOptions => captureBurstWith(runtime, burstOptions),
+    createServer: serverOptions => createServerWith(runtime, serverOptions),
+    compareScreenshots: (a, b, compareOptions) => compareScreenshotsWith(runtime, a, b, compareOptions),
+    readScreenshotMetadata: filepath => readScreenshotMetadataWith(runtime, filepath),
+    getAvailableTools: () => getAvailableToolsWith(runtime),
+    diagnose: diagnoseOptions => diagnoseWith(runtime, diagnoseOptions),
+    listDisplays: () => listDisplaysWith(runtime),
+    listBackends: (listOptions = {}) => listBackends({ ...listOptions, backends: runtime.backends }),
+    getLibraryVersion: () => getLibraryVersionWith(runtime)
+  };
+}
+
+const defaultCrosshot = createCrosshot();
+
+export function takeScreenshot(destinationDir, customName, options) {
+  return defaultCrosshot.takeScreenshot(destinationDir, customName, options);
+}
+
+export function captureScreen(options) {
+  return defaultCrosshot.captureScreen(options);
+}
+
+export function captureToBuffer(options) {
+  return defaultCrosshot.captureToBuffer(options);
+}
+
+export function captureStream(options) {
+  return defaultCrosshot.captureStream(options);
+}
+
+export function captureInterval(options) {
+  return defaultCrosshot.captureInterval(options);
+}
+
+export function captureBurst(options) {
+  return defaultCrosshot.captureBurst(options);
+}
+
+export function createServer(options) {
+  return defaultCrosshot.createServer(options);
+}
+
+export function compareScreenshots(a, b, options) {
+  return defaultCrosshot.compareScreenshots(a, b, options);
+}
+
+export function readScreenshotMetadata(filepath) {
+  return defaultCrosshot.readScreenshotMetadata(filepath);
+}
+
+export function getAvailableTools() {
+  return defaultCrosshot.getAvailableTools();
+}
+
+export function diagnose(options) {
+  return defaultCrosshot.diagnose(options);
+}
+
+export function listDisplays() {
+  return defaultCrosshot.listDisplays();
+}
+
+export { listBackends };
+
+export function getLibraryVersion() {
+  return defaultCrosshot.getLibraryVersion();
+}
+
+export default takeScreenshot;
+
+// Log output of one call as { log, warn, logError }. On the console progress goes to stream
+// only when verbose and nothing is shown when silent; an injected logger gets every message
+// as plain text at its own level (debug, warn, error) and does its own filtering
+function createLog(runtime, config, stream) {
+  if (runtime.logger) {
+    const send = level => (...args) => runtime.logger[level](stripVTControlCharacters(args.join(' ')).trim());
+    return { log: send('debug'), warn: send('warn'), logError: send('error') };
+  }
+  
+  const log = (...args) => !config.silent && config.verbose && stream(...args);
+  
+  return {
+    log,
+    warn: message => log(chalk.yellow(`WARNING: ${message}`)),
+    logError: message => !config.silent && console.error(chalk.red.bold(`ERROR: ${message}`))
+  };
+}
+
+// emit(event, payload) for the hooks of a capture; a failing hook is only warned about
+function createEmitter(plan, output) {
+  return createHookEmitter(plan.hooks, (event, error) => output.warn(`hooks.${event} failed: ${error.message}`));
+}
+
+// hooks.error for a call that rejects at any stage, invalid options and beforeCapture
+// included. Hooks that are themselves invalid cannot be called
+function emitCaptureError(runtime, config, error, stream = console.log) {
+  let hooks;
+  
+  try {
+    hooks = normalizeHooks(config.hooks);
+  } catch {
+    return;
+  }
+  
+  createEmitter({ hooks }, createLog(runtime, config, stream))('error', error);
+}
+
+// Options changed by hooks.beforeCapture are merged over the caller's. It runs once per
+// capture, so once for every display with allDisplays; a display it picks by id or name is
+// looked up like one given by the caller
+async function applyBeforeCapture(runtime, config) {
+  const { beforeCapture } = normalizeHooks(config.hooks);
+  
+  if (!beforeCapture) {
+    return config;
+  }
+  
+  const changed = await beforeCapture({ ...config });
+  
+  if (changed !== undefined && (changed === null || typeof changed !== 'object' || Array.isArray(changed))) {
+    throw new InvalidOptionError(`hooks.beforeCapture returned ${JSON.stringify(changed)}`, {
+      suggestions: ['Return the options to change, or nothing to keep them']
+    });
+  }
+  
+  const prepared = { ...config, ...changed, hooks: config.hooks };
+  
+  if (prepared.allDisplays && !config.allDisplays) {
+    throw new InvalidOptionError('hooks.beforeCapture cannot turn on allDisplays', {
+      suggestions: ['Pass allDisplays to the capture call; beforeCapture then runs for each display']
+    });
+  }
+  
+  if (needsDisplayLookup(prepared)) {
+    prepared.display = await resolveDisplay(runtime, prepared.display);
+  }
+  
+  return prepared;
+}
+
+// Passes the final image to hooks.afterCapture, which may return a replacement in the same
+// format. The thumbnail and the clipboard copy are made again from the replacement so they
+// never show what the hook changed
+async function applyAfterCapture(plan, capture) {
+  if (!plan.hooks.afterCapture) {
+    return capture;
+  }
+  
+  const { buffer, thumbnail, clipboard, ...details } = capture;
+  const processed = await plan.hooks.afterCapture(buffer, { ...details, format: plan.extension, display: plan.display || plan.xDisplay, target: plan.target });
+  
+  if (processed === undefined || processed === buffer) {
+    return capture;
+  }
+  
+  if (!Buffer.isBuffer(processed) || detectImageFormat(processed) !== plan.extension) {
+    throw new InvalidOptionError(`hooks.afterCapture must return a ${plan.extension} image buffer`, {
+      suggestions: ['Return the image re-encoded in the requested format, or nothing to keep it']
+    });
+  }
+  
+  const info = readImageInfo(processed);
+  let derived = { thumbnail: null, clipboard: null };
+  
+  if (plan.thumbnail || plan.clipboard) {
+    if (plan.extension === 'webp') {
+      throw new UnsupportedFormatError('Thumbnails and clipboard copies cannot be made from a webp image returned by hooks.afterCapture', {
+        suggestions: ['Capture as png or jpg when afterCapture is combined with thumbnail or clipboard']
+      });
+    }
+    derived = encodeCapture(processed, { ...plan, redactions: [], resize: null }, null);
+  }
+  
+  return {
+    ...capture,
+    buffer: processed,
+    dimensions: { width: info.width, height: info.height },
+    thumbnail: derived.thumbnail,
+    clipboard: derived.clipboard
+  };
+}
+
+function isInsideDirectory(directory, filepath) {
+  const relativePath = relative(resolvePath(directory), resolvePath(filepath));
+  return relativePath !== '' && relativePath !== '..' && !relativePath.startsWith(`..${sep}`) && !isAbsolute(relativePath);
+}
+
+function buildBackendCommand(backend, context) {
+  return Promise.resolve()
+    .then(() => backend.buildCommand({ ...context }))
+    .then(argv => {
+      if (!Array.isArray(argv) || argv.length === 0) {
+        throw new TypeError(`${backend.name} buildCommand() must return a non-empty argv array`);
+      }
+      return argv.map(String);
+    });
+}
+
+function normalizeRegion(region) {
+  if (!region) {
+    return null;
+  }
+  
+  const values = typeof region === 'string'
+    ? region.split(',').map(value => value.trim())
+    : [region.x, region.y, region.width, region.height];
+  
+  if (values.length !== 4 || values.some(value => value === '' || !Number.isInteger(Number(value)))) {
+    return null;
+  }
+  
+  const [x, y, width, height] = values.map(Number);
+  if (x < 0 || y < 0 || width <= 0 || height <= 0) {
+    return null;
+  }
+  
+  return { x, y, width, height };
+}
+
+// Thumbnails are given as { width, format, quality } or, on the CLI, "width[:format]".
+// format and quality default to those of the capture
+function normalizeThumbnail(thumbnail, format, quality) {
+  const [width, thumbnailFormat = format] = typeof thumbnail === 'object'
+    ? [thumbnail.width, thumbnail.format && String(thumbnail.format).toLowerCase()]
+    : String(thumbnail).split(':').map(part => part.trim().toLowerCase());
+  const thumbnailQuality = typeof thumbnail === 'object' && thumbnail.quality !== undefined ? thumbnail.quality : quality;
+  
+  if (!Number.isInteger(Number(width)) || Number(width) <= 0 || !['png', 'jpg', 'jpeg', 'bmp', 'webp'].includes(thumbnailFormat)) {
+    return null;
+  }
+  if (!Number.isInteger(thumbnailQuality) || thumbnailQuality < 1 || thumbnailQuality > 100) {
+    return null;
+  }
+  
+  return {
+    width: Number(width),
+    format: thumbnailFormat,
+    extension: thumbnailFormat === 'jpeg' ? 'jpg' : thumbnailFormat,
+    quality: thumbnailQuality
+  };
+}
+
+// Size after scale, then shrunk to fit maxWidth x maxHeight with the aspect ratio kept.
+// Images are never enlarged
+function getResizedSize(width, height, resize) {
+  const factor = Math.min(
+    resize.scale,
+    resize.maxWidth ? resize.maxWidth / width : 1,
+    resize.maxHeight ? resize.maxHeight / height : 1
+  );
+  
+  return {
+    width: Math.max(1, Math.round(width * factor)),
+    height: Math.max(1, Math.round(height * factor))
+  };
+}
+
+// Redactions are regions with a mode, given as objects or as "x,y,width,height[:mode]", in
+// pixels of the captured image (device pixels on HiDPI screens, before any resizing), so
+// redactImage() can only check that they fit once the image is there. Blackout is the
+// default because it keeps nothing of the original pixels
+function normalizeRedaction(redaction) {
+  const [region, mode = 'blackout'] = typeof redaction === 'string'
+    ? redaction.split(':').map(part => part.trim())
+    : [redaction, redaction && redaction.mode];
+  const normalized = normalizeRegion(region);
+  
+  if (!normalized || !REDACTION_MODES.includes(mode)) {
+    return null;
+  }
+  
+  return { ...normalized, mode };
+}
+
+function normalizeTarget(target) {
+  if (!target || target === 'screen') {
+    return false;
+  }
+  if (target === 'activeWindow') {
+    return { type: 'activeWindow' };
+  }
+  if (typeof target === 'object' && /^(0x[\da-f]+|\d+)$/i.test(String(target.windowId))) {
+    return { type: 'window', windowId: String(target.windowId) };
+  }
+  return null;
+}
+
+function describeTarget(windowTarget) {
+  return windowTarget.type === 'activeWindow' ? 'the active window' : `window ${windowTarget.windowId}`;
+}
+
+function offsetRegion(region, display) {
+  if (!region) {
+    return { x: display.x, y: display.y, width: display.width, height: display.height };
+  }
+  
+  return { x: display.x + region.x, y: display.y + region.y, width: region.width, height: region.height };
+}
+
+function findDisplay(displays, selector) {
+  if (typeof selector === 'number' || /^\d+$/.test(String(selector))) {
+    return displays.find(display => display.id === Number(selector));
+  }
+  
+  return displays.find(display => display.name === selector);
+}
+
+function needsDisplayLookup(options) {
+  return Boolean(options.allDisplays) ||
+    (options.display !== undefined && options.display !== null && typeof options.display !== 'object' && !isXDisplay(options.display));
+}
+
+function isXDisplay(value) {
+  return typeof value === 'string' && X_DISPLAY_PATTERN.test(value);
+}
+
+// Environment for tools capturing another X server. WAYLAND_DISPLAY is dropped so tools
+// that support both never pick the Wayland session
+function getXDisplayEnv(baseEnv, xDisplay) {
+  const env = { ...baseEnv, DISPLAY: xDisplay };
+  delete env.WAYLAND_DISPLAY;
+  return env;
+}
+
+async function getDisplays(runtime) {
+  try {
+    return await listDisplaysWith(runtime);
+  } catch (error) {
+    error.suggestions = [...(error.suggestions || []), 'Capture without the display/allDisplays options to use the default screen'];
+    throw error;
+  }
+}
+
+async function resolveDisplay(runtime, selector) {
+  const displays = await getDisplays(runtime);
+  const display = findDisplay(displays, selector);
+  
+  if (!display) {
+    throw new DisplayNotFoundError(`Display not found: ${selector}`, {
+      suggestions: displays.map(item => `Use display ${item.id} (${item.name}, ${item.width}x${item.height}+${item.x}+${item.y})`)
+    });
+  }
+  
+  return display;
+}
+
+async function captureDisplays(runtime, destinationDir, customName, options) {
+  if (options.allDisplays && isXDisplay(options.display)) {
+    throw new InvalidOptionError('allDisplays cannot be combined with an X display', {
+      suggestions: [`Capture ${options.display} without allDisplays; it is captured as one screen`]
+    });
+  }
+  
+  if (options.allDisplays && options.clipboard) {
+    throw new InvalidOptionError('allDisplays cannot be combined with clipboard: each display would replace the previous one', {
+      suggestions: ['Copy a single display with the display option']
+    });
+  }
+  
+  if (!options.allDisplays) {
+    const display = await resolveDisplay(runtime, options.display);
+    return captureFile(runtime, destinationDir, customName, { ...options, display });
+  }
+  
+  const displays = await getDisplays(runtime);
+  const baseName = customName || `screenshot-${Date.now()}`;
+  const deadlineAt = options.deadline ? Date.now() + options.deadline : null;
+  const results = [];
+  
+  // The deadline covers all displays together
+  for (const display of displays) {
+    const remaining = deadlineAt ? deadlineAt - Date.now() : 0;
     
-    if (!validFormats.includes(normalizedFormat)) {
-      reject({
-        success: false,
-        error: `Unsupported format: ${config.format}. Supported formats: ${validFormats.join(', ')}`,
-        platform: platform(),
-        timestamp: new Date().toISOString(),
-        suggestions: [`Use one of these formats: ${validFormats.join(', ')}`]
+    if (deadlineAt && remaining <= 0) {
+      throw new TimeoutError(`Screenshot capture did not finish within the ${options.deadline} ms deadline`, {
+        suggestions: ['Increase the deadline option']
       });
-      return;
     }
     
-    const fileExtension = normalizedFormat === 'jpeg' ? 'jpg' : normalizedFormat;
-    const filename = customName ? `${customName}.${fileExtension}` : `screenshot-${Date.now()}.${fileExtension}`;
+    results.push(await captureFile(runtime, destinationDir, `${baseName}-${display.id}`, {
+      ...options,
+      allDisplays: false,
+      display,
+      ...(deadlineAt ? { deadline: remaining } : {})
+    }));
+  }
+  
+  return results;
+}
+
+// Writes the final image; failures map to the error type that explains them. With the
+// 'wx' flag an existing file is never replaced and fails with a FileExistsError
+function writeOutput(runtime, filepath, buffer, flag = 'w') {
+  try {
+    runtime.fs.writeFileSync(filepath, buffer, { flag });
+  } catch (error) {
+    throw toWriteError(error, filepath);
+  }
+}
+
+function toWriteError(error, path) {
+  const message = `Could not write ${path}: ${error.message}`;
+  const options = { cause: error, suggestions: ['Check that the output directory exists and is writable'] };
+  
+  if (error.code === 'EEXIST') {
+    return new FileExistsError(`File already exists: ${path}`, {
+      cause: error,
+      suggestions: ["Use onConflict: 'increment' (--on-conflict=increment) to pick a free name, or 'overwrite' to replace it"]
+    });
+  }
+  if (error.code === 'ENOENT') {
+    return new DirectoryMissingError(message, options);
+  }
+  if (['EACCES', 'EPERM', 'EROFS'].includes(error.code)) {
+    return new PermissionDeniedError(message, options);
+  }
+  return new OutputNotWrittenError(message, options);
+}
+
+// Expands the name template and writes to the first candidate name that onConflict allows.
+// Subdirectories from the template are created inside destinationDir, which must exist.
+// Returns { filename, filepath } with filename relative to destinationDir
+function writeNamedOutput(runtime, destinationDir, template, values, extension, buffer, onConflict) {
+  let expanded;
+  
+  try {
+    expanded = expandNameTemplate(template, values);
+  } catch (error) {
+    throw new InvalidOptionError(error.message, {
+      cause: error,
+      suggestions: ['Use placeholders whose values are valid in file names on this platform']
+    });
+  }
+  
+  for (const filename of nameCandidates(destinationDir, expanded, extension, runtime.fs)) {
     const filepath = join(destinationDir, filename);
-    const currentPlatform = platform();
     
-    const log = (...args) => !config.silent && config.verbose && console.log(...args);
-    const logError = (...args) => !config.silent && console.error(...args);
+    if (!isInsideDirectory(destinationDir, filepath)) {
+      throw new InvalidOptionError(`Refusing to write outside ${destinationDir}: ${filepath}`, {
+        suggestions: ['Use a file name or template without "..", backslashes or control characters']
+      });
+    }
     
-    log(chalk.cyan(`Platform detected: ${currentPlatform}`));
-    log(chalk.blue('Taking screenshot...'));
+    const subdirectory = dirname(filepath);
     
-    let commands = [];
+    if (filename.includes('/') && runtime.fs.existsSync(destinationDir) && !runtime.fs.existsSync(subdirectory)) {
+      try {
+        runtime.fs.mkdirSync(subdirectory, { recursive: true });
+      } catch (error) {
+        throw toWriteError(error, subdirectory);
+      }
+    }
     
-    if (currentPlatform === 'win32') {
-      const formatMap = {
-        'png': 'Png',
-        'jpg': 'Jpeg', 
-        'jpeg': 'Jpeg',
-        'bmp': 'Bmp',
-        'webp': 'Png'
-      };
-      const psFormat = formatMap[normalizedFormat];
-      
-      commands = [
-        `powershell -Command "Add-Type -AssemblyName System.Windows.Forms; $screen = [System.Windows.Forms.Screen]::PrimaryScreen; $bitmap = New-Object System.Drawing.Bitmap($screen.Bounds.Width, $screen.Bounds.Height); $graphics = [System.Drawing.Graphics]::FromImage($bitmap); $graphics.CopyFromScreen($screen.Bounds.X, $screen.Bounds.Y, 0, 0, $screen.Bounds.Size); $bitmap.Save('${filepath.replace(/\\/g, '/')}', [System.Drawing.Imaging.ImageFormat]::${psFormat}); $graphics.Dispose(); $bitmap.Dispose()"`,
-        `nircmd savescreenshot "${filepath}"`,
-        `screencapture "${filepath}"`
-      ];
-    } else if (currentPlatform === 'darwin') {
-      const macFormats = ['png', 'jpg', 'jpeg'];
-      if (macFormats.includes(normalizedFormat)) {
-        const formatFlag = normalizedFormat === 'png' ? '' : ' -t jpg';
-        commands = [
-          `screencapture${formatFlag} "${filepath}"`,
-          `screencapture -x${formatFlag} "${filepath}"`
-        ];
-      } else {
-        const fallbackPath = filepath.replace(new RegExp(`\\.${fileExtension}$`), '.png');
-        commands = [
-          `screencapture "${fallbackPath}"`,
-          `screencapture -x "${fallbackPath}"`
-        ];
+    try {
+      writeOutput(runtime, filepath, buffer, onConflict === 'overwrite' ? 'w' : 'wx');
+      return { filename, filepath };
+    } catch (error) {
+      if (error.code !== 'FILE_EXISTS' || onConflict !== 'increment') {
+        throw error;
       }
-    } else {
-      commands = [];
-      
-      if (['png', 'jpg', 'jpeg', 'webp'].includes(normalizedFormat)) {
-        const grimFormat = normalizedFormat === 'jpeg' ? 'jpg' : normalizedFormat;
-        commands.push(`grim -t ${grimFormat} "${filepath}"`);
+    }
+  }
+  
+  throw new FileExistsError(`No free file name left for ${template} in ${destinationDir}`, {
+    suggestions: ['Clean up old captures or use a template with {timestamp} or {seq}']
+  });
+}
+
+// Writes the thumbnail next to the capture it belongs to. The capture's name was just
+// claimed, so a leftover thumbnail with the same name is stale and replaced
+function writeThumbnail(runtime, destinationDir, captureName, thumbnail, extension) {
+  const filename = thumbnailName(captureName, extension);
+  const filepath = join(destinationDir, filename);
+  
+  writeOutput(runtime, filepath, thumbnail.buffer);
+  
+  return {
+    filename,
+    filepath,
+    width: thumbnail.width,
+    height: thumbnail.height,
+    format: thumbnail.format,
+    size: {
+      bytes: thumbnail.buffer.length,
+      kb: parseFloat((thumbnail.buffer.length / 1024).toFixed(2)),
+      mb: parseFloat((thumbnail.buffer.length / (1024 * 1024)).toFixed(2))
+    }
+  };
+}
+
+// Puts the capture on the clipboard before anything is written, so a failed copy never
+// leaves a file behind. Resolves to { tool } or null without the clipboard option
+function copyCaptureToClipboard(runtime, capture, plan, output) {
+  const { log, warn } = output;
+  
+  if (!capture.clipboard) {
+    return Promise.resolve(null);
+  }
+  
+  return copyImageToClipboard(capture.clipboard, {
+    platform: runtime.platform,
+    session: detectSession(runtime.env, runtime.platform),
+    timeout: plan.timeout,
+    executor: runtime.executor,
+    env: runtime.env,
+    fs: runtime.fs,
+    log: (tool, attempt) => {
+      warn(`${tool} could not copy to the clipboard, trying next...`);
+      if (plan.verbose) {
+        log(chalk.gray(`Error: ${attempt.error}`));
       }
-      
-      commands.push(
-        `gnome-screenshot -f "${filepath}"`,
-        `spectacle -b -n -o "${filepath}"`,
-        `wayshot -f "${filepath}"`,
-        `flameshot full -p "${dirname(filepath)}" -d 0`,
-        `scrot "${filepath}"`,
-        `maim "${filepath}"`
-      );
     }
+  }).then(({ tool }) => {
+    log(chalk.blue(`Copied to the clipboard with ${tool}`));
+    return { tool };
+  });
+}
+
+// The document embedded with embedMetadata and written to sidecars; the same fields as the
+// result object, so a file on disk can be traced back to how it was captured
+function getCaptureMetadata(runtime, plan, capture, timestamp) {
+  return {
+    software: `crosshot ${getVersion()}`,
+    timestamp,
+    tool: capture.tool,
+    platform: runtime.platform,
+    format: plan.format,
+    nativeFormat: capture.nativeFormat,
+    dimensions: capture.dimensions,
+    region: capture.region,
+    display: plan.display || plan.xDisplay,
+    target: plan.target
+  };
+}
+
+function writeSidecar(runtime, destinationDir, captureName, metadata) {
+  const filename = sidecarName(captureName);
+  const filepath = join(destinationDir, filename);
+  
+  writeOutput(runtime, filepath, `${JSON.stringify(metadata, null, 2)}\n`);
+  return { filename, filepath };
+}
+
+// Format the tool is asked to write. Lossless formats are kept when the tool supports
+// them; lossy ones are captured as PNG so quality is applied once, by encodeCapture().
+// Output that will be cropped or redacted must be decodable, which includes xwd dumps
+function getCaptureFormat(backend, format, decode) {
+  const requested = format === 'jpeg' ? 'jpg' : format;
+  
+  if (!decode && ['png', 'bmp'].includes(requested) && backend.formats.includes(requested)) {
+    return requested;
+  }
+  
+  const decodable = ['png', 'bmp', 'jpg', 'xwd'].find(candidate => backend.formats.includes(candidate));
+  
+  if (decodable) {
+    return decodable;
+  }
+  
+  return !decode && backend.formats.includes(format) ? requested : null;
+}
+
+// Tools such as flameshot pick their own file name inside the directory they are given.
+// The directory is private to the attempt, so any non-empty file in it is the capture
+function locateOutput(runtime, tempDir, expectedPath) {
+  if (runtime.fs.existsSync(expectedPath)) {
+    return expectedPath;
+  }
+  
+  return runtime.fs.readdirSync(tempDir)
+    .map(name => join(tempDir, name))
+    .map(path => ({ path, stats: runtime.fs.statSync(path) }))
+    .filter(({ stats }) => stats.isFile() && stats.size > 0)
+    .sort((a, b) => b.stats.mtimeMs - a.stats.mtimeMs)
+    .map(({ path }) => path)[0] || null;
+}
+
+// Checks that the tool output is a complete image of plausible size and, with checkBlank,
+// not the blank frame returned without screen recording permission. Returns the decoded pixels, or
+// null for WebP output, which is only checked by its header
+function verifyCapture(buffer, toolName, requestedRegion, checkBlank) {
+  const info = readImageInfo(buffer);
+  
+  if (!info || !(info.width > 0 && info.height > 0)) {
+    throw new Error(`${toolName} wrote a truncated or unrecognized image`);
+  }
+  
+  if (requestedRegion && (info.width > requestedRegion.width || info.height > requestedRegion.height) && !isScaledRegion(info, requestedRegion)) {
+    throw new Error(`${toolName} returned ${info.width}x${info.height} for a ${requestedRegion.width}x${requestedRegion.height} region`);
+  }
+  
+  if (info.format === 'webp') {
+    return null;
+  }
+  
+  let image;
+  
+  try {
+    image = decodeImage(buffer);
+  } catch (error) {
+    throw new Error(`${toolName} wrote a corrupt ${info.format} image: ${error.message}`);
+  }
+  
+  if (checkBlank && isBlankImage(image)) {
+    const error = new Error(`${toolName} captured a blank (all black) ${info.width}x${info.height} image`);
+    error.blank = true;
+    throw error;
+  }
+  
+  return image;
+}
+
+// On HiDPI screens screencapture -R and grim -g return regions in device pixels, e.g. twice the
+// requested size at 200%. Both sides must grow by the same factor, give or take the rounding
+// of fractional scales
+function isScaledRegion(info, region) {
+  const factor = info.width / region.width;
+  
+  return factor > 1 && Math.abs(info.height - region.height * factor) <= Math.ceil(factor);
+}
+
+// Redacting, resizing, thumbnails and the PNG copied to the clipboard work on decoded
+// pixels, so the tool must write a format that can be decoded
+function needsDecoding(plan) {
+  return plan.redactions.length > 0 || Boolean(plan.resize || plan.thumbnail) || (plan.clipboard && plan.extension !== 'png');
+}
+
+// Crops, redacts, resizes and re-encodes the tool output when needed and checks by magic
+// bytes that the result really is in the requested format. Resolves to
+// { buffer, nativeFormat, region, thumbnail, clipboard } where thumbnail is
+// { buffer, width, height, format } and clipboard a PNG buffer when plan.clipboard is set
+function encodeCapture(buffer, plan, cropRegion, decoded = null) {
+  const nativeFormat = detectImageFormat(buffer);
+  
+  if (!nativeFormat) {
+    throw new Error('Captured data is not a PNG, JPEG, BMP, WebP or XWD image');
+  }
+  
+  if (!cropRegion && !needsDecoding(plan) && nativeFormat === plan.extension) {
+    return { buffer, nativeFormat, region: null, thumbnail: null, clipboard: plan.clipboard ? buffer : null };
+  }
+  
+  let image = decoded || decodeImage(buffer);
+  let region = null;
+  
+  if (cropRegion) {
+    region = clampRegion(cropRegion, image.width, image.height);
     
-    function tryCommand(index) {
-      if (index >= commands.length) {
-        const errorMessage = 'No screenshot tools found!';
-        logError(chalk.red.bold(`ERROR: ${errorMessage}`));
-        
-        if (currentPlatform === 'win32') {
-          log(chalk.yellow('\nFor Windows:'));
-          log(chalk.white('  * PowerShell already tried (native to Windows)'));
-          log(chalk.white('  * Install NirCmd: ') + chalk.cyan('https://www.nirsoft.net/utils/nircmd.html'));
-          log(chalk.white('  * Or use npm: ') + chalk.green('npm install screenshot-desktop'));
-          
-        } else if (currentPlatform === 'darwin') {
-          log(chalk.yellow('\nFor macOS:'));
-          log(chalk.white('  * screencapture is native to macOS'));
-          log(chalk.white('  * Check screen recording permissions in System Preferences'));
-          
-        } else {
-          log(chalk.yellow('\nFor Linux systems, install one of these tools:'));
-          log(chalk.green('  * grim') + chalk.gray(' (recommended for Wayland)'));
-          log(chalk.green('  * gnome-screenshot') + chalk.gray(' (for GNOME environments)'));
-          log(chalk.green('  * spectacle') + chalk.gray(' (for KDE Plasma)'));
-          log(chalk.green('  * wayshot') + chalk.gray(' (alternative for Wayland)'));
-          log(chalk.green('  * flameshot') + chalk.gray(' (GUI with extra features)'));
-          log(chalk.green('  * scrot') + chalk.gray(' (for X11 systems)'));
-          log(chalk.green('  * maim') + chalk.gray(' (alternative for X11)'));
-          log(chalk.magenta('\nInstall using your system package manager ') + chalk.cyan('(apt, pacman, dnf, etc.)'));
-        }
-        
-        reject({
-          success: false,
-          error: errorMessage,
-          platform: currentPlatform,
-          availableTools: commands.map(cmd => cmd.split(' ')[0]),
-          timestamp: new Date().toISOString(),
-          suggestions: getSuggestions(currentPlatform)
-        });
-        return;
-      }
-      
-      const command = commands[index];
-      const toolName = command.split(' ')[0];
-      
-      exec(command, (error, stdout, stderr) => {
-        if (error) {
-          log(chalk.yellow(`WARNING: ${toolName} not available, trying next...`));
-          if (config.verbose) {
-            log(chalk.gray(`Command failed: ${command}`));
-            log(chalk.gray(`Error: ${error.message}`));
-          }
-          tryCommand(index + 1);
-        } else {
-          if (existsSync(filepath)) {
-            log(chalk.green.bold(`SUCCESS: Screenshot captured with ${toolName}!`));
-            log(chalk.blue('File saved at: ') + chalk.white.underline(filepath));
-            
-            const stats = statSync(filepath);
-            const sizeKB = (stats.size / 1024).toFixed(2);
-            const sizeMB = (stats.size / (1024 * 1024)).toFixed(2);
-            log(chalk.magenta('Size: ') + chalk.cyan(`${sizeKB} KB`));
-            
-            const result = {
-              success: true,
-              filename: filename,
-              filepath: filepath,
-              absolutePath: join(process.cwd(), filepath),
-              directory: destinationDir,
-              size: {
-                bytes: stats.size,
-                kb: parseFloat(sizeKB),
-                mb: parseFloat(sizeMB)
-              },
-              tool: toolName,
-              platform: currentPlatform,
-              format: normalizedFormat,
-              timestamp: new Date().toISOString(),
-              metadata: {
-                created: stats.birthtime,
-                modified: stats.mtime,
-                permissions: stats.mode
-              }
-            };
-
-            if (config.returnBase64) {
-              try {
-                const imageBuffer = readFileSync(filepath);
-                const base64Data = imageBuffer.toString('base64');
-                const mimeType = getMimeType(normalizedFormat);
-                
-                result.base64 = `data:${mimeType};base64,${base64Data}`;
-                result.base64Raw = base64Data;
-                
-                log(chalk.blue('Base64 data generated'));
-              } catch (base64Error) {
-                log(chalk.yellow(`Warning: Could not generate base64: ${base64Error.message}`));
-              }
-            }
-            
-            resolve(result);
-          } else {
-            log(chalk.red(`ERROR: Failed to save with ${toolName}, trying next...`));
-            tryCommand(index + 1);
-          }
-        }
-      });
+    if (!region) {
+      throw new Error(`Region is outside the captured ${image.width}x${image.height} screen`);
     }
     
-    tryCommand(0);
-  });
+    image = cropImage(image, region);
+  }
+  
+  if (plan.redactions.length > 0) {
+    image = redactImage(image, plan.redactions);
+  }
+  
+  if (plan.resize) {
+    const size = getResizedSize(image.width, image.height, plan.resize);
+    image = resizeImage(image, size.width, size.height);
+  }
+  
+  const encoded = encodeImage(image, plan.extension, { quality: plan.quality });
+  const encodedFormat = detectImageFormat(encoded);
+  
+  if (encodedFormat !== plan.extension) {
+    throw new Error(`Encoding to ${plan.extension} produced ${encodedFormat || 'unrecognized'} data`);
+  }
+  
+  let thumbnail = null;
+  
+  if (plan.thumbnail) {
+    const size = getResizedSize(image.width, image.height, { scale: 1, maxWidth: plan.thumbnail.width });
+    thumbnail = {
+      buffer: encodeImage(resizeImage(image, size.width, size.height), plan.thumbnail.extension, { quality: plan.thumbnail.quality }),
+      width: size.width,
+      height: size.height,
+      format: plan.thumbnail.format
+    };
+  }
+  
+  const clipboard = plan.clipboard ? (plan.extension === 'png' ? encoded : encodeImage(image, 'png')) : null;
+  
+  return { buffer: encoded, nativeFormat, region, thumbnail, clipboard };
 }
 
-export default takeScreenshot;
+function getCapturedRegion(buffer, region) {
+  const info = readImageInfo(buffer);
+  if (!info) {
+    return region;
+  }
+  
+  return {
+    x: region ? region.x : 0,
+    y: region ? region.y : 0,
+    width: info.width,
+    height: info.height
+  };
+}
 
 function getMimeType(format) {
   const mimeTypes = {
@@ -242,7 +2048,9 @@ function showVersion() {
   console.log(chalk.green('License: MIT'));
 }
 
-function getSuggestions(currentPlatform) {
+function getSuggestions(runtime) {
+  const currentPlatform = runtime.platform;
+  
   if (currentPlatform === 'win32') {
     return [
       'PowerShell (native to Windows)',
@@ -254,20 +2062,26 @@ function getSuggestions(currentPlatform) {
       'screencapture (native to macOS)',
       'Check screen recording permissions in System Preferences'
     ];
+  } else {
+    return getPlatformBackends(currentPlatform, { session: detectSession(runtime.env, currentPlatform), backends: runtime.backends })
+      .map(backend => backend.description ? `${backend.name} (${backend.description})` : backend.name);
+  }
+}
+
+function getPermissionSuggestions(currentPlatform) {
+  if (currentPlatform === 'win32') {
+    return ['Run from an interactive desktop session; services and locked sessions cannot capture the screen'];
+  } else if (currentPlatform === 'darwin') {
+    return ['Allow your terminal or app under System Settings > Privacy & Security > Screen Recording'];
   } else {
     return [
-      'grim (recommended for Wayland)',
-      'gnome-screenshot (for GNOME environments)', 
-      'spectacle (for KDE Plasma)',
-      'wayshot (alternative for Wayland)',
-      'flameshot (GUI with extra features)',
-      'scrot (for X11 systems)',
-      'maim (alternative for X11)'
+      'On Wayland, use a tool your compositor allows (grim for wlroots, gnome-screenshot for GNOME, spectacle for KDE)',
+      'Check that DISPLAY or WAYLAND_DISPLAY points to a session you can access'
     ];
   }
 }
 
-export async function captureScreen(options = {}) {
+async function captureScreenWith(runtime, options = {}) {
   const {
     outputDir = process.cwd(),
     filename = null,
@@ -276,109 +2090,525 @@ export async function captureScreen(options = {}) {
     createDir = true,
     format = 'png',
     quality = 100,
-    returnBase64 = false
+    returnBase64 = false,
+    region = null,
+    display = null,
+    allDisplays = false,
+    target = 'screen',
+    preferredTools = [],
+    excludeTools = [],
+    timeout = DEFAULT_TIMEOUT,
+    deadline = 0,
+    signal = null,
+    allowBlank = false,
+    onConflict = 'increment',
+    redact = [],
+    scale = 1,
+    maxWidth = null,
+    maxHeight = null,
+    thumbnail = null,
+    embedMetadata = false,
+    sidecar = false,
+    clipboard = false,
+    sinks = [],
+    hooks = null
   } = options;
 
   try {
-    if (!existsSync(outputDir)) {
+    if (!runtime.fs.existsSync(outputDir)) {
       if (createDir) {
-        mkdirSync(outputDir, { recursive: true });
+        runtime.fs.mkdirSync(outputDir, { recursive: true });
       } else {
-        throw {
-          success: false,
-          error: `Directory does not exist: ${outputDir}`,
-          platform: platform(),
-          timestamp: new Date().toISOString(),
+        throw new DirectoryMissingError(`Directory does not exist: ${outputDir}`, {
           suggestions: ['Set createDir: true to automatically create directories', 'Create the directory manually before taking screenshot']
-        };
+        });
       }
     }
 
-    const result = await takeScreenshot(outputDir, filename, { 
-      silent, 
-      verbose,
-      format,
-      quality,
-      returnBase64
+    const result = await captureFile(runtime, outputDir, filename, { 
+      silent, 
+      verbose,
+      format,
+      quality,
+      returnBase64,
+      region,
+      display,
+      allDisplays,
+      target,
+      preferredTools,
+      excludeTools,
+      timeout,
+      deadline,
+      signal,
+      allowBlank,
+      onConflict,
+      redact,
+      scale,
+      maxWidth,
+      maxHeight,
+      thumbnail,
+      embedMetadata,
+      sidecar,
+      clipboard,
+      sinks,
+      hooks
+    });
+    
+    return result;
+  } catch (error) {
+    emitCaptureError(runtime, { silent, verbose, hooks }, error);
+    throw error;
+  }
+}
+
+// Backends without their own isAvailable() are looked up on PATH through the executor
+function findAvailableBackends(runtime, candidates) {
+  return Promise.all(candidates.map(backend => Promise.resolve()
+    .then(() => backend.isAvailable
+      ? backend.isAvailable()
+      : runtime.executor.commandExists(backend.command, { env: runtime.env, platform: runtime.platform }))
+    .catch(() => false)
+  )).then(found => candidates.filter((backend, index) => found[index]).map(backend => backend.name));
+}
+
+// Compares two screenshots given as file paths, Buffers or capture results ({ buffer } or
+// { filepath }). threshold is the mismatch percentage that still counts as a match and
+// tolerance the per-pixel color difference (0-1) ignored as noise. With diffPath a diff
+// image is written, in the format of its extension
+async function compareScreenshotsWith(runtime, a, b, options = {}) {
+  const { threshold = 0, tolerance = 0.1, ignoreRegions = [], diffPath = null, quality = 100 } = options;
+  
+  if (typeof threshold !== 'number' || !(threshold >= 0 && threshold <= 100)) {
+    throw new InvalidOptionError(`Invalid threshold: ${JSON.stringify(threshold)}`, {
+      suggestions: ['Use the accepted mismatch as a percentage between 0 and 100']
+    });
+  }
+  
+  if (typeof tolerance !== 'number' || !(tolerance >= 0 && tolerance <= 1)) {
+    throw new InvalidOptionError(`Invalid tolerance: ${JSON.stringify(tolerance)}`, {
+      suggestions: ['Use a per-pixel color tolerance between 0 (exact) and 1']
+    });
+  }
+  
+  const regions = [].concat(ignoreRegions || []).map(region => ({ region, normalized: normalizeRegion(region) }));
+  const invalidRegion = regions.find(({ normalized }) => !normalized);
+  
+  if (invalidRegion) {
+    throw new InvalidOptionError(`Invalid ignore region: ${JSON.stringify(invalidRegion.region)}`, {
+      suggestions: ['Use x,y,width,height with non-negative integer offsets and a positive size (e.g. 0,0,800,40)']
+    });
+  }
+  
+  const diffFormat = diffPath ? String(diffPath).split('.').pop().toLowerCase() : null;
+  
+  if (diffPath && !['png', 'jpg', 'jpeg', 'bmp', 'webp'].includes(diffFormat)) {
+    throw new UnsupportedFormatError(`Unsupported diff image format: ${diffPath}`, {
+      suggestions: ['End the diff path in .png, .jpg, .bmp or .webp']
+    });
+  }
+  
+  const comparison = compareImages(loadComparisonImage(runtime, a), loadComparisonImage(runtime, b), {
+    tolerance,
+    ignoreRegions: regions.map(({ normalized }) => normalized),
+    diff: Boolean(diffPath)
+  });
+  const { diff, ...details } = comparison;
+  
+  if (diff) {
+    writeOutput(runtime, diffPath, encodeImage(diff, diffFormat, { quality }));
+  }
+  
+  return {
+    match: details.mismatchPercentage <= threshold,
+    threshold,
+    tolerance,
+    ...details,
+    diffPath: diffPath || null
+  };
+}
+
+function loadComparisonImage(runtime, input) {
+  const source = input && !Buffer.isBuffer(input) && typeof input === 'object'
+    ? input.buffer || input.filepath
+    : input;
+  let buffer = source;
+  
+  if (typeof source === 'string') {
+    try {
+      buffer = runtime.fs.readFileSync(source);
+    } catch (error) {
+      throw new InvalidOptionError(`Cannot read ${source}: ${error.message}`, {
+        cause: error,
+        suggestions: ['Pass an existing image file, a Buffer or a capture result']
+      });
+    }
+  }
+  
+  if (!Buffer.isBuffer(buffer)) {
+    throw new InvalidOptionError(`Cannot compare ${JSON.stringify(input)}`, {
+      suggestions: ['Pass an image file path, a Buffer or a capture result']
+    });
+  }
+  
+  const label = typeof source === 'string' ? source : 'image buffer';
+  const format = detectImageFormat(buffer);
+  
+  if (!format || format === 'webp') {
+    throw new UnsupportedFormatError(`Cannot compare ${label}: ${format ? 'WebP images are not supported' : 'not a PNG, JPEG, BMP or XWD image'}`, {
+      suggestions: ['Compare PNG captures; they are lossless and decode exactly']
+    });
+  }
+  
+  try {
+    return decodeImage(buffer);
+  } catch (error) {
+    throw new UnsupportedFormatError(`Cannot decode ${label}: ${error.message}`, { cause: error });
+  }
+}
+
+// Reads the capture metadata of a screenshot, embedded in the image (embedMetadata) or from
+// its .json sidecar (sidecar). Resolves with metadata: null for images carrying neither
+async function readScreenshotMetadataWith(runtime, filepath) {
+  let buffer;
+  
+  try {
+    buffer = runtime.fs.readFileSync(filepath);
+  } catch (error) {
+    throw new InvalidOptionError(`Cannot read ${filepath}: ${error.message}`, {
+      cause: error,
+      suggestions: ['Pass the path of an existing screenshot']
+    });
+  }
+  
+  const info = readImageInfo(buffer);
+  
+  if (!info) {
+    throw new UnsupportedFormatError(`${filepath} is not a PNG, JPEG, BMP, WebP or XWD image`);
+  }
+  
+  let metadata = extractMetadata(buffer);
+  let source = metadata ? 'embedded' : null;
+  const sidecarPath = sidecarName(filepath);
+  
+  if (!metadata && runtime.fs.existsSync(sidecarPath)) {
+    try {
+      metadata = JSON.parse(runtime.fs.readFileSync(sidecarPath, 'utf8'));
+      source = 'sidecar';
+    } catch (error) {
+      throw new InvalidOptionError(`Cannot read metadata sidecar ${sidecarPath}: ${error.message}`, {
+        cause: error,
+        suggestions: ['Remove or fix the damaged .json file next to the screenshot']
+      });
+    }
+  }
+  
+  return {
+    filepath,
+    format: info.format,
+    width: info.width,
+    height: info.height,
+    size: {
+      bytes: buffer.length,
+      kb: parseFloat((buffer.length / 1024).toFixed(2)),
+      mb: parseFloat((buffer.length / (1024 * 1024)).toFixed(2))
+    },
+    source,
+    metadata
+  };
+}
+
+// Installed tools in the order they would be tried for the current session
+function getAvailableToolsWith(runtime) {
+  const currentPlatform = runtime.platform;
+  const session = detectSession(runtime.env, currentPlatform);
+  const commands = getPlatformBackends(currentPlatform, { session, backends: runtime.backends });
+  
+  return findAvailableBackends(runtime, commands).then(availableTools => {
+    const suitableTools = commands
+      .filter(backend => availableTools.includes(backend.name) && rankBackend(backend, session) < 3)
+      .map(backend => backend.name);
+    
+    return {
+      platform: currentPlatform,
+      session,
+      detectedTools: availableTools,
+      recommendedTool: suitableTools[0] || availableTools[0] || null,
+      available: availableTools,
+      total: commands.length,
+      hasTools: availableTools.length > 0
+    };
+  });
+}
+
+// First version number printed by the tool, or null when it has no version flag
+function getToolVersion(runtime, backend, timeout) {
+  if (!backend.versionArgs) {
+    return Promise.resolve(null);
+  }
+  
+  const parse = output => {
+    const match = String(output).match(/\d+(?:\.\d+)+(?:-\d+)?/);
+    return match ? match[0] : null;
+  };
+  
+  return runtime.executor.run([backend.command, ...backend.versionArgs], { timeout, env: runtime.env }).then(
+    ({ stdout, stderr }) => parse(`${stdout}\n${stderr}`),
+    error => parse(`${error.stdout || ''}\n${error.stderr || ''}`)
+  );
+}
+
+// Reports the session, the installed tools with their versions, problems that would stop a
+// capture and the tool that would be tried first. With testCapture a real capture is made
+// with that tool, which is the only way to notice missing screen recording permission
+async function diagnoseWith(runtime, options = {}) {
+  const { testCapture = false, timeout = 5000, display = null } = options;
+  
+  if (display !== null && !isXDisplay(display)) {
+    throw new InvalidOptionError(`Invalid X display: ${JSON.stringify(display)}`, {
+      suggestions: ["Use an X display name such as ':99'"]
     });
+  }
+  
+  const currentPlatform = runtime.platform;
+  const session = detectSession(display ? { DISPLAY: display } : runtime.env, currentPlatform);
+  const backends = getPlatformBackends(currentPlatform, { session, backends: runtime.backends });
+  const isSuitable = backend => rankBackend(backend, session) < 3 &&
+    (!display || Boolean(backend.sessions && backend.sessions.includes('x11')));
+  const availableTools = await findAvailableBackends(runtime, backends);
+  
+  const tools = await Promise.all(backends.map(async backend => {
+    const available = availableTools.includes(backend.name);
     
-    return result;
-  } catch (error) {
-    throw error;
+    return {
+      name: backend.name,
+      command: backend.command,
+      description: backend.description,
+      available,
+      version: available ? await getToolVersion(runtime, backend, timeout) : null,
+      suitable: isSuitable(backend),
+      features: [...backend.features],
+      formats: [...backend.formats]
+    };
+  }));
+  
+  const installed = tools.filter(tool => tool.available);
+  const suitable = installed.filter(tool => tool.suitable);
+  const recommendedTool = (suitable[0] || installed[0] || {}).name || null;
+  const problems = [];
+  
+  if (session.headless) {
+    problems.push({
+      code: 'NO_DISPLAY',
+      message: 'Neither DISPLAY nor WAYLAND_DISPLAY is set, so there is no graphical session to capture',
+      suggestions: ['Run inside a desktop session, or start a virtual X server such as Xvfb and set DISPLAY']
+    });
+  }
+  
+  if (installed.length === 0) {
+    problems.push({
+      code: 'NO_TOOL_AVAILABLE',
+      message: 'No screenshot tool is installed',
+      suggestions: getSuggestions(runtime)
+    });
+  } else if (suitable.length === 0 && !session.headless) {
+    problems.push({
+      code: 'SESSION_MISMATCH',
+      message: `None of the installed tools (${installed.map(tool => tool.name).join(', ')}) is made for this ${session.type} session${session.desktop ? ` (${session.desktop})` : ''}`,
+      suggestions: tools.filter(tool => tool.suitable).map(tool => tool.description ? `${tool.name} (${tool.description})` : tool.name)
+    });
+  }
+  
+  let capture = null;
+  
+  if (testCapture && recommendedTool) {
+    try {
+      const result = await captureToBufferWith(runtime, { preferredTools: [recommendedTool], display, timeout: Math.max(timeout, 10000) });
+      const info = readImageInfo(result.buffer) || {};
+      capture = { success: true, tool: result.tool, width: info.width || null, height: info.height || null };
+    } catch (error) {
+      capture = { success: false, tool: recommendedTool, code: error.code || null, error: error.message };
+      problems.push({
+        code: error.code || 'CAPTURE_FAILED',
+        message: `Test capture failed: ${error.message}`,
+        suggestions: error.suggestions || []
+      });
+    }
   }
+  
+  return {
+    ok: problems.length === 0,
+    platform: currentPlatform,
+    session,
+    tools,
+    recommendedTool,
+    problems,
+    testCapture: capture
+  };
 }
 
-export function getAvailableTools() {
-  return new Promise((resolve) => {
-    const currentPlatform = platform();
-    let commands = [];
+function listDisplaysWith(runtime) {
+  return new Promise((resolve, reject) => {
+    const currentPlatform = runtime.platform;
+    let listers = [];
     
     if (currentPlatform === 'win32') {
-      commands = ['powershell', 'nircmd', 'screencapture'];
+      // The scale is the effective DPI of the monitor under the screen's center over 96;
+      // GetDpiForMonitor needs Windows 8.1, before that scale stays null
+      listers = [{
+        tool: 'powershell',
+        command: powerShellCommand([
+          'Add-Type -AssemblyName System.Windows.Forms',
+          `Add-Type -TypeDefinition 'using System; using System.Runtime.InteropServices; public struct MonitorPoint { public int X, Y; } public static class MonitorDpi { [DllImport("user32.dll")] public static extern IntPtr MonitorFromPoint(MonitorPoint point, uint flags); [DllImport("shcore.dll")] public static extern int GetDpiForMonitor(IntPtr monitor, int type, out uint dpiX, out uint dpiY); }'`,
+          'function Get-Scale($bounds) { try { $point = New-Object MonitorPoint; $point.X = $bounds.X + [int]($bounds.Width / 2); $point.Y = $bounds.Y + [int]($bounds.Height / 2); $dpiX = [uint32]0; $dpiY = [uint32]0; if ([MonitorDpi]::GetDpiForMonitor([MonitorDpi]::MonitorFromPoint($point, 2), 0, [ref]$dpiX, [ref]$dpiY) -eq 0) { $dpiX / 96 } else { $null } } catch { $null } }',
+          '@([System.Windows.Forms.Screen]::AllScreens | ForEach-Object { @{ name = $_.DeviceName; primary = $_.Primary; x = $_.Bounds.X; y = $_.Bounds.Y; width = $_.Bounds.Width; height = $_.Bounds.Height; scale = Get-Scale $_.Bounds } }) | ConvertTo-Json -Compress'
+        ].join('; ')),
+        parse: stdout => [].concat(JSON.parse(stdout)).map(screen => ({ ...screen, scale: typeof screen.scale === 'number' ? screen.scale : null }))
+      }];
     } else if (currentPlatform === 'darwin') {
-      commands = ['screencapture'];
+      listers = [{
+        tool: 'osascript',
+        command: ['osascript', '-l', 'JavaScript', '-e', "ObjC.import('AppKit'); var screens = $.NSScreen.screens; var main = screens.objectAtIndex(0).frame; var out = []; for (var i = 0; i < screens.count; i++) { var screen = screens.objectAtIndex(i); var frame = screen.frame; out.push({ name: ObjC.unwrap(screen.localizedName) || 'Display ' + (i + 1), primary: i === 0, x: frame.origin.x, y: main.size.height - frame.origin.y - frame.size.height, width: frame.size.width, height: frame.size.height, scale: screen.backingScaleFactor }); } JSON.stringify(out)"],
+        parse: stdout => JSON.parse(stdout)
+      }];
     } else {
-      commands = ['grim', 'gnome-screenshot', 'spectacle', 'wayshot', 'flameshot', 'scrot', 'maim'];
+      listers = [
+        {
+          tool: 'wlr-randr',
+          command: ['wlr-randr', '--json'],
+          parse: stdout => JSON.parse(stdout)
+            .filter(output => output.enabled !== false)
+            .map(output => {
+              const mode = (output.modes || []).find(item => item.current) || {};
+              return { name: output.name, primary: false, x: output.position.x, y: output.position.y, width: mode.width, height: mode.height, scale: output.scale || 1 };
+            })
+        },
+        {
+          tool: 'swaymsg',
+          command: ['swaymsg', '-t', 'get_outputs', '-r'],
+          parse: stdout => JSON.parse(stdout)
+            .filter(output => output.active !== false)
+            .map(output => ({ name: output.name, primary: Boolean(output.focused), ...output.rect, scale: output.scale || 1 }))
+        },
+        {
+          tool: 'hyprctl',
+          command: ['hyprctl', 'monitors', '-j'],
+          parse: stdout => JSON.parse(stdout)
+            .map(monitor => ({ name: monitor.name, primary: Boolean(monitor.focused), x: monitor.x, y: monitor.y, width: monitor.width, height: monitor.height, scale: monitor.scale || 1 }))
+        },
+        {
+          tool: 'xrandr',
+          command: ['xrandr', '--query'],
+          parse: stdout => stdout.split('\n')
+            .map(line => line.match(/^(\S+) connected (primary )?(\d+)x(\d+)\+(\d+)\+(\d+)/))
+            .filter(Boolean)
+            .map(match => ({ name: match[1], primary: Boolean(match[2]), x: Number(match[5]), y: Number(match[6]), width: Number(match[3]), height: Number(match[4]), scale: 1 }))
+        }
+      ];
     }
     
-    const availableTools = [];
-    let checkedTools = 0;
-    
-    commands.forEach(tool => {
-      exec(`which ${tool}`, (error) => {
-        checkedTools++;
+    function tryLister(index) {
+      if (index >= listers.length) {
+        reject(new NoToolAvailableError('Could not enumerate displays', {
+          platform: currentPlatform,
+          triedTools: listers.map(lister => lister.tool),
+          suggestions: getDisplaySuggestions(currentPlatform)
+        }));
+        return;
+      }
+      
+      const { command, parse } = listers[index];
+      
+      runtime.executor.run(command, { env: runtime.env }).then(({ stdout }) => onOutput(null, stdout), error => onOutput(error));
+      
+      function onOutput(error, stdout) {
+        let displays = [];
+        
         if (!error) {
-          availableTools.push(tool);
+          try {
+            displays = parse(stdout.trim());
+          } catch (parseError) {
+            displays = [];
+          }
         }
         
-        if (checkedTools === commands.length) {
-          resolve({
-            platform: currentPlatform,
-            available: availableTools,
-            total: commands.length,
-            hasTools: availableTools.length > 0
-          });
+        if (displays.length === 0) {
+          tryLister(index + 1);
+          return;
         }
-      });
-    });
+        
+        resolve(displays.map((display, id) => ({
+          id,
+          name: display.name,
+          primary: display.primary,
+          x: display.x,
+          y: display.y,
+          width: display.width,
+          height: display.height,
+          scale: display.scale
+        })));
+      }
+    }
+    
+    tryLister(0);
   });
 }
 
-export function getLibraryVersion() {
+function getDisplaySuggestions(currentPlatform) {
+  if (currentPlatform === 'win32') {
+    return ['PowerShell with System.Windows.Forms is required to list displays'];
+  } else if (currentPlatform === 'darwin') {
+    return ['osascript (native to macOS) is required to list displays'];
+  } else {
+    return [
+      'wlr-randr (wlroots-based Wayland compositors)',
+      'swaymsg (Sway)',
+      'hyprctl (Hyprland)',
+      'xrandr (X11 systems)'
+    ];
+  }
+}
+
+function getLibraryVersionWith(runtime) {
   return {
     version: getVersion(),
-    platform: platform(),
+    platform: runtime.platform,
     name: 'crosshot',
     description: 'Cross-platform desktop screenshot utility'
   };
 }
 
-function parseArguments() {
-  const args = process.argv.slice(2);
-  const options = {};
-  
-  args.forEach(arg => {
-    if (arg.startsWith('--name=') || arg.startsWith('-n=')) {
-      options.name = arg.split('=')[1].replace(/["']/g, '');
-    } else if (arg.startsWith('-o=') || arg.startsWith('--output=')) {
-      const outputPath = arg.split('=')[1].replace(/["']/g, '');
-      options.output = outputPath.startsWith('~/') 
-        ? join(process.env.HOME || process.env.USERPROFILE, outputPath.slice(2))
-        : outputPath;
-    } else if (arg.startsWith('-f=') || arg.startsWith('--format=')) {
-      options.format = arg.split('=')[1].replace(/["']/g, '').toLowerCase();
-    } else if (arg.startsWith('-q=') || arg.startsWith('--quality=')) {
-      options.quality = parseInt(arg.split('=')[1]) || 100;
-    } else if (arg.startsWith('--help') || arg.startsWith('-h')) {
-      options.help = true;
-    } else if (arg.startsWith('--verbose')) {
-      options.verbose = true;
-    } else if (arg.startsWith('--version') || arg === '-v') {
-      options.version = true;
+function printJson(value) {
+  process.stdout.write(`${JSON.stringify(value, null, 2)}\n`);
+}
+
+// Reports an error and exits with its code. With --json the error object is the only output,
+// on stdout like a result; otherwise it goes to stderr with suggestions for usage errors
+function exitWithError(error, options = {}) {
+  const crosshotError = error instanceof CrosshotError ? error : new CrosshotError(error.message, { cause: error });
+  
+  if (options.json) {
+    printJson(crosshotError.toJSON());
+  } else {
+    console.error(chalk.red.bold('ERROR:'), chalk.red(crosshotError.message));
+    if ((options.verbose || crosshotError.code === 'INVALID_OPTION') && crosshotError.suggestions.length > 0) {
+      console.log(chalk.yellow('\nSuggestions:'));
+      crosshotError.suggestions.forEach(suggestion => {
+        console.log(chalk.gray('  - ') + chalk.white(suggestion));
+      });
     }
+  }
+  process.exit(getExitCode(error));
+}
+
+function printTools(tools) {
+  console.log(chalk.white(`Platform: ${tools.platform}`) + chalk.gray(` (${tools.session.type})`));
+  if (!tools.hasTools) {
+    console.log(chalk.red('✗ No capture tool installed'));
+    return;
+  }
+  tools.available.forEach(tool => {
+    console.log(chalk.green('✓ ') + chalk.white(tool) + (tool === tools.recommendedTool ? chalk.cyan(' (recommended)') : ''));
   });
-  
-  return options;
 }
 
 function showHelp() {
@@ -386,26 +2616,117 @@ function showHelp() {
 Crosshot - Cross-Platform Screenshot Utility
 `));
   console.log(chalk.white.bold('Usage:'));
-  console.log(chalk.gray('  crosshot [options]') + chalk.dim('        (global installation)'));
-  console.log(chalk.gray('  node index.js [options]') + chalk.dim(' (local/development)'));
+  console.log(chalk.gray('  crosshot [capture] [options]') + chalk.dim(' (global installation)'));
+  console.log(chalk.gray('  node index.js [options]') + chalk.dim('      (local/development)'));
+  console.log(chalk.gray('  crosshot tools [--json]') + chalk.dim(' (list the installed capture tools; exits with 3 when there are none)'));
+  console.log(chalk.gray('  crosshot version [--json]') + chalk.dim(' (show version information)'));
+  console.log(chalk.gray('  crosshot doctor [--display=:N] [--verbose]') + chalk.dim(' (check the session, installed tools and permissions)'));
+  console.log(chalk.gray('  crosshot watch --every=<duration> [options]') + chalk.dim(' (capture repeatedly until stopped with Ctrl+C)'));
+  console.log(chalk.gray('  crosshot burst [--frames=<n>] [--interval=<duration>] [options]') + chalk.dim(' (capture a short animation)'));
+  console.log(chalk.gray('  crosshot diff <a> <b> [--out=diff.png]') + chalk.dim(' (compare two screenshots; exits with 1 when they differ)'));
+  console.log(chalk.gray('  crosshot info <file>') + chalk.dim(' (show how a screenshot was captured; exits with 1 without metadata)'));
+  console.log(chalk.gray('  crosshot serve --port=<n> --token=<secret>') + chalk.dim(' (serve screenshots over HTTP until stopped with Ctrl+C)'));
+  console.log(chalk.gray('  crosshot completion <bash|zsh|fish>') + chalk.dim(' (print a shell completion script)'));
+  console.log(chalk.gray('\n  Values may follow the option (-o dir, --output dir) or an = (--output=dir);'));
+  console.log(chalk.gray('  short flags combine (-wv) and -- ends the options.'));
   
   console.log(chalk.white.bold('\nOptions:'));
-  console.log(chalk.green('  -n, --name=<filename>') + chalk.gray('  Set custom filename for the screenshot (without extension)'));
+  console.log(chalk.green('  -n, --name <filename>') + chalk.gray('  Set custom filename for the screenshot (without extension)'));
   console.log(chalk.gray('                        Example: ') + chalk.yellow('-n="my-capture"') + chalk.gray(' or ') + chalk.yellow('--name=desktop-screenshot'));
   
-  console.log(chalk.green('  -o, --output=<path>') + chalk.gray('   Set output directory for the screenshot'));
-  console.log(chalk.gray('                       Example: ') + chalk.yellow('-o="~/Images/Screenshots/"') + chalk.gray(' or ') + chalk.yellow('--output="./"'));
+  console.log(chalk.green('  -o, --output <path>') + chalk.gray('   Set output directory for the screenshot'));
+  console.log(chalk.gray('                       Example: ') + chalk.yellow('-o ~/Images/Screenshots/') + chalk.gray(' or ') + chalk.yellow('--output="./"'));
   console.log(chalk.gray('                       Note: Directory will be created if it doesn\'t exist'));
   
-  console.log(chalk.green('  -f, --format=<type>') + chalk.gray('   Set output format (png, jpg, jpeg, bmp, webp)'));
+  console.log(chalk.green('  -f, --format <type>') + chalk.gray('   Set output format (png, jpg, jpeg, bmp, webp)'));
   console.log(chalk.gray('                       Example: ') + chalk.yellow('-f="jpg"') + chalk.gray(' or ') + chalk.yellow('--format=webp'));
   console.log(chalk.gray('                       Default: png'));
   
-  console.log(chalk.green('  -q, --quality=<num>') + chalk.gray('   Set quality for lossy formats (1-100)'));
+  console.log(chalk.green('  -q, --quality <num>') + chalk.gray('   Set quality for lossy formats (1-100)'));
   console.log(chalk.gray('                       Example: ') + chalk.yellow('-q=85') + chalk.gray(' or ') + chalk.yellow('--quality=90'));
   console.log(chalk.gray('                       Default: 100 (only affects jpg/webp)'));
   
+  console.log(chalk.green('  -r, --region <x,y,w,h>') + chalk.gray(' Capture only a rectangle of the screen'));
+  console.log(chalk.gray('                       Example: ') + chalk.yellow('-r="0,0,800,600"') + chalk.gray(' or ') + chalk.yellow('--region=100,50,640,480'));
+  console.log(chalk.gray('                       Tools without native support capture full screen and crop'));
+  
+  console.log(chalk.green('  --redact=<x,y,w,h[:mode]>') + chalk.gray(' Hide a region before the image is saved; may be repeated'));
+  console.log(chalk.gray('                       Modes: blackout (default), blur, pixelate. Coordinates are pixels of the capture'));
+  console.log(chalk.gray('                       Example: ') + chalk.yellow('--redact=0,0,400,60 --redact=800,300,320,200:pixelate'));
+  
+  console.log(chalk.green('  --scale=<factor>') + chalk.gray('     Shrink the capture, e.g. 0.5 or 50% for a HiDPI screen'));
+  console.log(chalk.green('  --max-width=<px>') + chalk.gray('     Shrink the capture to fit this width (also --max-height=<px>)'));
+  console.log(chalk.green('  --thumbnail=<w[:fmt]>') + chalk.gray(' Also write a thumbnail this wide next to the capture (name.thumb.png)'));
+  console.log(chalk.gray('                       Example: ') + chalk.yellow('--max-width=1920 --thumbnail=320:jpg'));
+  
+  console.log(chalk.green('  --screen=<id|name>') + chalk.gray('    Capture a single display (see --list-displays)'));
+  console.log(chalk.green('  --all-screens') + chalk.gray('        Capture every display into separate files'));
+  console.log(chalk.green('  --list-displays') + chalk.gray('      List connected displays with their geometry'));
+  console.log(chalk.green('  --display=<:N>') + chalk.gray('       Capture another X server, e.g. an Xvfb display on CI'));
+  console.log(chalk.gray('                       Example: ') + chalk.yellow('--display=:99') + chalk.gray(' (uses xwd, import, maim or scrot)'));
+  
+  console.log(chalk.green('  -w, --window[=<id>]') + chalk.gray('   Capture the focused window, or the window with this id'));
+  console.log(chalk.gray('                       Example: ') + chalk.yellow('--window') + chalk.gray(' or ') + chalk.yellow('--window 0x3a00007'));
+  console.log(chalk.gray('                       Fails if no installed tool supports window capture'));
+  
+  console.log(chalk.green('  -t, --tool <names>') + chalk.gray('    Only use these capture tools, tried in the given order'));
+  console.log(chalk.gray('                       Example: ') + chalk.yellow('--tool=grim') + chalk.gray(' or ') + chalk.yellow('-t="maim,scrot"'));
+  
+  console.log(chalk.green('  --timeout=<ms>') + chalk.gray('       Kill a capture tool that takes longer and try the next one'));
+  console.log(chalk.gray('                       Example: ') + chalk.yellow('--timeout=5000') + chalk.gray(' (default: 30000, 0 disables)'));
+  
+  console.log(chalk.green('  --embed-metadata') + chalk.gray('     Store tool, platform, time and region inside the image (PNG, JPG, WebP)'));
+  console.log(chalk.green('  --sidecar') + chalk.gray('            Write the same metadata to <file>.json next to the capture'));
+  
+  console.log(chalk.green('  --allow-blank') + chalk.gray('        Accept all-black captures instead of treating them as a permission problem'));
+  
+  console.log(chalk.green('  --clipboard') + chalk.gray('          Also copy the screenshot to the clipboard as PNG'));
+  console.log(chalk.green('  --clipboard-only') + chalk.gray('     Copy to the clipboard without saving a file'));
+  console.log(chalk.gray('                       Uses wl-copy (Wayland), xclip (X11), osascript (macOS) or PowerShell (Windows)'));
+  
+  console.log(chalk.green('  --upload=<target>') + chalk.gray('    Upload the saved file; may be repeated'));
+  console.log(chalk.gray('                       https://host/path/{filename} (HTTP PUT), webhook:<url> (multipart POST)'));
+  console.log(chalk.gray('                       or s3://bucket/prefix/ (credentials and endpoint from AWS_* variables)'));
+  console.log(chalk.gray('                       Exits with ') + chalk.white(String(EXIT_CODES.UPLOAD_FAILED)) + chalk.gray(' when an upload fails; the file is kept'));
+  
+  console.log(chalk.green('  --stdout') + chalk.gray('             Write the raw image bytes to stdout instead of a file'));
+  console.log(chalk.gray('                       Example: ') + chalk.yellow('crosshot --stdout -f=jpg | ssh host "cat > shot.jpg"'));
+  
+  console.log(chalk.white.bold('\nWatch options:'));
+  console.log(chalk.green('  --every=<duration>') + chalk.gray('   Time between captures, e.g. 500ms, 30s, 5m, 1h'));
+  console.log(chalk.green('  --count=<n>') + chalk.gray('          Stop after n captures'));
+  console.log(chalk.green('  --until=<date>') + chalk.gray('       Stop at this ISO 8601 date/time'));
+  console.log(chalk.green('  --keep=<n>') + chalk.gray('           Keep only the newest n captures of this --name'));
+  console.log(chalk.green('  --max-age=<duration>') + chalk.gray(' Remove captures older than this, e.g. 7d'));
+  console.log(chalk.green('  --max-size=<size>') + chalk.gray('    Remove the oldest captures above this total size, e.g. 500MB'));
+  console.log(chalk.gray('                       Example: ') + chalk.yellow('crosshot watch --every=30s --keep=100 --max-size=500MB -o="~/desklog/"'));
+  
+  console.log(chalk.white.bold('\nBurst options:'));
+  console.log(chalk.green('  --frames=<n>') + chalk.gray('         Number of frames to capture (default: 10, at most 300)'));
+  console.log(chalk.green('  --interval=<duration>') + chalk.gray(' Time between frames, e.g. 250ms or 1s (default: 200ms)'));
+  console.log(chalk.green('  --animation=<type>') + chalk.gray('   gif (default), apng, or frames for numbered PNG files'));
+  console.log(chalk.green('  --keep-duplicates') + chalk.gray('    Keep identical consecutive frames instead of merging them'));
+  console.log(chalk.gray('                       Example: ') + chalk.yellow('crosshot burst --frames=20 --interval=250ms --window --max-width=800'));
+  
+  console.log(chalk.white.bold('\nDiff options:'));
+  console.log(chalk.green('  --out=<path>') + chalk.gray('         Write an image with the differences in red'));
+  console.log(chalk.green('  --threshold=<pct>') + chalk.gray('    Mismatch percentage still accepted as a match (default: 0)'));
+  console.log(chalk.green('  --tolerance=<0-1>') + chalk.gray('    Per-pixel color difference treated as noise (default: 0.1)'));
+  console.log(chalk.green('  --ignore=<x,y,w,h>') + chalk.gray('   Skip a region such as a clock; may be repeated'));
+  console.log(chalk.gray('                       Example: ') + chalk.yellow('crosshot diff baseline.png current.png --out=diff.png --threshold=0.5'));
+  
+  console.log(chalk.white.bold('\nServe options:'));
+  console.log(chalk.green('  --port=<n>') + chalk.gray('           Port to listen on (default: 8080)'));
+  console.log(chalk.green('  --host=<address>') + chalk.gray('     Address to listen on (default: every interface)'));
+  console.log(chalk.green('  --token=<secret>') + chalk.gray('     Bearer token clients must send; also read from CROSSHOT_TOKEN'));
+  console.log(chalk.gray('                       Required unless --host is a loopback address'));
+  console.log(chalk.gray('                       Endpoints: ') + chalk.yellow('GET /screenshot?format=jpg&quality=80&display=1, GET /tools, GET /health'));
+  console.log(chalk.gray('                       Capture options given here are the defaults for every request'));
+  
+  console.log(chalk.white.bold('\nGeneral:'));
   console.log(chalk.green('  --verbose') + chalk.gray('            Show detailed information and result object'));
+  console.log(chalk.green('  --json') + chalk.gray('               Print exactly one JSON result or error object on stdout'));
+  console.log(chalk.gray('                       Example: ') + chalk.yellow('crosshot --json | jq -r .filepath'));
   console.log(chalk.green('  -v, --version') + chalk.gray('        Show version information'));
   console.log(chalk.green('  -h, --help') + chalk.gray('           Show this help message'));
 
@@ -415,71 +2736,555 @@ Crosshot - Cross-Platform Screenshot Utility
   console.log(chalk.cyan('  crosshot ') + chalk.yellow('-n="important-capture"'));
   console.log(chalk.cyan('  crosshot ') + chalk.yellow('-f="jpg" -q=85'));
   console.log(chalk.cyan('  crosshot ') + chalk.yellow('-n="screenshot" -f="webp"'));
+  console.log(chalk.cyan('  crosshot ') + chalk.yellow('--region=0,0,1280,720'));
+  console.log(chalk.cyan('  crosshot ') + chalk.yellow('--window -n="app"'));
+  console.log(chalk.cyan('  crosshot ') + chalk.yellow('--display=:99 -o ./artifacts/'));
   console.log(chalk.cyan('  crosshot ') + chalk.yellow('--verbose'));
   
   console.log(chalk.magenta('\nLocal/Development usage:'));
   console.log(chalk.cyan('  node index.js'));
   console.log(chalk.cyan('  node index.js ') + chalk.yellow('-n="important-capture"'));
-  console.log(chalk.cyan('  node index.js ') + chalk.yellow('-o="~/Images/Screenshots/"'));
+  console.log(chalk.cyan('  node index.js ') + chalk.yellow('-o ~/Images/Screenshots/'));
   console.log(chalk.cyan('  node index.js ') + chalk.yellow('--help'));
 
   console.log(chalk.magenta('\nSupported formats: PNG (default), JPG/JPEG, BMP, WebP'));
   console.log(chalk.gray('Quality setting only affects lossy formats (JPG, WebP).'));
   console.log(chalk.gray('Install globally: ') + chalk.white('npm install -g @ltcode/crosshot'));
   console.log(chalk.gray('Tilde (~) expands to your home directory on Unix-like systems.'));
+  
+  console.log(chalk.magenta('\nExit codes:'));
+  Object.entries(EXIT_CODES).forEach(([code, exitCode]) => {
+    console.log(chalk.green(`  ${String(exitCode).padEnd(4)}`) + chalk.gray(code));
+  });
 }
 
-if (import.meta.url === `file://${process.argv[1]}`) {
-  const options = parseArguments();
+function runWatch(options) {
+  const platformTools = listBackends({ platform: platform() }).map(backend => backend.name);
+  let watcher;
   
-  if (options.help) {
-    showHelp();
-    process.exit(0);
+  try {
+    watcher = captureInterval({
+      every: options.every,
+      count: options.count ?? 0,
+      until: options.until ?? null,
+      retention: { keep: options.keep ?? 0, maxAge: options.maxAge ?? 0, maxSize: options.maxSize ?? 0 },
+      outputDir: options.output || './',
+      filename: options.name || null,
+      format: options.format || 'png',
+      quality: options.quality ?? 100,
+      region: options.region || null,
+      display: options.xDisplay || options.screen || null,
+      allDisplays: options.allScreens || false,
+      target: options.target || 'screen',
+      timeout: options.timeout,
+      allowBlank: options.allowBlank || false,
+      redact: options.redact || [],
+      scale: options.scale ?? 1,
+      maxWidth: options.maxWidth ?? null,
+      maxHeight: options.maxHeight ?? null,
+      thumbnail: options.thumbnail || null,
+      embedMetadata: options.embedMetadata || false,
+      clipboard: options.clipboard || options.clipboardOnly || false,
+      sidecar: options.sidecar || false,
+      sinks: options.upload || [],
+      onConflict: options.onConflict || 'increment',
+      preferredTools: options.tools || [],
+      excludeTools: options.tools ? platformTools.filter(tool => !options.tools.includes(tool)) : []
+    });
+  } catch (error) {
+    exitWithError(error, { ...options, verbose: true });
   }
   
-  if (options.version) {
-    showVersion();
-    process.exit(0);
-  }
+  let lastError = null;
   
-  const outputDir = options.output || "./";
+  watcher.on('capture', result => {
+    if (options.json) {
+      return;
+    }
+    [].concat(result).forEach(item => {
+      console.log(chalk.green('✓ ') + chalk.white(item.filepath));
+      item.uploads.filter(upload => !upload.success).forEach(upload => {
+        console.error(chalk.red.bold('ERROR:'), chalk.red(upload.error.message));
+      });
+    });
+  });
+  watcher.on('error', error => {
+    lastError = error;
+    if (!options.json) {
+      console.error(chalk.red.bold('ERROR:'), chalk.red(error.message));
+    }
+  });
+  watcher.on('prune', removed => {
+    if (options.verbose && !options.json) {
+      removed.forEach(capture => console.log(chalk.gray(`Removed ${capture.path}`)));
+    }
+  });
   
-  try {
-    if (!existsSync(outputDir)) {
-      mkdirSync(outputDir, { recursive: true });
-      if (options.verbose) {
-        console.log(chalk.blue('Created directory: ') + chalk.white.underline(outputDir));
-      }
+  process.once('SIGINT', () => watcher.stop());
+  process.once('SIGTERM', () => watcher.stop());
+  
+  watcher.done.then(summary => {
+    if (summary.captures === 0 && lastError) {
+      exitWithError(lastError, options);
     }
-  } catch (error) {
-    console.error(chalk.red.bold(`ERROR: Error creating directory: ${error.message}`));
-    process.exit(1);
-  }
+    if (options.json) {
+      printJson(summary);
+    } else if (options.verbose) {
+      console.log(chalk.gray(`Stopped (${summary.reason}) after ${summary.captures} captures, ${summary.failures} failed`));
+    }
+    process.exit(0);
+  });
+}
+
+function runBurst(options) {
+  const platformTools = listBackends({ platform: platform() }).map(backend => backend.name);
   
-  takeScreenshot(outputDir, options.name, { 
-    silent: false, 
+  captureBurst({
+    frames: options.frames ?? 10,
+    intervalMs: options.interval ?? 200,
+    output: options.animation || 'gif',
+    dedupe: !options.keepDuplicates,
+    outputDir: options.output || './',
+    filename: options.name || null,
+    silent: Boolean(options.json),
     verbose: options.verbose || false,
-    format: options.format || 'png',
-    quality: options.quality || 100
+    format: options.format,
+    quality: options.quality,
+    region: options.region || null,
+    display: options.xDisplay || options.screen || null,
+    allDisplays: options.allScreens || false,
+    target: options.target || 'screen',
+    timeout: options.timeout,
+    allowBlank: options.allowBlank || false,
+    redact: options.redact || [],
+    scale: options.scale ?? 1,
+    maxWidth: options.maxWidth ?? null,
+    maxHeight: options.maxHeight ?? null,
+    thumbnail: options.thumbnail || null,
+    embedMetadata: options.embedMetadata || false,
+    clipboard: options.clipboard || options.clipboardOnly || false,
+    sidecar: options.sidecar || false,
+    sinks: options.upload || [],
+    onConflict: options.onConflict || 'increment',
+    preferredTools: options.tools || [],
+    excludeTools: options.tools ? platformTools.filter(tool => !options.tools.includes(tool)) : []
   })
     .then(result => {
+      if (options.json) {
+        printJson(result);
+        return;
+      }
+      
+      console.log(chalk.green('✓ Success'));
+      result.files.forEach(file => console.log(chalk.white(file.filepath)));
+      console.log(chalk.gray(`${result.frames} frame${result.frames === 1 ? '' : 's'} (${result.captured} captured), ${(result.duration / 1000).toFixed(2)} s, ${result.dimensions.width}x${result.dimensions.height}, ${result.size.kb} KB`));
       if (options.verbose) {
-        console.log(chalk.green.bold('Screenshot taken successfully!'));
-        console.log(chalk.gray('Detailed result:'));
         console.log(JSON.stringify(result, null, 2));
-      } else {
-        console.log(chalk.green('✓ Success'));
-        console.log(chalk.white(result.filepath));
       }
     })
-    .catch(error => {
-      console.error(chalk.red.bold('ERROR:'), chalk.red(error.error || error.message));
-      if (options.verbose && error.suggestions) {
-        console.log(chalk.yellow('\nSuggestions:'));
-        error.suggestions.forEach(suggestion => {
-          console.log(chalk.gray('  - ') + chalk.white(suggestion));
-        });
-      }
-      process.exit(1);
+    .catch(error => exitWithError(error, options));
+}
+
+function runServe(options) {
+  const port = options.port ?? 8080;
+  const host = options.host || null;
+  const token = options.token || process.env.CROSSHOT_TOKEN || null;
+  const loopback = ['127.0.0.1', '::1', 'localhost'].includes(host);
+  const platformTools = listBackends({ platform: platform() }).map(backend => backend.name);
+  
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    console.error(chalk.red.bold(`ERROR: Invalid port: ${port}`));
+    process.exit(EXIT_CODES.INVALID_OPTION);
+  }
+  
+  if (!token && !loopback) {
+    console.error(chalk.red.bold('ERROR: crosshot serve needs a token to listen on the network'));
+    console.log(chalk.gray('Pass --token=<secret> or set CROSSHOT_TOKEN, or use --host=127.0.0.1 to serve this machine only'));
+    process.exit(EXIT_CODES.INVALID_OPTION);
+  }
+  
+  let server;
+  
+  try {
+    server = createServer({
+      token,
+      format: options.format || 'png',
+      quality: options.quality ?? 100,
+      region: options.region || null,
+      display: options.xDisplay || options.screen || null,
+      target: options.target || 'screen',
+      timeout: options.timeout,
+      allowBlank: options.allowBlank || false,
+      redact: options.redact || [],
+      scale: options.scale ?? 1,
+      maxWidth: options.maxWidth ?? null,
+      maxHeight: options.maxHeight ?? null,
+      embedMetadata: options.embedMetadata || false,
+      preferredTools: options.tools || [],
+      excludeTools: options.tools ? platformTools.filter(tool => !options.tools.includes(tool)) : []
+    });
+  } catch (error) {
+    console.error(chalk.red.bold('ERROR:'), chalk.red(error.message));
+    process.exit(getExitCode(error));
+  }
+  
+  server.on('request', (request, response) => {
+    const started = Date.now();
+    response.on('close', () => {
+      const status = response.writableFinished ? response.statusCode : 'aborted';
+      const color = response.statusCode < 400 && response.writableFinished ? chalk.green : chalk.yellow;
+      console.log(chalk.gray(new Date().toISOString()) + ' ' + chalk.white(`${request.method} ${request.url}`) + ' ' + color(status) + chalk.gray(` ${Date.now() - started} ms`));
+    });
+  });
+  
+  server.on('error', error => {
+    console.error(chalk.red.bold('ERROR:'), chalk.red(error.code === 'EADDRINUSE' ? `Port ${port} is already in use` : error.message));
+    process.exit(1);
+  });
+  
+  server.listen(port, host || undefined, () => {
+    const address = server.address();
+    const shown = address.family === 'IPv6' || address.family === 6 ? `[${address.address}]` : address.address;
+    console.log(chalk.green('✓ Serving screenshots on ') + chalk.white.underline(`http://${shown}:${address.port}/screenshot`) + (token ? chalk.gray(' (bearer token required)') : ''));
+  });
+  
+  const stop = () => {
+    server.close(() => process.exit(0));
+    if (server.closeIdleConnections) {
+      server.closeIdleConnections();
+    }
+  };
+  
+  process.once('SIGINT', stop);
+  process.once('SIGTERM', stop);
+}
+
+function printScreenshotInfo(info) {
+  const { metadata } = info;
+  const describeRegion = region => `${region.width}x${region.height}+${region.x}+${region.y}`;
+  
+  console.log(chalk.white.bold('File: ') + chalk.white.underline(info.filepath));
+  console.log(chalk.white.bold('Image: ') + chalk.cyan(`${info.format} ${info.width}x${info.height}, ${info.size.kb} KB`));
+  
+  if (!metadata) {
+    console.log(chalk.yellow('No crosshot metadata found') + chalk.gray(' (capture with --embed-metadata or --sidecar)'));
+    return;
+  }
+  
+  const display = metadata.display && typeof metadata.display === 'object' ? metadata.display.name : metadata.display;
+  const target = metadata.target && typeof metadata.target === 'object' ? `window ${metadata.target.windowId}` : metadata.target;
+  const fields = [
+    ['Captured', metadata.timestamp],
+    ['Tool', metadata.tool && `${metadata.tool}${metadata.nativeFormat && metadata.nativeFormat !== metadata.format ? ` (${metadata.nativeFormat} converted to ${metadata.format})` : ''}`],
+    ['Platform', metadata.platform],
+    ['Target', target],
+    ['Region', metadata.region && describeRegion(metadata.region)],
+    ['Display', display],
+    ['Software', metadata.software],
+    ['Source', info.source === 'sidecar' ? sidecarName(info.filepath) : 'embedded in the image']
+  ];
+  
+  fields.filter(([, value]) => value).forEach(([label, value]) => {
+    console.log(chalk.white.bold(`${label}: `) + chalk.cyan(value));
+  });
+}
+
+function printDiagnosis(report) {
+  const { session } = report;
+  
+  console.log(chalk.white.bold('Platform: ') + chalk.cyan(report.platform));
+  console.log(chalk.white.bold('Session:  ') + chalk.cyan(session.type) + (session.desktop ? chalk.gray(` (${session.desktop})`) : ''));
+  
+  console.log(chalk.white.bold('\nTools:'));
+  report.tools.forEach(tool => {
+    const mark = tool.available ? chalk.green('✓') : chalk.red('✗');
+    const version = tool.version ? chalk.gray(` ${tool.version}`) : '';
+    const notes = [
+      tool.name === report.recommendedTool ? chalk.cyan('recommended') : null,
+      tool.available && !tool.suitable ? chalk.yellow(`not made for this ${session.type} session`) : null
+    ].filter(Boolean);
+    console.log(`  ${mark} ${tool.available ? chalk.white(tool.name) : chalk.gray(tool.name)}${version}${notes.length ? chalk.gray(' - ') + notes.join(', ') : ''}`);
+  });
+  
+  if (report.testCapture && report.testCapture.success) {
+    console.log(chalk.white.bold('\nTest capture: ') + chalk.green(`ok with ${report.testCapture.tool} (${report.testCapture.width}x${report.testCapture.height})`));
+  }
+  
+  if (report.ok) {
+    console.log(chalk.green.bold('\nNo problems found'));
+    return;
+  }
+  
+  console.log(chalk.yellow.bold('\nProblems:'));
+  report.problems.forEach(problem => {
+    console.log(chalk.red(`  ${problem.code}: `) + chalk.white(problem.message));
+    problem.suggestions.forEach(suggestion => {
+      console.log(chalk.gray('    - ') + chalk.white(suggestion));
     });
+  });
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  let options;
+  
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    exitWithError(error, { json: process.argv.includes('--json') });
+  }
+  
+  const command = options.command || 'capture';
+  
+  if (options.xDisplay !== undefined && !isXDisplay(options.xDisplay)) {
+    exitWithError(new InvalidOptionError(`Invalid X display: ${options.xDisplay}`, {
+      suggestions: ['Use an X display name such as --display=:99; use --screen to pick a monitor']
+    }), options);
+  }
+  
+  if (options.xDisplay && options.screen !== undefined) {
+    exitWithError(new InvalidOptionError('--display and --screen cannot be combined'), options);
+  }
+  
+  if (options.tools) {
+    const platformTools = listBackends({ platform: platform() }).map(backend => backend.name);
+    const unknownTools = options.tools.filter(tool => !platformTools.includes(tool));
+    
+    if (unknownTools.length > 0) {
+      exitWithError(new InvalidOptionError(`Unknown tool: ${unknownTools.join(', ')}`, {
+        suggestions: [`Available on ${platform()}: ${platformTools.join(', ')}`]
+      }), options);
+    }
+  }
+  
+  if (options.json && (options.stdout || ['serve', 'completion'].includes(command))) {
+    exitWithError(new InvalidOptionError(`--json cannot be combined with ${options.stdout ? '--stdout' : command}`, {
+      suggestions: ['Drop --json; this command does not print a result']
+    }), options);
+  }
+  
+  if (options.help) {
+    showHelp();
+    process.exit(0);
+  }
+  
+  if (options.version || command === 'version') {
+    if (options.json) {
+      printJson(getLibraryVersion());
+    } else {
+      showVersion();
+    }
+    process.exit(0);
+  }
+  
+  if (command === 'completion') {
+    const [shell] = options.args;
+    
+    try {
+      process.stdout.write(generateCompletion(shell || ''));
+    } catch (error) {
+      exitWithError(error, options);
+    }
+  } else if (command === 'tools') {
+    getAvailableTools()
+      .then(tools => {
+        if (options.json) {
+          printJson(tools);
+        } else {
+          printTools(tools);
+        }
+        process.exit(tools.hasTools ? 0 : EXIT_CODES.NO_TOOL_AVAILABLE);
+      })
+      .catch(error => exitWithError(error, options));
+  } else if (command === 'doctor') {
+    diagnose({ testCapture: true, display: options.xDisplay || null })
+      .then(report => {
+        if (options.json) {
+          printJson(report);
+        } else {
+          printDiagnosis(report);
+          if (options.verbose) {
+            console.log(JSON.stringify(report, null, 2));
+          }
+        }
+        process.exit(report.ok ? 0 : (EXIT_CODES[report.problems[0].code] || 1));
+      })
+      .catch(error => exitWithError(error, options));
+  } else if (command === 'watch') {
+    runWatch(options);
+  } else if (command === 'burst') {
+    runBurst(options);
+  } else if (command === 'serve') {
+    runServe(options);
+  } else if (command === 'diff') {
+    const [first, second] = options.args;
+    
+    if (!first || !second) {
+      exitWithError(new InvalidOptionError('crosshot diff needs two images', {
+        suggestions: ['Usage: crosshot diff <a> <b> [--out=diff.png] [--threshold=<pct>]']
+      }), options);
+    }
+    
+    compareScreenshots(first, second, {
+      threshold: options.threshold ?? 0,
+      tolerance: options.tolerance ?? 0.1,
+      ignoreRegions: options.ignore || [],
+      diffPath: options.out || null
+    })
+      .then(result => {
+        const percentage = `${Number(result.mismatchPercentage.toFixed(4))}%`;
+        
+        if (options.json) {
+          printJson(result);
+        } else if (result.match) {
+          console.log(chalk.green('✓ Images match') + chalk.gray(` (${result.mismatchedPixels} pixels differ, ${percentage})`));
+        } else {
+          console.log(chalk.red('✗ Images differ') + chalk.gray(`: ${result.mismatchedPixels} pixels, ${percentage} > ${result.threshold}%`) + (result.sameSize ? '' : chalk.yellow(' (sizes differ)')));
+        }
+        if (!options.json && result.diffPath) {
+          console.log(chalk.blue('Diff image: ') + chalk.white.underline(result.diffPath));
+        }
+        if (!options.json && options.verbose) {
+          console.log(JSON.stringify(result, null, 2));
+        }
+        process.exit(result.match ? 0 : 1);
+      })
+      .catch(error => exitWithError(error, options));
+  } else if (command === 'info') {
+    const [file] = options.args;
+    
+    if (!file) {
+      exitWithError(new InvalidOptionError('crosshot info needs an image', {
+        suggestions: ['Usage: crosshot info <file> [--verbose]']
+      }), options);
+    }
+    
+    readScreenshotMetadata(file)
+      .then(info => {
+        if (options.json) {
+          printJson(info);
+        } else {
+          printScreenshotInfo(info);
+          if (options.verbose) {
+            console.log(JSON.stringify(info, null, 2));
+          }
+        }
+        process.exit(info.metadata ? 0 : 1);
+      })
+      .catch(error => exitWithError(error, options));
+  } else if (options.listDisplays) {
+    listDisplays()
+      .then(displays => {
+        if (options.json) {
+          printJson(displays);
+        } else {
+          displays.forEach(display => {
+            console.log(chalk.green(`${display.id}`) + chalk.white(` ${display.name}`) + chalk.gray(` ${display.width}x${display.height}+${display.x}+${display.y}`) + (display.primary ? chalk.cyan(' (primary)') : ''));
+          });
+        }
+        process.exit(0);
+      })
+      .catch(error => exitWithError(error, options));
+  } else if (options.stdout || options.clipboardOnly) {
+    const tools = options.tools || null;
+    const platformTools = listBackends({ platform: platform() }).map(backend => backend.name);
+    
+    captureToBuffer({
+      silent: Boolean(options.json),
+      verbose: options.verbose || false,
+      format: options.format || 'png',
+      quality: options.quality ?? 100,
+      region: options.region || null,
+      display: options.xDisplay || options.screen || null,
+      target: options.target || 'screen',
+      timeout: options.timeout,
+      allowBlank: options.allowBlank || false,
+      redact: options.redact || [],
+      scale: options.scale ?? 1,
+      maxWidth: options.maxWidth ?? null,
+      maxHeight: options.maxHeight ?? null,
+      embedMetadata: options.embedMetadata || false,
+      clipboard: options.clipboard || options.clipboardOnly || false,
+      sinks: options.upload || [],
+      preferredTools: tools || [],
+      excludeTools: tools ? platformTools.filter(tool => !tools.includes(tool)) : []
+    })
+      .then(result => {
+        if (options.stdout) {
+          process.stdout.write(result.buffer);
+        } else if (options.json) {
+          const { buffer, ...details } = result;
+          printJson(details);
+        } else {
+          console.log(chalk.green('✓ Copied to the clipboard') + chalk.gray(` (${result.clipboard.tool})`));
+        }
+      })
+      .catch(error => exitWithError(error, options));
+  } else {
+    const outputDir = options.output || "./";
+    const platformTools = listBackends({ platform: platform() }).map(backend => backend.name);
+    
+    try {
+      if (!existsSync(outputDir)) {
+        mkdirSync(outputDir, { recursive: true });
+        if (options.verbose && !options.json) {
+          console.log(chalk.blue('Created directory: ') + chalk.white.underline(outputDir));
+        }
+      }
+    } catch (error) {
+      exitWithError(new DirectoryMissingError(`Error creating directory: ${error.message}`, { cause: error }), options);
+    }
+    
+    takeScreenshot(outputDir, options.name, { 
+      silent: Boolean(options.json), 
+      verbose: options.verbose || false,
+      format: options.format || 'png',
+      quality: options.quality ?? 100,
+      region: options.region || null,
+      display: options.xDisplay || options.screen || null,
+      allDisplays: options.allScreens || false,
+      target: options.target || 'screen',
+      timeout: options.timeout,
+      allowBlank: options.allowBlank || false,
+      redact: options.redact || [],
+      scale: options.scale ?? 1,
+      maxWidth: options.maxWidth ?? null,
+      maxHeight: options.maxHeight ?? null,
+      thumbnail: options.thumbnail || null,
+      embedMetadata: options.embedMetadata || false,
+      clipboard: options.clipboard || options.clipboardOnly || false,
+      sidecar: options.sidecar || false,
+      sinks: options.upload || [],
+      onConflict: options.onConflict || 'increment',
+      preferredTools: options.tools || [],
+      excludeTools: options.tools ? platformTools.filter(tool => !options.tools.includes(tool)) : []
+    })
+      .then(result => {
+        const uploads = [].concat(result).flatMap(item => item.uploads);
+        
+        if (options.json) {
+          printJson(result);
+        } else if (options.verbose) {
+          console.log(chalk.green.bold('Screenshot taken successfully!'));
+          console.log(chalk.gray('Detailed result:'));
+          console.log(JSON.stringify(result, null, 2));
+        } else {
+          console.log(chalk.green('✓ Success'));
+          [].concat(result).forEach(item => console.log(chalk.white(item.filepath)));
+          if (result.clipboard) {
+            console.log(chalk.gray(`Copied to the clipboard (${result.clipboard.tool})`));
+          }
+          uploads.forEach(upload => {
+            if (upload.success) {
+              console.log(chalk.gray(`Uploaded to ${upload.sink}${upload.url ? `: ${upload.url}` : ''}`));
+            } else {
+              console.error(chalk.red.bold('ERROR:'), chalk.red(upload.error.message));
+            }
+          });
+        }
+        if (uploads.some(upload => !upload.success)) {
+          process.exit(EXIT_CODES.UPLOAD_FAILED);
+        }
+      })
+      .catch(error => exitWithError(error, options));
+  }
 }
@@ -0,0 +1,324 @@
+// Animated GIF and APNG encoders for burst captures
+// Frames are RGBA images of one size with a delay in milliseconds. After the first frame only
+// the rectangle that changed is stored, which keeps recordings of a mostly still screen small.
+// GIF colors come from one median-cut palette for all frames; APNG stays lossless
+
+import { encodeImage, cropImage } from './image.js';
+import { pngChunk } from './metadata.js';
+
+export const ANIMATION_FORMATS = ['gif', 'apng'];
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const MAX_PALETTE = 256;
+const MAX_SAMPLES = 200000;
+const LZW_MIN_CODE_SIZE = 8;
+const LZW_MAX_CODE = 4096;
+
+// Consecutive frames with identical pixels become one frame shown for their combined delay
+export function dedupeFrames(frames) {
+  return frames.reduce((unique, frame) => {
+    const previous = unique[unique.length - 1];
+
+    if (previous && previous.image.data.equals(frame.image.data)) {
+      unique[unique.length - 1] = { ...previous, delay: previous.delay + frame.delay };
+    } else {
+      unique.push(frame);
+    }
+    return unique;
+  }, []);
+}
+
+// Bounding box of the pixels that differ between two images of the same size; a single
+// pixel when nothing changed, since every frame must cover at least one
+function changedRegion(previous, image) {
+  const { width, height } = image;
+  let left = width;
+  let top = height;
+  let right = -1;
+  let bottom = -1;
+
+  for (let y = 0; y < height; y++) {
+    const row = y * width * 4;
+    for (let x = 0; x < width; x++) {
+      const offset = row + x * 4;
+      if (previous.data.readUInt32LE(offset) !== image.data.readUInt32LE(offset)) {
+        left = Math.min(left, x);
+        right = Math.max(right, x);
+        top = Math.min(top, y);
+        bottom = y;
+      }
+    }
+  }
+
+  return right < 0
+    ? { x: 0, y: 0, width: 1, height: 1 }
+    : { x: left, y: top, width: right - left + 1, height: bottom - top + 1 };
+}
+
+// Region of every frame to store: the whole first frame, then what changed
+function frameRegions(frames) {
+  return frames.map((frame, index) => (index === 0
+    ? { x: 0, y: 0, width: frame.image.width, height: frame.image.height }
+    : changedRegion(frames[index - 1].image, frame.image)));
+}
+
+// Colors of all frames with their pixel counts, from an even sample of at most MAX_SAMPLES
+// pixels. Keys are 0xRRGGBB
+function colorHistogram(frames) {
+  const total = frames.reduce((sum, frame) => sum + frame.image.width * frame.image.height, 0);
+  const step = Math.max(1, Math.floor(total / MAX_SAMPLES));
+  const counts = new Map();
+
+  frames.forEach(({ image }) => {
+    for (let offset = 0; offset < image.data.length; offset += step * 4) {
+      const color = (image.data[offset] << 16) | (image.data[offset + 1] << 8) | image.data[offset + 2];
+      counts.set(color, (counts.get(color) || 0) + 1);
+    }
+  });
+
+  return [...counts].map(([color, count]) => ({ rgb: [color >> 16, (color >> 8) & 0xff, color & 0xff], count }));
+}
+
+// Median cut: the box with the widest channel range is split at its weighted median until
+// there are MAX_PALETTE boxes; each box becomes its weighted mean color
+function buildPalette(frames) {
+  const colors = colorHistogram(frames);
+
+  if (colors.length <= MAX_PALETTE) {
+    return colors.map(color => color.rgb);
+  }
+
+  const describe = box => {
+    const ranges = [0, 1, 2].map(channel => {
+      let low = 255;
+      let high = 0;
+      box.forEach(color => {
+        low = Math.min(low, color.rgb[channel]);
+        high = Math.max(high, color.rgb[channel]);
+      });
+      return high - low;
+    });
+    const channel = ranges.indexOf(Math.max(...ranges));
+    return { colors: box, channel, range: ranges[channel] };
+  };
+  const boxes = [describe(colors)];
+
+  while (boxes.length < MAX_PALETTE) {
+    const widest = boxes.reduce((best, box) => (box.range > best.range ? box : best));
+
+    if (widest.range === 0) {
+      break;
+    }
+
+    const sorted = [...widest.colors].sort((a, b) => a.rgb[widest.channel] - b.rgb[widest.channel]);
+    const half = sorted.reduce((sum, color) => sum + color.count, 0) / 2;
+    let split = 1;
+
+    for (let seen = sorted[0].count; split < sorted.length - 1 && seen < half; split++) {
+      seen += sorted[split].count;
+    }
+
+    boxes.splice(boxes.indexOf(widest), 1, describe(sorted.slice(0, split)), describe(sorted.slice(split)));
+  }
+
+  return boxes.map(({ colors: box }) => {
+    const weight = box.reduce((sum, color) => sum + color.count, 0);
+    return [0, 1, 2].map(channel => Math.round(box.reduce((sum, color) => sum + color.rgb[channel] * color.count, 0) / weight));
+  });
+}
+
+// Maps RGBA pixels to the nearest palette entry. Colors in the palette map to themselves;
+// other answers are cached per 15-bit color (5 bits a channel), which bounds the
+// nearest-color searches for photos and gradients
+function createColorMapper(palette) {
+  const exact = new Map(palette.map(([red, green, blue], index) => [(red << 16) | (green << 8) | blue, index]));
+  const cache = new Int16Array(1 << 15).fill(-1);
+
+  return (data, offset) => {
+    const index = exact.get((data[offset] << 16) | (data[offset + 1] << 8) | data[offset + 2]);
+
+    if (index !== undefined) {
+      return index;
+    }
+
+    const key = ((data[offset] >> 3) << 10) | ((data[offset + 1] >> 3) << 5) | (data[offset + 2] >> 3);
+
+    if (cache[key] === -1) {
+      const rgb = [(key >> 10) << 3 | 4, ((key >> 5) & 31) << 3 | 4, (key & 31) << 3 | 4];
+      let best = Infinity;
+      palette.forEach((entry, candidate) => {
+        const distance = (entry[0] - rgb[0]) ** 2 + (entry[1] - rgb[1]) ** 2 + (entry[2] - rgb[2]) ** 2;
+        if (distance < best) {
+          best = distance;
+          cache[key] = candidate;
+        }
+      });
+    }
+    return cache[key];
+  };
+}
+
+// Variable-width LZW as GIF uses it, packed least significant bit first into sub-blocks
+// of at most 255 bytes
+function lzwEncode(indices) {
+  const clearCode = 1 << LZW_MIN_CODE_SIZE;
+  const endCode = clearCode + 1;
+  const bytes = [];
+  let codeSize = LZW_MIN_CODE_SIZE + 1;
+  let nextCode = endCode + 1;
+  let table = new Map();
+  let bits = 0;
+  let bitCount = 0;
+
+  const write = code => {
+    bits |= code << bitCount;
+    bitCount += codeSize;
+    while (bitCount >= 8) {
+      bytes.push(bits & 0xff);
+      bits >>>= 8;
+      bitCount -= 8;
+    }
+  };
+
+  write(clearCode);
+  let prefix = indices[0];
+
+  for (let position = 1; position < indices.length; position++) {
+    const index = indices[position];
+    const key = (prefix << 8) | index;
+    const code = table.get(key);
+
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+
+    write(prefix);
+    if (nextCode === LZW_MAX_CODE) {
+      write(clearCode);
+      table = new Map();
+      nextCode = endCode + 1;
+      codeSize = LZW_MIN_CODE_SIZE + 1;
+    } else {
+      if (nextCode >= 1 << codeSize) {
+        codeSize++;
+      }
+      table.set(key, nextCode++);
+    }
+    prefix = index;
+  }
+
+  write(prefix);
+  write(endCode);
+  if (bitCount > 0) {
+    bytes.push(bits & 0xff);
+  }
+
+  const blocks = [Buffer.from([LZW_MIN_CODE_SIZE])];
+  for (let offset = 0; offset < bytes.length; offset += 255) {
+    const block = bytes.slice(offset, offset + 255);
+    blocks.push(Buffer.from([block.length, ...block]));
+  }
+  blocks.push(Buffer.from([0]));
+  return Buffer.concat(blocks);
+}
+
+// Looping GIF89a. Delays are rounded to hundredths of a second with a minimum of two,
+// below which browsers fall back to a slow default
+export function encodeGif(frames) {
+  const { width, height } = frames[0].image;
+  const palette = buildPalette(frames);
+  const mapColor = createColorMapper(palette);
+  const header = Buffer.alloc(13);
+
+  header.write('GIF89a', 0, 'ascii');
+  header.writeUInt16LE(width, 6);
+  header.writeUInt16LE(height, 8);
+  header[10] = 0xf7;
+
+  const colorTable = Buffer.alloc(MAX_PALETTE * 3);
+  palette.forEach((rgb, index) => colorTable.set(rgb, index * 3));
+
+  const loop = Buffer.from([0x21, 0xff, 0x0b, ...Buffer.from('NETSCAPE2.0', 'ascii'), 0x03, 0x01, 0x00, 0x00, 0x00]);
+  const parts = [header, colorTable, loop];
+
+  frameRegions(frames).forEach((region, frameIndex) => {
+    const { image, delay } = frames[frameIndex];
+    const control = Buffer.from([0x21, 0xf9, 0x04, 0x04, 0, 0, 0, 0]);
+    const descriptor = Buffer.alloc(10);
+    const indices = new Uint8Array(region.width * region.height);
+
+    control.writeUInt16LE(Math.max(2, Math.round(delay / 10)), 4);
+    descriptor[0] = 0x2c;
+    descriptor.writeUInt16LE(region.x, 1);
+    descriptor.writeUInt16LE(region.y, 3);
+    descriptor.writeUInt16LE(region.width, 5);
+    descriptor.writeUInt16LE(region.height, 7);
+
+    for (let y = 0; y < region.height; y++) {
+      for (let x = 0; x < region.width; x++) {
+        indices[y * region.width + x] = mapColor(image.data, ((region.y + y) * width + region.x + x) * 4);
+      }
+    }
+
+    parts.push(control, descriptor, lzwEncode(indices));
+  });
+
+  parts.push(Buffer.from([0x3b]));
+  return Buffer.concat(parts);
+}
+
+// Chunks of a PNG file as [{ type, data }]
+function readChunks(buffer) {
+  const chunks = [];
+
+  for (let offset = PNG_SIGNATURE.length; offset + 12 <= buffer.length;) {
+    const length = buffer.readUInt32BE(offset);
+    chunks.push({ type: buffer.toString('ascii', offset + 4, offset + 8), data: buffer.subarray(offset + 8, offset + 8 + length) });
+    offset += 12 + length;
+  }
+  return chunks;
+}
+
+// Looping APNG. Every frame is encoded as a PNG by pngjs and its image data moved into the
+// IDAT (first frame) or fdAT chunks behind a frame control chunk
+export function encodeApng(frames) {
+  const animationControl = Buffer.alloc(8);
+  const parts = [PNG_SIGNATURE];
+  let sequence = 0;
+
+  animationControl.writeUInt32BE(frames.length, 0);
+
+  frameRegions(frames).forEach((region, frameIndex) => {
+    const { image, delay } = frames[frameIndex];
+    const cropped = frameIndex === 0 ? image : cropImage(image, region);
+    const chunks = readChunks(encodeImage(cropped, 'png'));
+    const frameControl = Buffer.alloc(26);
+
+    if (frameIndex === 0) {
+      parts.push(pngChunk('IHDR', chunks.find(chunk => chunk.type === 'IHDR').data), pngChunk('acTL', animationControl));
+    }
+
+    frameControl.writeUInt32BE(sequence++, 0);
+    frameControl.writeUInt32BE(region.width, 4);
+    frameControl.writeUInt32BE(region.height, 8);
+    frameControl.writeUInt32BE(region.x, 12);
+    frameControl.writeUInt32BE(region.y, 16);
+    frameControl.writeUInt16BE(Math.min(0xffff, Math.round(delay)), 20);
+    frameControl.writeUInt16BE(1000, 22);
+    parts.push(pngChunk('fcTL', frameControl));
+
+    chunks.filter(chunk => chunk.type === 'IDAT').forEach(chunk => {
+      if (frameIndex === 0) {
+        parts.push(pngChunk('IDAT', chunk.data));
+        return;
+      }
+      const number = Buffer.alloc(4);
+      number.writeUInt32BE(sequence++, 0);
+      parts.push(pngChunk('fdAT', Buffer.concat([number, chunk.data])));
+    });
+  });
+
+  parts.push(pngChunk('IEND', Buffer.alloc(0)));
+  return Buffer.concat(parts);
+}
@@ -0,0 +1,355 @@
+// Command line parsing
+// Options are declared once in OPTIONS and drive the parser, the "did you mean" suggestions
+// and the generated shell completions. Accepted forms: --output dir, --output=dir, -o dir,
+// -o=dir, -odir, combined short flags (-wv) and -- to end the options
+
+import { join } from 'path';
+import { InvalidOptionError } from './errors.js';
+
+// arity is the number of positional arguments a command takes
+export const COMMANDS = [
+  { name: 'capture', arity: 0, description: 'Take a screenshot (default)' },
+  { name: 'tools', arity: 0, description: 'List the installed capture tools' },
+  { name: 'version', arity: 0, description: 'Show version information' },
+  { name: 'doctor', arity: 0, description: 'Check the session, installed tools and permissions' },
+  { name: 'watch', arity: 0, description: 'Capture repeatedly until stopped' },
+  { name: 'burst', arity: 0, description: 'Capture a short animated GIF or APNG' },
+  { name: 'diff', arity: 2, file: true, description: 'Compare two screenshots' },
+  { name: 'info', arity: 1, file: true, description: 'Show how a screenshot was captured' },
+  { name: 'serve', arity: 0, description: 'Serve screenshots over HTTP' },
+  { name: 'completion', arity: 1, choices: ['bash', 'zsh', 'fish'], description: 'Print a shell completion script' }
+];
+
+const FORMATS = ['png', 'jpg', 'jpeg', 'bmp', 'webp'];
+
+// Values keep the loose parsing of earlier versions: numbers are converted only when they look
+// like numbers, anything else is passed on so the library reports it with its own error
+const toInteger = value => /^\d+$/.test(value) ? Number(value) : value;
+const toDecimal = value => /^\d+(\.\d+)?$/.test(value) ? Number(value) : value;
+const toList = value => value.split(',').map(item => item.trim()).filter(Boolean);
+
+function toScale(value) {
+  const match = value.match(/^(\d+(?:\.\d+)?)(%?)$/);
+  return match ? Number(match[1]) / (match[2] ? 100 : 1) : value;
+}
+
+function toPath(value) {
+  return value.startsWith('~/')
+    ? join(process.env.HOME || process.env.USERPROFILE, value.slice(2))
+    : value;
+}
+
+// value: true takes a value, 'optional' only with = (--window=<id>) or when the next argument
+// matches valuePattern (--window 0x3a00007), false never. repeat collects every occurrence
+// into an array, a value outside choices is rejected and quotes drops one pair of quotes
+// around a value given after = (see setOption)
+export const OPTIONS = [
+  { name: 'name', short: 'n', key: 'name', value: true, quotes: true, description: 'File name or name template without extension' },
+  { name: 'output', short: 'o', key: 'output', value: true, quotes: true, parse: toPath, complete: 'directory', description: 'Output directory' },
+  { name: 'format', short: 'f', key: 'format', value: true, quotes: true, parse: value => value.toLowerCase(), choices: FORMATS, description: 'Output format' },
+  { name: 'quality', short: 'q', key: 'quality', value: true, parse: toInteger, description: 'Quality for lossy formats (1-100)' },
+  { name: 'region', short: 'r', key: 'region', value: true, description: 'Capture a rectangle x,y,width,height' },
+  { name: 'redact', key: 'redact', value: true, repeat: true, description: 'Hide a region x,y,w,h[:mode] before saving' },
+  { name: 'scale', key: 'scale', value: true, parse: toScale, description: 'Shrink factor, e.g. 0.5 or 50%' },
+  { name: 'max-width', key: 'maxWidth', value: true, parse: toInteger, description: 'Shrink to fit this width' },
+  { name: 'max-height', key: 'maxHeight', value: true, parse: toInteger, description: 'Shrink to fit this height' },
+  { name: 'thumbnail', key: 'thumbnail', value: true, description: 'Also write a thumbnail width[:format]' },
+  { name: 'screen', key: 'screen', value: true, description: 'Capture a single display by id or name' },
+  { name: 'all-screens', key: 'allScreens', value: false, description: 'Capture every display into separate files' },
+  { name: 'list-displays', key: 'listDisplays', value: false, description: 'List connected displays' },
+  { name: 'display', key: 'xDisplay', value: true, description: 'Capture another X server, e.g. :99' },
+  { name: 'window', short: 'w', key: 'target', value: 'optional', valuePattern: /^(0x[\da-f]+|\d+)$/i, parse: value => value === undefined ? 'activeWindow' : { windowId: value }, description: 'Capture the focused window, or --window=<id>' },
+  { name: 'tool', short: 't', key: 'tools', value: true, parse: toList, description: 'Only use these capture tools, in order' },
+  { name: 'timeout', key: 'timeout', value: true, parse: toInteger, description: 'Milliseconds before trying the next tool' },
+  { name: 'on-conflict', key: 'onConflict', value: true, choices: ['increment', 'overwrite', 'error'], description: 'What to do when the file exists' },
+  { name: 'embed-metadata', key: 'embedMetadata', value: false, description: 'Store capture metadata inside the image' },
+  { name: 'sidecar', key: 'sidecar', value: false, description: 'Write capture metadata to <file>.json' },
+  { name: 'allow-blank', key: 'allowBlank', value: false, description: 'Accept all-black captures' },
+  { name: 'clipboard', key: 'clipboard', value: false, description: 'Also copy the screenshot to the clipboard' },
+  { name: 'clipboard-only', key: 'clipboardOnly', value: false, description: 'Copy to the clipboard without saving a file' },
+  { name: 'upload', key: 'upload', value: true, repeat: true, description: 'Upload to a URL, webhook:<url> or s3://bucket/prefix' },
+  { name: 'stdout', key: 'stdout', value: false, description: 'Write the image bytes to stdout' },
+  { name: 'every', key: 'every', value: true, description: 'watch: time between captures, e.g. 30s' },
+  { name: 'count', key: 'count', value: true, parse: toInteger, description: 'watch: stop after n captures' },
+  { name: 'until', key: 'until', value: true, description: 'watch: stop at this date/time' },
+  { name: 'keep', key: 'keep', value: true, parse: toInteger, description: 'watch: keep only the newest n captures' },
+  { name: 'max-age', key: 'maxAge', value: true, description: 'watch: remove captures older than this' },
+  { name: 'max-size', key: 'maxSize', value: true, description: 'watch: remove the oldest captures above this size' },
+  { name: 'frames', key: 'frames', value: true, parse: toInteger, description: 'burst: number of frames to capture' },
+  { name: 'interval', key: 'interval', value: true, description: 'burst: time between frames, e.g. 250ms' },
+  { name: 'animation', key: 'animation', value: true, parse: value => value.toLowerCase(), choices: ['gif', 'apng', 'frames'], description: 'burst: gif, apng or numbered png frames' },
+  { name: 'keep-duplicates', key: 'keepDuplicates', value: false, description: 'burst: keep identical consecutive frames' },
+  { name: 'out', key: 'out', value: true, complete: 'file', description: 'diff: write the difference image here' },
+  { name: 'threshold', key: 'threshold', value: true, parse: value => toDecimal(value.replace(/%$/, '')), description: 'diff: accepted mismatch percentage' },
+  { name: 'tolerance', key: 'tolerance', value: true, parse: toDecimal, description: 'diff: per-pixel color tolerance (0-1)' },
+  { name: 'ignore', key: 'ignore', value: true, repeat: true, description: 'diff: skip a region x,y,w,h' },
+  { name: 'port', key: 'port', value: true, parse: toInteger, description: 'serve: port to listen on' },
+  { name: 'host', key: 'host', value: true, description: 'serve: address to listen on' },
+  { name: 'token', key: 'token', value: true, description: 'serve: bearer token clients must send' },
+  { name: 'json', key: 'json', value: false, description: 'Print exactly one JSON result or error on stdout' },
+  { name: 'verbose', key: 'verbose', value: false, description: 'Show detailed information' },
+  { name: 'version', short: 'v', key: 'version', value: false, description: 'Show version information' },
+  { name: 'help', short: 'h', key: 'help', value: false, description: 'Show the help message' }
+];
+
+function distance(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (unused, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(previous[j] + 1, previous[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diagonal = above;
+    }
+  }
+
+  return previous[b.length];
+}
+
+// Closest candidate to a mistyped word, or null when nothing is close
+function closest(word, candidates) {
+  const ranked = candidates
+    .map(candidate => ({ candidate, score: candidate.startsWith(word) ? 0 : distance(word, candidate) }))
+    .sort((a, b) => a.score - b.score);
+
+  return ranked.length > 0 && ranked[0].score <= Math.max(1, Math.floor(word.length / 3)) ? ranked[0].candidate : null;
+}
+
+function unknownOption(flag) {
+  const long = flag.startsWith('--');
+  const match = long
+    ? closest(flag.slice(2), OPTIONS.map(option => option.name))
+    : OPTIONS.find(option => option.short && option.short.toLowerCase() === flag.slice(1).toLowerCase());
+  const suggestion = long ? match && `--${match}` : match && `-${match.short} (--${match.name})`;
+
+  return new InvalidOptionError(`Unknown option: ${flag}`, {
+    suggestions: [suggestion ? `Did you mean ${suggestion}?` : 'Run crosshot --help to see every option']
+  });
+}
+
+function invalidChoice(label, value, choices) {
+  const match = closest(String(value), choices);
+
+  return new InvalidOptionError(`Invalid ${label}: ${JSON.stringify(value)}`, {
+    suggestions: [match ? `Did you mean ${match}?` : `Use one of: ${choices.join(', ')}`]
+  });
+}
+
+// equals: the value came after = in the same argument
+function setOption(options, option, value, flag, equals = false) {
+  if (option.value === false && value !== undefined) {
+    throw new InvalidOptionError(`Option ${flag} does not take a value`, {
+      suggestions: [`Use ${flag} on its own`]
+    });
+  }
+
+  if (option.value === true && value === undefined) {
+    throw new InvalidOptionError(`Option ${flag} needs a value`, {
+      suggestions: [`Use ${flag} <value> or ${flag}=<value>`]
+    });
+  }
+
+  // Earlier versions documented -n="name" and --format="jpg", which some shells (cmd.exe)
+  // pass through with the quotes
+  const cleaned = option.quotes && equals ? value.replace(/^(["'])(.*)\1$/s, '$2') : value;
+  const parsed = option.parse ? option.parse(cleaned) : cleaned === undefined ? true : cleaned;
+
+  if (option.choices && !option.choices.includes(parsed)) {
+    throw invalidChoice(`value for ${flag}`, cleaned, option.choices);
+  }
+
+  options[option.key] = option.repeat ? [...(options[option.key] || []), parsed] : parsed;
+}
+
+const looksLikeOption = arg => /^-[a-zA-Z-]/.test(arg) && arg !== '--';
+
+// Parses argv (without node and the script) into { command, args, ...options }, with options
+// keyed like the library options. Throws InvalidOptionError for unknown options and
+// commands, missing values and surplus arguments
+export function parseArgs(argv) {
+  const options = {};
+  const positionals = [];
+  let index = 0;
+
+  const takeValue = () => (index < argv.length && !looksLikeOption(argv[index]) ? argv[index++] : undefined);
+  const takeOptionalValue = option => (option.valuePattern && option.valuePattern.test(argv[index] || '') ? argv[index++] : undefined);
+
+  while (index < argv.length) {
+    const arg = argv[index++];
+
+    if (arg === '--') {
+      positionals.push(...argv.slice(index));
+      break;
+    }
+
+    if (arg.startsWith('--')) {
+      const [flag, ...rest] = arg.split('=');
+      const option = OPTIONS.find(item => `--${item.name}` === flag);
+
+      if (!option) {
+        throw unknownOption(flag);
+      }
+
+      const value = rest.length > 0 ? rest.join('=') : option.value === true ? takeValue() : option.value === 'optional' ? takeOptionalValue(option) : undefined;
+      setOption(options, option, value, flag, rest.length > 0);
+    } else if (looksLikeOption(arg)) {
+      // -o=dir and -odir give the value in the same argument; in -wv every letter is a flag
+      for (let position = 1; position < arg.length; position++) {
+        const flag = `-${arg[position]}`;
+        const option = OPTIONS.find(item => item.short === arg[position]);
+
+        if (!option) {
+          throw unknownOption(flag);
+        }
+
+        const attached = arg.slice(position + 1).replace(/^=/, '');
+
+        const equals = arg[position + 1] === '=';
+
+        if (option.value === true) {
+          setOption(options, option, attached || takeValue(), flag, equals && attached !== '');
+          break;
+        }
+
+        // Flags only take a value after =, which ends the argument, or as the next argument
+        // when they are the last letter
+        const value = equals ? attached : position === arg.length - 1 && option.value === 'optional' ? takeOptionalValue(option) : undefined;
+        setOption(options, option, value, flag, equals);
+        if (value !== undefined) {
+          break;
+        }
+      }
+    } else {
+      positionals.push(arg);
+    }
+  }
+
+  if (positionals.length > 0) {
+    const command = COMMANDS.find(item => item.name === positionals[0]);
+
+    if (!command) {
+      const match = closest(positionals[0], COMMANDS.map(item => item.name));
+      throw new InvalidOptionError(`Unknown command: ${positionals[0]}`, {
+        suggestions: [match ? `Did you mean crosshot ${match}?` : `Commands: ${COMMANDS.map(item => item.name).join(', ')}`]
+      });
+    }
+
+    options.command = command.name;
+    options.args = positionals.slice(1);
+
+    if (command.choices && options.args.length > 0 && !command.choices.includes(options.args[0])) {
+      throw invalidChoice(`argument for crosshot ${command.name}`, options.args[0], command.choices);
+    }
+
+    if (options.args.length > command.arity) {
+      throw new InvalidOptionError(`Unexpected argument: ${options.args[command.arity]}`, {
+        suggestions: [command.arity === 0
+          ? `crosshot ${command.name} takes no arguments; use -- before file names that start with -`
+          : `crosshot ${command.name} takes ${command.arity} argument${command.arity > 1 ? 's' : ''}`]
+      });
+    }
+  }
+
+  return options;
+}
+
+function bashCompletion() {
+  const commands = COMMANDS.map(command => command.name).join(' ');
+  const flags = OPTIONS.flatMap(option => [`--${option.name}`, ...(option.short ? [`-${option.short}`] : [])]).join(' ');
+  const choices = OPTIONS.filter(option => option.choices)
+    .map(option => `    --${option.name}${option.short ? `|-${option.short}` : ''}) COMPREPLY=( $(compgen -W "${option.choices.join(' ')}" -- "$cur") ); return ;;`);
+  const directories = OPTIONS.filter(option => option.complete === 'directory')
+    .map(option => `--${option.name}${option.short ? `|-${option.short}` : ''}`);
+
+  return [
+    '# crosshot completion for bash; add to ~/.bashrc: source <(crosshot completion bash)',
+    '_crosshot() {',
+    '  local cur="${COMP_WORDS[COMP_CWORD]}" prev="${COMP_WORDS[COMP_CWORD-1]}"',
+    '  case "$prev" in',
+    ...choices,
+    `    ${directories.join('|')}) COMPREPLY=( $(compgen -d -- "$cur") ); return ;;`,
+    '    completion) COMPREPLY=( $(compgen -W "bash zsh fish" -- "$cur") ); return ;;',
+    '  esac',
+    '  if [[ "$cur" == -* ]]; then',
+    `    COMPREPLY=( $(compgen -W "${flags}" -- "$cur") )`,
+    '  elif [[ $COMP_CWORD -eq 1 ]]; then',
+    `    COMPREPLY=( $(compgen -W "${commands}" -- "$cur") )`,
+    '  fi',
+    '}',
+    'complete -o default -F _crosshot crosshot',
+    ''
+  ].join('\n');
+}
+
+function zshCompletion() {
+  const escape = text => text.replace(/[[\]:]/g, match => `\\${match}`).replace(/'/g, "'\\''");
+  const specs = OPTIONS.map(option => {
+    const action = option.choices
+      ? `:${option.name}:(${option.choices.join(' ')})`
+      : { directory: ':directory:_files -/', file: ':file:_files' }[option.complete] || `:${option.name}:`;
+    const long = `--${option.name}${option.value === true ? '=' : ''}`;
+    const description = `[${escape(option.description)}]${option.value === true ? action : ''}`;
+
+    return option.short
+      ? `    '(-${option.short} --${option.name})'{-${option.short}${option.value === true ? '+' : ''},${long}}'${description}'`
+      : `    '${long}${description}'`;
+  });
+
+  return [
+    '#compdef crosshot',
+    '# crosshot completion for zsh; save as _crosshot in a directory on $fpath',
+    '_crosshot() {',
+    '  local state',
+    '  local -a commands',
+    '  commands=(',
+    ...COMMANDS.map(command => `    '${escape(command.name)}:${escape(command.description)}'`),
+    '  )',
+    '  _arguments -s \\',
+    ...specs.map(spec => `${spec} \\`),
+    "    '1: :->command' \\",
+    "    '*:file:_files'",
+    '  if [[ $state == command ]]; then',
+    "    _describe 'command' commands",
+    '  fi',
+    '}',
+    '_crosshot "$@"',
+    ''
+  ].join('\n');
+}
+
+function fishCompletion() {
+  const quote = text => `'${text.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+
+  return [
+    '# crosshot completion for fish; save as ~/.config/fish/completions/crosshot.fish',
+    'complete -c crosshot -f',
+    ...COMMANDS.map(command => `complete -c crosshot -n __fish_use_subcommand -a ${command.name} -d ${quote(command.description)}`),
+    'complete -c crosshot -n \'__fish_seen_subcommand_from completion\' -a \'bash zsh fish\'',
+    ...COMMANDS.filter(command => command.file).map(command => `complete -c crosshot -n '__fish_seen_subcommand_from ${command.name}' -F`),
+    ...OPTIONS.map(option => [
+      'complete -c crosshot',
+      `-l ${option.name}`,
+      option.short ? `-s ${option.short}` : null,
+      option.value === true ? '-r' : null,
+      option.choices ? `-a ${quote(option.choices.join(' '))}` : null,
+      option.complete === 'directory' ? "-a '(__fish_complete_directories)'" : option.complete === 'file' ? '-F' : null,
+      `-d ${quote(option.description)}`
+    ].filter(Boolean).join(' ')),
+    ''
+  ].join('\n');
+}
+
+const COMPLETIONS = { bash: bashCompletion, zsh: zshCompletion, fish: fishCompletion };
+
+// Completion script for bash, zsh or fish; throws InvalidOptionError for other shells
+export function generateCompletion(shell) {
+  if (!COMPLETIONS[shell]) {
+    throw new InvalidOptionError(`Unsupported shell: ${shell}`, {
+      suggestions: [`Use one of: ${Object.keys(COMPLETIONS).join(', ')}`]
+    });
+  }
+
+  return COMPLETIONS[shell]();
+}
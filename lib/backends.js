@@ -0,0 +1,351 @@
+// Screenshot backend registry
+// Each backend describes one capture tool: where it runs, what it can do and how to call it
+
+import { dirname } from 'path';
+import { quotePowerShell, powerShellCommand } from './exec.js';
+import { rankBackend } from './session.js';
+
+const FEATURES = ['region', 'display', 'activeWindow', 'windowId', 'stdout'];
+const SESSIONS = ['x11', 'wayland'];
+const ALL_FORMATS = ['png', 'jpg', 'jpeg', 'bmp', 'webp'];
+
+const backends = [];
+
+// Validates a backend definition and returns the entry used by the capture pipeline. Throws
+// TypeError for invalid definitions
+export function normalizeBackend(backend) {
+  if (!backend || typeof backend.name !== 'string' || backend.name.trim() === '') {
+    throw new TypeError('Backend requires a non-empty name');
+  }
+  if (typeof backend.buildCommand !== 'function') {
+    throw new TypeError(`Backend ${backend.name} requires a buildCommand(context) function returning an argv array`);
+  }
+
+  const unknownFeatures = (backend.features || []).filter(feature => !FEATURES.includes(feature));
+  if (unknownFeatures.length > 0) {
+    throw new TypeError(`Backend ${backend.name} declares unknown features: ${unknownFeatures.join(', ')}. Known features: ${FEATURES.join(', ')}`);
+  }
+
+  const unknownSessions = (backend.sessions || []).filter(session => !SESSIONS.includes(session));
+  if (unknownSessions.length > 0) {
+    throw new TypeError(`Backend ${backend.name} declares unknown sessions: ${unknownSessions.join(', ')}. Known sessions: ${SESSIONS.join(', ')}`);
+  }
+
+  const entry = {
+    name: backend.name,
+    command: backend.command || backend.name,
+    platforms: backend.platforms || ['linux', 'darwin', 'win32'],
+    formats: backend.formats || ALL_FORMATS,
+    features: backend.features || [],
+    sessions: backend.sessions || null,
+    desktops: backend.desktops || null,
+    versionArgs: backend.versionArgs || null,
+    description: backend.description || '',
+    isAvailable: backend.isAvailable || null,
+    buildCommand: backend.buildCommand,
+    builtin: Boolean(backend.builtin)
+  };
+
+  return entry;
+}
+
+export function registerBackend(backend) {
+  const entry = normalizeBackend(backend);
+  const index = backends.findIndex(item => item.name === entry.name);
+  if (index === -1) {
+    backends.push(entry);
+  } else {
+    backends[index] = entry;
+  }
+
+  return describeBackend(entry);
+}
+
+export function unregisterBackend(name) {
+  const index = backends.findIndex(item => item.name === name);
+  if (index === -1) {
+    return false;
+  }
+
+  backends.splice(index, 1);
+  return true;
+}
+
+// options.backends replaces the registry with entries from normalizeBackend(), as used by
+// instances created with their own backends
+export function listBackends(options = {}) {
+  return (options.backends || backends)
+    .filter(backend => !options.platform || backend.platforms.includes(options.platform))
+    .map(describeBackend);
+}
+
+function describeBackend(backend) {
+  return {
+    name: backend.name,
+    command: backend.command,
+    platforms: [...backend.platforms],
+    formats: [...backend.formats],
+    features: [...backend.features],
+    sessions: backend.sessions ? [...backend.sessions] : null,
+    desktops: backend.desktops ? [...backend.desktops] : null,
+    description: backend.description,
+    builtin: backend.builtin
+  };
+}
+
+// Backends for a platform in capture order: preferred tools first (in the order given),
+// excluded tools removed, the rest ranked by how well they fit the session (see
+// rankBackend()) and otherwise in registration order
+export function getPlatformBackends(currentPlatform, options = {}) {
+  const { preferredTools = [], excludeTools = [], session = null } = options;
+  const candidates = (options.backends || backends)
+    .filter(backend => backend.platforms.includes(currentPlatform) && !excludeTools.includes(backend.name))
+    .map((backend, index) => ({ backend, index, rank: rankBackend(backend, session) }))
+    .sort((a, b) => a.rank - b.rank || a.index - b.index)
+    .map(({ backend }) => backend);
+
+  const preferred = preferredTools
+    .map(name => candidates.find(backend => backend.name === name))
+    .filter(Boolean);
+
+  return [...preferred, ...candidates.filter(backend => !preferred.includes(backend))];
+}
+
+// With stdout the image is encoded into memory first: GDI+ cannot write PNG to a
+// non-seekable stream such as the console
+function getPowerShellCommand(boundsScript, filepath, format, stdout) {
+  const formatMap = {
+    'png': 'Png',
+    'jpg': 'Jpeg',
+    'jpeg': 'Jpeg',
+    'bmp': 'Bmp'
+  };
+
+  return powerShellCommand([
+    'Add-Type -AssemblyName System.Windows.Forms',
+    boundsScript,
+    '$bitmap = New-Object System.Drawing.Bitmap($bounds.Width, $bounds.Height)',
+    '$graphics = [System.Drawing.Graphics]::FromImage($bitmap)',
+    '$graphics.CopyFromScreen($bounds.X, $bounds.Y, 0, 0, $bounds.Size)',
+    ...(stdout
+      ? [
+        '$memory = New-Object System.IO.MemoryStream',
+        `$bitmap.Save($memory, [System.Drawing.Imaging.ImageFormat]::${formatMap[format]})`,
+        '$bytes = $memory.ToArray()',
+        '$output = [Console]::OpenStandardOutput()',
+        '$output.Write($bytes, 0, $bytes.Length)',
+        '$output.Flush()'
+      ]
+      : [`$bitmap.Save(${quotePowerShell(filepath)}, [System.Drawing.Imaging.ImageFormat]::${formatMap[format]})`]),
+    '$graphics.Dispose()',
+    '$bitmap.Dispose()'
+  ].join('; '));
+}
+
+function getWindowBoundsScript(target) {
+  const handle = target.type === 'activeWindow' ? '[Win32Window]::GetForegroundWindow()' : `[IntPtr]${Number(target.windowId)}`;
+  return [
+    `Add-Type -TypeDefinition 'using System; using System.Runtime.InteropServices; public struct WindowRect { public int Left, Top, Right, Bottom; } public static class Win32Window { [DllImport("user32.dll")] public static extern IntPtr GetForegroundWindow(); [DllImport("user32.dll")] public static extern bool GetWindowRect(IntPtr handle, out WindowRect rect); }'`,
+    '$rect = New-Object WindowRect',
+    `[Win32Window]::GetWindowRect(${handle}, [ref]$rect) | Out-Null`,
+    '$bounds = [System.Drawing.Rectangle]::FromLTRB($rect.Left, $rect.Top, $rect.Right, $rect.Bottom)'
+  ].join('; ');
+}
+
+async function getX11WindowId(target, run) {
+  if (target.type !== 'activeWindow') {
+    return target.windowId;
+  }
+
+  const { stdout } = await run(['xdotool', 'getactivewindow']);
+  return stdout.trim();
+}
+
+async function getMacFrontWindowBounds(run) {
+  const { stdout } = await run([
+    'osascript', '-e',
+    'tell application "System Events" to tell (first process whose frontmost is true) to get {position, size} of front window'
+  ]);
+  return stdout.replace(/\s/g, '');
+}
+
+const geometry = region => `${region.width}x${region.height}+${region.x}+${region.y}`;
+
+// buildCommand receives { outputPath, stdout, format, quality, region, display, target, xDisplay, run }
+// and returns (or resolves to) an argv array; region, display, target and stdout are only set when
+// the backend declared the matching feature. With stdout the image must be written to stdout
+// and outputPath is '-'. format is always one of the backend's own formats: the pipeline
+// converts the output to the requested format and applies quality itself. xDisplay is the X
+// server (e.g. ':99') when one was requested; the command already runs with DISPLAY set to it.
+// run(argv) runs a helper command the same way and resolves to { stdout, stderr }
+const builtinBackends = [
+  {
+    name: 'grim',
+    platforms: ['linux'],
+    sessions: ['wayland'],
+    desktops: ['wlroots'],
+    formats: ['png', 'jpg', 'jpeg'],
+    features: ['region', 'display', 'stdout'],
+    description: 'recommended for Wayland',
+    buildCommand: ({ outputPath, format, region, display }) => {
+      const grimFormat = format === 'png' ? 'png' : 'jpeg';
+      const area = display
+        ? ['-o', display.name]
+        : region ? ['-g', `${region.x},${region.y} ${region.width}x${region.height}`] : [];
+      return ['grim', '-t', grimFormat, ...area, outputPath];
+    }
+  },
+  {
+    name: 'gnome-screenshot',
+    platforms: ['linux'],
+    desktops: ['gnome'],
+    versionArgs: ['--version'],
+    formats: ['png'],
+    features: ['activeWindow'],
+    description: 'for GNOME environments',
+    buildCommand: ({ outputPath, target }) => ['gnome-screenshot', ...(target ? ['-w'] : []), '-f', outputPath]
+  },
+  {
+    name: 'spectacle',
+    platforms: ['linux'],
+    desktops: ['kde'],
+    versionArgs: ['--version'],
+    formats: ['png', 'jpg', 'jpeg', 'bmp'],
+    features: ['activeWindow'],
+    description: 'for KDE Plasma',
+    buildCommand: ({ outputPath, target }) => ['spectacle', '-b', '-n', ...(target ? ['-a'] : []), '-o', outputPath]
+  },
+  {
+    name: 'wayshot',
+    platforms: ['linux'],
+    sessions: ['wayland'],
+    desktops: ['wlroots'],
+    versionArgs: ['--version'],
+    formats: ['png'],
+    description: 'alternative for Wayland',
+    buildCommand: ({ outputPath }) => ['wayshot', '-f', outputPath]
+  },
+  {
+    name: 'flameshot',
+    platforms: ['linux'],
+    versionArgs: ['--version'],
+    formats: ['png'],
+    features: ['stdout'],
+    description: 'GUI with extra features',
+    buildCommand: ({ outputPath, stdout }) => stdout
+      ? ['flameshot', 'full', '--raw', '-d', '0']
+      : ['flameshot', 'full', '-p', dirname(outputPath), '-d', '0']
+  },
+  {
+    name: 'scrot',
+    platforms: ['linux'],
+    sessions: ['x11'],
+    versionArgs: ['--version'],
+    formats: ['png', 'jpg', 'jpeg', 'bmp'],
+    features: ['region', 'activeWindow'],
+    description: 'for X11 systems',
+    buildCommand: ({ outputPath, region, target }) => {
+      const area = target
+        ? ['-u']
+        : region ? ['-a', `${region.x},${region.y},${region.width},${region.height}`] : [];
+      return ['scrot', ...area, outputPath];
+    }
+  },
+  {
+    name: 'maim',
+    platforms: ['linux'],
+    sessions: ['x11'],
+    versionArgs: ['--version'],
+    formats: ['png', 'jpg', 'jpeg', 'bmp'],
+    features: ['region', 'activeWindow', 'windowId', 'stdout'],
+    description: 'alternative for X11',
+    buildCommand: async ({ outputPath, stdout, format, region, target, run }) => {
+      const area = target
+        ? ['-i', await getX11WindowId(target, run)]
+        : region ? ['-g', geometry(region)] : [];
+      return ['maim', ...area, ...(stdout ? ['-f', format === 'jpeg' ? 'jpg' : format] : [outputPath])];
+    }
+  },
+  {
+    name: 'import',
+    platforms: ['linux'],
+    sessions: ['x11'],
+    versionArgs: ['-version'],
+    features: ['region', 'activeWindow', 'windowId', 'stdout'],
+    description: 'ImageMagick, for X11 and Xvfb',
+    buildCommand: async ({ outputPath, stdout, format, region, target, run }) => {
+      const area = target
+        ? ['-window', await getX11WindowId(target, run)]
+        : ['-window', 'root', ...(region ? ['-crop', geometry(region), '+repage'] : [])];
+      return ['import', ...area, stdout ? `${format === 'jpg' ? 'jpeg' : format}:-` : outputPath];
+    }
+  },
+  {
+    name: 'xwd',
+    platforms: ['linux'],
+    sessions: ['x11'],
+    formats: ['xwd'],
+    features: ['activeWindow', 'windowId', 'stdout'],
+    description: 'X11 core tool, for Xvfb and bare X servers',
+    buildCommand: async ({ outputPath, stdout, target, run }) => [
+      'xwd',
+      '-silent',
+      ...(target ? ['-id', await getX11WindowId(target, run)] : ['-root']),
+      ...(stdout ? [] : ['-out', outputPath])
+    ]
+  },
+  {
+    name: 'powershell',
+    platforms: ['win32'],
+    versionArgs: ['-NoProfile', '-Command', '$PSVersionTable.PSVersion.ToString()'],
+    formats: ['png', 'jpg', 'jpeg', 'bmp'],
+    features: ['region', 'activeWindow', 'windowId', 'stdout'],
+    description: 'native to Windows',
+    buildCommand: ({ outputPath, stdout, format, region, target }) => {
+      const boundsScript = target
+        ? getWindowBoundsScript(target)
+        : region
+          ? `$bounds = New-Object System.Drawing.Rectangle(${region.x}, ${region.y}, ${region.width}, ${region.height})`
+          : '$bounds = [System.Windows.Forms.Screen]::PrimaryScreen.Bounds';
+      return getPowerShellCommand(boundsScript, outputPath, format, stdout);
+    }
+  },
+  {
+    name: 'nircmd',
+    platforms: ['win32'],
+    formats: ['png', 'jpg', 'jpeg', 'bmp'],
+    features: ['region', 'activeWindow'],
+    description: 'https://www.nirsoft.net/utils/nircmd.html',
+    buildCommand: ({ outputPath, region, target }) => {
+      if (target) {
+        return ['nircmd', 'savescreenshotwin', outputPath];
+      }
+      return ['nircmd', 'savescreenshot', outputPath, ...(region ? [region.x, region.y, region.width, region.height].map(String) : [])];
+    }
+  },
+  {
+    name: 'screencapture',
+    platforms: ['darwin'],
+    formats: ['png', 'jpg', 'jpeg', 'bmp'],
+    features: ['region', 'display', 'activeWindow', 'windowId'],
+    description: 'native to macOS',
+    buildCommand: async ({ outputPath, format, region, display, target, run }) => {
+      const formatFlag = format === 'png' ? [] : ['-t', format === 'jpeg' ? 'jpg' : format];
+      let area = [];
+
+      if (target && target.type === 'activeWindow') {
+        area = ['-R', await getMacFrontWindowBounds(run)];
+      } else if (target) {
+        area = ['-o', '-l', target.windowId];
+      } else if (display) {
+        area = ['-D', String(display.id + 1)];
+      } else if (region) {
+        area = ['-R', `${region.x},${region.y},${region.width},${region.height}`];
+      }
+
+      return ['screencapture', '-x', ...formatFlag, ...area, outputPath];
+    }
+  }
+];
+
+builtinBackends.forEach(backend => registerBackend({ ...backend, builtin: true }));
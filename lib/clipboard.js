@@ -0,0 +1,143 @@
+// Clipboard tools
+// Puts a PNG image on the system clipboard. Tools are tried in order like capture backends:
+// those made for the current session first, then the next one whenever a tool fails
+
+import * as nodeFs from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { runWithInput, commandExists, formatCommand, quotePowerShell, powerShellCommand } from './exec.js';
+import { rankBackend } from './session.js';
+import { NoToolAvailableError, ClipboardError } from './errors.js';
+
+// Tools with stdin read the PNG from their standard input; the others get inputPath, a
+// temporary copy of the image. xsel and pbcopy are missing on purpose: they only handle
+// text, so the image would arrive as garbage instead of a picture
+const clipboardTools = [
+  {
+    name: 'wl-copy',
+    command: 'wl-copy',
+    platforms: ['linux'],
+    sessions: ['wayland'],
+    stdin: true,
+    buildCommand: () => ['wl-copy', '--type', 'image/png']
+  },
+  {
+    name: 'xclip',
+    command: 'xclip',
+    platforms: ['linux'],
+    sessions: ['x11'],
+    stdin: true,
+    buildCommand: () => ['xclip', '-selection', 'clipboard', '-target', 'image/png', '-in']
+  },
+  {
+    name: 'osascript',
+    command: 'osascript',
+    platforms: ['darwin'],
+    stdin: false,
+    buildCommand: ({ inputPath }) => [
+      'osascript', '-e',
+      `set the clipboard to (read (POSIX file ${JSON.stringify(inputPath)}) as «class PNGf»)`
+    ]
+  },
+  {
+    name: 'powershell',
+    command: 'powershell',
+    platforms: ['win32'],
+    stdin: false,
+    buildCommand: ({ inputPath }) => powerShellCommand([
+      'Add-Type -AssemblyName System.Windows.Forms',
+      'Add-Type -AssemblyName System.Drawing',
+      `$image = [System.Drawing.Image]::FromFile(${quotePowerShell(inputPath)})`,
+      '[System.Windows.Forms.Clipboard]::SetImage($image)',
+      '$image.Dispose()'
+    ].join('; '))
+  }
+];
+
+// Clipboard tools for a platform in the order they are tried, ranked like capture backends
+function getClipboardTools(currentPlatform, session) {
+  return clipboardTools
+    .filter(tool => tool.platforms.includes(currentPlatform))
+    .map((tool, index) => ({ tool, index, rank: rankBackend(tool, session) }))
+    .sort((a, b) => a.rank - b.rank || a.index - b.index)
+    .map(({ tool }) => tool);
+}
+
+// Copies png to the clipboard with the first tool that succeeds and resolves to
+// { tool, command }. options: { platform, session, timeout, log(tool, attempt), executor, env, fs }
+// where executor provides runWithInput() and commandExists() like lib/exec.js. Rejects with
+// NoToolAvailableError when no tool is installed and ClipboardError, carrying one attempt per
+// tool, when all of them failed
+export async function copyImageToClipboard(png, options = {}) {
+  const {
+    platform: currentPlatform = process.platform,
+    session = null,
+    timeout = 0,
+    log = () => {},
+    executor = { runWithInput, commandExists },
+    env = process.env,
+    fs = nodeFs
+  } = options;
+  const candidates = getClipboardTools(currentPlatform, session);
+  const installed = [];
+
+  for (const tool of candidates) {
+    if (await executor.commandExists(tool.command, { env, platform: currentPlatform })) {
+      installed.push(tool);
+    }
+  }
+
+  if (installed.length === 0) {
+    throw new NoToolAvailableError(`No clipboard tool available on ${currentPlatform}`, {
+      platform: currentPlatform,
+      suggestions: currentPlatform === 'linux'
+        ? ['Install wl-clipboard (Wayland) or xclip (X11)']
+        : [`Supported clipboard tools: ${candidates.map(tool => tool.name).join(', ') || 'none'}`]
+    });
+  }
+
+  const attempts = [];
+
+  for (const tool of installed) {
+    const tempDir = tool.stdin ? null : fs.mkdtempSync(join(tmpdir(), 'crosshot-clipboard-'));
+    const inputPath = tempDir ? join(tempDir, 'clipboard.png') : null;
+    const signal = timeout ? AbortSignal.timeout(timeout) : undefined;
+    let command = tool.name;
+
+    try {
+      if (inputPath) {
+        fs.writeFileSync(inputPath, png);
+      }
+
+      const argv = tool.buildCommand({ inputPath });
+      command = formatCommand(argv);
+      await executor.runWithInput(argv, tool.stdin ? png : null, { env, ...(signal ? { signal } : {}) });
+      return { tool: tool.name, command };
+    } catch (error) {
+      const timedOut = Boolean(signal && signal.aborted);
+      attempts.push({
+        tool: tool.name,
+        command,
+        exitCode: typeof error.code === 'number' ? error.code : null,
+        signal: error.signal || (timedOut ? 'SIGTERM' : null),
+        timedOut,
+        stderr: error.stderr ? String(error.stderr).trim() : '',
+        error: timedOut ? `Timed out after ${timeout} ms` : error.message
+      });
+      log(tool.name, attempts[attempts.length - 1]);
+    } finally {
+      if (tempDir) {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+      }
+    }
+  }
+
+  throw new ClipboardError(`Could not copy the image to the clipboard with ${attempts.map(attempt => attempt.tool).join(', ')}`, {
+    platform: currentPlatform,
+    attempts,
+    availableTools: installed.map(tool => tool.name),
+    suggestions: currentPlatform === 'linux'
+      ? ['wl-copy needs a Wayland session (WAYLAND_DISPLAY) and xclip an X11 session (DISPLAY)', 'Run with --verbose to see the output of each tool']
+      : ['Run with --verbose to see the output of each tool']
+  });
+}
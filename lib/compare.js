@@ -0,0 +1,98 @@
+// Pixel comparison for visual regression checks
+// Colors are compared in YIQ space, which follows perceived difference more closely than
+// RGB distance, so JPEG noise and antialiasing stay below the tolerance
+
+// Largest possible YIQ delta (black against white)
+const MAX_DELTA = 35215;
+
+function blendWithWhite(value, alpha) {
+  return 255 + (value - 255) * (alpha / 255);
+}
+
+function colorDelta(a, indexA, b, indexB) {
+  const alphaA = a[indexA + 3];
+  const alphaB = b[indexB + 3];
+  const redA = blendWithWhite(a[indexA], alphaA);
+  const greenA = blendWithWhite(a[indexA + 1], alphaA);
+  const blueA = blendWithWhite(a[indexA + 2], alphaA);
+  const redB = blendWithWhite(b[indexB], alphaB);
+  const greenB = blendWithWhite(b[indexB + 1], alphaB);
+  const blueB = blendWithWhite(b[indexB + 2], alphaB);
+
+  const y = (redA - redB) * 0.29889531 + (greenA - greenB) * 0.58662247 + (blueA - blueB) * 0.11448223;
+  const i = (redA - redB) * 0.59597799 - (greenA - greenB) * 0.27417610 - (blueA - blueB) * 0.32180189;
+  const q = (redA - redB) * 0.21147017 - (greenA - greenB) * 0.52261711 + (blueA - blueB) * 0.31114694;
+
+  return 0.5053 * y * y + 0.299 * i * i + 0.1957 * q * q;
+}
+
+function isIgnored(x, y, regions) {
+  return regions.some(region =>
+    x >= region.x && x < region.x + region.width && y >= region.y && y < region.y + region.height);
+}
+
+// Compares two decoded RGBA images. Images of different sizes are compared on the larger
+// canvas, where pixels present in only one image count as mismatched. options:
+// { tolerance (0-1 per-pixel color difference), ignoreRegions, diff }. With diff, the
+// result carries a diff image: mismatches in red over a faded copy of image a, ignored
+// regions tinted blue
+export function compareImages(imageA, imageB, options = {}) {
+  const { tolerance = 0.1, ignoreRegions = [], diff = false } = options;
+  const width = Math.max(imageA.width, imageB.width);
+  const height = Math.max(imageA.height, imageB.height);
+  const maxDelta = MAX_DELTA * tolerance * tolerance;
+  const output = diff ? Buffer.alloc(width * height * 4) : null;
+  let mismatchedPixels = 0;
+  let ignoredPixels = 0;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const target = (y * width + x) * 4;
+      const insideA = x < imageA.width && y < imageA.height;
+      const insideB = x < imageB.width && y < imageB.height;
+      const indexA = (y * imageA.width + x) * 4;
+      const indexB = (y * imageB.width + x) * 4;
+      const ignored = isIgnored(x, y, ignoreRegions);
+      let mismatched = false;
+
+      if (ignored) {
+        ignoredPixels++;
+      } else if (!insideA || !insideB) {
+        mismatched = true;
+      } else {
+        mismatched = colorDelta(imageA.data, indexA, imageB.data, indexB) > maxDelta;
+      }
+
+      if (mismatched) {
+        mismatchedPixels++;
+      }
+
+      if (output) {
+        const source = insideA ? imageA.data : imageB.data;
+        const index = insideA ? indexA : indexB;
+        const gray = blendWithWhite(
+          source[index] * 0.299 + source[index + 1] * 0.587 + source[index + 2] * 0.114,
+          source[index + 3] * 0.1
+        );
+        const color = mismatched ? [255, 0, 0] : ignored ? [gray * 0.7, gray * 0.8, 255] : [gray, gray, gray];
+        output[target] = color[0];
+        output[target + 1] = color[1];
+        output[target + 2] = color[2];
+        output[target + 3] = 255;
+      }
+    }
+  }
+
+  const comparedPixels = width * height - ignoredPixels;
+
+  return {
+    width,
+    height,
+    sameSize: imageA.width === imageB.width && imageA.height === imageB.height,
+    comparedPixels,
+    ignoredPixels,
+    mismatchedPixels,
+    mismatchPercentage: comparedPixels > 0 ? (mismatchedPixels / comparedPixels) * 100 : 0,
+    diff: output ? { width, height, data: output } : null
+  };
+}
@@ -0,0 +1,148 @@
+// Error types
+// Every failure is a CrosshotError with a stable code. The success/error/platform/timestamp/
+// suggestions fields of the former plain rejection objects are kept for existing callers
+
+export const EXIT_CODES = {
+  CAPTURE_FAILED: 1,
+  INVALID_OPTION: 2,
+  NO_TOOL_AVAILABLE: 3,
+  UNSUPPORTED_FORMAT: 4,
+  UNSUPPORTED_TARGET: 5,
+  PERMISSION_DENIED: 6,
+  OUTPUT_NOT_WRITTEN: 7,
+  TIMEOUT: 8,
+  DIRECTORY_MISSING: 9,
+  DISPLAY_NOT_FOUND: 10,
+  ABORTED: 11,
+  FILE_EXISTS: 12,
+  CLIPBOARD_FAILED: 13,
+  UPLOAD_FAILED: 14
+};
+
+export class CrosshotError extends Error {
+  constructor(message, options = {}) {
+    super(message, options.cause ? { cause: options.cause } : undefined);
+    this.name = this.constructor.name;
+    this.code = options.code || 'CAPTURE_FAILED';
+    this.success = false;
+    this.error = message;
+    this.platform = options.platform || process.platform;
+    this.timestamp = new Date().toISOString();
+    this.suggestions = options.suggestions || [];
+    // One entry per tool tried: { tool, command, exitCode, signal, timedOut, stderr, error }
+    this.attempts = options.attempts || [];
+
+    // availableTools are installed tools, triedTools the ones looked for when none was found
+    if (options.availableTools) {
+      this.availableTools = options.availableTools;
+    }
+    if (options.triedTools) {
+      this.triedTools = options.triedTools;
+    }
+  }
+
+  toJSON() {
+    return {
+      name: this.name,
+      code: this.code,
+      success: false,
+      error: this.message,
+      platform: this.platform,
+      timestamp: this.timestamp,
+      suggestions: this.suggestions,
+      attempts: this.attempts,
+      ...(this.availableTools ? { availableTools: this.availableTools } : {}),
+      ...(this.triedTools ? { triedTools: this.triedTools } : {})
+    };
+  }
+}
+
+export class InvalidOptionError extends CrosshotError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: 'INVALID_OPTION' });
+  }
+}
+
+export class NoToolAvailableError extends CrosshotError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: 'NO_TOOL_AVAILABLE' });
+  }
+}
+
+export class UnsupportedFormatError extends CrosshotError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: 'UNSUPPORTED_FORMAT' });
+  }
+}
+
+export class UnsupportedTargetError extends CrosshotError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: 'UNSUPPORTED_TARGET' });
+  }
+}
+
+export class PermissionDeniedError extends CrosshotError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: 'PERMISSION_DENIED' });
+  }
+}
+
+export class OutputNotWrittenError extends CrosshotError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: 'OUTPUT_NOT_WRITTEN' });
+  }
+}
+
+export class TimeoutError extends CrosshotError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: 'TIMEOUT' });
+  }
+}
+
+export class DirectoryMissingError extends CrosshotError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: 'DIRECTORY_MISSING' });
+  }
+}
+
+export class DisplayNotFoundError extends CrosshotError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: 'DISPLAY_NOT_FOUND' });
+  }
+}
+
+export class AbortedError extends CrosshotError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: 'ABORTED' });
+  }
+}
+
+export class FileExistsError extends CrosshotError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: 'FILE_EXISTS' });
+  }
+}
+
+export class ClipboardError extends CrosshotError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: 'CLIPBOARD_FAILED' });
+  }
+}
+
+// sink and status (the HTTP status, when there was an answer) say which upload failed
+export class UploadError extends CrosshotError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: 'UPLOAD_FAILED' });
+    this.sink = options.sink || null;
+    this.status = options.status ?? null;
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), sink: this.sink, status: this.status };
+  }
+}
+
+// Exit code for the CLI; errors that are not CrosshotErrors exit with 1
+export function getExitCode(error) {
+  return (error && EXIT_CODES[error.code]) || 1;
+}
@@ -0,0 +1,109 @@
+// Process helpers for running capture tools without a shell
+// Commands are argv arrays ([file, ...args]) so paths and names are never parsed by a shell
+
+import { execFile, spawn } from 'child_process';
+import { existsSync, statSync } from 'fs';
+import { join, delimiter, isAbsolute } from 'path';
+import { platform } from 'os';
+
+export function runCommand(argv, options = {}) {
+  const [file, ...args] = argv;
+
+  return new Promise((resolve, reject) => {
+    execFile(file, args, { windowsHide: true, maxBuffer: 64 * 1024 * 1024, ...options }, (error, stdout, stderr) => {
+      if (error) {
+        error.stdout = stdout;
+        error.stderr = stderr;
+        reject(error);
+        return;
+      }
+      resolve({ stdout, stderr });
+    });
+  });
+}
+
+// Runs a command with input on stdin and settles as soon as it exits. Clipboard tools such
+// as xclip and wl-copy leave a child behind that serves the clipboard and inherits the output
+// pipes, so waiting for the pipes to close like execFile() does would wait until the next copy
+export function runWithInput(argv, input, options = {}) {
+  const [file, ...args] = argv;
+
+  return new Promise((resolve, reject) => {
+    const child = spawn(file, args, { windowsHide: true, stdio: ['pipe', 'ignore', 'pipe'], ...options });
+    const chunks = [];
+
+    child.stderr.on('data', chunk => chunks.push(chunk));
+    // A tool that exits without reading its input must not crash the process with EPIPE
+    child.stdin.on('error', () => {});
+    child.on('error', error => {
+      error.stderr = Buffer.concat(chunks).toString();
+      reject(error);
+    });
+    child.on('exit', (code, signal) => {
+      const stderr = Buffer.concat(chunks).toString();
+      child.stderr.destroy();
+
+      if (code === 0) {
+        resolve({ stderr });
+        return;
+      }
+
+      const error = new Error(`Command failed: ${formatCommand(argv)}${stderr ? `\n${stderr.trim()}` : ''}`);
+      error.code = code;
+      error.signal = signal;
+      error.stderr = stderr;
+      reject(error);
+    });
+
+    child.stdin.end(input || '');
+  });
+}
+
+// Readable form of an argv array for logs; quotes arguments that contain spaces or quotes
+export function formatCommand(argv) {
+  return argv
+    .map(arg => /[\s"'$`\\]/.test(arg) || arg === '' ? JSON.stringify(arg) : arg)
+    .join(' ');
+}
+
+// Looks the executable up on PATH instead of shelling out to `which`, which does not
+// exist on Windows and would interpret the name. options: { env, platform }
+export function commandExists(command, options = {}) {
+  const { env = process.env, platform: currentPlatform = platform() } = options;
+  const extensions = currentPlatform === 'win32'
+    ? ['', ...(env.PATHEXT || '.EXE;.CMD;.BAT;.COM').split(';').filter(Boolean)]
+    : [''];
+  const isFile = path => {
+    try {
+      return existsSync(path) && statSync(path).isFile();
+    } catch (error) {
+      return false;
+    }
+  };
+
+  if (isAbsolute(command)) {
+    return Promise.resolve(extensions.some(extension => isFile(command + extension)));
+  }
+
+  const directories = (env.PATH || env.Path || '').split(delimiter).filter(Boolean);
+  return Promise.resolve(directories.some(directory =>
+    extensions.some(extension => isFile(join(directory, command + extension)))));
+}
+
+// PowerShell single-quoted literal. Besides ' PowerShell also treats the typographic
+// quotes U+2018-U+201B as single quotes, so every one of them is doubled
+export function quotePowerShell(value) {
+  return `'${String(value).replace(/['‘’‚‛]/g, quote => quote + quote)}'`;
+}
+
+// Runs a script through -EncodedCommand (base64 UTF-16LE), so nothing in it is seen by
+// cmd.exe or the PowerShell command-line parser
+export function powerShellCommand(script) {
+  return [
+    'powershell',
+    '-NoProfile',
+    '-NonInteractive',
+    '-ExecutionPolicy', 'Bypass',
+    '-EncodedCommand', Buffer.from(script, 'utf16le').toString('base64')
+  ];
+}
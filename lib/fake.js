@@ -0,0 +1,209 @@
+// Fake capture environment for tests
+// createFakeExecutor() stands in for child processes: its backend renders a test pattern in
+// memory, xrandr lists the fake displays and clipboard tools keep the copied image, so capture
+// flows behave the same on a headless CI machine as on a desktop
+
+import { encodeImage } from './image.js';
+import { formatCommand } from './exec.js';
+
+export const FAKE_COMMAND = 'crosshot-fake';
+
+const DEFAULT_DISPLAYS = [{ name: 'FAKE-1', primary: true, x: 0, y: 0, width: 640, height: 480 }];
+const DEFAULT_WINDOWS = [{ id: '0x1000001', active: true, x: 40, y: 30, width: 320, height: 200 }];
+
+const geometry = region => `${region.width}x${region.height}+${region.x}+${region.y}`;
+
+// Backend running the fake tool. It writes PNG to stdout and supports every feature, so the
+// whole pipeline (regions, displays, windows, conversion) can be exercised
+export const fakeBackend = {
+  name: 'fake',
+  command: FAKE_COMMAND,
+  platforms: ['linux', 'darwin', 'win32'],
+  formats: ['png'],
+  features: ['region', 'display', 'activeWindow', 'windowId', 'stdout'],
+  versionArgs: ['--version'],
+  description: 'test pattern from createFakeExecutor()',
+  buildCommand: ({ region, display, target }) => [
+    FAKE_COMMAND,
+    'capture',
+    ...(target ? ['--window', target.type === 'activeWindow' ? 'active' : target.windowId] : []),
+    ...(display ? ['--display', display.name] : []),
+    ...(region ? ['--region', geometry(region)] : []),
+    '-'
+  ]
+};
+
+// Pixel (x, y) of the fake desktop has red x % 256, green y % 256 and blue 128, so a crop or
+// display can be checked by reading a single pixel of the result. With a scale above 1 every
+// desktop pixel becomes scale x scale image pixels, as on a HiDPI screen
+function renderPattern(rect, blank, scale) {
+  const width = rect.width * scale;
+  const height = rect.height * scale;
+  const data = Buffer.alloc(width * height * 4);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const offset = (y * width + x) * 4;
+      if (!blank) {
+        data[offset] = (rect.x + Math.floor(x / scale)) % 256;
+        data[offset + 1] = (rect.y + Math.floor(y / scale)) % 256;
+        data[offset + 2] = 128;
+      }
+      data[offset + 3] = 255;
+    }
+  }
+
+  return encodeImage({ width, height, data }, 'png');
+}
+
+// The errors execFile() produces, so the pipeline treats fake failures like real ones
+function spawnError(command) {
+  const error = new Error(`spawn ${command} ENOENT`);
+  error.code = 'ENOENT';
+  error.errno = -2;
+  error.syscall = `spawn ${command}`;
+  error.path = command;
+  return error;
+}
+
+function exitError(argv, exitCode, stderr) {
+  const error = new Error(`Command failed: ${formatCommand(argv)}\n${stderr}`);
+  error.code = exitCode;
+  error.stdout = '';
+  error.stderr = stderr;
+  return error;
+}
+
+function abortError() {
+  const error = new Error('The operation was aborted');
+  error.name = 'AbortError';
+  error.code = 'ABORT_ERR';
+  return error;
+}
+
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(abortError());
+      return;
+    }
+    const timer = setTimeout(resolve, ms);
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(abortError());
+      }, { once: true });
+    }
+  });
+}
+
+// Executor for createCrosshot({ executor, backends: [executor.backend] }). options:
+// { displays, windows, scale, installed, delay, blank, fail }. displays and windows describe
+// the fake desktop in logical pixels and scale (an integer, 1 by default) renders every one of
+// them as scale x scale pixels like a HiDPI screen; installed lists the commands that exist
+// (the fake tool, xrandr, xclip and wl-copy by default), every other command fails like a
+// missing executable. delay holds each command back (and honors the signal), blank renders an
+// all-black screen as without screen recording permission and fail(argv) may return
+// { exitCode, stderr } to make a command fail. Every command is recorded in calls; the image
+// last copied to the clipboard is kept in clipboard
+export function createFakeExecutor(options = {}) {
+  const {
+    displays = DEFAULT_DISPLAYS,
+    windows = DEFAULT_WINDOWS,
+    scale = 1,
+    installed = [FAKE_COMMAND, 'xrandr', 'xclip', 'wl-copy'],
+    delay = 0,
+    blank = false,
+    fail = null
+  } = options;
+  const screen = {
+    x: Math.min(...displays.map(display => display.x)),
+    y: Math.min(...displays.map(display => display.y)),
+    width: Math.max(...displays.map(display => display.x + display.width)) - Math.min(...displays.map(display => display.x)),
+    height: Math.max(...displays.map(display => display.y + display.height)) - Math.min(...displays.map(display => display.y))
+  };
+
+  async function start(argv, runOptions) {
+    const [command] = argv;
+
+    executor.calls.push({ argv: [...argv], env: runOptions.env || null });
+
+    if (!installed.includes(command)) {
+      throw spawnError(command);
+    }
+    if (delay) {
+      await wait(delay, runOptions.signal);
+    }
+
+    const failure = fail ? fail(argv) : null;
+
+    if (failure) {
+      throw exitError(argv, failure.exitCode ?? 1, failure.stderr || '');
+    }
+  }
+
+  function capture(argv) {
+    const option = name => (argv.indexOf(name) === -1 ? null : argv[argv.indexOf(name) + 1]);
+    const windowId = option('--window');
+    const displayName = option('--display');
+    const region = option('--region');
+    let rect = screen;
+
+    if (windowId) {
+      rect = windows.find(window => (windowId === 'active' ? window.active : window.id === windowId));
+    } else if (displayName) {
+      rect = displays.find(display => display.name === displayName);
+    } else if (region) {
+      const [, width, height, x, y] = region.match(/^(\d+)x(\d+)\+(\d+)\+(\d+)$/).map(Number);
+      rect = { x, y, width, height };
+    }
+
+    if (!rect) {
+      throw exitError(argv, 1, `${FAKE_COMMAND}: no such ${windowId ? 'window' : 'display'}: ${windowId || displayName}`);
+    }
+
+    return renderPattern(rect, blank, scale);
+  }
+
+  const executor = {
+    backend: fakeBackend,
+    calls: [],
+    clipboard: null,
+
+    async run(argv, runOptions = {}) {
+      await start(argv, runOptions);
+
+      const [command, ...args] = argv;
+      let stdout = '';
+
+      if (command === FAKE_COMMAND && args[0] === 'capture') {
+        stdout = capture(argv);
+      } else if (command === FAKE_COMMAND) {
+        stdout = `${FAKE_COMMAND} 1.0.0\n`;
+      } else if (command === 'xrandr') {
+        stdout = [
+          `Screen 0: minimum 8 x 8, current ${screen.width} x ${screen.height}, maximum 32767 x 32767`,
+          ...displays.map(display => `${display.name} connected ${display.primary ? 'primary ' : ''}${geometry(display)} (normal left inverted right x axis y axis) 0mm x 0mm`)
+        ].join('\n');
+      }
+
+      return runOptions.encoding === 'buffer'
+        ? { stdout: Buffer.from(stdout), stderr: Buffer.alloc(0) }
+        : { stdout: String(stdout), stderr: '' };
+    },
+
+    async runWithInput(argv, input, runOptions = {}) {
+      await start(argv, runOptions);
+      if (input) {
+        executor.clipboard = Buffer.from(input);
+      }
+      return { stderr: '' };
+    },
+
+    commandExists(command) {
+      return Promise.resolve(installed.includes(command));
+    }
+  };
+
+  return executor;
+}
@@ -0,0 +1,56 @@
+// Capture lifecycle hooks
+// The hooks option follows a capture from tool detection through every attempt to the written
+// file. Event hooks only observe; beforeCapture and afterCapture may change the options and image
+
+import { InvalidOptionError } from './errors.js';
+
+export const HOOK_EVENTS = ['detect', 'attempt', 'attemptFailed', 'fallback', 'verified', 'written', 'success', 'error'];
+
+export const HOOK_NAMES = [...HOOK_EVENTS, 'beforeCapture', 'afterCapture'];
+
+// Returns the hooks that are set, {} without hooks; throws InvalidOptionError for anything
+// that is not an object of functions with known names
+export function normalizeHooks(hooks) {
+  if (hooks === undefined || hooks === null) {
+    return {};
+  }
+
+  if (typeof hooks !== 'object' || Array.isArray(hooks)) {
+    throw new InvalidOptionError(`Invalid hooks: ${JSON.stringify(hooks)}`, {
+      suggestions: [`Use an object of functions named ${HOOK_NAMES.join(', ')}`]
+    });
+  }
+
+  const entries = Object.entries(hooks).filter(([, hook]) => hook !== undefined && hook !== null);
+
+  entries.forEach(([name, hook]) => {
+    if (!HOOK_NAMES.includes(name)) {
+      throw new InvalidOptionError(`Unknown hook: ${name}`, {
+        suggestions: [`Use one of: ${HOOK_NAMES.join(', ')}`]
+      });
+    }
+    if (typeof hook !== 'function') {
+      throw new InvalidOptionError(`Invalid hook ${name}: expected a function`, {
+        suggestions: [`Set hooks.${name} to a function, or leave it out`]
+      });
+    }
+  });
+
+  return Object.fromEntries(entries);
+}
+
+// emit(event, payload) calls the hook for an event. A hook that throws or rejects is passed
+// to onError(event, error) and never fails the capture it observes
+export function createHookEmitter(hooks, onError) {
+  return (event, payload) => {
+    if (!hooks[event]) {
+      return;
+    }
+
+    try {
+      Promise.resolve(hooks[event](payload)).catch(error => onError(event, error));
+    } catch (error) {
+      onError(event, error);
+    }
+  };
+}
@@ -0,0 +1,376 @@
+// Image helpers used by the capture pipeline
+// Decodes tool output (PNG, JPEG, BMP, XWD) into RGBA pixels, crops or resizes it and encodes it back to the requested format
+
+import pngjs from 'pngjs';
+import jpeg from 'jpeg-js';
+import { encodeWebp } from './webp.js';
+
+const { PNG } = pngjs;
+
+export function detectImageFormat(buffer) {
+  if (!buffer || buffer.length < 12) {
+    return null;
+  }
+  if (buffer.readUInt32BE(0) === 0x89504e47 && buffer.readUInt32BE(4) === 0x0d0a1a0a) {
+    return 'png';
+  }
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'jpg';
+  }
+  if (buffer[0] === 0x42 && buffer[1] === 0x4d) {
+    return 'bmp';
+  }
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return 'webp';
+  }
+  // X Window Dump (xwd): no magic bytes, but a big-endian header of at least 100 bytes
+  // with file version 7
+  if (buffer.length >= 100 && buffer.readUInt32BE(4) === 7 && buffer.readUInt32BE(0) >= 100 && buffer.readUInt32BE(0) < 4096) {
+    return 'xwd';
+  }
+  return null;
+}
+
+export function readImageInfo(buffer) {
+  const format = detectImageFormat(buffer);
+
+  try {
+    if (format === 'png') {
+      return { format, width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    }
+    if (format === 'bmp') {
+      return { format, width: buffer.readInt32LE(18), height: Math.abs(buffer.readInt32LE(22)) };
+    }
+    if (format === 'jpg') {
+      return readJpegInfo(buffer);
+    }
+    if (format === 'webp') {
+      return readWebpInfo(buffer);
+    }
+    if (format === 'xwd') {
+      return { format, width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    }
+  } catch (error) {
+    return null;
+  }
+  return null;
+}
+
+function readJpegInfo(buffer) {
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) {
+      offset++;
+      continue;
+    }
+    const marker = buffer[offset + 1];
+    if (marker === 0xff) {
+      offset++;
+      continue;
+    }
+    const length = buffer.readUInt16BE(offset + 2);
+    const isFrameHeader = marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+    if (isFrameHeader) {
+      return { format: 'jpg', width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+    }
+    offset += 2 + length;
+  }
+  return null;
+}
+
+function readWebpInfo(buffer) {
+  const chunk = buffer.toString('ascii', 12, 16);
+  if (chunk === 'VP8 ') {
+    return { format: 'webp', width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+  }
+  if (chunk === 'VP8L') {
+    const bits = buffer.readUInt32LE(21);
+    return { format: 'webp', width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+  if (chunk === 'VP8X') {
+    return { format: 'webp', width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+  }
+  return null;
+}
+
+export function decodeImage(buffer) {
+  const format = detectImageFormat(buffer);
+
+  if (format === 'png') {
+    const png = PNG.sync.read(buffer);
+    return { width: png.width, height: png.height, data: png.data };
+  }
+  if (format === 'jpg') {
+    const decoded = jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true });
+    return { width: decoded.width, height: decoded.height, data: Buffer.from(decoded.data.buffer) };
+  }
+  if (format === 'bmp') {
+    return decodeBmp(buffer);
+  }
+  if (format === 'xwd') {
+    return decodeXwd(buffer);
+  }
+  throw new Error(`Cannot decode ${format || 'unknown'} image data`);
+}
+
+export function encodeImage(image, format, options = {}) {
+  const { quality = 100 } = options;
+
+  if (format === 'png') {
+    const png = new PNG({ width: image.width, height: image.height });
+    image.data.copy(png.data);
+    return PNG.sync.write(png);
+  }
+  if (format === 'jpg' || format === 'jpeg') {
+    return jpeg.encode(image, quality).data;
+  }
+  if (format === 'bmp') {
+    return encodeBmp(image);
+  }
+  if (format === 'webp') {
+    return encodeWebp(image, { quality });
+  }
+  throw new Error(`Cannot encode ${format} image data`);
+}
+
+function decodeBmp(buffer) {
+  const dataOffset = buffer.readUInt32LE(10);
+  const width = buffer.readInt32LE(18);
+  const rawHeight = buffer.readInt32LE(22);
+  const bitsPerPixel = buffer.readUInt16LE(28);
+  const compression = buffer.readUInt32LE(30);
+
+  if ((bitsPerPixel !== 24 && bitsPerPixel !== 32) || (compression !== 0 && compression !== 3)) {
+    throw new Error(`Unsupported BMP variant: ${bitsPerPixel}-bit, compression ${compression}`);
+  }
+
+  const height = Math.abs(rawHeight);
+  const bytesPerPixel = bitsPerPixel / 8;
+  const rowSize = Math.ceil((width * bitsPerPixel) / 32) * 4;
+  const data = Buffer.alloc(width * height * 4);
+
+  for (let y = 0; y < height; y++) {
+    const sourceRow = rawHeight > 0 ? height - 1 - y : y;
+    for (let x = 0; x < width; x++) {
+      const source = dataOffset + sourceRow * rowSize + x * bytesPerPixel;
+      const target = (y * width + x) * 4;
+      data[target] = buffer[source + 2];
+      data[target + 1] = buffer[source + 1];
+      data[target + 2] = buffer[source];
+      data[target + 3] = 255;
+    }
+  }
+
+  return { width, height, data };
+}
+
+// ZPixmap dumps as written by xwd: true color through the channel masks, or 8-bit
+// pseudo color through the colormap that follows the header
+function decodeXwd(buffer) {
+  const field = index => buffer.readUInt32BE(index * 4);
+  const headerSize = field(0);
+  const pixmapFormat = field(2);
+  const width = field(4);
+  const height = field(5);
+  const lsbFirst = field(7) === 0;
+  const bitsPerPixel = field(11);
+  const bytesPerLine = field(12);
+  const masks = [field(14), field(15), field(16)];
+  const colorCount = field(19);
+  const dataOffset = headerSize + colorCount * 12;
+
+  if (pixmapFormat !== 2) {
+    throw new Error(`Unsupported XWD pixmap format ${pixmapFormat}`);
+  }
+  if (![8, 16, 24, 32].includes(bitsPerPixel)) {
+    throw new Error(`Unsupported XWD pixel size ${bitsPerPixel}`);
+  }
+  if (buffer.length < dataOffset + bytesPerLine * height) {
+    throw new Error('Truncated XWD pixel data');
+  }
+
+  const bytesPerPixel = bitsPerPixel / 8;
+  const readPixel = offset => {
+    let value = 0;
+    for (let i = 0; i < bytesPerPixel; i++) {
+      const byte = buffer[offset + (lsbFirst ? bytesPerPixel - 1 - i : i)];
+      value = value * 256 + byte;
+    }
+    return value;
+  };
+
+  const colormap = new Map();
+  if (bitsPerPixel === 8) {
+    for (let i = 0; i < colorCount; i++) {
+      const entry = headerSize + i * 12;
+      colormap.set(buffer.readUInt32BE(entry), [buffer[entry + 4], buffer[entry + 6], buffer[entry + 8]]);
+    }
+  }
+
+  const channels = masks.map(mask => {
+    const shift = mask ? 31 - Math.clz32(mask & -mask) : 0;
+    return { mask, shift, max: mask ? mask / 2 ** shift : 1 };
+  });
+  const data = Buffer.alloc(width * height * 4);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const pixel = readPixel(dataOffset + y * bytesPerLine + x * bytesPerPixel);
+      const target = (y * width + x) * 4;
+
+      if (bitsPerPixel === 8) {
+        const [red, green, blue] = colormap.get(pixel) || [0, 0, 0];
+        data[target] = red;
+        data[target + 1] = green;
+        data[target + 2] = blue;
+      } else {
+        channels.forEach(({ mask, shift, max }, channel) => {
+          data[target + channel] = Math.round(((pixel & mask) >>> shift) * 255 / max);
+        });
+      }
+      data[target + 3] = 255;
+    }
+  }
+
+  return { width, height, data };
+}
+
+function encodeBmp(image) {
+  const { width, height, data } = image;
+  const rowSize = Math.ceil((width * 3) / 4) * 4;
+  const pixelBytes = rowSize * height;
+  const buffer = Buffer.alloc(54 + pixelBytes);
+
+  buffer.write('BM', 0, 'ascii');
+  buffer.writeUInt32LE(54 + pixelBytes, 2);
+  buffer.writeUInt32LE(54, 10);
+  buffer.writeUInt32LE(40, 14);
+  buffer.writeInt32LE(width, 18);
+  buffer.writeInt32LE(height, 22);
+  buffer.writeUInt16LE(1, 26);
+  buffer.writeUInt16LE(24, 28);
+  buffer.writeUInt32LE(pixelBytes, 34);
+  buffer.writeInt32LE(2835, 38);
+  buffer.writeInt32LE(2835, 42);
+
+  for (let y = 0; y < height; y++) {
+    const targetRow = 54 + (height - 1 - y) * rowSize;
+    for (let x = 0; x < width; x++) {
+      const source = (y * width + x) * 4;
+      const target = targetRow + x * 3;
+      buffer[target] = data[source + 2];
+      buffer[target + 1] = data[source + 1];
+      buffer[target + 2] = data[source];
+    }
+  }
+
+  return buffer;
+}
+
+// True when every pixel is black or fully transparent, which is what capture APIs return
+// when screen recording permission is missing
+export function isBlankImage(image) {
+  const { data } = image;
+
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] !== 0 && (data[i] | data[i + 1] | data[i + 2]) !== 0) {
+      return false;
+    }
+  }
+  return true;
+}
+
+export function clampRegion(region, width, height) {
+  const x = Math.max(0, Math.min(region.x, width));
+  const y = Math.max(0, Math.min(region.y, height));
+  const right = Math.min(region.x + region.width, width);
+  const bottom = Math.min(region.y + region.height, height);
+
+  if (right <= x || bottom <= y) {
+    return null;
+  }
+  return { x, y, width: right - x, height: bottom - y };
+}
+
+export function cropImage(image, region) {
+  const data = Buffer.alloc(region.width * region.height * 4);
+
+  for (let y = 0; y < region.height; y++) {
+    const start = ((region.y + y) * image.width + region.x) * 4;
+    image.data.copy(data, y * region.width * 4, start, start + region.width * 4);
+  }
+
+  return { width: region.width, height: region.height, data };
+}
+
+// Weights of the source pixels that make up each destination pixel along one axis. A
+// triangle filter widened by the scale factor averages every source pixel when shrinking,
+// so downscaled text and lines stay smooth instead of aliasing
+function resampleWeights(sourceSize, targetSize) {
+  const scale = sourceSize / targetSize;
+  const support = Math.max(1, scale);
+
+  return Array.from({ length: targetSize }, (unused, target) => {
+    const center = (target + 0.5) * scale;
+    const first = Math.max(0, Math.floor(center - support));
+    const last = Math.min(sourceSize - 1, Math.ceil(center + support));
+    const weights = [];
+    let total = 0;
+
+    for (let source = first; source <= last; source++) {
+      const weight = Math.max(0, 1 - Math.abs((source + 0.5 - center) / support));
+      weights.push(weight);
+      total += weight;
+    }
+    return { first, weights: weights.map(weight => weight / total) };
+  });
+}
+
+// Resamples an RGBA image to width x height. Colors are weighted by alpha so transparent
+// pixels (e.g. around window shadows) do not darken the edges
+export function resizeImage(image, width, height) {
+  if (width === image.width && height === image.height) {
+    return image;
+  }
+
+  const columns = resampleWeights(image.width, width);
+  const rows = resampleWeights(image.height, height);
+  const horizontal = new Float64Array(width * image.height * 4);
+
+  for (let y = 0; y < image.height; y++) {
+    columns.forEach(({ first, weights }, x) => {
+      const target = (y * width + x) * 4;
+      weights.forEach((weight, offset) => {
+        const source = (y * image.width + first + offset) * 4;
+        const alpha = image.data[source + 3] * weight;
+        horizontal[target] += image.data[source] * alpha;
+        horizontal[target + 1] += image.data[source + 1] * alpha;
+        horizontal[target + 2] += image.data[source + 2] * alpha;
+        horizontal[target + 3] += alpha;
+      });
+    });
+  }
+
+  const data = Buffer.alloc(width * height * 4);
+
+  rows.forEach(({ first, weights }, y) => {
+    for (let x = 0; x < width; x++) {
+      const sums = [0, 0, 0, 0];
+      weights.forEach((weight, offset) => {
+        const source = ((first + offset) * width + x) * 4;
+        for (let channel = 0; channel < 4; channel++) {
+          sums[channel] += horizontal[source + channel] * weight;
+        }
+      });
+
+      const target = (y * width + x) * 4;
+      const alpha = sums[3];
+      for (let channel = 0; channel < 3; channel++) {
+        data[target + channel] = alpha > 0 ? Math.min(255, Math.round(sums[channel] / alpha)) : 0;
+      }
+      data[target + 3] = Math.min(255, Math.round(alpha));
+    }
+  });
+
+  return { width, height, data };
+}
@@ -0,0 +1,223 @@
+// Capture metadata embedded in image files
+// PNG gets an iTXt chunk, JPEG a comment (COM) segment and WebP an XMP chunk. Each holds the
+// same JSON document that is written to .json sidecars, so either can be read back
+
+import { inflateSync } from 'zlib';
+import { detectImageFormat } from './image.js';
+
+export const METADATA_FORMATS = ['png', 'jpg', 'webp'];
+
+const KEYWORD = 'crosshot';
+const JPEG_PREFIX = `${KEYWORD}:`;
+const XMP_NAMESPACE = 'https://github.com/ltcodedev/crosshot/ns/1.0/';
+
+const CRC_TABLE = Array.from({ length: 256 }, (unused, index) => {
+  let value = index;
+  for (let bit = 0; bit < 8; bit++) {
+    value = value & 1 ? 0xedb88320 ^ (value >>> 1) : value >>> 1;
+  }
+  return value >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// A PNG chunk with its length and CRC, also used to assemble APNG files
+export function pngChunk(type, data) {
+  const chunk = Buffer.alloc(12 + data.length);
+  chunk.writeUInt32BE(data.length, 0);
+  chunk.write(type, 4, 'ascii');
+  data.copy(chunk, 8);
+  chunk.writeUInt32BE(crc32(chunk.subarray(4, 8 + data.length)), 8 + data.length);
+  return chunk;
+}
+
+// Software and Creation Time are the registered PNG keywords other tools display; the
+// full document goes into an international text chunk so any UTF-8 survives
+function embedPng(buffer, metadata, json) {
+  const headerEnd = 8 + 12 + buffer.readUInt32BE(8);
+  const chunks = [
+    pngChunk('tEXt', Buffer.from(`Software\0${metadata.software}`, 'latin1')),
+    pngChunk('tEXt', Buffer.from(`Creation Time\0${metadata.timestamp}`, 'latin1')),
+    pngChunk('iTXt', Buffer.concat([Buffer.from(`${KEYWORD}\0\0\0\0\0`, 'latin1'), Buffer.from(json, 'utf8')]))
+  ];
+  return Buffer.concat([buffer.subarray(0, headerEnd), ...chunks, buffer.subarray(headerEnd)]);
+}
+
+function extractPng(buffer) {
+  for (let offset = 8; offset + 12 <= buffer.length;) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    const data = buffer.subarray(offset + 8, offset + 8 + length);
+
+    if (type === 'iTXt' && data.toString('latin1', 0, KEYWORD.length + 1) === `${KEYWORD}\0`) {
+      const compressed = data[KEYWORD.length + 1] === 1;
+      const language = data.indexOf(0, KEYWORD.length + 3);
+      const translated = data.indexOf(0, language + 1);
+      const text = data.subarray(translated + 1);
+      return (compressed ? inflateSync(text) : text).toString('utf8');
+    }
+    if (type === 'IEND') {
+      break;
+    }
+    offset += 12 + length;
+  }
+  return null;
+}
+
+// The comment goes after the APPn segments, which JFIF and EXIF readers expect first
+function embedJpeg(buffer, json) {
+  const text = Buffer.from(`${JPEG_PREFIX}${json}`, 'utf8');
+
+  if (text.length > 0xfffd) {
+    throw new Error('Metadata is too large for a JPEG comment');
+  }
+
+  let offset = 2;
+  while (offset + 4 <= buffer.length && buffer[offset] === 0xff && buffer[offset + 1] >= 0xe0 && buffer[offset + 1] <= 0xef) {
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+
+  const segment = Buffer.alloc(4 + text.length);
+  segment[0] = 0xff;
+  segment[1] = 0xfe;
+  segment.writeUInt16BE(2 + text.length, 2);
+  text.copy(segment, 4);
+  return Buffer.concat([buffer.subarray(0, offset), segment, buffer.subarray(offset)]);
+}
+
+function extractJpeg(buffer) {
+  for (let offset = 2; offset + 4 <= buffer.length && buffer[offset] === 0xff;) {
+    const marker = buffer[offset + 1];
+    const length = buffer.readUInt16BE(offset + 2);
+
+    if (marker === 0xda || marker === 0xd9) {
+      break;
+    }
+    if (marker === 0xfe) {
+      const text = buffer.toString('utf8', offset + 4, offset + 2 + length);
+      if (text.startsWith(JPEG_PREFIX)) {
+        return text.slice(JPEG_PREFIX.length);
+      }
+    }
+    offset += 2 + length;
+  }
+  return null;
+}
+
+const escapeXml = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+const unescapeXml = text => text.replace(/&quot;/g, '"').replace(/&gt;/g, '>').replace(/&lt;/g, '<').replace(/&amp;/g, '&');
+
+function riffChunks(buffer) {
+  const chunks = [];
+  for (let offset = 12; offset + 8 <= buffer.length;) {
+    const size = buffer.readUInt32LE(offset + 4);
+    chunks.push({ type: buffer.toString('ascii', offset, offset + 4), data: buffer.subarray(offset + 8, offset + 8 + size) });
+    offset += 8 + size + (size % 2);
+  }
+  return chunks;
+}
+
+function riffChunk(type, data) {
+  const chunk = Buffer.alloc(8 + data.length + (data.length % 2));
+  chunk.write(type, 0, 'ascii');
+  chunk.writeUInt32LE(data.length, 4);
+  data.copy(chunk, 8);
+  return chunk;
+}
+
+// Metadata requires the extended (VP8X) WebP layout, so simple files are converted: the
+// VP8X header carries the canvas size and flags for alpha and XMP
+function embedWebp(buffer, metadata, json) {
+  const chunks = riffChunks(buffer).filter(chunk => chunk.type !== 'XMP ');
+  const xmp = Buffer.from([
+    '<?xpacket begin="\ufeff" id="W5M0MpCehiHzreSzNTczkc9d"?>',
+    '<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">',
+    `<rdf:Description rdf:about="" xmlns:xmp="http://ns.adobe.com/xap/1.0/" xmlns:${KEYWORD}="${XMP_NAMESPACE}"`,
+    ` xmp:CreatorTool="${escapeXml(metadata.software)}" xmp:CreateDate="${escapeXml(metadata.timestamp)}"`,
+    ` ${KEYWORD}:metadata="${escapeXml(json)}"/>`,
+    '</rdf:RDF></x:xmpmeta>',
+    '<?xpacket end="w"?>'
+  ].join(''), 'utf8');
+
+  let header = chunks.find(chunk => chunk.type === 'VP8X');
+
+  if (!header) {
+    const image = chunks.find(chunk => chunk.type === 'VP8L' || chunk.type === 'VP8 ');
+    let width;
+    let height;
+    let alpha = chunks.some(chunk => chunk.type === 'ALPH');
+
+    if (image.type === 'VP8L') {
+      const bits = image.data.readUInt32LE(1);
+      width = (bits & 0x3fff) + 1;
+      height = ((bits >> 14) & 0x3fff) + 1;
+      alpha = alpha || Boolean((bits >>> 28) & 1);
+    } else {
+      width = image.data.readUInt16LE(6) & 0x3fff;
+      height = image.data.readUInt16LE(8) & 0x3fff;
+    }
+
+    header = { type: 'VP8X', data: Buffer.alloc(10) };
+    header.data[0] = alpha ? 0x10 : 0;
+    header.data.writeUIntLE(width - 1, 4, 3);
+    header.data.writeUIntLE(height - 1, 7, 3);
+    chunks.unshift(header);
+  }
+
+  header.data = Buffer.from(header.data);
+  header.data[0] |= 0x04;
+
+  const body = Buffer.concat([...chunks.map(chunk => riffChunk(chunk.type, chunk.data)), riffChunk('XMP ', xmp)]);
+  const riff = Buffer.alloc(12);
+  riff.write('RIFF', 0, 'ascii');
+  riff.writeUInt32LE(4 + body.length, 4);
+  riff.write('WEBP', 8, 'ascii');
+  return Buffer.concat([riff, body]);
+}
+
+function extractWebp(buffer) {
+  const xmp = riffChunks(buffer).find(chunk => chunk.type === 'XMP ');
+  const match = xmp && xmp.data.toString('utf8').match(new RegExp(`${KEYWORD}:metadata="([^"]*)"`));
+  return match ? unescapeXml(match[1]) : null;
+}
+
+// Returns a copy of a PNG, JPEG or WebP image carrying metadata, a plain object with at least
+// software and timestamp
+export function embedMetadata(buffer, metadata) {
+  const format = detectImageFormat(buffer);
+  const json = JSON.stringify(metadata);
+
+  if (format === 'png') {
+    return embedPng(buffer, metadata, json);
+  }
+  if (format === 'jpg') {
+    return embedJpeg(buffer, json);
+  }
+  if (format === 'webp') {
+    return embedWebp(buffer, metadata, json);
+  }
+  throw new Error(`Cannot embed metadata in ${format || 'unknown'} images`);
+}
+
+// The metadata embedded by embedMetadata(), or null when the image carries none
+export function extractMetadata(buffer) {
+  const format = detectImageFormat(buffer);
+  const extractors = { png: extractPng, jpg: extractJpeg, webp: extractWebp };
+  const json = extractors[format] ? extractors[format](buffer) : null;
+
+  if (json === null) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(json);
+  } catch (error) {
+    return null;
+  }
+}
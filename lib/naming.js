@@ -0,0 +1,179 @@
+// Output file naming
+// Expands name templates such as "{date:YYYY-MM-DD}/{time}-{hostname}-{seq:3}" and lists
+// the file names to try so a capture never lands on top of an existing one
+
+import * as nodeFs from 'fs';
+import { join } from 'path';
+
+export const CONFLICT_MODES = ['overwrite', 'increment', 'error'];
+
+const TOKEN_PATTERN = /\{(\w+)(?::([^{}]*))?\}/g;
+const TOKENS = ['date', 'time', 'timestamp', 'hostname', 'platform', 'tool', 'display', 'seq'];
+const DATE_PARTS = /YYYY|YY|MM|DD|HH|mm|ss|SSS/g;
+const MAX_CANDIDATES = 10000;
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+function formatDate(date, pattern) {
+  const pad = (value, width = 2) => String(value).padStart(width, '0');
+  const parts = {
+    YYYY: date.getFullYear(),
+    YY: pad(date.getFullYear() % 100),
+    MM: pad(date.getMonth() + 1),
+    DD: pad(date.getDate()),
+    HH: pad(date.getHours()),
+    mm: pad(date.getMinutes()),
+    ss: pad(date.getSeconds()),
+    SSS: pad(date.getMilliseconds(), 3)
+  };
+  return pattern.replace(DATE_PARTS, part => parts[part]);
+}
+
+// Values such as host names and display names end up in paths, so anything but
+// letters, digits, dots and dashes is collapsed into a dash
+function sanitizeValue(value) {
+  return String(value).replace(/[^\w.-]+/g, '-').replace(/^[-.]+|-+$/g, '') || 'unknown';
+}
+
+function validateSegments(name, currentPlatform) {
+  if (/[\u0000-\u001f\u007f]/.test(name)) {
+    return 'contains control characters';
+  }
+  if (name.includes('\\')) {
+    return 'must use / to separate directories';
+  }
+  if (/^[a-z]:/i.test(name)) {
+    return 'must not start with a drive letter';
+  }
+
+  const segments = name.split('/');
+  if (segments.some(segment => segment.trim() === '' || segment === '.' || segment === '..')) {
+    return 'must not be absolute, contain empty segments or refer to "." or ".."';
+  }
+  if (currentPlatform === 'win32' && segments.some(segment => /[<>:"|?*]/.test(segment))) {
+    return 'contains characters that are not allowed in Windows file names';
+  }
+  return null;
+}
+
+// Returns an error message for an unusable name or template, or null. "/" separates
+// subdirectories inside the destination directory; {seq} may only appear in the file name
+export function validateNameTemplate(template, currentPlatform) {
+  if (typeof template !== 'string' || template.trim() === '') {
+    return 'must be a non-empty string';
+  }
+
+  const tokens = [...template.matchAll(TOKEN_PATTERN)];
+  const unknown = tokens.map(([, token]) => token).filter(token => !TOKENS.includes(token));
+  if (unknown.length > 0) {
+    return `uses unknown placeholders ${unknown.map(token => `{${token}}`).join(', ')}. Known placeholders: ${TOKENS.map(token => `{${token}}`).join(', ')}`;
+  }
+
+  const sequences = tokens.filter(([, token]) => token === 'seq');
+  if (sequences.length > 1) {
+    return 'may contain {seq} only once';
+  }
+  if (sequences.length === 1) {
+    const [match, , width] = sequences[0];
+    if (width !== undefined && !/^[1-9]$/.test(width)) {
+      return `has an invalid sequence width in ${match}; use {seq} or {seq:1} to {seq:9}`;
+    }
+    if (template.indexOf(match) < template.lastIndexOf('/')) {
+      return 'may only use {seq} in the file name, not in a directory';
+    }
+  }
+
+  const literal = template.replace(TOKEN_PATTERN, 'x');
+  if (/[{}]/.test(literal)) {
+    return 'contains an unmatched { or }';
+  }
+  return validateSegments(literal, currentPlatform);
+}
+
+// Fills in every placeholder except {seq}. values: { date, hostname, platform, tool, display }.
+// Returns { name, sequenceWidth } where sequenceWidth is null without {seq} and name keeps
+// a single "{seq}" to be filled in by nameCandidates()
+export function expandNameTemplate(template, values) {
+  let sequenceWidth = null;
+
+  const name = template.replace(TOKEN_PATTERN, (match, token, argument) => {
+    switch (token) {
+      case 'date':
+        return formatDate(values.date, argument || 'YYYY-MM-DD');
+      case 'time':
+        return formatDate(values.date, argument || 'HH-mm-ss');
+      case 'timestamp':
+        return String(values.date.getTime());
+      case 'seq':
+        sequenceWidth = argument ? Number(argument) : 1;
+        return '{seq}';
+      default:
+        return sanitizeValue(values[token]);
+    }
+  });
+
+  const error = validateSegments(name.replace('{seq}', '0'), values.platform);
+  if (error) {
+    throw new Error(`Expanded file name ${JSON.stringify(name)} ${error}`);
+  }
+  return { name, sequenceWidth };
+}
+
+// Relative paths to try, in order. With {seq} numbering continues after the highest
+// number already used in the target directory; without it the plain name comes first,
+// then name-1, name-2, ...
+export function* nameCandidates(destinationDir, expanded, extension, fs = nodeFs) {
+  const { name, sequenceWidth } = expanded;
+
+  if (sequenceWidth === null) {
+    yield `${name}.${extension}`;
+    for (let counter = 1; counter < MAX_CANDIDATES; counter++) {
+      yield `${name}-${counter}.${extension}`;
+    }
+    return;
+  }
+
+  const slash = name.lastIndexOf('/');
+  const directory = join(destinationDir, name.slice(0, slash + 1));
+  const [prefix, suffix] = name.slice(slash + 1).split('{seq}');
+  const pattern = new RegExp(`^${escapeRegExp(prefix)}(\\d+)${escapeRegExp(`${suffix}.${extension}`)}$`);
+  const used = fs.existsSync(directory)
+    ? fs.readdirSync(directory).map(file => file.match(pattern)).filter(Boolean).map(match => Number(match[1]))
+    : [];
+  const first = used.length > 0 ? Math.max(...used) + 1 : 1;
+
+  for (let sequence = first; sequence < first + MAX_CANDIDATES; sequence++) {
+    yield `${name.replace('{seq}', String(sequence).padStart(sequenceWidth, '0'))}.${extension}`;
+  }
+}
+
+// Matches the relative paths a template can produce, including the -1, -2 suffixes added on
+// conflicts and the -<id> suffix of allDisplays captures. Used to find earlier captures
+export function nameTemplatePattern(template, extension) {
+  let source = '';
+  let last = 0;
+
+  for (const match of template.matchAll(TOKEN_PATTERN)) {
+    const token = match[1];
+    source += escapeRegExp(template.slice(last, match.index));
+    source += token === 'seq' || token === 'timestamp' ? '\\d+' : token === 'date' || token === 'time' ? '.+?' : '[^/]+?';
+    last = match.index + match[0].length;
+  }
+  source += escapeRegExp(template.slice(last));
+
+  return new RegExp(`^${source}(?:-\\d+){0,2}\\.${escapeRegExp(extension)}$`);
+}
+
+// Sidecar thumbnail of a capture: "shots/screenshot-1.png" becomes "shots/screenshot-1.thumb.jpg"
+export function thumbnailName(name, extension) {
+  return `${name.replace(/\.[^./]+$/, '')}.thumb.${extension}`;
+}
+
+export function isThumbnailName(name) {
+  return /\.thumb\.[^./]+$/.test(name);
+}
+
+// JSON metadata sidecar of a capture: "shots/screenshot-1.png" becomes "shots/screenshot-1.png.json"
+export function sidecarName(name) {
+  return `${name}.json`;
+}
@@ -0,0 +1,128 @@
+// Redaction of screen regions
+// Applied to the decoded capture before it is encoded, so the original pixels of a
+// redacted area never reach a file, a buffer or base64 output
+
+import { InvalidOptionError } from './errors.js';
+
+export const REDACTION_MODES = ['blackout', 'blur', 'pixelate'];
+
+// Blur radius and pixel block size grow with the area so text stays unreadable whatever
+// its size, but never drop below 8 pixels
+function getStrength(region) {
+  return Math.max(8, Math.round(Math.min(region.width, region.height) / 4));
+}
+
+function blackout(data, width, region) {
+  for (let y = region.y; y < region.y + region.height; y++) {
+    const start = (y * width + region.x) * 4;
+    data.fill(0, start, start + region.width * 4);
+    for (let i = start + 3; i < start + region.width * 4; i += 4) {
+      data[i] = 255;
+    }
+  }
+}
+
+function pixelate(data, width, region) {
+  const size = getStrength(region);
+  const right = region.x + region.width;
+  const bottom = region.y + region.height;
+
+  for (let blockY = region.y; blockY < bottom; blockY += size) {
+    for (let blockX = region.x; blockX < right; blockX += size) {
+      const endX = Math.min(blockX + size, right);
+      const endY = Math.min(blockY + size, bottom);
+      const sums = [0, 0, 0, 0];
+
+      for (let y = blockY; y < endY; y++) {
+        for (let x = blockX; x < endX; x++) {
+          const index = (y * width + x) * 4;
+          sums[0] += data[index];
+          sums[1] += data[index + 1];
+          sums[2] += data[index + 2];
+          sums[3] += data[index + 3];
+        }
+      }
+
+      const count = (endX - blockX) * (endY - blockY);
+      for (let y = blockY; y < endY; y++) {
+        for (let x = blockX; x < endX; x++) {
+          const index = (y * width + x) * 4;
+          for (let channel = 0; channel < 4; channel++) {
+            data[index + channel] = Math.round(sums[channel] / count);
+          }
+        }
+      }
+    }
+  }
+}
+
+// One box blur pass along a row or column of the region. Only pixels inside the region are
+// read, so the edges repeat instead of pulling in (or leaking out) surrounding content
+function boxBlurLine(data, first, step, length, radius, line) {
+  for (let i = 0; i < length; i++) {
+    const index = first + i * step;
+    line[i * 4] = data[index];
+    line[i * 4 + 1] = data[index + 1];
+    line[i * 4 + 2] = data[index + 2];
+    line[i * 4 + 3] = data[index + 3];
+  }
+
+  const window = radius * 2 + 1;
+  const sums = [0, 0, 0, 0];
+  const at = position => Math.min(length - 1, Math.max(0, position)) * 4;
+
+  for (let offset = -radius; offset <= radius; offset++) {
+    for (let channel = 0; channel < 4; channel++) {
+      sums[channel] += line[at(offset) + channel];
+    }
+  }
+
+  for (let i = 0; i < length; i++) {
+    const index = first + i * step;
+    const leaving = at(i - radius);
+    const entering = at(i + radius + 1);
+
+    for (let channel = 0; channel < 4; channel++) {
+      data[index + channel] = Math.round(sums[channel] / window);
+      sums[channel] += line[entering + channel] - line[leaving + channel];
+    }
+  }
+}
+
+// Three box blur passes in each direction approximate a gaussian blur
+function blur(data, width, region) {
+  const radius = getStrength(region);
+  const line = new Float64Array(Math.max(region.width, region.height) * 4);
+
+  for (let pass = 0; pass < 3; pass++) {
+    for (let y = region.y; y < region.y + region.height; y++) {
+      boxBlurLine(data, (y * width + region.x) * 4, 4, region.width, radius, line);
+    }
+    for (let x = region.x; x < region.x + region.width; x++) {
+      boxBlurLine(data, (region.y * width + x) * 4, width * 4, region.height, radius, line);
+    }
+  }
+}
+
+const REDACTORS = { blackout, blur, pixelate };
+
+// Returns a copy of an RGBA image with every redaction { x, y, width, height, mode } applied.
+// Coordinates are pixels of the image. A redaction reaching past its edges throws
+// InvalidOptionError instead of hiding less than was asked for
+export function redactImage(image, redactions) {
+  const outside = redactions.find(redaction => redaction.x + redaction.width > image.width || redaction.y + redaction.height > image.height);
+
+  if (outside) {
+    throw new InvalidOptionError(`Redaction ${outside.x},${outside.y},${outside.width},${outside.height} is outside the captured ${image.width}x${image.height} image`, {
+      suggestions: ['Give redactions in pixels of the captured image: relative to the region, display or window when one is requested']
+    });
+  }
+
+  const data = Buffer.from(image.data);
+
+  redactions.forEach(redaction => {
+    REDACTORS[redaction.mode](data, image.width, redaction);
+  });
+
+  return { width: image.width, height: image.height, data };
+}
@@ -0,0 +1,114 @@
+// Retention for interval captures
+// Finds earlier captures of a name template and removes the oldest ones by count, age or
+// total size. Only files matching the template are ever considered
+
+import * as nodeFs from 'fs';
+import { join, dirname, basename, resolve, sep } from 'path';
+import { nameTemplatePattern, isThumbnailName, sidecarName } from './naming.js';
+
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3, tb: 1024 ** 4 };
+
+// Milliseconds from a number or a string such as '500ms', '30s', '5m', '2h' or '7d'.
+// Returns null when the value cannot be parsed
+export function parseDuration(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value >= 0 ? value : null;
+  }
+
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)?$/i);
+  return match ? Math.round(Number(match[1]) * DURATION_UNITS[(match[2] || 'ms').toLowerCase()]) : null;
+}
+
+// Bytes from a number or a string such as '500MB', '2GB' or '750kb' (1 KB = 1024 bytes,
+// matching the size reported in results). Returns null when the value cannot be parsed
+export function parseSize(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value >= 0 ? value : null;
+  }
+
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([kmgt]?b)?$/i);
+  return match ? Math.round(Number(match[1]) * SIZE_UNITS[(match[2] || 'b').toLowerCase()]) : null;
+}
+
+// Captures of the template below directory, newest first: [{ path, name, size, mtimeMs }]
+export function findCaptures(directory, template, extension, fs = nodeFs) {
+  const pattern = nameTemplatePattern(template, extension);
+  const depth = template.split('/').length - 1;
+  const captures = [];
+
+  const walk = (relativeDir, level) => {
+    const absoluteDir = join(directory, relativeDir);
+    if (!fs.existsSync(absoluteDir)) {
+      return;
+    }
+
+    fs.readdirSync(absoluteDir, { withFileTypes: true }).forEach(entry => {
+      const name = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+
+      if (entry.isDirectory() && level < depth) {
+        walk(name, level + 1);
+      } else if (entry.isFile() && pattern.test(name) && !isThumbnailName(name)) {
+        const stats = fs.statSync(join(directory, name));
+        captures.push({ path: join(directory, name), name, size: stats.size, mtimeMs: stats.mtimeMs });
+      }
+    });
+  };
+
+  walk('', 0);
+  return captures.sort((a, b) => b.mtimeMs - a.mtimeMs || b.name.localeCompare(a.name));
+}
+
+function removeSidecars(capturePath, fs) {
+  const prefix = `${basename(capturePath).replace(/\.[^.]+$/, '')}.thumb.`;
+
+  fs.readdirSync(dirname(capturePath))
+    .filter(name => name.startsWith(prefix) && isThumbnailName(name))
+    .forEach(name => fs.rmSync(join(dirname(capturePath), name), { force: true }));
+  fs.rmSync(sidecarName(capturePath), { force: true });
+}
+
+// Removes captures beyond policy { keep, maxAge, maxSize } together with their thumbnails and
+// metadata sidecars. The newest capture is always kept, and subdirectories left empty are
+// removed. Returns the removed captures. options: { now, fs }
+export function pruneCaptures(directory, template, extension, policy, options = {}) {
+  const { now = Date.now(), fs = nodeFs } = options;
+  const { keep = 0, maxAge = 0, maxSize = 0 } = policy;
+
+  if (!keep && !maxAge && !maxSize) {
+    return [];
+  }
+
+  const captures = findCaptures(directory, template, extension, fs);
+  const removed = [];
+  let totalSize = 0;
+
+  captures.forEach((capture, index) => {
+    const expired = index > 0 && (
+      (keep && index >= keep) ||
+      (maxAge && now - capture.mtimeMs > maxAge) ||
+      (maxSize && totalSize + capture.size > maxSize)
+    );
+
+    if (expired) {
+      fs.rmSync(capture.path, { force: true });
+      removeSidecars(capture.path, fs);
+      removed.push(capture);
+    } else {
+      totalSize += capture.size;
+    }
+  });
+
+  const root = resolve(directory);
+  removed.forEach(capture => {
+    for (let current = dirname(resolve(capture.path)); current.startsWith(root + sep); current = dirname(current)) {
+      try {
+        fs.rmdirSync(current);
+      } catch (error) {
+        break;
+      }
+    }
+  });
+
+  return removed;
+}
@@ -0,0 +1,89 @@
+// Dependencies of a crosshot instance
+// Everything that reaches outside the process goes through the runtime: child processes
+// (executor), log output (logger), the platform name, environment variables and the file system
+
+import * as nodeFs from 'fs';
+import { platform } from 'os';
+import { runCommand, runWithInput, commandExists } from './exec.js';
+import { normalizeBackend } from './backends.js';
+import { InvalidOptionError } from './errors.js';
+
+// run(argv, { encoding, signal, env, timeout }) resolves to { stdout, stderr } and rejects
+// like child_process.execFile(); runWithInput(argv, input, { signal, env }) feeds input on
+// stdin; commandExists(command, { env, platform }) resolves to a boolean
+export const EXECUTOR_METHODS = ['run', 'runWithInput', 'commandExists'];
+
+export const LOGGER_METHODS = ['debug', 'warn', 'error'];
+
+// The synchronous fs calls crosshot makes; an injected fs must provide all of them
+export const FS_METHODS = ['existsSync', 'statSync', 'mkdirSync', 'mkdtempSync', 'readdirSync', 'readFileSync', 'writeFileSync', 'rmSync', 'rmdirSync'];
+
+export const PLATFORMS = ['linux', 'darwin', 'win32'];
+
+export const defaultExecutor = { run: runCommand, runWithInput, commandExists };
+
+function findMissing(value, methods) {
+  return value && typeof value === 'object' ? methods.filter(method => typeof value[method] !== 'function') : methods;
+}
+
+// Validates the options of createCrosshot() and fills in the real implementations. logger
+// stays null without one: the console output then follows the silent and verbose options.
+// backends, when given, replaces the global registry for this runtime
+export function createRuntime(options = {}) {
+  const {
+    executor = defaultExecutor,
+    logger = null,
+    platform: currentPlatform = platform(),
+    env = process.env,
+    fs = nodeFs,
+    backends = null
+  } = options;
+  const missingExecutor = findMissing(executor, EXECUTOR_METHODS);
+
+  if (missingExecutor.length > 0) {
+    throw new InvalidOptionError(`Invalid executor: missing ${missingExecutor.join(', ')}`, {
+      suggestions: [`Pass an object with ${EXECUTOR_METHODS.join(', ')}, e.g. from createFakeExecutor()`]
+    });
+  }
+
+  if (logger !== null && findMissing(logger, LOGGER_METHODS).length > 0) {
+    throw new InvalidOptionError(`Invalid logger: missing ${findMissing(logger, LOGGER_METHODS).join(', ')}`, {
+      suggestions: [`Pass an object with ${LOGGER_METHODS.join(', ')} methods, such as console or a pino/winston logger`]
+    });
+  }
+
+  if (!PLATFORMS.includes(currentPlatform)) {
+    throw new InvalidOptionError(`Invalid platform: ${JSON.stringify(currentPlatform)}`, {
+      suggestions: [`Use one of: ${PLATFORMS.join(', ')}`]
+    });
+  }
+
+  if (!env || typeof env !== 'object') {
+    throw new InvalidOptionError('Invalid env: expected an object of environment variables', {
+      suggestions: ['Pass process.env, or a copy of it with the variables to change']
+    });
+  }
+
+  const missingFs = findMissing(fs, FS_METHODS);
+
+  if (missingFs.length > 0) {
+    throw new InvalidOptionError(`Invalid fs: missing ${missingFs.join(', ')}`, {
+      suggestions: ["Pass Node's fs module or a compatible in-memory file system such as memfs"]
+    });
+  }
+
+  let entries = null;
+
+  if (backends !== null) {
+    try {
+      entries = [].concat(backends).map(backend => normalizeBackend(backend));
+    } catch (error) {
+      throw new InvalidOptionError(`Invalid backends: ${error.message}`, {
+        cause: error,
+        suggestions: ['Use backend definitions as accepted by registerBackend()']
+      });
+    }
+  }
+
+  return { executor, logger, platform: currentPlatform, env, fs, backends: entries };
+}
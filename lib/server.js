@@ -0,0 +1,211 @@
+// HTTP endpoints for remote captures
+// GET /screenshot returns the image bytes, GET /tools the installed tools and GET /health a
+// liveness check. Captures run one at a time so concurrent requests never race for the screen
+
+import { createHash, timingSafeEqual } from 'crypto';
+import { platform } from 'os';
+import { listBackends } from './backends.js';
+import { CrosshotError, InvalidOptionError } from './errors.js';
+
+const ROUTES = ['/screenshot', '/tools', '/health'];
+
+// Status codes for capture errors; anything else is a 500
+const ERROR_STATUS = {
+  INVALID_OPTION: 400,
+  UNSUPPORTED_FORMAT: 400,
+  DISPLAY_NOT_FOUND: 404,
+  UNSUPPORTED_TARGET: 422,
+  NO_TOOL_AVAILABLE: 503,
+  PERMISSION_DENIED: 503,
+  TIMEOUT: 504
+};
+
+const NUMBER_PATTERN = /^\d+(\.\d+)?$/;
+const toNumber = value => NUMBER_PATTERN.test(value) ? Number(value) : value;
+
+function toBoolean(value, name) {
+  if (['', '1', 'true'].includes(value)) {
+    return true;
+  }
+  if (['0', 'false'].includes(value)) {
+    return false;
+  }
+  throw new InvalidOptionError(`Invalid ${name}: ${JSON.stringify(value)}`, {
+    suggestions: [`Use ${name}=true or ${name}=false`]
+  });
+}
+
+// Query parameters of /screenshot and the capture option each one sets. Values are passed on
+// as strings or numbers and validated by the capture itself, like CLI arguments. tools are the
+// backend names of the capturing platform
+const QUERY_PARAMETERS = {
+  format: value => ({ format: value }),
+  quality: value => ({ quality: toNumber(value) }),
+  display: value => ({ display: value }),
+  region: value => ({ region: value }),
+  window: value => ({ target: value === '' || value === 'active' ? 'activeWindow' : { windowId: value } }),
+  scale: value => ({ scale: toNumber(value) }),
+  maxWidth: value => ({ maxWidth: toNumber(value) }),
+  maxHeight: value => ({ maxHeight: toNumber(value) }),
+  timeout: value => {
+    const timeout = toNumber(value);
+
+    if (typeof timeout !== 'number' || timeout <= 0) {
+      throw new InvalidOptionError(`Invalid timeout: ${JSON.stringify(value)}`, {
+        suggestions: ['Use a number of milliseconds above 0; the server limits it to its own timeout']
+      });
+    }
+    return { timeout };
+  },
+  allowBlank: value => ({ allowBlank: toBoolean(value, 'allowBlank') }),
+  embedMetadata: value => ({ embedMetadata: toBoolean(value, 'embedMetadata') }),
+  tool: (value, platformTools) => {
+    const tools = value.split(',').map(tool => tool.trim()).filter(Boolean);
+    const unknownTools = tools.filter(tool => !platformTools.includes(tool));
+
+    if (tools.length === 0 || unknownTools.length > 0) {
+      throw new InvalidOptionError(`Unknown tool: ${unknownTools.join(', ') || JSON.stringify(value)}`, {
+        suggestions: [`Available tools: ${platformTools.join(', ')}`]
+      });
+    }
+    return { preferredTools: tools, excludeTools: platformTools.filter(tool => !tools.includes(tool)) };
+  }
+};
+
+// Capture options from the query string of /screenshot. redact may be repeated; unknown
+// parameters are rejected so a typo does not silently capture something else. tool must be
+// one of platformTools, by default the registered backends of this platform
+export function parseScreenshotQuery(searchParams, platformTools = listBackends({ platform: platform() }).map(backend => backend.name)) {
+  const options = {};
+
+  for (const name of new Set(searchParams.keys())) {
+    if (name === 'redact') {
+      options.redact = searchParams.getAll('redact');
+    } else if (QUERY_PARAMETERS[name]) {
+      Object.assign(options, QUERY_PARAMETERS[name](searchParams.get(name), platformTools));
+    } else {
+      throw new InvalidOptionError(`Unknown parameter: ${name}`, {
+        suggestions: [`Use ${[...Object.keys(QUERY_PARAMETERS), 'redact'].join(', ')}`]
+      });
+    }
+  }
+
+  return options;
+}
+
+// Runs tasks one after another; size counts the running task and those waiting
+function createQueue() {
+  let tail = Promise.resolve();
+  const queue = {
+    size: 0,
+    run(task) {
+      queue.size++;
+      const result = tail.then(task);
+      tail = result.then(() => {}, () => {}).then(() => {
+        queue.size--;
+      });
+      return result;
+    }
+  };
+  return queue;
+}
+
+// Both sides are hashed first so the comparison takes the same time whatever the length
+function isAuthorized(header, token) {
+  const match = /^Bearer\s+(\S+)\s*$/i.exec(header || '');
+  const digest = value => createHash('sha256').update(value).digest();
+  return Boolean(match) && timingSafeEqual(digest(match[1]), digest(token));
+}
+
+function sendJson(response, status, body, headers = {}) {
+  const json = JSON.stringify(body, null, 2);
+  response.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(json),
+    'Cache-Control': 'no-store',
+    ...headers
+  });
+  response.end(json);
+}
+
+// Errors raised by the server itself rather than a capture, shaped like CrosshotError.toJSON()
+function sendHttpError(response, status, code, message, headers = {}) {
+  sendJson(response, status, { code, success: false, error: message, suggestions: [] }, headers);
+}
+
+function sendError(response, error) {
+  const crosshotError = error instanceof CrosshotError ? error : new CrosshotError(error.message, { cause: error });
+  sendJson(response, ERROR_STATUS[crosshotError.code] || 500, crosshotError.toJSON());
+}
+
+// Request listener for http.createServer(). handlers: { capture(options) resolving to a
+// captureToBuffer() result, getTools(), getHealth(), listTools() returning the backend names
+// accepted by ?tool= }. Without a token every request is accepted; /health answers without
+// one but only reports its details to authorized clients. ?timeout= can shorten maxTimeout,
+// the server's own per-tool timeout, but never lift or remove it (0 means the server has
+// none). At most maxQueue captures are running or waiting, later ones get a 503 with
+// Retry-After
+export function createRequestHandler({ token = null, maxQueue = 10, maxTimeout = 0, capture, getTools, getHealth, listTools }) {
+  const queue = createQueue();
+
+  async function screenshot(response, searchParams) {
+    const options = parseScreenshotQuery(searchParams, listTools());
+
+    if (options.timeout && maxTimeout) {
+      options.timeout = Math.min(options.timeout, maxTimeout);
+    }
+
+    if (queue.size >= maxQueue) {
+      sendHttpError(response, 503, 'BUSY', `${queue.size} captures are already running or waiting`, { 'Retry-After': '1' });
+      return;
+    }
+
+    // A client that hangs up cancels its capture, or skips it while it is still waiting
+    const controller = new AbortController();
+    response.on('close', () => {
+      if (!response.writableFinished) {
+        controller.abort();
+      }
+    });
+
+    const result = await queue.run(() => controller.signal.aborted ? null : capture({ ...options, signal: controller.signal }));
+
+    if (!result || response.destroyed) {
+      return;
+    }
+
+    response.writeHead(200, {
+      'Content-Type': result.mimeType,
+      'Content-Length': result.buffer.length,
+      'Cache-Control': 'no-store',
+      'X-Crosshot-Tool': result.tool,
+      'X-Crosshot-Timestamp': result.timestamp
+    });
+    response.end(result.buffer);
+  }
+
+  return async (request, response) => {
+    try {
+      const { pathname, searchParams } = new URL(request.url, 'http://localhost');
+
+      if (!ROUTES.includes(pathname)) {
+        sendHttpError(response, 404, 'NOT_FOUND', `Not found: ${pathname}`);
+      } else if (request.method !== 'GET') {
+        sendHttpError(response, 405, 'METHOD_NOT_ALLOWED', `Method not allowed: ${request.method}`, { Allow: 'GET' });
+      } else if (pathname === '/health') {
+        const authorized = !token || isAuthorized(request.headers.authorization, token);
+        sendJson(response, 200, authorized ? { status: 'ok', ...getHealth(), queued: queue.size } : { status: 'ok' });
+      } else if (token && !isAuthorized(request.headers.authorization, token)) {
+        sendHttpError(response, 401, 'UNAUTHORIZED', 'Missing or invalid bearer token', { 'WWW-Authenticate': 'Bearer realm="crosshot"' });
+      } else if (pathname === '/tools') {
+        sendJson(response, 200, await getTools());
+      } else {
+        await screenshot(response, searchParams);
+      }
+    } catch (error) {
+      if (!response.headersSent && !response.destroyed) {
+        sendError(response, error);
+      }
+    }
+  };
+}
@@ -0,0 +1,85 @@
+// Graphical session detection
+// Decides which capture backends are likely to work before any of them is run
+
+import { platform } from 'os';
+
+const WLROOTS_DESKTOPS = ['sway', 'hyprland', 'river', 'wayfire', 'labwc', 'niri', 'dwl'];
+
+const DESKTOP_ALIASES = {
+  gnome: ['gnome', 'ubuntu', 'unity', 'pantheon', 'budgie'],
+  kde: ['kde', 'plasma']
+};
+
+function detectDesktop(env) {
+  if (env.SWAYSOCK) {
+    return 'sway';
+  }
+  if (env.HYPRLAND_INSTANCE_SIGNATURE) {
+    return 'hyprland';
+  }
+
+  const names = `${env.XDG_CURRENT_DESKTOP || ''}:${env.XDG_SESSION_DESKTOP || ''}:${env.DESKTOP_SESSION || ''}`
+    .toLowerCase()
+    .split(':')
+    .map(name => name.replace(/^x-/, '').trim())
+    .filter(Boolean);
+
+  for (const [desktop, aliases] of Object.entries(DESKTOP_ALIASES)) {
+    if (names.some(name => aliases.some(alias => name.includes(alias)))) {
+      return desktop;
+    }
+  }
+  return names[0] || null;
+}
+
+// Returns { platform, type, desktop, wlroots, wayland, x11, headless }. type is 'wayland',
+// 'x11' or 'headless' on Linux and 'windows' / 'macos' elsewhere
+export function detectSession(env = process.env, currentPlatform = platform()) {
+  if (currentPlatform === 'win32' || currentPlatform === 'darwin') {
+    return {
+      platform: currentPlatform,
+      type: currentPlatform === 'win32' ? 'windows' : 'macos',
+      desktop: null,
+      wlroots: false,
+      wayland: false,
+      x11: false,
+      headless: false
+    };
+  }
+
+  const sessionType = (env.XDG_SESSION_TYPE || '').toLowerCase();
+  const wayland = Boolean(env.WAYLAND_DISPLAY) || sessionType === 'wayland';
+  const x11 = Boolean(env.DISPLAY);
+  const desktop = detectDesktop(env);
+
+  return {
+    platform: currentPlatform,
+    type: wayland ? 'wayland' : x11 ? 'x11' : 'headless',
+    desktop,
+    wlroots: wayland && WLROOTS_DESKTOPS.includes(desktop),
+    wayland,
+    x11,
+    headless: !wayland && !x11
+  };
+}
+
+// Lower is better: 0 made for this desktop, 1 made for this session type, 2 works anywhere,
+// 3 made for another session or desktop
+export function rankBackend(backend, session) {
+  if (!session || session.headless) {
+    return 2;
+  }
+
+  const sessionMatches = !backend.sessions || backend.sessions.includes(session.type);
+  const desktopMatches = !backend.desktops ||
+    backend.desktops.includes(session.desktop) ||
+    (backend.desktops.includes('wlroots') && session.wlroots);
+
+  if (!sessionMatches || !desktopMatches) {
+    return 3;
+  }
+  if (backend.desktops) {
+    return 0;
+  }
+  return backend.sessions ? 1 : 2;
+}
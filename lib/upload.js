@@ -0,0 +1,297 @@
+// Upload sinks
+// Ship a saved capture somewhere else: an HTTP PUT, a multipart webhook POST or S3-compatible
+// object storage. A custom sink is any object with a name and an upload(file, { signal }) function
+
+import { createHash, createHmac } from 'crypto';
+import { basename } from 'path';
+import { InvalidOptionError, UploadError, CrosshotError } from './errors.js';
+
+export const SINK_TYPES = ['put', 'webhook', 's3'];
+
+const DEFAULT_UPLOAD_TIMEOUT = 30000;
+
+const sha256 = data => createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => createHmac('sha256', key).update(data).digest();
+const compare = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+// S3 wants !'()* percent-encoded too, which encodeURIComponent keeps
+function encodeComponent(text) {
+  return encodeURIComponent(text).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+// Percent-encodes every path segment
+function encodePath(path) {
+  return path.split('/').map(encodeComponent).join('/');
+}
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+// Headers for request with an AWS Signature Version 4 Authorization added. request.headers
+// must include x-amz-content-sha256; every header passed in is signed, as is the host that
+// fetch() sets from the URL
+export function signRequest(request, credentials, now = new Date()) {
+  const url = new URL(request.url);
+  const amzDate = now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const scope = `${amzDate.slice(0, 8)}/${credentials.region}/s3/aws4_request`;
+  const headers = {
+    ...request.headers,
+    host: url.host,
+    'x-amz-date': amzDate,
+    ...(credentials.sessionToken ? { 'x-amz-security-token': credentials.sessionToken } : {})
+  };
+  const names = Object.keys(headers).map(name => name.toLowerCase()).sort();
+  const values = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value).trim().replace(/\s+/g, ' ')]));
+  // The URL may or may not arrive percent-encoded, so the path is decoded and encoded again
+  // the way S3 computes it; query parameters are sorted by name, then value
+  const path = url.pathname.split('/').map(segment => encodeComponent(decodeURIComponent(segment))).join('/');
+  const query = [...url.searchParams]
+    .map(([name, value]) => [encodeComponent(name), encodeComponent(value)])
+    .sort(([nameA, valueA], [nameB, valueB]) => (nameA === nameB ? compare(valueA, valueB) : compare(nameA, nameB)))
+    .map(([name, value]) => `${name}=${value}`)
+    .join('&');
+  const canonicalRequest = [
+    request.method,
+    path,
+    query,
+    ...names.map(name => `${name}:${values[name]}`),
+    '',
+    names.join(';'),
+    values['x-amz-content-sha256']
+  ].join('\n');
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+  const key = ['s3', 'aws4_request'].reduce(hmac, hmac(hmac(`AWS4${credentials.secretAccessKey}`, amzDate.slice(0, 8)), credentials.region));
+  const signature = createHmac('sha256', key).update(stringToSign).digest('hex');
+  const { host, ...sent } = headers;
+
+  return {
+    ...sent,
+    authorization: `AWS4-HMAC-SHA256 Credential=${credentials.accessKeyId}/${scope}, SignedHeaders=${names.join(';')}, Signature=${signature}`
+  };
+}
+
+// Sends a request and resolves to { status, body } for 2xx answers. Anything else, including
+// network failures and timeouts, rejects with an UploadError
+async function send(sink, url, init, signal) {
+  let response;
+
+  try {
+    response = await fetch(url, { ...init, signal });
+  } catch (error) {
+    const timedOut = error.name === 'TimeoutError' || (signal.aborted && signal.reason && signal.reason.name === 'TimeoutError');
+    throw new UploadError(`Upload to ${sink.name} failed: ${timedOut ? `timed out after ${sink.timeout} ms` : (error.cause && (error.cause.code || error.cause.message)) || error.message}`, {
+      sink: sink.name,
+      cause: error,
+      suggestions: [`Check that ${new URL(url).origin} is reachable from this machine`]
+    });
+  }
+
+  const text = await response.text();
+
+  if (!response.ok) {
+    // S3 answers with an XML <Error>; its Code and Message say more than the status line
+    const code = /<Code>([^<]*)<\/Code>/.exec(text);
+    const message = /<Message>([^<]*)<\/Message>/.exec(text);
+    const detail = code ? `${code[1]}${message ? `: ${message[1]}` : ''}` : text.trim().slice(0, 200);
+
+    throw new UploadError(`Upload to ${sink.name} failed with HTTP ${response.status}${detail ? ` (${detail})` : ''}`, {
+      sink: sink.name,
+      status: response.status,
+      suggestions: response.status === 401 || response.status === 403
+        ? ['Check the credentials and headers of the sink']
+        : [`Check the ${sink.type === 's3' ? 'endpoint, bucket and region' : 'URL'} of the sink`]
+    });
+  }
+
+  let body = text;
+
+  if ((response.headers.get('content-type') || '').includes('json')) {
+    try {
+      body = JSON.parse(text);
+    } catch (error) {
+      body = text;
+    }
+  }
+
+  return { status: response.status, body, etag: response.headers.get('etag') };
+}
+
+// {filename} in the URL is replaced with the file name; a URL ending in / gets it appended
+function createPutSink({ name = 'put', url, headers = {}, timeout }) {
+  return {
+    type: 'put',
+    name,
+    timeout,
+    async upload(file, { signal }) {
+      const encoded = encodePath(file.filename);
+      const target = url.includes('{filename}') ? url.replace(/\{filename\}/g, encoded) : url.endsWith('/') ? `${url}${encoded}` : url;
+      const { status } = await send(this, target, {
+        method: 'PUT',
+        headers: { 'Content-Type': file.mimeType, ...headers },
+        body: file.buffer
+      }, signal);
+
+      return { url: target, status };
+    }
+  };
+}
+
+// The image goes into the `field` part, the capture metadata as JSON into a `metadata` part
+function createWebhookSink({ name = 'webhook', url, headers = {}, field = 'file', fields = {}, timeout }) {
+  return {
+    type: 'webhook',
+    name,
+    timeout,
+    async upload(file, { signal }) {
+      const form = new FormData();
+
+      form.append(field, new Blob([file.buffer], { type: file.mimeType }), basename(file.filename));
+      form.append('metadata', JSON.stringify({ filename: file.filename, ...file.metadata }));
+      Object.entries(fields).forEach(([key, value]) => form.append(key, String(value)));
+
+      const { status, body } = await send(this, url, { method: 'POST', headers, body: form }, signal);
+
+      return { url, status, body };
+    }
+  };
+}
+
+// Without an endpoint the object goes to AWS in virtual-hosted style; a custom endpoint
+// (MinIO, R2, Ceph...) uses path-style URLs unless forcePathStyle is false
+function createS3Sink(options, env) {
+  const {
+    name = 's3',
+    bucket,
+    prefix = '',
+    region = env.AWS_REGION || env.AWS_DEFAULT_REGION || 'us-east-1',
+    endpoint = env.AWS_ENDPOINT_URL_S3 || env.AWS_ENDPOINT_URL || null,
+    accessKeyId = env.AWS_ACCESS_KEY_ID,
+    secretAccessKey = env.AWS_SECRET_ACCESS_KEY,
+    sessionToken = env.AWS_SESSION_TOKEN || null,
+    headers = {},
+    timeout
+  } = options;
+  const forcePathStyle = options.forcePathStyle ?? Boolean(endpoint);
+
+  if (!bucket || typeof bucket !== 'string') {
+    throw new InvalidOptionError('Invalid S3 sink: no bucket', {
+      suggestions: ["Give the bucket: { type: 's3', bucket: 'screenshots' } or s3://screenshots/prefix/"]
+    });
+  }
+
+  if (!accessKeyId || !secretAccessKey) {
+    throw new InvalidOptionError(`S3 sink for bucket ${bucket} has no credentials`, {
+      suggestions: ['Pass accessKeyId and secretAccessKey, or set AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY']
+    });
+  }
+
+  if (endpoint && !isHttpUrl(endpoint)) {
+    throw new InvalidOptionError(`Invalid S3 endpoint: ${JSON.stringify(endpoint)}`, {
+      suggestions: ['Use an http(s) URL such as http://localhost:9000']
+    });
+  }
+
+  const base = (endpoint || `https://s3.${region}.amazonaws.com`).replace(/\/+$/, '');
+
+  return {
+    type: 's3',
+    name,
+    timeout,
+    async upload(file, { signal }) {
+      const key = `${prefix}${file.filename}`;
+      const url = forcePathStyle
+        ? `${base}/${encodePath(bucket)}/${encodePath(key)}`
+        : `${base.replace('://', `://${bucket}.`)}/${encodePath(key)}`;
+      const signed = signRequest({
+        method: 'PUT',
+        url,
+        headers: { 'content-type': file.mimeType, 'x-amz-content-sha256': sha256(file.buffer), ...headers }
+      }, { region, accessKeyId, secretAccessKey, sessionToken });
+      const { status, etag } = await send(this, url, { method: 'PUT', headers: signed, body: file.buffer }, signal);
+
+      return { url, bucket, key, etag, status };
+    }
+  };
+}
+
+// Sink from the --upload forms: https://host/path (PUT), put:URL, webhook:URL and
+// s3://bucket/prefix with the credentials and endpoint taken from the AWS_* variables
+function parseSinkSpec(spec) {
+  if (spec.startsWith('s3://')) {
+    const [bucket, ...path] = spec.slice('s3://'.length).split('/');
+    return { type: 's3', bucket, prefix: path.join('/') && `${path.join('/').replace(/\/+$/, '')}/` };
+  }
+
+  const match = /^(put|webhook):(.*)$/.exec(spec);
+
+  return match ? { type: match[1], url: match[2] } : { type: 'put', url: spec };
+}
+
+// Validates a sink given as a spec string, { type, ... } or a custom { name, upload } and
+// returns { type, name, timeout, upload(file, { signal }) }. Throws InvalidOptionError
+export function normalizeSink(sink, env = process.env) {
+  const options = typeof sink === 'string' ? parseSinkSpec(sink) : sink;
+  // Sink objects can hold credentials in their headers, so only the type is shown
+  const invalid = () => new InvalidOptionError(`Invalid sink: ${typeof sink === 'string' ? JSON.stringify(sink) : `type ${JSON.stringify(sink && sink.type)}`}`, {
+    suggestions: [
+      `Use { type } with a type out of ${SINK_TYPES.join(', ')}, { name, upload(file) } for a custom sink`,
+      'or a string such as https://host/upload/{filename}, webhook:https://host/hook or s3://bucket/prefix/'
+    ]
+  });
+
+  if (!options || typeof options !== 'object') {
+    throw invalid();
+  }
+
+  const timeout = options.timeout ?? DEFAULT_UPLOAD_TIMEOUT;
+
+  if (typeof timeout !== 'number' || !(timeout >= 0)) {
+    throw new InvalidOptionError(`Invalid sink timeout: ${JSON.stringify(options.timeout)}`, {
+      suggestions: ['Use a number of milliseconds, or 0 for no limit']
+    });
+  }
+
+  if (typeof options.upload === 'function') {
+    if (!options.name || typeof options.name !== 'string') {
+      throw invalid();
+    }
+    return { type: 'custom', name: options.name, timeout, upload: options.upload.bind(options) };
+  }
+
+  if (options.type === 's3') {
+    return createS3Sink({ ...options, timeout }, env);
+  }
+
+  if (!SINK_TYPES.includes(options.type) || !isHttpUrl(options.url)) {
+    throw invalid();
+  }
+
+  return options.type === 'put' ? createPutSink({ ...options, timeout }) : createWebhookSink({ ...options, timeout });
+}
+
+// Uploads file ({ buffer, filename, filepath, mimeType, metadata }) to every sink at once.
+// Never rejects: resolves to one { sink, success, ... } entry per sink, with the sink's own
+// result fields on success and an UploadError in `error` on failure
+export function uploadToSinks(file, sinks) {
+  return Promise.all(sinks.map(async sink => {
+    const signal = sink.timeout ? AbortSignal.timeout(sink.timeout) : new AbortController().signal;
+
+    try {
+      const details = await sink.upload(file, { signal });
+      return { ...details, sink: sink.name, success: true };
+    } catch (error) {
+      return {
+        sink: sink.name,
+        success: false,
+        error: error instanceof CrosshotError
+          ? error
+          : new UploadError(`Upload to ${sink.name} failed: ${error.message}`, { sink: sink.name, cause: error })
+      };
+    }
+  }));
+}
@@ -0,0 +1,610 @@
+// Lossless WebP (VP8L) encoder
+// Applies the subtract-green and predictor transforms, so flat areas and gradients become
+// runs of small residuals, then codes them with backward references found through hash
+// chains and a color cache. Quality below 100 quantizes the color channels first
+// (near-lossless) to shrink the file.
+// Encoding is synchronous: a full HD screen blocks the event loop for a second or more.
+
+const LENGTH_CODES = 24;
+const DISTANCE_ALPHABET = 40;
+const CACHE_BITS = 10;
+const MAX_LENGTH = 4096;
+const MIN_MATCH = 3;
+const HASH_BITS = 16;
+const MAX_CHAIN = 16;
+// Distances above this cannot be expressed with the 40 distance prefix codes
+const MAX_DISTANCE = (1 << 20) - 120;
+// Predictor modes are chosen per block of 2^PREDICTOR_BITS pixels square
+const PREDICTOR_BITS = 4;
+const PREDICTOR_MODES = 14;
+const CODE_LENGTH_ORDER = [17, 18, 0, 1, 2, 3, 4, 5, 16, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15];
+
+// (x, y) offsets of distance codes 1 to 120, the neighbourhood above and left of a pixel.
+// Larger distance codes are the pixel distance plus 120
+const DISTANCE_MAP = [
+  0, 1, 1, 0, 1, 1, -1, 1, 0, 2, 2, 0, 1, 2, -1, 2, 2, 1, -2, 1, 2, 2, -2, 2, 0, 3, 3, 0,
+  1, 3, -1, 3, 3, 1, -3, 1, 2, 3, -2, 3, 3, 2, -3, 2, 0, 4, 4, 0, 1, 4, -1, 4, 4, 1, -4, 1,
+  3, 3, -3, 3, 2, 4, -2, 4, 4, 2, -4, 2, 0, 5, 3, 4, -3, 4, 4, 3, -4, 3, 5, 0, 1, 5, -1, 5,
+  5, 1, -5, 1, 2, 5, -2, 5, 5, 2, -5, 2, 4, 4, -4, 4, 3, 5, -3, 5, 5, 3, -5, 3, 0, 6, 6, 0,
+  1, 6, -1, 6, 6, 1, -6, 1, 2, 6, -2, 6, 6, 2, -6, 2, 4, 5, -4, 5, 5, 4, -5, 4, 3, 6, -3, 6,
+  6, 3, -6, 3, 0, 7, 7, 0, 1, 7, -1, 7, 5, 5, -5, 5, 7, 1, -7, 1, 4, 6, -4, 6, 6, 4, -6, 4,
+  2, 7, -2, 7, 7, 2, -7, 2, 3, 7, -3, 7, 7, 3, -7, 3, 5, 6, -5, 6, 6, 5, -6, 5, 8, 0, 4, 7,
+  -4, 7, 7, 4, -7, 4, 8, 1, 8, 2, 6, 6, -6, 6, 8, 3, 5, 7, -5, 7, 7, 5, -7, 5, 8, 4, 6, 7,
+  -6, 7, 7, 6, -7, 6, 8, 5, 7, 7, -7, 7, 8, 6, 8, 7
+];
+
+class BitWriter {
+  constructor(size) {
+    this.buffer = Buffer.alloc(Math.max(1024, size));
+    this.position = 0;
+    this.value = 0;
+    this.count = 0;
+  }
+
+  write(bits, length) {
+    if (length > 16) {
+      this.write(bits & 0xffff, 16);
+      this.write(bits >>> 16, length - 16);
+      return;
+    }
+
+    this.value |= bits << this.count;
+    this.count += length;
+
+    while (this.count >= 8) {
+      if (this.position >= this.buffer.length) {
+        const grown = Buffer.alloc(this.buffer.length * 2);
+        this.buffer.copy(grown);
+        this.buffer = grown;
+      }
+      this.buffer[this.position++] = this.value & 0xff;
+      this.value >>>= 8;
+      this.count -= 8;
+    }
+  }
+
+  finish() {
+    if (this.count > 0) {
+      this.write(0, 8 - this.count);
+    }
+    return this.buffer.subarray(0, this.position);
+  }
+}
+
+function huffmanLengths(frequencies) {
+  const lengths = new Array(frequencies.length).fill(0);
+  let nodes = frequencies
+    .map((frequency, symbol) => ({ frequency, symbols: [symbol] }))
+    .filter(node => node.frequency > 0);
+
+  if (nodes.length === 1) {
+    lengths[nodes[0].symbols[0]] = 1;
+    return lengths;
+  }
+
+  while (nodes.length > 1) {
+    nodes.sort((a, b) => a.frequency - b.frequency);
+    const [first, second] = nodes.splice(0, 2);
+    const symbols = first.symbols.concat(second.symbols);
+    symbols.forEach(symbol => lengths[symbol]++);
+    nodes.push({ frequency: first.frequency + second.frequency, symbols });
+  }
+
+  return lengths;
+}
+
+// Flattens the frequencies until the tree fits in maxLength bits
+function limitedLengths(frequencies, maxLength) {
+  let counts = Array.from(frequencies);
+
+  for (;;) {
+    const lengths = huffmanLengths(counts);
+    if (Math.max(0, ...lengths) <= maxLength) {
+      return lengths;
+    }
+    counts = counts.map(count => (count === 0 ? 0 : Math.max(1, count >> 1)));
+  }
+}
+
+function reverseBits(code, length) {
+  let reversed = 0;
+  for (let i = 0; i < length; i++) {
+    reversed = (reversed << 1) | ((code >> i) & 1);
+  }
+  return reversed;
+}
+
+// Canonical codes, bit-reversed for the LSB-first stream. An alphabet with a single
+// used symbol is decoded with zero bits, so it also gets a zero-length code
+function canonicalCodes(lengths) {
+  const used = lengths.filter(length => length > 0).length;
+  const codes = new Array(lengths.length).fill(0);
+  const codeLengths = used === 1 ? lengths.map(() => 0) : lengths.slice();
+
+  if (used <= 1) {
+    return { codes, lengths: codeLengths };
+  }
+
+  const maxLength = Math.max(...lengths);
+  const lengthCounts = new Array(maxLength + 1).fill(0);
+  lengths.forEach(length => {
+    if (length > 0) {
+      lengthCounts[length]++;
+    }
+  });
+
+  const nextCode = new Array(maxLength + 1).fill(0);
+  let code = 0;
+  for (let bits = 1; bits <= maxLength; bits++) {
+    code = (code + lengthCounts[bits - 1]) << 1;
+    nextCode[bits] = code;
+  }
+
+  lengths.forEach((length, symbol) => {
+    if (length > 0) {
+      codes[symbol] = reverseBits(nextCode[length]++, length);
+    }
+  });
+
+  return { codes, lengths: codeLengths };
+}
+
+function writePrefixCode(writer, frequencies) {
+  const used = [];
+  frequencies.forEach((frequency, symbol) => {
+    if (frequency > 0) {
+      used.push(symbol);
+    }
+  });
+
+  if (used.length <= 2 && used.every(symbol => symbol < 256)) {
+    const symbols = used.length === 0 ? [0] : used;
+    writer.write(1, 1);
+    writer.write(symbols.length - 1, 1);
+    if (symbols[0] < 2) {
+      writer.write(0, 1);
+      writer.write(symbols[0], 1);
+    } else {
+      writer.write(1, 1);
+      writer.write(symbols[0], 8);
+    }
+    if (symbols.length === 2) {
+      writer.write(symbols[1], 8);
+    }
+
+    const lengths = new Array(frequencies.length).fill(0);
+    symbols.forEach(symbol => {
+      lengths[symbol] = 1;
+    });
+    return canonicalCodes(lengths);
+  }
+
+  const lengths = limitedLengths(frequencies, 15);
+  const tokens = [];
+
+  for (let i = 0; i < lengths.length;) {
+    if (lengths[i] === 0) {
+      let run = 1;
+      while (i + run < lengths.length && lengths[i + run] === 0 && run < 138) {
+        run++;
+      }
+      if (run >= 11) {
+        tokens.push([18, run - 11, 7]);
+      } else if (run >= 3) {
+        tokens.push([17, run - 3, 3]);
+      } else {
+        for (let j = 0; j < run; j++) {
+          tokens.push([0, 0, 0]);
+        }
+      }
+      i += run;
+    } else {
+      tokens.push([lengths[i], 0, 0]);
+      i++;
+    }
+  }
+
+  const tokenFrequencies = new Array(19).fill(0);
+  tokens.forEach(([token]) => tokenFrequencies[token]++);
+  const tokenLengths = limitedLengths(tokenFrequencies, 7);
+  const tokenCode = canonicalCodes(tokenLengths);
+
+  let codeCount = CODE_LENGTH_ORDER.length;
+  while (codeCount > 4 && tokenLengths[CODE_LENGTH_ORDER[codeCount - 1]] === 0) {
+    codeCount--;
+  }
+
+  writer.write(0, 1);
+  writer.write(codeCount - 4, 4);
+  for (let i = 0; i < codeCount; i++) {
+    writer.write(tokenLengths[CODE_LENGTH_ORDER[i]], 3);
+  }
+  writer.write(0, 1);
+
+  tokens.forEach(([token, extra, extraBits]) => {
+    writer.write(tokenCode.codes[token], tokenCode.lengths[token]);
+    if (extraBits > 0) {
+      writer.write(extra, extraBits);
+    }
+  });
+
+  return canonicalCodes(lengths);
+}
+
+// Prefix coding shared by backward reference lengths and distance codes
+function prefixEncode(value) {
+  const offset = value - 1;
+  if (offset < 4) {
+    return { prefix: offset, extraBits: 0, extra: 0 };
+  }
+
+  const highest = 31 - Math.clz32(offset);
+  const second = (offset >> (highest - 1)) & 1;
+  const extraBits = highest - 1;
+  return {
+    prefix: 2 * highest + second,
+    extraBits,
+    extra: offset - ((2 + second) << extraBits)
+  };
+}
+
+// Per-channel arithmetic on ARGB pixels packed into 32 bits, modulo 256 like the decoder
+function subtractPixels(a, b) {
+  return (((((a >>> 24) - (b >>> 24)) & 0xff) << 24) |
+    ((((a >>> 16) - (b >>> 16)) & 0xff) << 16) |
+    ((((a >>> 8) - (b >>> 8)) & 0xff) << 8) |
+    ((a - b) & 0xff)) >>> 0;
+}
+
+function average2(a, b) {
+  return ((((a ^ b) & 0xfefefefe) >>> 1) + (a & b)) >>> 0;
+}
+
+function channelDistance(a, b) {
+  let sum = 0;
+  for (let shift = 0; shift < 32; shift += 8) {
+    sum += Math.abs(((a >>> shift) & 0xff) - ((b >>> shift) & 0xff));
+  }
+  return sum;
+}
+
+// Left or top, whichever is closer to the gradient estimate left + top - top-left
+function select(left, top, topLeft) {
+  return channelDistance(top, topLeft) < channelDistance(left, topLeft) ? left : top;
+}
+
+function clampAddSubtractFull(a, b, c) {
+  let pixel = 0;
+  for (let shift = 0; shift < 32; shift += 8) {
+    const value = ((a >>> shift) & 0xff) + ((b >>> shift) & 0xff) - ((c >>> shift) & 0xff);
+    pixel |= Math.min(255, Math.max(0, value)) << shift;
+  }
+  return pixel >>> 0;
+}
+
+function clampAddSubtractHalf(a, b) {
+  let pixel = 0;
+  for (let shift = 0; shift < 32; shift += 8) {
+    const first = (a >>> shift) & 0xff;
+    const value = first + Math.trunc((first - ((b >>> shift) & 0xff)) / 2);
+    pixel |= Math.min(255, Math.max(0, value)) << shift;
+  }
+  return pixel >>> 0;
+}
+
+// Prediction of the 14 predictor modes from the left, top, top-right and top-left pixels
+function predict(mode, left, top, topRight, topLeft) {
+  switch (mode) {
+    case 0: return 0xff000000;
+    case 1: return left;
+    case 2: return top;
+    case 3: return topRight;
+    case 4: return topLeft;
+    case 5: return average2(average2(left, topRight), top);
+    case 6: return average2(left, topLeft);
+    case 7: return average2(left, top);
+    case 8: return average2(topLeft, top);
+    case 9: return average2(top, topRight);
+    case 10: return average2(average2(left, topLeft), average2(top, topRight));
+    case 11: return select(left, top, topLeft);
+    case 12: return clampAddSubtractFull(left, top, topLeft);
+    default: return clampAddSubtractHalf(average2(left, top), topLeft);
+  }
+}
+
+// Approximate bits to code a residual byte: small positive or negative values are cheap
+const RESIDUAL_COST = Float64Array.from({ length: 256 }, (unused, value) => Math.log2(1 + Math.min(value, 256 - value)));
+
+function residualCost(residual) {
+  return RESIDUAL_COST[residual & 0xff] + RESIDUAL_COST[(residual >>> 8) & 0xff] +
+    RESIDUAL_COST[(residual >>> 16) & 0xff] + RESIDUAL_COST[residual >>> 24];
+}
+
+// The mode with the cheapest residuals for every block. The top row and left column are
+// always predicted from their single neighbour, so they do not count
+function choosePredictors(pixels, width, height) {
+  const blockSize = 1 << PREDICTOR_BITS;
+  const blocksX = Math.ceil(width / blockSize);
+  const blocksY = Math.ceil(height / blockSize);
+  const modes = new Uint8Array(blocksX * blocksY);
+  const costs = new Float64Array(PREDICTOR_MODES);
+
+  for (let blockY = 0; blockY < blocksY; blockY++) {
+    for (let blockX = 0; blockX < blocksX; blockX++) {
+      costs.fill(0);
+
+      for (let y = Math.max(1, blockY * blockSize); y < Math.min(height, (blockY + 1) * blockSize); y++) {
+        for (let x = Math.max(1, blockX * blockSize); x < Math.min(width, (blockX + 1) * blockSize); x++) {
+          const position = y * width + x;
+          const left = pixels[position - 1];
+          const top = pixels[position - width];
+          const topRight = pixels[position - width + 1];
+          const topLeft = pixels[position - width - 1];
+
+          for (let mode = 0; mode < PREDICTOR_MODES; mode++) {
+            costs[mode] += residualCost(subtractPixels(pixels[position], predict(mode, left, top, topRight, topLeft)));
+          }
+        }
+      }
+
+      modes[blockY * blocksX + blockX] = costs.indexOf(Math.min(...costs));
+    }
+  }
+
+  return { modes, blocksX };
+}
+
+// Residuals of the predictor transform. The top-left pixel is predicted as opaque black,
+// the rest of the top row from the left and the left column from the top. On the right
+// edge the top-right neighbour is the first pixel of the current row, which is what
+// position - width + 1 addresses
+function applyPredictors(pixels, width, height, predictors) {
+  const residuals = new Uint32Array(pixels.length);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const position = y * width + x;
+      let prediction;
+
+      if (y === 0) {
+        prediction = x === 0 ? 0xff000000 : pixels[position - 1];
+      } else if (x === 0) {
+        prediction = pixels[position - width];
+      } else {
+        const mode = predictors.modes[(y >> PREDICTOR_BITS) * predictors.blocksX + (x >> PREDICTOR_BITS)];
+        prediction = predict(mode, pixels[position - 1], pixels[position - width], pixels[position - width + 1], pixels[position - width - 1]);
+      }
+
+      residuals[position] = subtractPixels(pixels[position], prediction);
+    }
+  }
+
+  return residuals;
+}
+
+// Distance code of every distance the neighbourhood codes reach for this width, 0 elsewhere
+function neighbourhoodCodes(width) {
+  const codes = new Uint8Array(7 * width + 9);
+
+  for (let index = 0; index < DISTANCE_MAP.length; index += 2) {
+    const distance = DISTANCE_MAP[index] + DISTANCE_MAP[index + 1] * width;
+    if (distance >= 1 && codes[distance] === 0) {
+      codes[distance] = index / 2 + 1;
+    }
+  }
+  return codes;
+}
+
+// Splits pixels into literals, color cache hits and backward references. Candidates for a
+// reference are the pixel on the left, the one above and up to MAX_CHAIN earlier positions
+// with the same two pixels; the longest match wins. Returns the tokens with the symbol
+// frequencies of the five prefix codes
+function tokenize(pixels, width, cacheBits) {
+  const count = pixels.length;
+  const cacheSize = cacheBits ? 1 << cacheBits : 0;
+  const cache = new Uint32Array(Math.max(1, cacheSize));
+  const head = new Int32Array(1 << HASH_BITS).fill(-1);
+  const chain = new Int32Array(count);
+  const codes = neighbourhoodCodes(width);
+  const kinds = new Uint8Array(count);
+  const values = new Uint32Array(count);
+  const distances = new Uint32Array(count);
+  const green = new Array(256 + LENGTH_CODES + cacheSize).fill(0);
+  const red = new Array(256).fill(0);
+  const blue = new Array(256).fill(0);
+  const alpha = new Array(256).fill(0);
+  const distance = new Array(DISTANCE_ALPHABET).fill(0);
+  let tokenCount = 0;
+
+  const cacheIndex = pixel => Math.imul(pixel, 0x1e35a7bd) >>> (32 - cacheBits);
+  const hashAt = position => (Math.imul(pixels[position], 0x1e35a7bd) ^ Math.imul(pixels[position + 1], 0x5bd1e995)) >>> (32 - HASH_BITS);
+
+  const insert = position => {
+    if (position + 1 < count) {
+      const hash = hashAt(position);
+      chain[position] = head[hash];
+      head[hash] = position;
+    }
+    if (cacheSize) {
+      cache[cacheIndex(pixels[position])] = pixels[position];
+    }
+  };
+
+  const matchLength = (position, candidate, limit) => {
+    let length = 0;
+    while (length < limit && pixels[position + length] === pixels[candidate + length]) {
+      length++;
+    }
+    return length;
+  };
+
+  for (let position = 0; position < count;) {
+    const limit = Math.min(MAX_LENGTH, count - position);
+    let bestLength = 0;
+    let bestDistance = 0;
+
+    const consider = candidate => {
+      const length = matchLength(position, candidate, limit);
+      if (length > bestLength) {
+        bestLength = length;
+        bestDistance = position - candidate;
+      }
+    };
+
+    if (limit >= MIN_MATCH) {
+      if (position >= 1) {
+        consider(position - 1);
+      }
+      if (position >= width && bestLength < limit) {
+        consider(position - width);
+      }
+      if (position + 1 < count) {
+        let candidate = head[hashAt(position)];
+        for (let steps = 0; candidate >= 0 && steps < MAX_CHAIN && bestLength < limit && position - candidate <= MAX_DISTANCE; steps++) {
+          consider(candidate);
+          candidate = chain[candidate];
+        }
+      }
+    }
+
+    if (bestLength >= MIN_MATCH) {
+      const code = bestDistance < codes.length && codes[bestDistance] ? codes[bestDistance] : bestDistance + 120;
+      kinds[tokenCount] = 1;
+      values[tokenCount] = bestLength;
+      distances[tokenCount] = code;
+      green[256 + prefixEncode(bestLength).prefix]++;
+      distance[prefixEncode(code).prefix]++;
+      for (let offset = 0; offset < bestLength; offset++) {
+        insert(position + offset);
+      }
+      position += bestLength;
+    } else {
+      const pixel = pixels[position];
+      const index = cacheSize ? cacheIndex(pixel) : 0;
+
+      if (cacheSize && cache[index] === pixel) {
+        kinds[tokenCount] = 2;
+        values[tokenCount] = index;
+        green[256 + LENGTH_CODES + index]++;
+      } else {
+        kinds[tokenCount] = 0;
+        values[tokenCount] = pixel;
+        green[(pixel >>> 8) & 0xff]++;
+        red[(pixel >>> 16) & 0xff]++;
+        blue[pixel & 0xff]++;
+        alpha[pixel >>> 24]++;
+      }
+      insert(position);
+      position++;
+    }
+    tokenCount++;
+  }
+
+  return { kinds, values, distances, tokenCount, frequencies: [green, red, blue, alpha, distance] };
+}
+
+// An entropy-coded image: the ARGB image itself (spatial, which may declare meta prefix
+// codes) or a sub-image such as the predictor modes
+function writeImage(writer, pixels, width, cacheBits, spatial) {
+  const { kinds, values, distances, tokenCount, frequencies } = tokenize(pixels, width, cacheBits);
+
+  writer.write(cacheBits ? 1 : 0, 1);
+  if (cacheBits) {
+    writer.write(cacheBits, 4);
+  }
+  if (spatial) {
+    writer.write(0, 1);
+  }
+
+  const [greenCode, redCode, blueCode, alphaCode, distanceCode] = frequencies.map(counts => writePrefixCode(writer, counts));
+
+  for (let i = 0; i < tokenCount; i++) {
+    if (kinds[i] === 0) {
+      const pixel = values[i];
+      const g = (pixel >>> 8) & 0xff;
+      const r = (pixel >>> 16) & 0xff;
+      const b = pixel & 0xff;
+      const a = pixel >>> 24;
+      writer.write(greenCode.codes[g], greenCode.lengths[g]);
+      writer.write(redCode.codes[r], redCode.lengths[r]);
+      writer.write(blueCode.codes[b], blueCode.lengths[b]);
+      writer.write(alphaCode.codes[a], alphaCode.lengths[a]);
+    } else if (kinds[i] === 2) {
+      const symbol = 256 + LENGTH_CODES + values[i];
+      writer.write(greenCode.codes[symbol], greenCode.lengths[symbol]);
+    } else {
+      const length = prefixEncode(values[i]);
+      const symbol = 256 + length.prefix;
+      writer.write(greenCode.codes[symbol], greenCode.lengths[symbol]);
+      writer.write(length.extra, length.extraBits);
+
+      const dist = prefixEncode(distances[i]);
+      writer.write(distanceCode.codes[dist.prefix], distanceCode.lengths[dist.prefix]);
+      writer.write(dist.extra, dist.extraBits);
+    }
+  }
+}
+
+export function encodeWebp(image, options = {}) {
+  const { width, height, data } = image;
+  const { quality = 100 } = options;
+
+  if (width < 1 || height < 1 || width > 16384 || height > 16384) {
+    throw new Error(`WebP images must be between 1x1 and 16384x16384 pixels, got ${width}x${height}`);
+  }
+
+  const shift = quality >= 100 ? 0 : quality >= 90 ? 1 : quality >= 70 ? 2 : 3;
+  const quantize = value => (shift === 0 ? value : Math.min(255, ((value + (1 << (shift - 1))) >> shift) << shift));
+  const pixelCount = width * height;
+  const pixels = new Uint32Array(pixelCount);
+  let hasAlpha = false;
+
+  for (let i = 0; i < pixelCount; i++) {
+    const red = quantize(data[i * 4]);
+    const green = quantize(data[i * 4 + 1]);
+    const blue = quantize(data[i * 4 + 2]);
+    const alpha = data[i * 4 + 3];
+    if (alpha !== 255) {
+      hasAlpha = true;
+    }
+    // Subtract-green transform: red and blue are stored relative to green
+    pixels[i] = ((alpha << 24) | (((red - green) & 0xff) << 16) | (green << 8) | ((blue - green) & 0xff)) >>> 0;
+  }
+
+  const predictors = choosePredictors(pixels, width, height);
+  const residuals = applyPredictors(pixels, width, height, predictors);
+  const modeImage = Uint32Array.from(predictors.modes, mode => (0xff000000 | (mode << 8)) >>> 0);
+
+  const writer = new BitWriter(pixelCount);
+  writer.write(width - 1, 14);
+  writer.write(height - 1, 14);
+  writer.write(hasAlpha ? 1 : 0, 1);
+  writer.write(0, 3);
+
+  // Transforms in the order they were applied: subtract green, then the predictor with
+  // its block size and the mode of every block as a sub-image
+  writer.write(1, 1);
+  writer.write(2, 2);
+  writer.write(1, 1);
+  writer.write(0, 2);
+  writer.write(PREDICTOR_BITS - 2, 3);
+  writeImage(writer, modeImage, predictors.blocksX, 0, false);
+  writer.write(0, 1);
+
+  writeImage(writer, residuals, width, CACHE_BITS, true);
+
+  const bitstream = writer.finish();
+  const chunkSize = 1 + bitstream.length;
+  const padding = chunkSize % 2;
+  const output = Buffer.alloc(20 + chunkSize + padding);
+
+  output.write('RIFF', 0, 'ascii');
+  output.writeUInt32LE(12 + chunkSize + padding, 4);
+  output.write('WEBP', 8, 'ascii');
+  output.write('VP8L', 12, 'ascii');
+  output.writeUInt32LE(chunkSize, 16);
+  output[20] = 0x2f;
+  bitstream.copy(output, 21);
+
+  return output;
+}
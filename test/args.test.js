@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { join } from 'path';
+import { parseArgs, generateCompletion } from '../lib/args.js';
+
+test('parseArgs() reads every value form', () => {
+  for (const argv of [['--output', 'shots'], ['--output=shots'], ['-o', 'shots'], ['-o=shots'], ['-oshots']]) {
+    assert.deepEqual(parseArgs(argv), { output: 'shots' }, argv.join(' '));
+  }
+});
+
+test('parseArgs() converts values and collects repeated options', () => {
+  assert.deepEqual(parseArgs(['-q', '80', '--scale=50%', '--tool', 'grim, scrot', '--redact', '0,0,10,10', '--redact=5,5,5,5:blur', '-f', 'JPG']), {
+    quality: 80,
+    scale: 0.5,
+    tools: ['grim', 'scrot'],
+    redact: ['0,0,10,10', '5,5,5,5:blur'],
+    format: 'jpg'
+  });
+  assert.deepEqual(parseArgs(['--threshold=0.5%', '--max-width', '800', '--timeout', 'soon']), { threshold: 0.5, maxWidth: 800, timeout: 'soon' });
+  assert.equal(parseArgs(['-o', '~/shots']).output, join(process.env.HOME || process.env.USERPROFILE, 'shots'));
+});
+
+test('parseArgs() reads flags, combined flags and window ids', () => {
+  assert.deepEqual(parseArgs(['-wv']), { target: 'activeWindow', version: true });
+  assert.deepEqual(parseArgs(['--window=0x1a00004', '--json']), { target: { windowId: '0x1a00004' }, json: true });
+  assert.deepEqual(parseArgs(['-w=42']), { target: { windowId: '42' } });
+  assert.deepEqual(parseArgs(['-w', '123']), { target: { windowId: '123' } });
+  assert.deepEqual(parseArgs(['--window', '0x3A00007', '-n', 'app']), { target: { windowId: '0x3A00007' }, name: 'app' });
+  assert.deepEqual(parseArgs(['-vw', '42']), { version: true, target: { windowId: '42' } });
+  assert.deepEqual(parseArgs(['-w', 'burst']), { target: 'activeWindow', command: 'burst', args: [] });
+  assert.throws(() => parseArgs(['-wv', '42']), /Unknown command: 42/);
+});
+
+test('parseArgs() reads commands and their arguments', () => {
+  assert.deepEqual(parseArgs(['diff', 'a.png', 'b.png', '--out', 'diff.png']), { command: 'diff', args: ['a.png', 'b.png'], out: 'diff.png' });
+  assert.deepEqual(parseArgs(['info', '--', '-odd.png']), { command: 'info', args: ['-odd.png'] });
+  assert.deepEqual(parseArgs(['completion', 'zsh']), { command: 'completion', args: ['zsh'] });
+});
+
+test('parseArgs() drops one pair of quotes from the legacy = forms', () => {
+  assert.deepEqual(parseArgs(['-n="my shot"', '--output=\'/tmp/shots\'', '-f="webp"']), { name: 'my shot', output: '/tmp/shots', format: 'webp' });
+  assert.equal(parseArgs(['--name="a"b"']).name, 'a"b');
+  assert.equal(parseArgs(['--name="unbalanced']).name, '"unbalanced');
+  assert.equal(parseArgs(['--name="mixed\'']).name, '"mixed\'');
+});
+
+test('parseArgs() keeps quotes in every other value', () => {
+  assert.equal(parseArgs(['--name', '"quoted"']).name, '"quoted"');
+  assert.equal(parseArgs(['--name=it\'s {date}']).name, 'it\'s {date}');
+  assert.equal(parseArgs(['--token="abc"\'def']).token, '"abc"\'def');
+  assert.deepEqual(parseArgs(['--upload', 'https://example.com/put?sig="x"']).upload, ['https://example.com/put?sig="x"']);
+});
+
+test('parseArgs() rejects values outside the choices of an option', () => {
+  const cases = [
+    [['--format', 'pnj'], /Invalid value for --format: "pnj"/, 'Did you mean png?'],
+    [['-f=gif'], /Invalid value for -f: "gif"/, 'Use one of: png, jpg, jpeg, bmp, webp'],
+    [['--on-conflict=overwrit'], /--on-conflict/, 'Did you mean overwrite?'],
+    [['burst', '--animation', 'apn'], /--animation/, 'Did you mean apng?'],
+    [['completion', 'bsh'], /Invalid argument for crosshot completion: "bsh"/, 'Did you mean bash?'],
+    [['completion', 'powershell'], /completion/, 'Use one of: bash, zsh, fish']
+  ];
+
+  for (const [argv, message, suggestion] of cases) {
+    assert.throws(() => parseArgs(argv), error => {
+      assert.equal(error.code, 'INVALID_OPTION');
+      assert.match(error.message, message);
+      assert.deepEqual(error.suggestions, [suggestion]);
+      return true;
+    }, argv.join(' '));
+  }
+});
+
+test('parseArgs() rejects unknown options, missing values and surplus arguments', () => {
+  assert.throws(() => parseArgs(['--verbos']), { code: 'INVALID_OPTION', message: 'Unknown option: --verbos', suggestions: ['Did you mean --verbose?'] });
+  assert.throws(() => parseArgs(['-V']), { suggestions: ['Did you mean -v (--version)?'] });
+  assert.throws(() => parseArgs(['--output']), { message: 'Option --output needs a value' });
+  assert.throws(() => parseArgs(['--json=yes']), { message: 'Option --json does not take a value' });
+  assert.throws(() => parseArgs(['captur']), { message: 'Unknown command: captur', suggestions: ['Did you mean crosshot capture?'] });
+  assert.throws(() => parseArgs(['tools', 'extra']), { message: 'Unexpected argument: extra' });
+});
+
+test('generateCompletion() offers the choices of each option', () => {
+  assert.match(generateCompletion('bash'), /--format\|-f\) COMPREPLY=\( \$\(compgen -W "png jpg jpeg bmp webp"/);
+  assert.match(generateCompletion('zsh'), /--on-conflict=\[What to do when the file exists\]:on-conflict:\(increment overwrite error\)/);
+  assert.match(generateCompletion('fish'), /-l animation -r -a 'gif apng frames'/);
+  assert.throws(() => generateCompletion('tcsh'), { code: 'INVALID_OPTION' });
+});
@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compareImages } from '../lib/compare.js';
+
+function solid(width, height, color) {
+  const data = Buffer.alloc(width * height * 4);
+  for (let offset = 0; offset < data.length; offset += 4) {
+    data.set(color, offset);
+  }
+  return { width, height, data };
+}
+
+function paint(image, x, y, color) {
+  image.data.set(color, (y * image.width + x) * 4);
+  return image;
+}
+
+const WHITE = [255, 255, 255, 255];
+const BLACK = [0, 0, 0, 255];
+
+test('identical images do not differ', () => {
+  const { diff, ...summary } = compareImages(solid(10, 10, WHITE), solid(10, 10, WHITE));
+
+  assert.deepEqual(summary, {
+    width: 10,
+    height: 10,
+    sameSize: true,
+    comparedPixels: 100,
+    ignoredPixels: 0,
+    mismatchedPixels: 0,
+    mismatchPercentage: 0
+  });
+  assert.equal(diff, null);
+});
+
+test('counts pixels whose color differs beyond the tolerance', () => {
+  const changed = paint(paint(solid(10, 10, WHITE), 1, 1, BLACK), 2, 2, [250, 250, 250, 255]);
+  const result = compareImages(solid(10, 10, WHITE), changed);
+
+  assert.equal(result.mismatchedPixels, 1);
+  assert.equal(result.mismatchPercentage, 1);
+  assert.equal(compareImages(solid(10, 10, WHITE), changed, { tolerance: 0 }).mismatchedPixels, 2);
+  assert.equal(compareImages(solid(10, 10, WHITE), changed, { tolerance: 1 }).mismatchedPixels, 0);
+});
+
+test('blends transparent pixels with white', () => {
+  const result = compareImages(solid(4, 4, [0, 0, 0, 0]), solid(4, 4, WHITE), { tolerance: 0 });
+
+  assert.equal(result.mismatchedPixels, 0);
+});
+
+test('leaves ignored regions out of the comparison', () => {
+  const changed = paint(paint(solid(10, 10, WHITE), 1, 1, BLACK), 8, 8, BLACK);
+  const result = compareImages(solid(10, 10, WHITE), changed, { ignoreRegions: [{ x: 0, y: 0, width: 5, height: 5 }] });
+
+  assert.equal(result.ignoredPixels, 25);
+  assert.equal(result.comparedPixels, 75);
+  assert.equal(result.mismatchedPixels, 1);
+});
+
+test('compares images of different sizes on the larger canvas', () => {
+  const result = compareImages(solid(10, 10, WHITE), solid(12, 10, WHITE));
+
+  assert.equal(result.sameSize, false);
+  assert.deepEqual([result.width, result.height], [12, 10]);
+  assert.equal(result.mismatchedPixels, 20);
+});
+
+test('draws mismatches in red and ignored regions in blue', () => {
+  const changed = paint(solid(4, 4, WHITE), 3, 3, BLACK);
+  const { diff } = compareImages(solid(4, 4, WHITE), changed, { diff: true, ignoreRegions: [{ x: 0, y: 0, width: 1, height: 1 }] });
+  const color = (x, y) => [...diff.data.subarray((y * diff.width + x) * 4, (y * diff.width + x) * 4 + 4)];
+
+  assert.deepEqual([diff.width, diff.height], [4, 4]);
+  assert.deepEqual(color(3, 3), [255, 0, 0, 255]);
+  assert.equal(color(0, 0)[2], 255);
+  assert.ok(color(0, 0)[0] < 255);
+  assert.deepEqual(color(1, 1), [255, 255, 255, 255]);
+});
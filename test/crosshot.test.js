@@ -0,0 +1,970 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCrosshot, createFakeExecutor, registerBackend, unregisterBackend, listBackends, EXIT_CODES } from '../index.js';
+import { detectImageFormat, decodeImage, encodeImage } from '../lib/image.js';
+import { detectSession, rankBackend } from '../lib/session.js';
+import { createMemoryFs } from './helpers/memory-fs.js';
+
+const quietLogger = { debug() {}, warn() {}, error() {} };
+
+// A crosshot instance on a fake Linux desktop with an in-memory file system
+function setup(executorOptions = {}, files = {}) {
+  const executor = createFakeExecutor(executorOptions);
+  const fs = createMemoryFs(files);
+  const crosshot = createCrosshot({
+    executor,
+    backends: [executor.backend],
+    fs,
+    platform: 'linux',
+    env: { DISPLAY: ':0', PATH: '/usr/bin' },
+    logger: quietLogger
+  });
+  return { executor, fs, crosshot };
+}
+
+// Red and green of a pixel, which the fake test pattern sets to its desktop coordinates
+function pixel(buffer, x, y) {
+  const image = decodeImage(buffer);
+  const offset = (y * image.width + x) * 4;
+  return [image.data[offset], image.data[offset + 1]];
+}
+
+test('captures the fake screen into a file', async () => {
+  const { executor, fs, crosshot } = setup();
+
+  fs.mkdirSync('/shots');
+  const result = await crosshot.takeScreenshot('/shots', 'capture');
+
+  assert.equal(result.success, true);
+  assert.equal(result.filepath, '/shots/capture.png');
+  assert.equal(result.tool, 'fake');
+  assert.equal(result.platform, 'linux');
+  assert.deepEqual(result.dimensions, { width: 640, height: 480 });
+  assert.deepEqual(fs.files('/shots'), ['capture.png']);
+  assert.equal(result.size.bytes, fs.readFileSync('/shots/capture.png').length);
+  assert.deepEqual(pixel(fs.readFileSync('/shots/capture.png'), 100, 50), [100, 50]);
+  assert.deepEqual(executor.calls.map(call => call.argv), [['crosshot-fake', 'capture', '-']]);
+});
+
+test('captureToBuffer() writes nothing to disk', async () => {
+  const { fs, crosshot } = setup();
+
+  const result = await crosshot.captureToBuffer();
+
+  assert.equal(result.mimeType, 'image/png');
+  assert.equal(detectImageFormat(result.buffer), 'png');
+  assert.deepEqual(fs.files('/'), []);
+});
+
+for (const [format, detected, mimeType] of [['jpg', 'jpg', 'image/jpeg'], ['jpeg', 'jpg', 'image/jpeg'], ['bmp', 'bmp', 'image/bmp'], ['webp', 'webp', 'image/webp']]) {
+  test(`converts the tool output to ${format}`, async () => {
+    const { fs, crosshot } = setup();
+
+    const result = await crosshot.captureScreen({ outputDir: '/shots', filename: 'converted', format });
+    const written = fs.readFileSync(result.filepath);
+
+    assert.equal(result.format, format);
+    assert.equal(result.nativeFormat, 'png');
+    assert.equal(result.filepath, `/shots/converted.${format === 'jpeg' ? 'jpg' : format}`);
+    assert.equal(detectImageFormat(written), detected);
+    assert.equal((await crosshot.captureToBuffer({ format })).mimeType, mimeType);
+  });
+}
+
+test('applies quality to lossy formats', async () => {
+  const { crosshot } = setup();
+
+  const low = await crosshot.captureToBuffer({ format: 'jpg', quality: 10 });
+  const high = await crosshot.captureToBuffer({ format: 'jpg', quality: 95 });
+
+  assert.ok(low.buffer.length < high.buffer.length);
+});
+
+test('passes a region to the tool', async () => {
+  const { executor, crosshot } = setup();
+
+  const result = await crosshot.captureToBuffer({ region: '10,20,30,40' });
+
+  assert.deepEqual(result.dimensions, { width: 30, height: 40 });
+  assert.deepEqual(result.region, { x: 10, y: 20, width: 30, height: 40 });
+  assert.deepEqual(pixel(result.buffer, 0, 0), [10, 20]);
+  assert.deepEqual(executor.calls[0].argv, ['crosshot-fake', 'capture', '--region', '30x40+10+20', '-']);
+});
+
+test('accepts a region returned at twice its size by a HiDPI tool', async () => {
+  const { crosshot } = setup({ scale: 2 });
+
+  const result = await crosshot.captureToBuffer({ region: '10,20,30,40' });
+
+  assert.deepEqual(result.dimensions, { width: 60, height: 80 });
+  assert.deepEqual(pixel(result.buffer, 0, 0), [10, 20]);
+  assert.deepEqual(pixel(result.buffer, 59, 79), [39, 59]);
+});
+
+test('rejects a region returned with a different aspect ratio', async () => {
+  const executor = createFakeExecutor();
+  const stretched = { ...executor.backend, buildCommand: context => executor.backend.buildCommand({ ...context, region: { ...context.region, width: context.region.width * 2 } }) };
+  const crosshot = createCrosshot({ executor, backends: [stretched], fs: createMemoryFs(), platform: 'linux', env: { DISPLAY: ':0' }, logger: quietLogger });
+
+  await assert.rejects(crosshot.captureToBuffer({ region: '10,20,30,40' }), error => {
+    assert.equal(error.code, 'OUTPUT_NOT_WRITTEN');
+    assert.match(error.attempts[0].error, /returned 60x40 for a 30x40 region/);
+    return true;
+  });
+});
+
+test('captures one display by index', async () => {
+  const { crosshot } = setup({
+    displays: [
+      { name: 'LEFT', primary: true, x: 0, y: 0, width: 320, height: 200 },
+      { name: 'RIGHT', x: 320, y: 0, width: 160, height: 120 }
+    ]
+  });
+
+  const result = await crosshot.captureToBuffer({ display: 1 });
+
+  assert.deepEqual(result.dimensions, { width: 160, height: 120 });
+  assert.deepEqual(pixel(result.buffer, 0, 0), [64, 0]);
+});
+
+test('captures a display by name and a region relative to it', async () => {
+  const { executor, crosshot } = setup({
+    displays: [
+      { name: 'LEFT', primary: true, x: 0, y: 0, width: 320, height: 200 },
+      { name: 'RIGHT', x: 320, y: 0, width: 160, height: 120 }
+    ]
+  });
+
+  const display = await crosshot.captureToBuffer({ display: 'RIGHT' });
+  const region = await crosshot.captureToBuffer({ display: 'RIGHT', region: '10,20,30,40' });
+
+  assert.deepEqual(display.dimensions, { width: 160, height: 120 });
+  assert.deepEqual(executor.calls.filter(call => call.argv[0] === 'crosshot-fake').map(call => call.argv), [
+    ['crosshot-fake', 'capture', '--display', 'RIGHT', '-'],
+    ['crosshot-fake', 'capture', '--region', '30x40+330+20', '-']
+  ]);
+  assert.deepEqual(region.region, { x: 330, y: 20, width: 30, height: 40 });
+  assert.deepEqual(pixel(region.buffer, 0, 0), [330 % 256, 20]);
+});
+
+// A 32-bit TrueColor ZPixmap as written by xwd on a little-endian X server, with the
+// fake test pattern
+function xwdDump(width, height) {
+  const name = Buffer.from('xwdump\0');
+  const header = Buffer.alloc(100);
+  const fields = [100 + name.length, 7, 2, 24, width, height, 0, 0, 32, 0, 32, 32, width * 4, 4, 0xff0000, 0xff00, 0xff, 8, 256, 0, width, height, 0, 0, 0];
+  fields.forEach((value, index) => header.writeUInt32BE(value, index * 4));
+  const pixels = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      pixels.set([128, y % 256, x % 256, 0], (y * width + x) * 4);
+    }
+  }
+  return Buffer.concat([header, name, pixels]);
+}
+
+// xwd writes to stdout, or with -out to a file, which regions use as they are cropped afterwards
+test('captures an X display with xwd', async () => {
+  const executor = createFakeExecutor({ installed: ['xwd'] });
+  const fs = createMemoryFs();
+  const run = executor.run;
+  executor.run = (argv, options = {}) => {
+    if (argv[0] !== 'xwd') {
+      return run(argv, options);
+    }
+    executor.calls.push({ argv: [...argv], env: options.env || null });
+    if (argv.includes('-out')) {
+      fs.writeFileSync(argv[argv.indexOf('-out') + 1], xwdDump(200, 100));
+      return Promise.resolve({ stdout: Buffer.alloc(0), stderr: Buffer.alloc(0) });
+    }
+    return Promise.resolve({ stdout: xwdDump(200, 100), stderr: Buffer.alloc(0) });
+  };
+  const crosshot = createCrosshot({ executor, fs, platform: 'linux', env: { WAYLAND_DISPLAY: 'wayland-0', DISPLAY: ':0' }, logger: quietLogger });
+
+  const screen = await crosshot.captureToBuffer({ display: ':99' });
+  const region = await crosshot.captureToBuffer({ display: ':99', region: '50,20,30,10' });
+
+  assert.equal(screen.tool, 'xwd');
+  assert.equal(screen.nativeFormat, 'xwd');
+  assert.equal(detectImageFormat(screen.buffer), 'png');
+  assert.deepEqual(screen.dimensions, { width: 200, height: 100 });
+  assert.deepEqual(pixel(screen.buffer, 150, 60), [150, 60]);
+  assert.deepEqual(region.dimensions, { width: 30, height: 10 });
+  assert.deepEqual(pixel(region.buffer, 0, 0), [50, 20]);
+  const xwdCalls = executor.calls.filter(call => call.argv[0] === 'xwd');
+
+  assert.deepEqual(xwdCalls.map(call => call.argv.slice(0, 4)), [['xwd', '-silent', '-root'], ['xwd', '-silent', '-root', '-out']]);
+  assert.equal(xwdCalls[0].env.DISPLAY, ':99');
+  assert.equal('WAYLAND_DISPLAY' in xwdCalls[0].env, false);
+  assert.deepEqual(fs.files('/'), []);
+});
+
+test('only uses X11 tools for an X display', async () => {
+  const executor = createFakeExecutor();
+  const backends = [{ ...executor.backend, name: 'portal', sessions: ['wayland'] }, { ...executor.backend, name: 'x11-tool', sessions: ['x11'] }];
+  const crosshot = createCrosshot({ executor, backends, fs: createMemoryFs(), platform: 'linux', env: { WAYLAND_DISPLAY: 'wayland-0' }, logger: quietLogger });
+  const mac = createCrosshot({ executor, backends, fs: createMemoryFs(), platform: 'darwin', env: {}, logger: quietLogger });
+
+  assert.equal((await crosshot.captureToBuffer({ display: ':99' })).tool, 'x11-tool');
+  assert.equal((await crosshot.captureToBuffer({ display: ':99', preferredTools: ['portal'] })).tool, 'x11-tool');
+  await assert.rejects(crosshot.captureToBuffer({ display: ':99', excludeTools: ['x11-tool'] }), { code: 'NO_TOOL_AVAILABLE' });
+  await assert.rejects(mac.captureToBuffer({ display: ':99' }), { code: 'INVALID_OPTION' });
+});
+
+test('expands name templates into subdirectories', async () => {
+  const { fs, crosshot } = setup();
+
+  const first = await crosshot.captureScreen({ outputDir: '/shots', filename: '{platform}/{tool}-{seq:3}' });
+  const second = await crosshot.captureScreen({ outputDir: '/shots', filename: '{platform}/{tool}-{seq:3}' });
+
+  assert.equal(first.filename, 'linux/fake-001.png');
+  assert.equal(second.filename, 'linux/fake-002.png');
+  assert.deepEqual(fs.files('/shots'), ['linux/fake-001.png', 'linux/fake-002.png']);
+});
+
+test('picks a free name on conflicts by default', async () => {
+  const { fs, crosshot } = setup({}, { '/shots/capture.png': 'existing' });
+
+  const result = await crosshot.takeScreenshot('/shots', 'capture');
+
+  assert.equal(result.filename, 'capture-1.png');
+  assert.equal(fs.readFileSync('/shots/capture.png', 'utf8'), 'existing');
+});
+
+test('replaces the file with onConflict overwrite', async () => {
+  const { fs, crosshot } = setup({}, { '/shots/capture.png': 'existing' });
+
+  const result = await crosshot.takeScreenshot('/shots', 'capture', { onConflict: 'overwrite' });
+
+  assert.equal(result.filename, 'capture.png');
+  assert.equal(detectImageFormat(fs.readFileSync('/shots/capture.png')), 'png');
+});
+
+test('rejects with FileExistsError with onConflict error', async () => {
+  const { fs, crosshot } = setup({}, { '/shots/capture.png': 'existing' });
+
+  await assert.rejects(crosshot.takeScreenshot('/shots', 'capture', { onConflict: 'error' }), { name: 'FileExistsError', code: 'FILE_EXISTS' });
+  assert.deepEqual(fs.files('/shots'), ['capture.png']);
+});
+
+test('rejects with NoToolAvailableError when no tool is installed', async () => {
+  const { crosshot } = setup({ installed: [] });
+
+  await assert.rejects(crosshot.captureToBuffer(), error => {
+    assert.equal(error.name, 'NoToolAvailableError');
+    assert.equal(EXIT_CODES[error.code], 3);
+    assert.equal(error.attempts.length, 1);
+    assert.equal(error.attempts[0].tool, 'fake');
+    assert.deepEqual(error.triedTools, ['fake']);
+    assert.equal(error.availableTools, undefined);
+    assert.deepEqual(error.toJSON().triedTools, ['fake']);
+    assert.equal('availableTools' in error.toJSON(), false);
+    return true;
+  });
+});
+
+test('rejects with OutputNotWrittenError when the tool fails', async () => {
+  const { crosshot } = setup({ fail: () => ({ exitCode: 2, stderr: 'broken pipe' }) });
+
+  await assert.rejects(crosshot.captureToBuffer(), error => {
+    assert.equal(error.code, 'OUTPUT_NOT_WRITTEN');
+    assert.deepEqual(error.attempts.map(attempt => [attempt.exitCode, attempt.stderr]), [[2, 'broken pipe']]);
+    return true;
+  });
+});
+
+test('rejects with PermissionDeniedError when the tool reports missing permission', async () => {
+  const { crosshot } = setup({ fail: () => ({ stderr: 'could not create image from display' }) });
+
+  await assert.rejects(crosshot.captureToBuffer(), { code: 'PERMISSION_DENIED' });
+});
+
+test('rejects with TimeoutError when the tool hangs', async () => {
+  const { crosshot } = setup({ delay: 1000 });
+
+  await assert.rejects(crosshot.captureToBuffer({ timeout: 20 }), error => {
+    assert.equal(error.code, 'TIMEOUT');
+    assert.equal(error.attempts[0].timedOut, true);
+    return true;
+  });
+});
+
+test('the deadline stops the fallback to the next tool', async () => {
+  const executor = createFakeExecutor({ delay: 1000 });
+  const backends = ['first', 'second'].map(name => ({ ...executor.backend, name }));
+  const crosshot = createCrosshot({ executor, backends, fs: createMemoryFs(), platform: 'linux', env: { DISPLAY: ':0' }, logger: quietLogger });
+  const started = Date.now();
+
+  await assert.rejects(crosshot.captureToBuffer({ timeout: 40, deadline: 80 }), error => {
+    assert.equal(error.code, 'TIMEOUT');
+    assert.match(error.message, /80 ms deadline/);
+    assert.deepEqual(error.attempts.map(attempt => attempt.tool), ['first', 'second']);
+    return true;
+  });
+  assert.ok(Date.now() - started < 500);
+});
+
+test('the deadline covers all displays together', async () => {
+  const { fs, crosshot } = setup({
+    delay: 100,
+    displays: [
+      { name: 'FAKE-1', primary: true, x: 0, y: 0, width: 64, height: 48 },
+      { name: 'FAKE-2', x: 64, y: 0, width: 64, height: 48 }
+    ]
+  });
+
+  fs.mkdirSync('/shots');
+  await assert.rejects(crosshot.takeScreenshot('/shots', 'all', { allDisplays: true, deadline: 160 }), { code: 'TIMEOUT' });
+  assert.deepEqual(fs.files('/shots'), ['all-0.png']);
+  assert.equal((await crosshot.takeScreenshot('/shots', 'more', { allDisplays: true, deadline: 1000 })).length, 2);
+});
+
+test('rejects invalid deadlines', async () => {
+  const { executor, crosshot } = setup();
+
+  await assert.rejects(crosshot.captureToBuffer({ deadline: -1 }), { code: 'INVALID_OPTION' });
+  await assert.rejects(crosshot.captureToBuffer({ deadline: '5s' }), { code: 'INVALID_OPTION' });
+  assert.deepEqual(executor.calls, []);
+});
+
+test('rejects with AbortedError when the signal aborts', async () => {
+  const { crosshot } = setup({ delay: 1000 });
+  const controller = new AbortController();
+
+  setTimeout(() => controller.abort(), 20);
+  await assert.rejects(crosshot.captureToBuffer({ signal: controller.signal }), { code: 'ABORTED' });
+});
+
+test('rejects invalid options before running a tool', async () => {
+  const { executor, crosshot } = setup();
+
+  await assert.rejects(crosshot.captureToBuffer({ format: 'gif' }), { code: 'UNSUPPORTED_FORMAT' });
+  await assert.rejects(crosshot.captureToBuffer({ quality: 0 }), { code: 'INVALID_OPTION' });
+  await assert.rejects(crosshot.captureToBuffer({ region: '0,0,0,10' }), { code: 'INVALID_OPTION' });
+  await assert.rejects(crosshot.captureToBuffer({ display: 5 }), { code: 'DISPLAY_NOT_FOUND' });
+  assert.deepEqual(executor.calls.filter(call => call.argv[1] === 'capture'), []);
+});
+
+test('rejects with DirectoryMissingError without createDir', async () => {
+  const { fs, crosshot } = setup();
+
+  await assert.rejects(crosshot.captureScreen({ outputDir: '/missing', createDir: false }), { code: 'DIRECTORY_MISSING' });
+  assert.equal(fs.existsSync('/missing'), false);
+});
+
+test('createCrosshot() validates its dependencies', () => {
+  assert.throws(() => createCrosshot({ executor: { run() {} } }), { code: 'INVALID_OPTION', message: /runWithInput, commandExists/ });
+  assert.throws(() => createCrosshot({ platform: 'sunos' }), { code: 'INVALID_OPTION' });
+  assert.throws(() => createCrosshot({ fs: {} }), { code: 'INVALID_OPTION' });
+});
+
+test('rejects names that would be written outside the output directory', async () => {
+  const { executor, fs, crosshot } = setup();
+
+  fs.mkdirSync('/home/user/shots', { recursive: true });
+  for (const name of ['../escape', 'nested/../../escape', '/tmp/escape', 'C:/escape', 'C:escape', '..\\escape', 'nested\\escape']) {
+    await assert.rejects(crosshot.takeScreenshot('/home/user/shots', name), error => {
+      assert.equal(error.name, 'InvalidOptionError');
+      assert.equal(EXIT_CODES[error.code], 2);
+      return true;
+    }, name);
+    await assert.rejects(crosshot.captureScreen({ outputDir: '/home/user/shots', filename: name }), { code: 'INVALID_OPTION' }, name);
+  }
+
+  assert.deepEqual(fs.files('/'), []);
+  assert.deepEqual(executor.calls, []);
+});
+
+test('treats a blank full-screen capture as missing permission', async () => {
+  const { crosshot } = setup({ blank: true });
+
+  await assert.rejects(crosshot.captureToBuffer(), error => {
+    assert.equal(error.code, 'PERMISSION_DENIED');
+    assert.equal(error.attempts[0].blank, true);
+    return true;
+  });
+  await assert.rejects(crosshot.captureToBuffer({ display: 0 }), { code: 'PERMISSION_DENIED' });
+  assert.equal((await crosshot.captureToBuffer({ allowBlank: true })).success, true);
+});
+
+test('accepts black regions and windows', async () => {
+  const { crosshot } = setup({ blank: true });
+
+  const region = await crosshot.captureToBuffer({ region: '0,0,32,32' });
+  const window = await crosshot.captureToBuffer({ target: 'activeWindow' });
+
+  assert.deepEqual(region.dimensions, { width: 32, height: 32 });
+  assert.deepEqual(pixel(region.buffer, 5, 5), [0, 0]);
+  assert.equal(window.success, true);
+});
+
+test('captures the active window', async () => {
+  const { executor, crosshot } = setup();
+
+  const result = await crosshot.captureToBuffer({ target: 'activeWindow' });
+
+  assert.deepEqual(result.dimensions, { width: 320, height: 200 });
+  assert.deepEqual(pixel(result.buffer, 0, 0), [40, 30]);
+  assert.deepEqual(executor.calls[0].argv, ['crosshot-fake', 'capture', '--window', 'active', '-']);
+});
+
+test('captures a window by id', async () => {
+  const { executor, crosshot } = setup({
+    windows: [
+      { id: '0x1000001', active: true, x: 40, y: 30, width: 320, height: 200 },
+      { id: '0x2000002', x: 100, y: 60, width: 50, height: 40 }
+    ]
+  });
+
+  const result = await crosshot.captureToBuffer({ target: { windowId: '0x2000002' } });
+
+  assert.deepEqual(result.dimensions, { width: 50, height: 40 });
+  assert.deepEqual(pixel(result.buffer, 0, 0), [100, 60]);
+  assert.deepEqual(executor.calls[0].argv, ['crosshot-fake', 'capture', '--window', '0x2000002', '-']);
+});
+
+test('rejects invalid window targets', async () => {
+  const { executor, crosshot } = setup();
+
+  await assert.rejects(crosshot.captureToBuffer({ target: 'window' }), { code: 'INVALID_OPTION' });
+  await assert.rejects(crosshot.captureToBuffer({ target: { windowId: 'abc' } }), { code: 'INVALID_OPTION' });
+  await assert.rejects(crosshot.captureToBuffer({ target: 'activeWindow', region: '0,0,10,10' }), { code: 'INVALID_OPTION' });
+  assert.deepEqual(executor.calls, []);
+});
+
+test('rejects with UnsupportedTargetError when no installed tool captures windows', async () => {
+  const executor = createFakeExecutor();
+  const screenOnly = { ...executor.backend, name: 'screen-only', features: ['region', 'stdout'] };
+  const crosshot = createCrosshot({ executor, backends: [screenOnly], fs: createMemoryFs(), platform: 'linux', env: { DISPLAY: ':0' }, logger: quietLogger });
+
+  await assert.rejects(crosshot.captureToBuffer({ target: 'activeWindow' }), error => {
+    assert.equal(error.code, 'UNSUPPORTED_TARGET');
+    assert.deepEqual(error.availableTools, ['screen-only']);
+    return true;
+  });
+  assert.deepEqual(executor.calls.filter(call => call.argv[1] === 'capture'), []);
+});
+
+test('tries preferred tools first and skips excluded ones', async () => {
+  const executor = createFakeExecutor();
+  const backends = ['first', 'second', 'third'].map(name => ({ ...executor.backend, name }));
+  const crosshot = createCrosshot({ executor, backends, fs: createMemoryFs(), platform: 'linux', env: { DISPLAY: ':0' }, logger: quietLogger });
+
+  assert.equal((await crosshot.captureToBuffer()).tool, 'first');
+  assert.equal((await crosshot.captureToBuffer({ preferredTools: ['third'] })).tool, 'third');
+  assert.equal((await crosshot.captureToBuffer({ excludeTools: ['first'] })).tool, 'second');
+  assert.equal((await crosshot.captureToBuffer({ preferredTools: ['first'], excludeTools: ['first'] })).tool, 'second');
+});
+
+test('falls back to the next tool when the preferred one is missing', async () => {
+  const executor = createFakeExecutor();
+  const missing = { ...executor.backend, name: 'missing', command: 'not-installed', buildCommand: () => ['not-installed', '-'] };
+  const crosshot = createCrosshot({ executor, backends: [executor.backend, missing], fs: createMemoryFs(), platform: 'linux', env: { DISPLAY: ':0' }, logger: quietLogger });
+
+  const result = await crosshot.captureToBuffer({ preferredTools: ['missing'] });
+
+  assert.equal(result.tool, 'fake');
+  await assert.rejects(crosshot.captureToBuffer({ preferredTools: ['missing'], excludeTools: ['fake'] }), { code: 'NO_TOOL_AVAILABLE' });
+});
+
+test('captures with a backend added by registerBackend()', async () => {
+  const executor = createFakeExecutor();
+  const crosshot = createCrosshot({ executor, fs: createMemoryFs(), platform: 'linux', env: { DISPLAY: ':0' }, logger: quietLogger });
+
+  assert.throws(() => registerBackend({ name: 'broken' }), TypeError);
+
+  const entry = registerBackend({ ...executor.backend, name: 'registered-fake' });
+
+  try {
+    assert.equal(entry.builtin, false);
+    assert.ok(listBackends({ platform: 'linux' }).some(backend => backend.name === 'registered-fake'));
+
+    const result = await crosshot.captureToBuffer({ preferredTools: ['registered-fake'] });
+
+    assert.equal(result.tool, 'registered-fake');
+    assert.deepEqual(executor.calls.at(-1).argv, ['crosshot-fake', 'capture', '-']);
+  } finally {
+    unregisterBackend('registered-fake');
+  }
+  assert.equal(listBackends().some(backend => backend.name === 'registered-fake'), false);
+});
+
+// Backends made for one session or desktop, all running the fake tool
+function sessionBackends(executor) {
+  return [
+    { ...executor.backend, name: 'anywhere' },
+    { ...executor.backend, name: 'x11-only', sessions: ['x11'] },
+    { ...executor.backend, name: 'wayland-only', sessions: ['wayland'] },
+    { ...executor.backend, name: 'wlroots-only', sessions: ['wayland'], desktops: ['wlroots'] }
+  ];
+}
+
+test('tries the tools made for the session first', async () => {
+  const captureWith = async env => {
+    const executor = createFakeExecutor();
+    const crosshot = createCrosshot({ executor, backends: sessionBackends(executor), fs: createMemoryFs(), platform: 'linux', env, logger: quietLogger });
+    return (await crosshot.captureToBuffer()).tool;
+  };
+
+  assert.equal(await captureWith({ DISPLAY: ':0' }), 'x11-only');
+  assert.equal(await captureWith({ WAYLAND_DISPLAY: 'wayland-0', XDG_CURRENT_DESKTOP: 'GNOME' }), 'wayland-only');
+  assert.equal(await captureWith({ WAYLAND_DISPLAY: 'wayland-1', SWAYSOCK: '/run/sway.sock' }), 'wlroots-only');
+  assert.equal(await captureWith({}), 'anywhere');
+});
+
+test('rankBackend() prefers the desktop, then the session type, then tools for any session', () => {
+  const [anywhere, x11, wayland, wlroots] = sessionBackends(createFakeExecutor());
+  const sway = detectSession({ WAYLAND_DISPLAY: 'wayland-1', SWAYSOCK: '/run/sway.sock' }, 'linux');
+  const gnome = detectSession({ WAYLAND_DISPLAY: 'wayland-0', XDG_CURRENT_DESKTOP: 'ubuntu:GNOME' }, 'linux');
+
+  assert.deepEqual([wlroots, wayland, anywhere, x11].map(backend => rankBackend(backend, sway)), [0, 1, 2, 3]);
+  assert.deepEqual([wlroots, wayland, anywhere, x11].map(backend => rankBackend(backend, gnome)), [3, 1, 2, 3]);
+  assert.equal(rankBackend(x11, detectSession({}, 'linux')), 2);
+  assert.equal(rankBackend(x11, null), 2);
+});
+
+test('diagnose() reports the tools, the recommended one and a test capture', async () => {
+  const executor = createFakeExecutor();
+  const crosshot = createCrosshot({ executor, backends: sessionBackends(executor), fs: createMemoryFs(), platform: 'linux', env: { DISPLAY: ':0' }, logger: quietLogger });
+
+  const report = await crosshot.diagnose({ testCapture: true });
+
+  assert.equal(report.ok, true);
+  assert.equal(report.session.type, 'x11');
+  assert.equal(report.recommendedTool, 'x11-only');
+  assert.deepEqual(report.tools.map(tool => [tool.name, tool.available, tool.suitable, tool.version]), [
+    ['x11-only', true, true, '1.0.0'],
+    ['anywhere', true, true, '1.0.0'],
+    ['wayland-only', true, false, '1.0.0'],
+    ['wlroots-only', true, false, '1.0.0']
+  ]);
+  assert.deepEqual(report.problems, []);
+  assert.deepEqual(report.testCapture, { success: true, tool: 'x11-only', width: 640, height: 480 });
+});
+
+test('diagnose() reports what stops a capture', async () => {
+  const diagnoseWith = (executorOptions, env, backends = executor => sessionBackends(executor)) => {
+    const executor = createFakeExecutor(executorOptions);
+    return createCrosshot({ executor, backends: backends(executor), fs: createMemoryFs(), platform: 'linux', env, logger: quietLogger })
+      .diagnose({ testCapture: true });
+  };
+  const codes = report => report.problems.map(problem => problem.code);
+
+  assert.deepEqual(codes(await diagnoseWith({}, {})), ['NO_DISPLAY']);
+  assert.deepEqual(codes(await diagnoseWith({ installed: [] }, { DISPLAY: ':0' })), ['NO_TOOL_AVAILABLE']);
+  assert.deepEqual(codes(await diagnoseWith({}, { DISPLAY: ':0' }, executor => sessionBackends(executor).slice(2))), ['SESSION_MISMATCH']);
+
+  const blank = await diagnoseWith({ blank: true }, { DISPLAY: ':0' });
+
+  assert.equal(blank.ok, false);
+  assert.deepEqual(codes(blank), ['PERMISSION_DENIED']);
+  assert.deepEqual(blank.testCapture, { success: false, tool: 'x11-only', code: 'PERMISSION_DENIED', error: blank.testCapture.error });
+});
+
+test('watch retention leaves screenshots taken outside the loop alone', async () => {
+  const { fs, crosshot } = setup({}, {
+    '/shots/screenshot-1700000000000.png': 'by hand',
+    '/shots/screenshot-1700000000001.png': 'by hand'
+  });
+
+  const watcher = crosshot.captureInterval({ every: 100, count: 3, outputDir: '/shots', retention: { keep: 1 } });
+  const removed = [];
+  watcher.on('prune', captures => removed.push(...captures.map(capture => capture.name)));
+  const summary = await watcher.done;
+  const files = fs.files('/shots');
+
+  assert.equal(summary.captures, 3);
+  assert.equal(removed.length, 2);
+  assert.ok(removed.every(name => /^watch-\d+\.png$/.test(name)));
+  assert.deepEqual(files.filter(name => name.startsWith('screenshot-')), ['screenshot-1700000000000.png', 'screenshot-1700000000001.png']);
+  assert.equal(files.filter(name => name.startsWith('watch-')).length, 1);
+});
+
+// Pixels of b that differ from a, as "x,y"
+function changedPixels(a, b) {
+  const changed = [];
+  for (let i = 0; i < a.data.length; i += 4) {
+    if (a.data.readUInt32BE(i) !== b.data.readUInt32BE(i)) {
+      changed.push(`${(i / 4) % a.width},${Math.floor(i / 4 / a.width)}`);
+    }
+  }
+  return changed;
+}
+
+// 60x40 at (230, 20), across the wrap of the red channel from 255 to 0 so blurring and
+// pixelating change most of the area
+const REDACTED = { x: 230, y: 20, width: 60, height: 40 };
+const inRedacted = point => {
+  const [x, y] = point.split(',').map(Number);
+  return x >= REDACTED.x && x < REDACTED.x + REDACTED.width && y >= REDACTED.y && y < REDACTED.y + REDACTED.height;
+};
+
+for (const mode of ['blackout', 'blur', 'pixelate']) {
+  test(`${mode} changes the pixels of the redaction and no others`, async () => {
+    const { crosshot } = setup();
+    const original = decodeImage((await crosshot.captureToBuffer()).buffer);
+
+    const redacted = decodeImage((await crosshot.captureToBuffer({ redact: [{ ...REDACTED, mode }] })).buffer);
+    const changed = changedPixels(original, redacted);
+    const rgb = (x, y) => [...redacted.data.subarray((y * redacted.width + x) * 4, (y * redacted.width + x) * 4 + 3)];
+
+    assert.ok(changed.every(inRedacted), `changed outside: ${changed.find(point => !inRedacted(point))}`);
+    assert.ok(changed.length > REDACTED.width * REDACTED.height * 0.75, `${changed.length} pixels changed`);
+    if (mode === 'blackout') {
+      assert.equal(changed.length, REDACTED.width * REDACTED.height);
+      assert.deepEqual(rgb(240, 30), [0, 0, 0]);
+    }
+    if (mode === 'pixelate') {
+      assert.deepEqual(rgb(230, 20), rgb(237, 27));
+    }
+  });
+}
+
+test('redactions are relative to the captured region', async () => {
+  const { crosshot } = setup();
+
+  const result = await crosshot.captureToBuffer({ region: '100,100,50,50', redact: ['10,10,5,5'] });
+
+  assert.deepEqual(pixel(result.buffer, 9, 9), [109, 109]);
+  assert.deepEqual(pixel(result.buffer, 10, 10), [0, 0]);
+  assert.deepEqual(pixel(result.buffer, 15, 15), [115, 115]);
+});
+
+test('rejects redactions reaching past the captured image', async () => {
+  const { executor, fs, crosshot } = setup();
+
+  fs.mkdirSync('/shots');
+  await assert.rejects(crosshot.takeScreenshot('/shots', 'region', { region: '100,100,50,50', redact: ['100,100,10,10'] }), error => {
+    assert.equal(error.code, 'INVALID_OPTION');
+    assert.match(error.message, /outside the captured 50x50 image/);
+    return true;
+  });
+  await assert.rejects(crosshot.takeScreenshot('/shots', 'edge', { redact: ['600,0,100,10:blur'] }), { code: 'INVALID_OPTION' });
+  assert.deepEqual(fs.files('/shots'), []);
+  assert.equal(executor.calls.length, 2);
+});
+
+test('scale shrinks the capture', async () => {
+  const { crosshot } = setup();
+
+  const result = await crosshot.captureToBuffer({ scale: 0.5 });
+
+  assert.deepEqual(result.dimensions, { width: 320, height: 240 });
+  // Each pixel averages the 2x2 block it covers: red 200 and 201, green 100 and 101
+  assert.deepEqual(pixel(result.buffer, 100, 50), [201, 101]);
+});
+
+test('maxWidth and maxHeight fit the capture with its aspect ratio', async () => {
+  const { crosshot } = setup();
+  const sizeOf = async options => (await crosshot.captureToBuffer(options)).dimensions;
+
+  assert.deepEqual(await sizeOf({ maxWidth: 320 }), { width: 320, height: 240 });
+  assert.deepEqual(await sizeOf({ maxHeight: 120 }), { width: 160, height: 120 });
+  assert.deepEqual(await sizeOf({ maxWidth: 320, maxHeight: 120 }), { width: 160, height: 120 });
+  assert.deepEqual(await sizeOf({ scale: 0.25, maxWidth: 320 }), { width: 160, height: 120 });
+  assert.deepEqual(await sizeOf({ maxWidth: 2000, maxHeight: 2000 }), { width: 640, height: 480 });
+  assert.deepEqual(await sizeOf({ region: '0,0,100,50', maxWidth: 40 }), { width: 40, height: 20 });
+});
+
+test('rejects invalid resize options', async () => {
+  const { executor, crosshot } = setup();
+
+  for (const options of [{ scale: 0 }, { scale: 2 }, { scale: '50%' }, { maxWidth: 0 }, { maxHeight: 10.5 }, { thumbnail: 'x' }, { thumbnail: '200:gif' }]) {
+    await assert.rejects(crosshot.captureToBuffer(options), { code: 'INVALID_OPTION' }, JSON.stringify(options));
+  }
+  assert.deepEqual(executor.calls, []);
+});
+
+test('writes a thumbnail next to the capture', async () => {
+  const { fs, crosshot } = setup();
+
+  const result = await crosshot.captureScreen({ outputDir: '/shots', filename: 'desk', format: 'jpg', thumbnail: { width: 160, format: 'png' } });
+
+  assert.deepEqual(fs.files('/shots'), ['desk.jpg', 'desk.thumb.png']);
+  assert.deepEqual(result.dimensions, { width: 640, height: 480 });
+  assert.equal(result.thumbnail.filepath, '/shots/desk.thumb.png');
+  assert.equal(result.thumbnail.format, 'png');
+  assert.deepEqual([result.thumbnail.width, result.thumbnail.height], [160, 120]);
+  assert.equal(result.thumbnail.size.bytes, fs.readFileSync('/shots/desk.thumb.png').length);
+  assert.deepEqual(pixel(fs.readFileSync('/shots/desk.thumb.png'), 40, 20), [162, 82]);
+});
+
+test('makes the thumbnail from the redacted and resized image', async () => {
+  const { fs, crosshot } = setup();
+
+  const result = await crosshot.captureScreen({ outputDir: '/shots', filename: 'desk', scale: 0.5, redact: ['0,0,640,240'], thumbnail: 80 });
+  const thumbnail = decodeImage(fs.readFileSync(result.thumbnail.filepath));
+
+  assert.equal(result.thumbnail.filepath, '/shots/desk.thumb.png');
+  assert.deepEqual([thumbnail.width, thumbnail.height], [80, 60]);
+  assert.deepEqual(pixel(fs.readFileSync(result.thumbnail.filepath), 40, 10), [0, 0]);
+});
+
+test('copies a PNG of the capture to the clipboard', async () => {
+  const { executor, fs, crosshot } = setup();
+
+  const result = await crosshot.captureScreen({ outputDir: '/shots', filename: 'desk', format: 'jpg', clipboard: true });
+
+  assert.deepEqual(result.clipboard, { tool: 'xclip' });
+  assert.equal(detectImageFormat(executor.clipboard), 'png');
+  assert.deepEqual(pixel(executor.clipboard, 100, 50), [100, 50]);
+  assert.deepEqual(executor.calls.at(-1).argv, ['xclip', '-selection', 'clipboard', '-target', 'image/png', '-in']);
+  assert.deepEqual(fs.files('/shots'), ['desk.jpg']);
+});
+
+test('tries the clipboard tool of the session first and falls back to the next', async () => {
+  const clipboardWith = async executorOptions => {
+    const executor = createFakeExecutor(executorOptions);
+    const crosshot = createCrosshot({ executor, backends: [executor.backend], fs: createMemoryFs(), platform: 'linux', env: { WAYLAND_DISPLAY: 'wayland-0', DISPLAY: ':0' }, logger: quietLogger });
+    const result = await crosshot.captureToBuffer({ clipboard: true });
+    return { tool: result.clipboard.tool, tried: executor.calls.slice(1).map(call => call.argv[0]), copied: Boolean(executor.clipboard) };
+  };
+
+  assert.deepEqual(await clipboardWith({}), { tool: 'wl-copy', tried: ['wl-copy'], copied: true });
+  assert.deepEqual(await clipboardWith({ fail: argv => (argv[0] === 'wl-copy' ? { stderr: 'Failed to connect to a Wayland server' } : null) }), { tool: 'xclip', tried: ['wl-copy', 'xclip'], copied: true });
+  assert.deepEqual(await clipboardWith({ installed: ['crosshot-fake', 'xclip'] }), { tool: 'xclip', tried: ['xclip'], copied: true });
+});
+
+test('rejects without writing a file when the clipboard copy fails', async () => {
+  const failing = setup({ fail: argv => (argv[0] === 'crosshot-fake' ? null : { exitCode: 1, stderr: "Can't open display" }) });
+  const missing = setup({ installed: ['crosshot-fake'] });
+
+  await assert.rejects(failing.crosshot.captureScreen({ outputDir: '/shots', clipboard: true }), error => {
+    assert.equal(error.code, 'CLIPBOARD_FAILED');
+    assert.deepEqual(error.attempts.map(attempt => [attempt.tool, attempt.stderr]), [['xclip', "Can't open display"], ['wl-copy', "Can't open display"]]);
+    return true;
+  });
+  await assert.rejects(missing.crosshot.captureScreen({ outputDir: '/shots', clipboard: true }), { code: 'NO_TOOL_AVAILABLE' });
+  assert.deepEqual(failing.fs.files('/'), []);
+  assert.deepEqual(missing.fs.files('/'), []);
+});
+
+test('copies through a temporary file on macOS', async () => {
+  const executor = createFakeExecutor({ installed: ['crosshot-fake', 'osascript'] });
+  const fs = createMemoryFs();
+  const crosshot = createCrosshot({ executor, backends: [executor.backend], fs, platform: 'darwin', env: {}, logger: quietLogger });
+
+  const result = await crosshot.captureToBuffer({ clipboard: true });
+  const [command, flag, script] = executor.calls.at(-1).argv;
+
+  assert.deepEqual(result.clipboard, { tool: 'osascript' });
+  assert.deepEqual([command, flag], ['osascript', '-e']);
+  assert.match(script, /crosshot-clipboard-\w+\/clipboard\.png/);
+  assert.equal(fs.existsSync(script.match(/"(.+)"/)[1]), false);
+});
+
+// Hooks that record each event as [name, payload]
+function recordingHooks(events, extra = {}) {
+  const record = name => payload => events.push([name, payload]);
+  return { detect: record('detect'), attempt: record('attempt'), verified: record('verified'), written: record('written'), success: record('success'), error: record('error'), ...extra };
+}
+
+test('reports each step of a capture to the event hooks', async () => {
+  const { crosshot } = setup();
+  const events = [];
+
+  const result = await crosshot.captureScreen({ outputDir: '/shots', filename: 'hooked', hooks: recordingHooks(events) });
+
+  assert.deepEqual(events.map(([name]) => name), ['detect', 'attempt', 'verified', 'written', 'success']);
+  assert.deepEqual(events[0][1].tools, ['fake']);
+  assert.deepEqual(events[1][1], { tool: 'fake', command: 'crosshot-fake capture -', index: 0, total: 1 });
+  assert.deepEqual(events[2][1], { tool: 'fake', format: 'png', nativeFormat: 'png', dimensions: { width: 640, height: 480 } });
+  assert.deepEqual(events[3][1], { type: 'screenshot', filepath: '/shots/hooked.png' });
+  assert.equal(events[4][1], result);
+});
+
+test('beforeCapture changes the options of each capture', async () => {
+  const { crosshot } = setup();
+  const seen = [];
+  const beforeCapture = options => {
+    seen.push(options.format);
+    return { format: 'jpg', region: '10,20,30,40' };
+  };
+
+  const file = await crosshot.captureScreen({ outputDir: '/shots', filename: 'changed', hooks: { beforeCapture } });
+  const memory = await crosshot.captureToBuffer({ format: 'bmp', hooks: { beforeCapture } });
+
+  assert.deepEqual(seen, ['png', 'bmp']);
+  assert.equal(file.filepath, '/shots/changed.jpg');
+  assert.deepEqual(file.dimensions, { width: 30, height: 40 });
+  assert.equal(memory.mimeType, 'image/jpeg');
+  assert.deepEqual(memory.region, { x: 10, y: 20, width: 30, height: 40 });
+  await assert.rejects(crosshot.captureToBuffer({ hooks: { beforeCapture: () => 'jpg' } }), { code: 'INVALID_OPTION', message: 'hooks.beforeCapture returned "jpg"' });
+  await assert.rejects(crosshot.captureToBuffer({ hooks: { beforeCapture: () => ({ allDisplays: true }) } }), { code: 'INVALID_OPTION' });
+});
+
+test('afterCapture replaces the captured image', async () => {
+  const { fs, crosshot } = setup();
+  const replacement = encodeImage({ width: 8, height: 4, data: Buffer.alloc(8 * 4 * 4, 255) }, 'png');
+  const details = [];
+  const afterCapture = (buffer, captured) => {
+    details.push({ format: detectImageFormat(buffer), ...captured });
+    return replacement;
+  };
+
+  const result = await crosshot.captureScreen({ outputDir: '/shots', filename: 'replaced', thumbnail: { width: 4 }, hooks: { afterCapture } });
+
+  assert.equal(details[0].format, 'png');
+  assert.equal(details[0].tool, 'fake');
+  assert.deepEqual(details[0].dimensions, { width: 640, height: 480 });
+  assert.deepEqual(fs.readFileSync('/shots/replaced.png'), replacement);
+  assert.deepEqual(result.dimensions, { width: 8, height: 4 });
+  assert.deepEqual([result.thumbnail.width, result.thumbnail.height], [4, 2]);
+  await assert.rejects(crosshot.captureToBuffer({ format: 'jpg', hooks: { afterCapture: () => replacement } }), { code: 'INVALID_OPTION', message: 'hooks.afterCapture must return a jpg image buffer' });
+});
+
+test('emits the error hook once for every rejection', async () => {
+  const { crosshot } = setup({
+    displays: [
+      { name: 'LEFT', primary: true, x: 0, y: 0, width: 320, height: 200 },
+      { name: 'RIGHT', x: 320, y: 0, width: 160, height: 120 }
+    ]
+  });
+  const failing = new Error('not now');
+  const calls = [
+    hooks => crosshot.captureScreen({ outputDir: '/shots', format: 'gif', hooks }),
+    hooks => crosshot.captureScreen({ outputDir: '/shots', filename: '../escape', hooks }),
+    hooks => crosshot.captureScreen({ outputDir: '/missing', createDir: false, hooks }),
+    hooks => crosshot.captureScreen({ outputDir: '/shots', display: 'CENTER', hooks }),
+    hooks => crosshot.captureScreen({ outputDir: '/shots', allDisplays: true, hooks: { ...hooks, beforeCapture: () => { throw failing; } } }),
+    hooks => crosshot.takeScreenshot('/shots', null, { hooks: { ...hooks, beforeCapture: async () => { throw failing; } } }),
+    hooks => crosshot.captureToBuffer({ allDisplays: true, hooks }),
+    hooks => crosshot.captureToBuffer({ quality: 0, hooks }),
+    hooks => crosshot.captureToBuffer({ hooks: { ...hooks, afterCapture: () => Buffer.from('not an image') } })
+  ];
+
+  for (const call of calls) {
+    const events = [];
+    const rejected = await call(recordingHooks(events)).then(() => assert.fail('expected a rejection'), error => error);
+    const errors = events.filter(([name]) => name === 'error');
+
+    assert.equal(errors.length, 1, rejected.message);
+    assert.equal(errors[0][1], rejected);
+  }
+});
+
+// afterCapture that paints an 8x6 white block at (20, 10) into the frames whose index is listed,
+// so a burst of the still fake screen has frames that change
+function markFrames(marked) {
+  let index = 0;
+  return buffer => {
+    if (!marked.includes(index++)) {
+      return undefined;
+    }
+    const image = decodeImage(buffer);
+    for (let y = 10; y < 16; y++) {
+      image.data.fill(255, (y * image.width + 20) * 4, (y * image.width + 28) * 4);
+    }
+    return encodeImage(image, 'png');
+  };
+}
+
+// Frames of a GIF as { x, y, width, height, delay } from the image descriptors and the
+// graphic control extensions before them
+function gifFrames(buffer) {
+  const frames = [];
+  let offset = 13 + (buffer[10] & 0x80 ? 3 * 2 ** ((buffer[10] & 7) + 1) : 0);
+  let delay = null;
+  const skipBlocks = () => {
+    while (buffer[offset] !== 0) {
+      offset += buffer[offset] + 1;
+    }
+    offset++;
+  };
+
+  while (buffer[offset] !== 0x3b) {
+    if (buffer[offset] === 0x21) {
+      if (buffer[offset + 1] === 0xf9) {
+        delay = buffer.readUInt16LE(offset + 4) * 10;
+      }
+      offset += 2;
+      skipBlocks();
+    } else {
+      frames.push({ x: buffer.readUInt16LE(offset + 1), y: buffer.readUInt16LE(offset + 3), width: buffer.readUInt16LE(offset + 5), height: buffer.readUInt16LE(offset + 7), delay });
+      offset += 11;
+      skipBlocks();
+    }
+  }
+  return frames;
+}
+
+// Frame count of the acTL chunk and the frames of the fcTL chunks of an APNG
+function apngFrames(buffer) {
+  const frames = [];
+  let count = null;
+
+  for (let offset = 8; offset < buffer.length;) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    const data = buffer.subarray(offset + 8, offset + 8 + length);
+    if (type === 'acTL') {
+      count = data.readUInt32BE(0);
+    } else if (type === 'fcTL') {
+      frames.push({ width: data.readUInt32BE(4), height: data.readUInt32BE(8), x: data.readUInt32BE(12), y: data.readUInt32BE(16), delay: data.readUInt16BE(20) });
+    }
+    offset += 12 + length;
+  }
+  return { count, frames };
+}
+
+test('captureBurst() writes a looping GIF of the frames that changed', async () => {
+  const { executor, fs, crosshot } = setup();
+
+  const result = await crosshot.captureBurst({ outputDir: '/shots', filename: 'clip', frames: 5, intervalMs: 20, region: '0,0,64,48', hooks: { afterCapture: markFrames([2, 3]) } });
+  const gif = fs.readFileSync('/shots/clip.gif');
+  const frames = gifFrames(gif);
+
+  assert.equal(gif.toString('ascii', 0, 6), 'GIF89a');
+  assert.deepEqual([gif.readUInt16LE(6), gif.readUInt16LE(8)], [64, 48]);
+  assert.ok(gif.includes('NETSCAPE2.0'));
+  assert.equal(result.filepath, '/shots/clip.gif');
+  assert.deepEqual([result.frames, result.captured], [3, 5]);
+  assert.deepEqual(result.dimensions, { width: 64, height: 48 });
+  assert.equal(result.size.bytes, gif.length);
+  assert.equal(executor.calls.length, 5);
+  assert.deepEqual(frames.map(({ x, y, width, height }) => [x, y, width, height]), [[0, 0, 64, 48], [20, 10, 8, 6], [20, 10, 8, 6]]);
+  assert.ok(frames.every(frame => frame.delay >= 20));
+  assert.ok(frames[0].delay >= 40, 'the first two frames are shown as one');
+});
+
+test('captureBurst() writes an APNG and keeps repeated frames without dedupe', async () => {
+  const { fs, crosshot } = setup();
+
+  const deduped = await crosshot.captureBurst({ outputDir: '/shots', filename: 'deduped', output: 'apng', frames: 4, intervalMs: 20, region: '0,0,64,48', hooks: { afterCapture: markFrames([1, 2]) } });
+  const every = await crosshot.captureBurst({ outputDir: '/shots', filename: 'every', output: 'apng', frames: 4, intervalMs: 20, region: '0,0,64,48', dedupe: false, hooks: { afterCapture: markFrames([1, 2]) } });
+  const apng = fs.readFileSync('/shots/deduped.png');
+  const { count, frames } = apngFrames(apng);
+
+  assert.equal(detectImageFormat(apng), 'png');
+  assert.equal(decodeImage(apng).width, 64);
+  assert.deepEqual(pixel(apng, 21, 11), [21, 11]);
+  assert.equal(deduped.frames, 3);
+  assert.equal(count, 3);
+  assert.deepEqual(frames.map(({ x, y, width, height }) => [x, y, width, height]), [[0, 0, 64, 48], [20, 10, 8, 6], [20, 10, 8, 6]]);
+  assert.equal(frames.reduce((sum, frame) => sum + frame.delay, 0), deduped.duration);
+  assert.equal(every.frames, 4);
+  assert.deepEqual(apngFrames(fs.readFileSync(every.filepath)).frames.map(({ width, height }) => [width, height]), [[64, 48], [8, 6], [1, 1], [8, 6]]);
+});
+
+test('captureBurst() writes numbered PNG frames', async () => {
+  const { fs, crosshot } = setup();
+
+  const result = await crosshot.captureBurst({ outputDir: '/shots', filename: 'step', output: 'frames', frames: 3, intervalMs: 20, region: '0,0,64,48', hooks: { afterCapture: markFrames([1]) } });
+
+  assert.deepEqual(fs.files('/shots'), ['step-001.png', 'step-002.png', 'step-003.png']);
+  assert.deepEqual([result.filepath, result.frames], [null, 3]);
+  assert.deepEqual(result.files.map(file => file.filepath), ['/shots/step-001.png', '/shots/step-002.png', '/shots/step-003.png']);
+  assert.ok(result.files.every(file => file.delay >= 20));
+  assert.deepEqual(pixel(fs.readFileSync('/shots/step-001.png'), 21, 11), [21, 11]);
+  assert.deepEqual(pixel(fs.readFileSync('/shots/step-002.png'), 21, 11), [255, 255]);
+  assert.deepEqual(pixel(fs.readFileSync('/shots/step-003.png'), 21, 11), [21, 11]);
+});
+
+test('captureBurst() rejects options a burst cannot use', async () => {
+  const { fs, crosshot } = setup();
+
+  await assert.rejects(crosshot.captureBurst({ outputDir: '/shots', frames: 0 }), { code: 'INVALID_OPTION', message: 'Invalid frames: 0' });
+  await assert.rejects(crosshot.captureBurst({ outputDir: '/shots', output: 'mp4' }), { code: 'INVALID_OPTION', message: 'Invalid output: "mp4"' });
+  await assert.rejects(crosshot.captureBurst({ outputDir: '/shots', format: 'jpg' }), { code: 'INVALID_OPTION', message: 'format is not supported for burst captures' });
+  assert.deepEqual(fs.files('/'), []);
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCrosshot, createFakeExecutor } from '../index.js';
+
+// Executor answering every command with stdout, recording the argv it was given
+function createStubExecutor(stdout) {
+  const calls = [];
+  return {
+    calls,
+    run: async argv => {
+      calls.push(argv);
+      return { stdout, stderr: '' };
+    },
+    runWithInput: async () => ({ stderr: '' }),
+    commandExists: async () => true
+  };
+}
+
+const decodeScript = argv => Buffer.from(argv[argv.indexOf('-EncodedCommand') + 1], 'base64').toString('utf16le');
+
+test('lists the displays xrandr reports', async () => {
+  const executor = createFakeExecutor({
+    displays: [
+      { name: 'LEFT', primary: true, x: 0, y: 0, width: 1920, height: 1080 },
+      { name: 'RIGHT', x: 1920, y: 0, width: 1280, height: 1024 }
+    ]
+  });
+  const crosshot = createCrosshot({ executor, backends: [executor.backend], platform: 'linux', env: { DISPLAY: ':0' } });
+
+  assert.deepEqual(await crosshot.listDisplays(), [
+    { id: 0, name: 'LEFT', primary: true, x: 0, y: 0, width: 1920, height: 1080, scale: 1 },
+    { id: 1, name: 'RIGHT', primary: false, x: 1920, y: 0, width: 1280, height: 1024, scale: 1 }
+  ]);
+});
+
+test('reads the monitor DPI on Windows', async () => {
+  const executor = createStubExecutor(JSON.stringify([
+    { name: '\\\\.\\DISPLAY1', primary: true, x: 0, y: 0, width: 2560, height: 1440, scale: 1.5 },
+    { name: '\\\\.\\DISPLAY2', primary: false, x: 2560, y: 0, width: 1920, height: 1080, scale: 1 }
+  ]));
+  const crosshot = createCrosshot({ executor, platform: 'win32', env: {} });
+
+  const displays = await crosshot.listDisplays();
+
+  assert.deepEqual(displays.map(display => [display.name, display.scale]), [['\\\\.\\DISPLAY1', 1.5], ['\\\\.\\DISPLAY2', 1]]);
+  assert.match(decodeScript(executor.calls[0]), /GetDpiForMonitor\(.*\$dpiX \/ 96/);
+});
+
+test('reports a null scale when Windows cannot tell the DPI', async () => {
+  const executor = createStubExecutor(JSON.stringify({ name: '\\\\.\\DISPLAY1', primary: true, x: 0, y: 0, width: 1024, height: 768, scale: null }));
+  const crosshot = createCrosshot({ executor, platform: 'win32', env: {} });
+
+  assert.deepEqual(await crosshot.listDisplays(), [
+    { id: 0, name: '\\\\.\\DISPLAY1', primary: true, x: 0, y: 0, width: 1024, height: 768, scale: null }
+  ]);
+});
+
+test('names the listers it tried when none is installed', async () => {
+  const executor = createFakeExecutor({ installed: [] });
+  const crosshot = createCrosshot({ executor, backends: [executor.backend], platform: 'linux', env: { DISPLAY: ':0' } });
+
+  await assert.rejects(crosshot.listDisplays(), error => {
+    assert.equal(error.code, 'NO_TOOL_AVAILABLE');
+    assert.ok(error.triedTools.includes('xrandr'));
+    assert.equal(error.availableTools, undefined);
+    return true;
+  });
+});
@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { quotePowerShell, powerShellCommand, formatCommand } from '../lib/exec.js';
+
+const decodeScript = argv => Buffer.from(argv[argv.indexOf('-EncodedCommand') + 1], 'base64').toString('utf16le');
+
+test('quotePowerShell() wraps values in single quotes', () => {
+  assert.equal(quotePowerShell('C:\\shots\\screen.png'), "'C:\\shots\\screen.png'");
+  assert.equal(quotePowerShell(''), "''");
+});
+
+test('quotePowerShell() doubles single quotes', () => {
+  assert.equal(quotePowerShell("it's"), "'it''s'");
+  assert.equal(quotePowerShell("''"), "''''''");
+});
+
+test('quotePowerShell() doubles the typographic quotes PowerShell treats as single quotes', () => {
+  for (const quote of ['\u2018', '\u2019', '\u201a', '\u201b']) {
+    assert.equal(quotePowerShell(`a${quote}b`), `'a${quote}${quote}b'`);
+  }
+  assert.equal(quotePowerShell('\u201c"\u201d'), "'\u201c\"\u201d'");
+});
+
+test('quotePowerShell() leaves $, backticks and newlines literal', () => {
+  assert.equal(quotePowerShell('$env:USERPROFILE `whoami`\n$(calc)'), "'$env:USERPROFILE `whoami`\n$(calc)'");
+});
+
+test('powerShellCommand() passes the script as base64 UTF-16LE', () => {
+  const script = `$bitmap.Save(${quotePowerShell("C:\\it's $HOME `n\nnext\u2019.png")})`;
+  const argv = powerShellCommand(script);
+
+  assert.deepEqual(argv.slice(0, -1), ['powershell', '-NoProfile', '-NonInteractive', '-ExecutionPolicy', 'Bypass', '-EncodedCommand']);
+  assert.match(argv[argv.length - 1], /^[A-Za-z0-9+/]+=*$/);
+  assert.equal(decodeScript(argv), script);
+});
+
+test('formatCommand() quotes arguments a shell would split or expand', () => {
+  assert.equal(formatCommand(['grim', '-g', '0,0 10x10', 'a$b.png', '']), 'grim -g "0,0 10x10" "a$b.png" ""');
+});
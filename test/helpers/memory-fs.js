@@ -0,0 +1,177 @@
+// In-memory file system with the synchronous calls crosshot makes (see FS_METHODS in
+// lib/runtime.js). Errors carry the codes Node uses, so write failures map to the same
+// CrosshotErrors as on disk. The root and the system temp directory always exist
+
+import { resolve, dirname, basename } from 'path';
+import { tmpdir } from 'os';
+
+function fsError(code, syscall, path) {
+  const error = new Error(`${code}: ${syscall} '${path}'`);
+  error.code = code;
+  error.syscall = syscall;
+  error.path = path;
+  return error;
+}
+
+function createStats(entry) {
+  const isDirectory = entry.type === 'directory';
+  return {
+    size: isDirectory ? 0 : entry.data.length,
+    mode: isDirectory ? 0o40755 : 0o100644,
+    mtime: new Date(entry.mtimeMs),
+    mtimeMs: entry.mtimeMs,
+    birthtime: new Date(entry.birthtimeMs),
+    isFile: () => !isDirectory,
+    isDirectory: () => isDirectory
+  };
+}
+
+// files: { '/path/name.png': Buffer | string } written up front, with their directories
+export function createMemoryFs(files = {}) {
+  const entries = new Map();
+  let tempCounter = 0;
+
+  const now = () => Date.now();
+  const directory = () => ({ type: 'directory', mtimeMs: now(), birthtimeMs: now() });
+  const children = path => [...entries.keys()].filter(key => key !== path && dirname(key) === path);
+
+  const getEntry = (path, syscall) => {
+    const entry = entries.get(resolve(path));
+    if (!entry) {
+      throw fsError('ENOENT', syscall, path);
+    }
+    return entry;
+  };
+
+  const makeDirectories = path => {
+    for (let current = resolve(path); !entries.has(current); current = dirname(current)) {
+      entries.set(current, directory());
+    }
+  };
+
+  const memoryFs = {
+    existsSync(path) {
+      return entries.has(resolve(path));
+    },
+
+    statSync(path) {
+      return createStats(getEntry(path, 'stat'));
+    },
+
+    mkdirSync(path, options = {}) {
+      const target = resolve(path);
+
+      if (entries.has(target)) {
+        if (options.recursive && entries.get(target).type === 'directory') {
+          return;
+        }
+        throw fsError('EEXIST', 'mkdir', path);
+      }
+      if (!options.recursive && !entries.has(dirname(target))) {
+        throw fsError('ENOENT', 'mkdir', path);
+      }
+      makeDirectories(target);
+    },
+
+    mkdtempSync(prefix) {
+      const path = resolve(`${prefix}${String(++tempCounter).padStart(6, '0')}`);
+      makeDirectories(path);
+      return path;
+    },
+
+    readdirSync(path, options = {}) {
+      const target = resolve(path);
+
+      if (getEntry(path, 'scandir').type !== 'directory') {
+        throw fsError('ENOTDIR', 'scandir', path);
+      }
+
+      return children(target).sort().map(child => (options.withFileTypes
+        ? { name: basename(child), isFile: () => entries.get(child).type === 'file', isDirectory: () => entries.get(child).type === 'directory' }
+        : basename(child)));
+    },
+
+    readFileSync(path, options) {
+      const entry = getEntry(path, 'open');
+      const encoding = typeof options === 'string' ? options : options && options.encoding;
+
+      if (entry.type !== 'file') {
+        throw fsError('EISDIR', 'read', path);
+      }
+      return encoding ? entry.data.toString(encoding) : Buffer.from(entry.data);
+    },
+
+    writeFileSync(path, data, options = {}) {
+      const target = resolve(path);
+      const flag = (typeof options === 'object' && options.flag) || 'w';
+      const existing = entries.get(target);
+
+      if (!entries.has(dirname(target))) {
+        throw fsError('ENOENT', 'open', path);
+      }
+      if (existing && existing.type === 'directory') {
+        throw fsError('EISDIR', 'open', path);
+      }
+      if (existing && flag.includes('x')) {
+        throw fsError('EEXIST', 'open', path);
+      }
+
+      entries.set(target, {
+        type: 'file',
+        data: Buffer.from(data),
+        mtimeMs: now(),
+        birthtimeMs: existing ? existing.birthtimeMs : now()
+      });
+    },
+
+    rmSync(path, options = {}) {
+      const target = resolve(path);
+
+      if (!entries.has(target)) {
+        if (options.force) {
+          return;
+        }
+        throw fsError('ENOENT', 'rm', path);
+      }
+      if (entries.get(target).type === 'directory' && !options.recursive) {
+        throw fsError('ERR_FS_EISDIR', 'rm', path);
+      }
+      [...entries.keys()]
+        .filter(key => key === target || key.startsWith(`${target}/`))
+        .forEach(key => entries.delete(key));
+    },
+
+    rmdirSync(path) {
+      const target = resolve(path);
+
+      if (getEntry(path, 'rmdir').type !== 'directory') {
+        throw fsError('ENOTDIR', 'rmdir', path);
+      }
+      if (children(target).length > 0) {
+        throw fsError('ENOTEMPTY', 'rmdir', path);
+      }
+      entries.delete(target);
+    },
+
+    // Test helpers: every file below a directory as relative paths, and a file's mtime
+    files(path = '/') {
+      const root = resolve(path);
+      return [...entries.keys()]
+        .filter(key => entries.get(key).type === 'file' && key.startsWith(root === '/' ? '/' : `${root}/`))
+        .map(key => key.slice(root === '/' ? 1 : root.length + 1))
+        .sort();
+    },
+
+    setModified(path, mtimeMs) {
+      getEntry(path, 'utime').mtimeMs = mtimeMs;
+    }
+  };
+
+  makeDirectories(tmpdir());
+  Object.entries(files).forEach(([path, data]) => {
+    makeDirectories(dirname(resolve(path)));
+    memoryFs.writeFileSync(path, data);
+  });
+
+  return memoryFs;
+}
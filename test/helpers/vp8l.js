@@ -0,0 +1,293 @@
+// Minimal lossless WebP (VP8L) decoder written from the format specification, so the tests
+// can check what lib/webp.js writes pixel by pixel. It reads every prefix code form, the
+// color cache, backward references and the subtract-green and predictor transforms; the
+// cross-color and color-indexing transforms and meta prefix codes, which the encoder never
+// writes, are rejected
+
+const CODE_LENGTH_ORDER = [17, 18, 0, 1, 2, 3, 4, 5, 16, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15];
+
+// (dx, dy) of distance codes 1 to 120
+const DISTANCE_CODES = [
+  [0, 1], [1, 0], [1, 1], [-1, 1], [0, 2], [2, 0], [1, 2], [-1, 2], [2, 1], [-2, 1], [2, 2], [-2, 2],
+  [0, 3], [3, 0], [1, 3], [-1, 3], [3, 1], [-3, 1], [2, 3], [-2, 3], [3, 2], [-3, 2], [0, 4], [4, 0],
+  [1, 4], [-1, 4], [4, 1], [-4, 1], [3, 3], [-3, 3], [2, 4], [-2, 4], [4, 2], [-4, 2], [0, 5], [3, 4],
+  [-3, 4], [4, 3], [-4, 3], [5, 0], [1, 5], [-1, 5], [5, 1], [-5, 1], [2, 5], [-2, 5], [5, 2], [-5, 2],
+  [4, 4], [-4, 4], [3, 5], [-3, 5], [5, 3], [-5, 3], [0, 6], [6, 0], [1, 6], [-1, 6], [6, 1], [-6, 1],
+  [2, 6], [-2, 6], [6, 2], [-6, 2], [4, 5], [-4, 5], [5, 4], [-5, 4], [3, 6], [-3, 6], [6, 3], [-6, 3],
+  [0, 7], [7, 0], [1, 7], [-1, 7], [5, 5], [-5, 5], [7, 1], [-7, 1], [4, 6], [-4, 6], [6, 4], [-6, 4],
+  [2, 7], [-2, 7], [7, 2], [-7, 2], [3, 7], [-3, 7], [7, 3], [-7, 3], [5, 6], [-5, 6], [6, 5], [-6, 5],
+  [8, 0], [4, 7], [-4, 7], [7, 4], [-7, 4], [8, 1], [8, 2], [6, 6], [-6, 6], [8, 3], [5, 7], [-5, 7],
+  [7, 5], [-7, 5], [8, 4], [6, 7], [-6, 7], [7, 6], [-7, 6], [8, 5], [7, 7], [-7, 7], [8, 6], [8, 7]
+];
+
+class BitReader {
+  constructor(buffer) {
+    this.buffer = buffer;
+    this.position = 0;
+  }
+
+  read(length) {
+    let value = 0;
+    for (let i = 0; i < length; i++) {
+      const byte = this.position >> 3;
+      if (byte >= this.buffer.length) {
+        throw new Error('VP8L: unexpected end of data');
+      }
+      value |= ((this.buffer[byte] >> (this.position & 7)) & 1) << i;
+      this.position++;
+    }
+    return value >>> 0;
+  }
+}
+
+// Canonical prefix code from code lengths. Codes are read one bit at a time, first bit
+// most significant; an alphabet with a single symbol takes no bits at all
+function buildCode(lengths) {
+  const used = lengths.map((length, symbol) => (length > 0 ? symbol : -1)).filter(symbol => symbol >= 0);
+
+  if (used.length === 0) {
+    throw new Error('VP8L: empty prefix code');
+  }
+  if (used.length === 1) {
+    return { single: used[0] };
+  }
+
+  const table = new Map();
+  let code = 0;
+  for (let length = 1; length <= 15; length++) {
+    lengths.forEach((symbolLength, symbol) => {
+      if (symbolLength === length) {
+        table.set((length << 16) | code, symbol);
+        code++;
+      }
+    });
+    code <<= 1;
+  }
+  return { table };
+}
+
+function readSymbol(reader, code) {
+  if (code.single !== undefined) {
+    return code.single;
+  }
+
+  let value = 0;
+  for (let length = 1; length <= 15; length++) {
+    value = (value << 1) | reader.read(1);
+    const symbol = code.table.get((length << 16) | value);
+    if (symbol !== undefined) {
+      return symbol;
+    }
+  }
+  throw new Error('VP8L: invalid prefix code');
+}
+
+function readPrefixCode(reader, alphabetSize) {
+  const lengths = new Array(alphabetSize).fill(0);
+
+  if (reader.read(1) === 1) {
+    const symbolCount = reader.read(1) + 1;
+    lengths[reader.read(reader.read(1) === 1 ? 8 : 1)] = 1;
+    if (symbolCount === 2) {
+      lengths[reader.read(8)] = 1;
+    }
+    return buildCode(lengths);
+  }
+
+  const codeLengthLengths = new Array(19).fill(0);
+  const codeLengthCount = reader.read(4) + 4;
+  for (let i = 0; i < codeLengthCount; i++) {
+    codeLengthLengths[CODE_LENGTH_ORDER[i]] = reader.read(3);
+  }
+  const codeLengthCode = buildCode(codeLengthLengths);
+
+  let maxSymbol = alphabetSize;
+  if (reader.read(1) === 1) {
+    maxSymbol = 2 + reader.read(2 + 2 * reader.read(3));
+  }
+
+  let previous = 8;
+  for (let symbol = 0; symbol < alphabetSize && maxSymbol-- > 0;) {
+    const length = readSymbol(reader, codeLengthCode);
+    if (length < 16) {
+      lengths[symbol++] = length;
+      if (length !== 0) {
+        previous = length;
+      }
+    } else {
+      const [value, repeat] = length === 16 ? [previous, 3 + reader.read(2)] : length === 17 ? [0, 3 + reader.read(3)] : [0, 11 + reader.read(7)];
+      if (symbol + repeat > alphabetSize) {
+        throw new Error('VP8L: code lengths overflow the alphabet');
+      }
+      lengths.fill(value, symbol, symbol + repeat);
+      symbol += repeat;
+    }
+  }
+
+  return buildCode(lengths);
+}
+
+function readPrefixValue(reader, prefix) {
+  if (prefix < 4) {
+    return prefix + 1;
+  }
+  const extraBits = (prefix - 2) >> 1;
+  return ((2 + (prefix & 1)) << extraBits) + reader.read(extraBits) + 1;
+}
+
+// Entropy-coded image of width x height ARGB pixels; spatial for the main image, which may
+// declare meta prefix codes
+function readImage(reader, width, height, spatial) {
+  const cacheBits = reader.read(1) === 1 ? reader.read(4) : 0;
+  const cache = new Uint32Array(cacheBits ? 1 << cacheBits : 1);
+
+  if (spatial && reader.read(1) === 1) {
+    throw new Error('VP8L: meta prefix codes are not supported');
+  }
+
+  const green = readPrefixCode(reader, 256 + 24 + (cacheBits ? 1 << cacheBits : 0));
+  const red = readPrefixCode(reader, 256);
+  const blue = readPrefixCode(reader, 256);
+  const alpha = readPrefixCode(reader, 256);
+  const distance = readPrefixCode(reader, 40);
+  const pixels = new Uint32Array(width * height);
+  let decoded = 0;
+
+  const store = (position, pixel) => {
+    pixels[position] = pixel;
+    if (cacheBits) {
+      cache[Math.imul(pixel, 0x1e35a7bd) >>> (32 - cacheBits)] = pixel;
+    }
+  };
+
+  while (decoded < pixels.length) {
+    const symbol = readSymbol(reader, green);
+
+    if (symbol < 256) {
+      const r = readSymbol(reader, red);
+      const b = readSymbol(reader, blue);
+      const a = readSymbol(reader, alpha);
+      store(decoded++, ((a << 24) | (r << 16) | (symbol << 8) | b) >>> 0);
+    } else if (symbol < 256 + 24) {
+      const length = readPrefixValue(reader, symbol - 256);
+      const code = readPrefixValue(reader, readSymbol(reader, distance));
+      let offset = code - 120;
+      if (code <= 120) {
+        const [dx, dy] = DISTANCE_CODES[code - 1];
+        offset = Math.max(1, dx + dy * width);
+      }
+      if (offset > decoded || decoded + length > pixels.length) {
+        throw new Error(`VP8L: backward reference out of range at pixel ${decoded}`);
+      }
+      for (let i = 0; i < length; i++, decoded++) {
+        store(decoded, pixels[decoded - offset]);
+      }
+    } else {
+      store(decoded++, cache[symbol - 256 - 24]);
+    }
+  }
+
+  return pixels;
+}
+
+const channels = pixel => [pixel >>> 24, (pixel >>> 16) & 0xff, (pixel >>> 8) & 0xff, pixel & 0xff];
+const pack = ([a, r, g, b]) => ((a << 24) | (r << 16) | (g << 8) | b) >>> 0;
+const clamp = value => Math.min(255, Math.max(0, value));
+const average2 = (a, b) => pack(channels(a).map((value, i) => (value + channels(b)[i]) >> 1));
+
+function predict(mode, L, T, TR, TL) {
+  switch (mode) {
+    case 0: return 0xff000000;
+    case 1: return L;
+    case 2: return T;
+    case 3: return TR;
+    case 4: return TL;
+    case 5: return average2(average2(L, TR), T);
+    case 6: return average2(L, TL);
+    case 7: return average2(L, T);
+    case 8: return average2(TL, T);
+    case 9: return average2(T, TR);
+    case 10: return average2(average2(L, TL), average2(T, TR));
+    case 11: {
+      const p = channels(L).map((value, i) => value + channels(T)[i] - channels(TL)[i]);
+      const distanceL = p.reduce((sum, value, i) => sum + Math.abs(value - channels(L)[i]), 0);
+      const distanceT = p.reduce((sum, value, i) => sum + Math.abs(value - channels(T)[i]), 0);
+      return distanceL < distanceT ? L : T;
+    }
+    case 12: return pack(channels(L).map((value, i) => clamp(value + channels(T)[i] - channels(TL)[i])));
+    case 13: {
+      const average = channels(average2(L, T));
+      return pack(average.map((value, i) => clamp(value + Math.trunc((value - channels(TL)[i]) / 2))));
+    }
+    default: throw new Error(`VP8L: invalid predictor mode ${mode}`);
+  }
+}
+
+const addPixels = (a, b) => pack(channels(a).map((value, i) => (value + channels(b)[i]) & 0xff));
+
+// Decodes a RIFF WebP file holding a VP8L chunk into { width, height, data } with RGBA data
+export function decodeWebp(buffer) {
+  if (buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 16) !== 'WEBPVP8L' || buffer[20] !== 0x2f) {
+    throw new Error('VP8L: not a lossless WebP file');
+  }
+
+  const reader = new BitReader(buffer.subarray(21, 20 + buffer.readUInt32LE(16)));
+  const width = reader.read(14) + 1;
+  const height = reader.read(14) + 1;
+  reader.read(1);
+  if (reader.read(3) !== 0) {
+    throw new Error('VP8L: unknown version');
+  }
+
+  const transforms = [];
+  while (reader.read(1) === 1) {
+    const type = reader.read(2);
+    if (type === 0) {
+      const bits = reader.read(3) + 2;
+      const blocksX = Math.ceil(width / (1 << bits));
+      transforms.push({ type, bits, blocksX, modes: readImage(reader, blocksX, Math.ceil(height / (1 << bits)), false) });
+    } else if (type === 2) {
+      transforms.push({ type });
+    } else {
+      throw new Error(`VP8L: transform ${type} is not supported`);
+    }
+  }
+
+  const pixels = readImage(reader, width, height, true);
+
+  transforms.reverse().forEach(transform => {
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const position = y * width + x;
+
+        if (transform.type === 2) {
+          const [a, r, g, b] = channels(pixels[position]);
+          pixels[position] = pack([a, (r + g) & 0xff, g, (b + g) & 0xff]);
+          continue;
+        }
+
+        let prediction;
+        if (y === 0) {
+          prediction = x === 0 ? 0xff000000 : pixels[position - 1];
+        } else if (x === 0) {
+          prediction = pixels[position - width];
+        } else {
+          const mode = (transform.modes[(y >> transform.bits) * transform.blocksX + (x >> transform.bits)] >>> 8) & 0xff;
+          prediction = predict(mode, pixels[position - 1], pixels[position - width], pixels[position - width + 1], pixels[position - width - 1]);
+        }
+        pixels[position] = addPixels(pixels[position], prediction);
+      }
+    }
+  });
+
+  const data = Buffer.alloc(width * height * 4);
+  pixels.forEach((pixel, i) => {
+    const [a, r, g, b] = channels(pixel);
+    data[i * 4] = r;
+    data[i * 4 + 1] = g;
+    data[i * 4 + 2] = b;
+    data[i * 4 + 3] = a;
+  });
+
+  return { width, height, data };
+}
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { embedMetadata, extractMetadata } from '../lib/metadata.js';
+import { encodeImage, decodeImage, readImageInfo } from '../lib/image.js';
+
+const image = { width: 6, height: 4, data: Buffer.alloc(6 * 4 * 4, 200) };
+const metadata = {
+  software: 'crosshot 1.0.0',
+  timestamp: '2024-01-10T12:00:00.000Z',
+  tool: 'grim',
+  region: { x: 0, y: 0, width: 6, height: 4 },
+  // Characters that need escaping in XML and do not fit in latin1
+  title: 'Résumé <draft> & "notes" – 日本語'
+};
+
+for (const format of ['png', 'jpg', 'webp']) {
+  test(`embeds and extracts metadata in ${format}`, () => {
+    const plain = encodeImage(image, format);
+    const tagged = embedMetadata(plain, metadata);
+
+    assert.deepEqual(extractMetadata(tagged), metadata);
+    assert.equal(extractMetadata(plain), null);
+    assert.deepEqual(readImageInfo(tagged), { format, width: 6, height: 4 });
+  });
+}
+
+test('leaves the pixels of PNG and JPEG images untouched', () => {
+  for (const format of ['png', 'jpg']) {
+    const plain = encodeImage(image, format);
+
+    assert.deepEqual(decodeImage(embedMetadata(plain, metadata)).data, decodeImage(plain).data, format);
+  }
+});
+
+test('writes the registered PNG text chunks before the image data', () => {
+  const tagged = embedMetadata(encodeImage(image, 'png'), metadata).toString('latin1');
+
+  assert.ok(tagged.indexOf('tEXtSoftware\0crosshot 1.0.0') < tagged.indexOf('IDAT'));
+  assert.ok(tagged.indexOf('tEXtCreation Time\0') < tagged.indexOf('IDAT'));
+});
+
+test('converts simple WebP files to the extended layout with an XMP flag', () => {
+  const tagged = embedMetadata(encodeImage(image, 'webp'), metadata);
+
+  assert.equal(tagged.toString('ascii', 12, 16), 'VP8X');
+  assert.equal(tagged[20] & 0x04, 0x04);
+  assert.equal(tagged.readUInt32LE(4), tagged.length - 8);
+  assert.deepEqual(extractMetadata(embedMetadata(tagged, { ...metadata, tool: 'scrot' })), { ...metadata, tool: 'scrot' });
+});
+
+test('rejects formats without room for metadata', () => {
+  assert.throws(() => embedMetadata(encodeImage(image, 'bmp'), metadata), /Cannot embed metadata in bmp images/);
+  assert.equal(extractMetadata(encodeImage(image, 'bmp')), null);
+});
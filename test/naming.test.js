@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateNameTemplate, expandNameTemplate, nameCandidates, nameTemplatePattern } from '../lib/naming.js';
+import { createMemoryFs } from './helpers/memory-fs.js';
+
+test('validateNameTemplate() accepts relative names and templates', () => {
+  for (const name of ['screenshot', 'shots/today', '{date}/{time}-{seq:3}', 'my file (1)', '..hidden', 'a..b']) {
+    assert.equal(validateNameTemplate(name, 'linux'), null, name);
+  }
+});
+
+test('validateNameTemplate() rejects names that leave the directory', () => {
+  const names = {
+    '..': /"\.\."/,
+    '../escape': /"\.\."/,
+    'shots/../../escape': /"\.\."/,
+    '{date}/..': /"\.\."/,
+    '/etc/passwd': /absolute/,
+    '//server/share/x': /absolute/,
+    'C:/Windows/x': /drive letter/,
+    'c:escape': /drive letter/,
+    'shots\\escape': /use \//,
+    '..\\..\\escape': /use \//,
+    '\\\\server\\share': /use \//,
+    'line\nbreak': /control characters/
+  };
+
+  for (const platform of ['linux', 'darwin', 'win32']) {
+    Object.entries(names).forEach(([name, message]) => {
+      assert.match(validateNameTemplate(name, platform) || '', message, `${name} on ${platform}`);
+    });
+  }
+});
+
+test('validateNameTemplate() rejects characters Windows does not allow', () => {
+  assert.match(validateNameTemplate('what?', 'win32'), /Windows/);
+  assert.equal(validateNameTemplate('what?', 'linux'), null);
+});
+
+test('validateNameTemplate() checks placeholders', () => {
+  assert.match(validateNameTemplate('{user}-{date}', 'linux'), /unknown placeholders \{user\}/);
+  assert.match(validateNameTemplate('{seq}-{seq}', 'linux'), /only once/);
+  assert.match(validateNameTemplate('{seq:0}', 'linux'), /invalid sequence width/);
+  assert.match(validateNameTemplate('{seq}/shot', 'linux'), /not in a directory/);
+  assert.match(validateNameTemplate('shot-{date', 'linux'), /unmatched/);
+});
+
+const values = {
+  date: new Date(2024, 2, 5, 7, 8, 9, 45),
+  hostname: 'my host.local',
+  platform: 'linux',
+  tool: 'grim',
+  display: 'DP-1'
+};
+
+test('expandNameTemplate() fills in dates, times and sanitized values', () => {
+  assert.deepEqual(expandNameTemplate('{date}/{time}-{hostname}', values), { name: '2024-03-05/07-08-09-my-host.local', sequenceWidth: null });
+  assert.equal(expandNameTemplate('{date:YY.MM.DD}_{time:HHmmss.SSS}', values).name, '24.03.05_070809.045');
+  assert.equal(expandNameTemplate('{timestamp}', values).name, String(values.date.getTime()));
+  assert.equal(expandNameTemplate('{platform}-{tool}-{display}', values).name, 'linux-grim-DP-1');
+  assert.equal(expandNameTemplate('{display}', { ...values, display: '../..' }).name, 'unknown');
+  assert.equal(expandNameTemplate('{hostname}', { ...values, hostname: 'a/b\\c' }).name, 'a-b-c');
+});
+
+test('expandNameTemplate() keeps {seq} with its width', () => {
+  assert.deepEqual(expandNameTemplate('{tool}-{seq:3}', values), { name: 'grim-{seq}', sequenceWidth: 3 });
+  assert.equal(expandNameTemplate('{seq}', values).sequenceWidth, 1);
+});
+
+test('nameCandidates() numbers after conflicts or after the highest sequence', () => {
+  const fs = createMemoryFs({ '/shots/day/grim-007.png': '', '/shots/day/grim-012.png': '', '/shots/day/other-099.png': '' });
+  const take = (iterator, count) => Array.from({ length: count }, () => iterator.next().value);
+
+  assert.deepEqual(take(nameCandidates('/shots', { name: 'shot', sequenceWidth: null }, 'png', fs), 3), ['shot.png', 'shot-1.png', 'shot-2.png']);
+  assert.deepEqual(take(nameCandidates('/shots', { name: 'day/grim-{seq}', sequenceWidth: 3 }, 'png', fs), 2), ['day/grim-013.png', 'day/grim-014.png']);
+  assert.deepEqual(take(nameCandidates('/shots', { name: 'new/grim-{seq}', sequenceWidth: 2 }, 'png', fs), 1), ['new/grim-01.png']);
+});
+
+test('nameTemplatePattern() matches the names a template produces', () => {
+  const pattern = nameTemplatePattern('{date}/{hostname}-{seq:3}', 'png');
+
+  for (const name of ['2024-03-05/host-001.png', '2024-03-05/host-001-1.png', '2024-03-05/host-12345-2-1.png']) {
+    assert.match(name, pattern);
+  }
+  for (const name of ['2024-03-05/host-001.jpg', '2024-03-05/host-abc.png', 'host-001.png', '2024-03-05/host-001.png.json']) {
+    assert.doesNotMatch(name, pattern);
+  }
+  // Date formats may contain "/", values may not
+  assert.match('2024/03/host-001.png', pattern);
+  assert.doesNotMatch('shots/sub/host-001.png', nameTemplatePattern('shots/{hostname}-{seq:3}', 'png'));
+});
+
+test('nameTemplatePattern() escapes literal text', () => {
+  const pattern = nameTemplatePattern('shot (1).v{seq}', 'png');
+
+  assert.match('shot (1).v3.png', pattern);
+  assert.doesNotMatch('shot 1xv3.png', pattern);
+  assert.match('capture-1700000000000.png', nameTemplatePattern('capture-{timestamp}', 'png'));
+});
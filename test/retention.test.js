@@ -0,0 +1,125 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDuration, parseSize, findCaptures, pruneCaptures } from '../lib/retention.js';
+import { createMemoryFs } from './helpers/memory-fs.js';
+
+const NOW = Date.UTC(2024, 0, 10);
+const HOUR = 60 * 60 * 1000;
+
+// Files with the given size in bytes, modified the given number of hours before NOW
+function createCaptures(files) {
+  const fs = createMemoryFs(Object.fromEntries(Object.entries(files).map(([path, [size]]) => [path, Buffer.alloc(size)])));
+  Object.entries(files).forEach(([path, [, hoursAgo]]) => fs.setModified(path, NOW - hoursAgo * HOUR));
+  return fs;
+}
+
+test('parseDuration() reads numbers and unit suffixes', () => {
+  assert.equal(parseDuration(1500), 1500);
+  assert.equal(parseDuration('250'), 250);
+  assert.equal(parseDuration('500ms'), 500);
+  assert.equal(parseDuration('1.5s'), 1500);
+  assert.equal(parseDuration(' 5m '), 5 * 60 * 1000);
+  assert.equal(parseDuration('2H'), 2 * HOUR);
+  assert.equal(parseDuration('7 d'), 7 * 24 * HOUR);
+});
+
+test('parseDuration() returns null for anything else', () => {
+  for (const value of [-1, Infinity, NaN, '', '-5s', '5w', '1e3', 's', '5 minutes', null]) {
+    assert.equal(parseDuration(value), null, String(value));
+  }
+});
+
+test('parseSize() reads bytes and binary units', () => {
+  assert.equal(parseSize(2048), 2048);
+  assert.equal(parseSize('100'), 100);
+  assert.equal(parseSize('100b'), 100);
+  assert.equal(parseSize('750kb'), 750 * 1024);
+  assert.equal(parseSize('1.5 MB'), 1.5 * 1024 * 1024);
+  assert.equal(parseSize('2GB'), 2 * 1024 ** 3);
+  assert.equal(parseSize('1tb'), 1024 ** 4);
+});
+
+test('parseSize() returns null for anything else', () => {
+  for (const value of [-1, NaN, '', '-1MB', '5 MiB', '5k', 'MB', undefined]) {
+    assert.equal(parseSize(value), null, String(value));
+  }
+});
+
+test('findCaptures() lists only captures of the template, newest first', () => {
+  const fs = createCaptures({
+    '/shots/shot-001.png': [10, 3],
+    '/shots/shot-002.png': [10, 2],
+    '/shots/shot-002.thumb.jpg': [5, 2],
+    '/shots/shot-002.png.json': [5, 2],
+    '/shots/shot-abc.png': [10, 1],
+    '/shots/notes.txt': [10, 1],
+    '/shots/shot-003.jpg': [10, 1]
+  });
+
+  assert.deepEqual(findCaptures('/shots', 'shot-{seq:3}', 'png', fs).map(capture => capture.name), ['shot-002.png', 'shot-001.png']);
+});
+
+test('pruneCaptures() keeps the newest captures by count', () => {
+  const fs = createCaptures({
+    '/shots/shot-1.png': [10, 4],
+    '/shots/shot-2.png': [10, 3],
+    '/shots/shot-3.png': [10, 2],
+    '/shots/shot-4.png': [10, 1],
+    '/shots/other.png': [10, 9]
+  });
+
+  const removed = pruneCaptures('/shots', 'shot-{seq}', 'png', { keep: 2 }, { now: NOW, fs });
+
+  assert.deepEqual(removed.map(capture => capture.name), ['shot-2.png', 'shot-1.png']);
+  assert.deepEqual(fs.files('/shots'), ['other.png', 'shot-3.png', 'shot-4.png']);
+});
+
+test('pruneCaptures() removes captures older than maxAge but always keeps the newest', () => {
+  const fs = createCaptures({
+    '/shots/shot-1.png': [10, 30],
+    '/shots/shot-2.png': [10, 20],
+    '/shots/shot-3.png': [10, 5]
+  });
+
+  pruneCaptures('/shots', 'shot-{seq}', 'png', { maxAge: 24 * HOUR }, { now: NOW, fs });
+  assert.deepEqual(fs.files('/shots'), ['shot-2.png', 'shot-3.png']);
+
+  pruneCaptures('/shots', 'shot-{seq}', 'png', { maxAge: HOUR }, { now: NOW, fs });
+  assert.deepEqual(fs.files('/shots'), ['shot-3.png']);
+});
+
+test('pruneCaptures() limits the total size', () => {
+  const fs = createCaptures({
+    '/shots/shot-1.png': [400, 3],
+    '/shots/shot-2.png': [300, 2],
+    '/shots/shot-3.png': [300, 1]
+  });
+
+  pruneCaptures('/shots', 'shot-{seq}', 'png', { maxSize: 700 }, { now: NOW, fs });
+
+  assert.deepEqual(fs.files('/shots'), ['shot-2.png', 'shot-3.png']);
+});
+
+test('pruneCaptures() removes thumbnails, sidecars and emptied directories', () => {
+  const fs = createCaptures({
+    '/shots/2024-01-08/shot-1.png': [10, 48],
+    '/shots/2024-01-08/shot-1.thumb.jpg': [5, 48],
+    '/shots/2024-01-08/shot-1.png.json': [5, 48],
+    '/shots/2024-01-09/shot-1.png': [10, 24],
+    '/shots/2024-01-09/keep.txt': [5, 24],
+    '/shots/2024-01-10/shot-1.png': [10, 0]
+  });
+
+  pruneCaptures('/shots', '{date}/shot-{seq}', 'png', { keep: 1 }, { now: NOW, fs });
+
+  assert.deepEqual(fs.files('/shots'), ['2024-01-09/keep.txt', '2024-01-10/shot-1.png']);
+  assert.equal(fs.existsSync('/shots/2024-01-08'), false);
+  assert.equal(fs.existsSync('/shots'), true);
+});
+
+test('pruneCaptures() does nothing without a policy', () => {
+  const fs = createCaptures({ '/shots/shot-1.png': [10, 1000], '/shots/shot-2.png': [10, 1] });
+
+  assert.deepEqual(pruneCaptures('/shots', 'shot-{seq}', 'png', {}, { now: NOW, fs }), []);
+  assert.equal(fs.files('/shots').length, 2);
+});
@@ -0,0 +1,128 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { createCrosshot, createFakeExecutor } from '../index.js';
+import { createRequestHandler, parseScreenshotQuery } from '../lib/server.js';
+import { detectImageFormat } from '../lib/image.js';
+
+// Listens on a free port for the duration of run(baseUrl)
+async function withServer(server, run) {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    await run(`http://127.0.0.1:${server.address().port}`);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+// A request handler whose captures record their options and return a tiny PNG
+function createStubHandler(options = {}) {
+  const captures = [];
+  const handler = createRequestHandler({
+    listTools: () => ['grim', 'scrot'],
+    capture: async captureOptions => {
+      captures.push(captureOptions);
+      return { buffer: Buffer.from('png'), mimeType: 'image/png', tool: 'grim', timestamp: '2024-01-10T00:00:00.000Z' };
+    },
+    getTools: async () => ({ available: ['grim'] }),
+    getHealth: () => ({ version: '1.0.0', platform: 'linux' }),
+    ...options
+  });
+  return { captures, server: createServer(handler) };
+}
+
+const bearer = token => ({ headers: { Authorization: `Bearer ${token}` } });
+
+test('serves captures of the fake screen', async () => {
+  const executor = createFakeExecutor();
+  const crosshot = createCrosshot({ executor, backends: [executor.backend], platform: 'linux', env: { DISPLAY: ':0' } });
+
+  await withServer(crosshot.createServer({ format: 'jpg' }), async url => {
+    const response = await fetch(`${url}/screenshot?region=0,0,20,10`);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'image/jpeg');
+    assert.equal(response.headers.get('x-crosshot-tool'), 'fake');
+    assert.equal(detectImageFormat(Buffer.from(await response.arrayBuffer())), 'jpg');
+  });
+});
+
+test('caps the timeout parameter at the server timeout', async () => {
+  const { captures, server } = createStubHandler({ maxTimeout: 5000 });
+
+  await withServer(server, async url => {
+    await fetch(`${url}/screenshot?timeout=60000`);
+    await fetch(`${url}/screenshot?timeout=250`);
+    await fetch(`${url}/screenshot`);
+  });
+
+  assert.deepEqual(captures.map(options => options.timeout), [5000, 250, undefined]);
+});
+
+test('rejects timeouts that are not above 0', async () => {
+  const { captures, server } = createStubHandler({ maxTimeout: 5000 });
+
+  await withServer(server, async url => {
+    for (const value of ['0', '-1', 'never', '']) {
+      const response = await fetch(`${url}/screenshot?timeout=${value}`);
+      const body = await response.json();
+
+      assert.equal(response.status, 400, value);
+      assert.equal(body.code, 'INVALID_OPTION');
+    }
+  });
+
+  assert.deepEqual(captures, []);
+  assert.throws(() => parseScreenshotQuery(new URLSearchParams('timeout=0'), []), { name: 'InvalidOptionError' });
+});
+
+test('createServer() caps request timeouts at the default timeout', async () => {
+  const executor = createFakeExecutor({ delay: 100 });
+  const crosshot = createCrosshot({ executor, backends: [executor.backend], platform: 'linux', env: { DISPLAY: ':0' } });
+
+  await withServer(crosshot.createServer({ timeout: 20 }), async url => {
+    const response = await fetch(`${url}/screenshot?timeout=60000`);
+
+    assert.equal(response.status, 504);
+    assert.equal((await response.json()).code, 'TIMEOUT');
+  });
+});
+
+test('only reports health details with the token', async () => {
+  const { server } = createStubHandler({ token: 's3cret' });
+
+  await withServer(server, async url => {
+    const anonymous = await fetch(`${url}/health`);
+    const wrong = await fetch(`${url}/health`, bearer('guess'));
+    const authorized = await fetch(`${url}/health`, bearer('s3cret'));
+
+    assert.equal(anonymous.status, 200);
+    assert.deepEqual(await anonymous.json(), { status: 'ok' });
+    assert.deepEqual(await wrong.json(), { status: 'ok' });
+    assert.deepEqual(await authorized.json(), { status: 'ok', version: '1.0.0', platform: 'linux', queued: 0 });
+  });
+});
+
+test('reports health details when no token is set', async () => {
+  const { server } = createStubHandler();
+
+  await withServer(server, async url => {
+    assert.deepEqual(await (await fetch(`${url}/health`)).json(), { status: 'ok', version: '1.0.0', platform: 'linux', queued: 0 });
+  });
+});
+
+test('requires the token for captures and tools', async () => {
+  const { captures, server } = createStubHandler({ token: 's3cret' });
+
+  await withServer(server, async url => {
+    for (const path of ['/screenshot', '/tools']) {
+      const response = await fetch(`${url}${path}`);
+
+      assert.equal(response.status, 401, path);
+      assert.equal(response.headers.get('www-authenticate'), 'Bearer realm="crosshot"');
+    }
+    assert.equal((await fetch(`${url}/screenshot`, bearer('s3cret'))).status, 200);
+  });
+
+  assert.equal(captures.length, 1);
+});
@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeWebp } from '../lib/webp.js';
+import { encodeImage, readImageInfo } from '../lib/image.js';
+import { decodeWebp } from './helpers/vp8l.js';
+
+function createImage(width, height, color) {
+  const data = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      data.set(color(x, y), (y * width + x) * 4);
+    }
+  }
+  return { width, height, data };
+}
+
+// Title bar, side panel and a light page with dark strokes, like an application window
+const screenLike = (x, y) => {
+  if (y < 30) {
+    return [40, 44, 52, 255];
+  }
+  if (x < 160) {
+    return [30, 30, 30, 255];
+  }
+  return (x * 7 + y * 3) % 23 < 2 && y % 18 < 12 ? [20, 20, 20, 255] : [240, 240, 240, 255];
+};
+
+test('writes a VP8L file with the image dimensions and alpha flag', () => {
+  const opaque = encodeWebp(createImage(3, 2, () => [1, 2, 3, 255]));
+  const translucent = encodeWebp(createImage(1, 1, () => [1, 2, 3, 128]));
+
+  assert.equal(opaque.toString('ascii', 0, 4), 'RIFF');
+  assert.equal(opaque.readUInt32LE(4), opaque.length - 8);
+  assert.equal(opaque.toString('ascii', 8, 16), 'WEBPVP8L');
+  assert.equal(opaque[20], 0x2f);
+  assert.deepEqual(readImageInfo(opaque), { format: 'webp', width: 3, height: 2 });
+  assert.equal((opaque.readUInt32LE(21) >>> 28) & 1, 0);
+  assert.equal((translucent.readUInt32LE(21) >>> 28) & 1, 1);
+});
+
+test('decodes back to the exact pixels at quality 100', () => {
+  const images = [
+    createImage(640, 480, screenLike),
+    createImage(61, 37, (x, y) => [(x * 97 + y * 31) % 256, (x * y * 7) % 256, ((x ^ y) * 5) % 256, (x + y) % 3 ? 255 : 100]),
+    createImage(300, 120, (x, y) => [x % 256, (y * 2) % 256, (x + y) % 256, 255]),
+    createImage(1, 1, () => [9, 8, 7, 255])
+  ];
+
+  images.forEach(image => {
+    const decoded = decodeWebp(encodeWebp(image));
+
+    assert.equal(decoded.width, image.width);
+    assert.equal(decoded.height, image.height);
+    assert.ok(decoded.data.equals(image.data), `${image.width}x${image.height} differs`);
+  });
+});
+
+test('rounds colors but keeps alpha below quality 100', () => {
+  const image = createImage(64, 64, (x, y) => [(x * 37 + y * 11) % 256, (x * y) % 256, (x ^ y) % 256, 200]);
+  const decoded = decodeWebp(encodeWebp(image, { quality: 60 }));
+
+  for (let i = 0; i < image.data.length; i += 4) {
+    for (let channel = 0; channel < 3; channel++) {
+      assert.ok(Math.abs(decoded.data[i + channel] - image.data[i + channel]) <= 4, `byte ${i + channel}`);
+    }
+    assert.equal(decoded.data[i + 3], 200);
+  }
+});
+
+test('rejects dimensions WebP cannot store', () => {
+  assert.throws(() => encodeWebp({ width: 16385, height: 1, data: Buffer.alloc(16385 * 4) }), /between 1x1 and 16384x16384/);
+});
+
+// Size regressions: without the predictor transform and backward references these came
+// out several times larger than the PNG of the same image
+test('compresses gradients to a fraction of the PNG size', () => {
+  const image = createImage(500, 200, (x, y) => [Math.floor(x * 255 / 499), Math.floor(y * 255 / 199), Math.floor((x + y) * 255 / 698), 255]);
+  const webp = encodeWebp(image);
+
+  assert.ok(webp.length < 8000, `${webp.length} bytes`);
+  assert.ok(webp.length < encodeImage(image, 'png').length / 4);
+});
+
+test('compresses screen-like content below the PNG size', () => {
+  const image = createImage(640, 480, screenLike);
+  const webp = encodeWebp(image);
+
+  assert.ok(webp.length < encodeImage(image, 'png').length, `${webp.length} bytes`);
+});
+
+test('codes a single color in a few hundred bytes', () => {
+  const webp = encodeWebp(createImage(800, 600, () => [0, 120, 215, 255]));
+
+  assert.ok(webp.length < 300, `${webp.length} bytes`);
+});
+
+test('lower quality gives smaller files', () => {
+  const image = createImage(256, 256, (x, y) => [(x * 37 + y * 11) % 256, (x * y) % 256, (x ^ y) % 256, 255]);
+
+  assert.ok(encodeWebp(image, { quality: 60 }).length < encodeWebp(image, { quality: 100 }).length);
+});